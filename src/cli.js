@@ -5,9 +5,13 @@
  * Provides command-line management of images and services
  */
 
-const { Command } = require('commander');
+const { Command, InvalidArgumentError } = require('commander');
 const { getImageStats, cleanupOldImages, formatBytes } = require('./utils/image-cleanup');
 const { validateConfig } = require('./utils/config');
+const { MODELS, DEFAULT_MODELS, getModelNames, collectCapability } = require('./utils/model-registry');
+const { VALIDATION_RULES } = require('./utils/validation');
+const { isManifestFile, DEFAULT_CONCURRENCY } = require('./utils/manifest');
+const { formatCost } = require('./utils/pricing');
 const path = require('path');
 
 // Try to load dotenv from project root
@@ -17,6 +21,87 @@ try {
   // Continue without dotenv
 }
 
+/**
+ * Parse a size option: WIDTHxHEIGHT, WIDTH or xHEIGHT (e.g. 1200x630, 256, x512)
+ * @param {string} value - Option value
+ * @returns {Object} { width, height } (either may be missing)
+ */
+function parseDimensions(value) {
+  const match = /^(\d*)(?:x(\d*))?$/i.exec(value);
+  if (!match || (!match[1] && !match[2])) {
+    throw new InvalidArgumentError('Expected WIDTHxHEIGHT, WIDTH or xHEIGHT (e.g. 1200x630).');
+  }
+  const dimensions = {};
+  if (match[1]) {
+    dimensions.width = Number(match[1]);
+  }
+  if (match[2]) {
+    dimensions.height = Number(match[2]);
+  }
+  return dimensions;
+}
+
+/**
+ * Collect a repeatable template variable option: NAME=VALUE[,VALUE...]
+ * Repeating a name adds to its values.
+ * @param {string} value - Option value
+ * @param {Object} variables - Variables collected so far
+ * @returns {Object} Values by variable name
+ */
+function collectVariable(value, variables) {
+  const match = /^([\w-]+)=(.*)$/.exec(value);
+  if (!match) {
+    throw new InvalidArgumentError('Expected NAME=VALUE or NAME=VALUE1,VALUE2 (e.g. color=red,blue).');
+  }
+  const [, name, values] = match;
+  return {
+    ...variables,
+    [name]: (variables[name] || []).concat(values.split(',').map(item => item.trim()))
+  };
+}
+
+/**
+ * Parse a crop option: LEFT,TOP,WIDTH,HEIGHT
+ * @param {string} value - Option value
+ * @returns {Object} { left, top, width, height }
+ */
+function parseCrop(value) {
+  const parts = value.split(',').map(part => part.trim());
+  if (parts.length !== 4 || parts.some(part => !/^\d+$/.test(part))) {
+    throw new InvalidArgumentError('Expected LEFT,TOP,WIDTH,HEIGHT in pixels (e.g. 0,197,1024,630).');
+  }
+  const [left, top, width, height] = parts.map(Number);
+  return { left, top, width, height };
+}
+
+/**
+ * Build the postprocess parameter from generate options (undefined if none were given)
+ * @param {Object} options - Parsed options
+ * @returns {Object|undefined} Postprocess operations
+ */
+function buildPostprocess(options) {
+  const postprocess = {};
+  if (options.crop) {
+    postprocess.crop = options.crop;
+  }
+  if (options.resize) {
+    postprocess.resize = { ...options.resize, fit: options.fit, position: options.position };
+  }
+  if (options.convert) {
+    postprocess.format = options.convert;
+  }
+  if (options.outputQuality !== undefined) {
+    postprocess.quality = options.outputQuality;
+  }
+  if (options.strip) {
+    postprocess.strip = true;
+  }
+  if (options.thumbnail.length > 0) {
+    postprocess.thumbnails = options.thumbnail;
+  }
+  return Object.keys(postprocess).length > 0 ? postprocess : undefined;
+}
+
 const program = new Command();
 
 program
@@ -149,13 +234,33 @@ program
 program
   .command('generate <prompt>')
   .description('Generate an image from command line')
-  .option('-m, --model <model>', 'Model to use (dall-e-2 or dall-e-3)', 'dall-e-3')
-  .option('-s, --size <size>', 'Image size', '1024x1024')
-  .option('-q, --quality <quality>', 'Image quality (standard or hd)', 'standard')
-  .option('--style <style>', 'Image style (vivid or natural)', 'vivid')
+  .option('-m, --model <model>', `Model to use (${getModelNames('generate').join(', ')}; default: ${DEFAULT_MODELS.generate})`)
+  .option('-s, --size <size>', `Image size (${collectCapability('sizes').join(', ')}; see "models")`)
+  .option('-q, --quality <quality>', `Image quality (${collectCapability('qualities').join(', ')}; see "models")`)
+  .option('--style <style>', `Image style (${collectCapability('styles').join(', ')})`)
+  .option('--background <background>', `Background (${collectCapability('backgrounds').join(', ')})`)
+  .option('--format <format>', `Output format (${collectCapability('outputFormats').join(', ')})`)
+  .option('--compression <level>', 'Compression 0-100 for jpeg/webp output')
+  .option('--moderation <level>', `Moderation level (${collectCapability('moderation').join(', ')})`)
+  .option('-n, --count <n>', 'Number of images to generate')
+  .option('-p, --provider <name>', 'Provider backend (openai, azure or local; default: IMAGE_PROVIDER)')
+  .option('--preset <name>', 'Start from a named preset (see "presets"); other options override it')
+  .option('--crop <left,top,width,height>', 'Crop the saved image to this region (pixels)', parseCrop)
+  .option('--resize <size>', 'Resize the saved image (WIDTHxHEIGHT, WIDTH or xHEIGHT)', parseDimensions)
+  .option('--fit <fit>', `How --resize fills the size (${VALIDATION_RULES.postprocess.fits.join(', ')})`)
+  .option('--position <position>', `What --fit cover keeps (${VALIDATION_RULES.postprocess.positions.join(', ')})`)
+  .option('--convert <format>', `Convert the saved image (${VALIDATION_RULES.postprocess.formats.join(', ')})`)
+  .option('--output-quality <quality>', 'Encoder quality 1-100 for converted jpeg/webp/avif output')
+  .option('--strip', 'Remove all metadata from the saved image, including provenance')
+  .option('--thumbnail <size>', 'Also save a thumbnail of this size (repeatable)', (value, sizes) => sizes.concat(parseDimensions(value)), [])
   .option('--no-save', 'Do not save image locally')
   .action(async (prompt, options) => {
     try {
+      const postprocess = buildPostprocess(options);
+      if (postprocess && !options.save) {
+        throw new Error('Post-processing options apply to saved images; remove --no-save');
+      }
+
       console.log('\nGenerating image...\n');
 
       // Initialize the image gen class
@@ -165,31 +270,56 @@ program
         exitOnError: false
       });
 
-      const imageGen = new OpenAIImageGenMCP(config.apiKey);
+      const imageGen = new OpenAIImageGenMCP(config.apiKey, { providers: config.providers, resilience: config.resilience, presets: config.presets });
 
       const params = {
         prompt,
+        preset: options.preset,
         model: options.model,
         size: options.size,
         quality: options.quality,
-        style: options.style
+        style: options.style,
+        background: options.background,
+        output_format: options.format,
+        output_compression: options.compression,
+        moderation: options.moderation,
+        n: options.count,
+        provider: options.provider,
+        postprocess,
+        requester: 'cli'
       };
 
-      let result;
+      let images;
       if (options.save) {
-        result = await imageGen.generateAndSaveImage(prompt, params);
-        console.log(`Image generated and saved!`);
-        console.log(`File: ${result.filePath}`);
+        images = await imageGen.generateAndSaveImage(prompt, params);
+        console.log(`Generated and saved ${images.length} image(s)!`);
       } else {
-        const data = await imageGen.generateImage(prompt, params);
-        result = data[0];
-        console.log(`Image generated!`);
+        images = await imageGen.generateImage(prompt, params);
+        console.log(`Generated ${images.length} image(s)!`);
       }
 
-      console.log(`URL: ${result.url}`);
-      if (result.revised_prompt) {
-        console.log(`\nRevised prompt: ${result.revised_prompt}`);
-      }
+      images.forEach((image, index) => {
+        console.log(`\nImage ${index + 1}:`);
+        if (image.filePath) {
+          console.log(`  File: ${image.filePath}`);
+        }
+        if (image.error) {
+          console.log(`  Not saved: ${image.error}`);
+        }
+        for (const thumbnail of image.thumbnails || []) {
+          console.log(`  Thumbnail ${thumbnail.width}x${thumbnail.height}: ${thumbnail.filePath}`);
+        }
+        // gpt-image-1 returns base64 data only, so there may be no URL
+        if (image.url) {
+          console.log(`  URL: ${image.url}`);
+        }
+        if (image.revised_prompt) {
+          console.log(`  Revised prompt: ${image.revised_prompt}`);
+        }
+        if (image.estimatedCost) {
+          console.log(`  Estimated cost: ${formatCost(image.estimatedCost)}`);
+        }
+      });
       console.log('');
     } catch (error) {
       console.error('Error generating image:', error.message);
@@ -197,6 +327,239 @@ program
     }
   });
 
+// Models command
+program
+  .command('models')
+  .description('List supported models and their capabilities')
+  .action(() => {
+    console.log('\nSupported Models\n');
+    for (const [name, model] of Object.entries(MODELS)) {
+      console.log(`${name} (${model.label})`);
+      console.log(`  Operations: ${model.operations.join(', ')}`);
+      console.log(`  Sizes: ${model.sizes.join(', ')} (default: ${model.defaultSize})`);
+      console.log(`  Qualities: ${model.qualities.join(', ')} (default: ${model.defaultQuality})`);
+      if (model.styles) {
+        console.log(`  Styles: ${model.styles.join(', ')} (default: ${model.defaultStyle})`);
+      }
+      console.log(`  Images per request: ${model.n.min}-${model.n.max}`);
+      console.log(`  Max prompt length: ${model.promptMaxLength}`);
+      if (model.outputFormats) {
+        console.log(`  Output formats: ${model.outputFormats.join(', ')}`);
+        console.log(`  Backgrounds: ${model.backgrounds.join(', ')}`);
+      }
+      console.log('');
+    }
+  });
+
+/**
+ * Run a template batch (cli.js batch "<template>" --var ...)
+ * @param {string} template - Prompt template
+ * @param {Object} options - Command options
+ * @param {Object} shared - Generation parameters for every prompt
+ */
+async function runTemplateBatch(template, options, shared) {
+  const { prepareBatch, runBatch } = require('./utils/batch');
+  const { PresetRegistry, loadPresetDefinitions } = require('./utils/presets');
+  const presets = loadPresetDefinitions();
+
+  const batch = prepareBatch({
+    ...shared,
+    template,
+    variables: options.var,
+    mode: options.zip ? 'zip' : 'product'
+  }, { presets: new PresetRegistry(presets) });
+
+  if (options.dryRun) {
+    console.log(`\n${batch.items.length} prompt(s):\n`);
+    batch.items.forEach(item => {
+      console.log(`${item.index + 1}. ${item.prompt}${item.error ? ` (invalid: ${item.error})` : ''}`);
+    });
+    console.log('');
+    return;
+  }
+
+  const config = await validateConfig({
+    validateApiKey: false,
+    exitOnError: false
+  });
+  const OpenAIImageGenMCP = require('./openai-image-gen');
+  const imageGen = new OpenAIImageGenMCP(config.apiKey, { providers: config.providers, resilience: config.resilience, presets });
+
+  if (!options.json) {
+    console.log(`\nGenerating ${batch.items.length} prompt(s)...\n`);
+  }
+  const result = await runBatch(imageGen, batch, {
+    requester: 'cli',
+    onProgress: options.json ? undefined : ({ message }) => console.log(message)
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    for (const item of result.items) {
+      console.log(`\n${item.index + 1}. ${item.prompt}`);
+      if (!item.success) {
+        console.log(`  Failed: ${item.error}`);
+        continue;
+      }
+      for (const image of item.images) {
+        console.log(image.error ? `  Not saved: ${image.error}` : `  File: ${image.filePath || image.url}`);
+      }
+    }
+    console.log(`\n${result.succeeded} of ${result.total} prompt(s) succeeded\n`);
+  }
+
+  if (result.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Run a manifest batch (cli.js batch rows.csv)
+ * @param {string} file - CSV or JSONL manifest
+ * @param {Object} options - Command options
+ * @param {Object} shared - Generation parameters for columns a row leaves empty
+ */
+async function runManifestBatch(file, options, shared) {
+  const { loadManifest, openResultsFile, runManifest, getResultsFile, MAX_CONCURRENCY } = require('./utils/manifest');
+
+  if (Object.keys(options.var).length > 0 || options.zip) {
+    throw new Error('--var and --zip apply to templates, not manifests');
+  }
+  const concurrency = parseInt(options.concurrency, 10);
+  if (isNaN(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    throw new Error(`--concurrency must be between 1 and ${MAX_CONCURRENCY}`);
+  }
+
+  const rows = await loadManifest(file);
+
+  if (options.dryRun) {
+    console.log(`\n${rows.length} row(s):\n`);
+    rows.forEach(row => {
+      const output = row.params.output_name ? ` -> ${row.params.output_name}` : '';
+      console.log(`${row.row}. ${row.params.prompt || '(no prompt)'}${output}`);
+    });
+    console.log('');
+    return;
+  }
+
+  const resultsFile = options.results || getResultsFile(file);
+  const completed = await openResultsFile(resultsFile, { resume: options.resume });
+
+  const config = await validateConfig({
+    validateApiKey: false,
+    exitOnError: false
+  });
+  const OpenAIImageGenMCP = require('./openai-image-gen');
+  const imageGen = new OpenAIImageGenMCP(config.apiKey, { providers: config.providers, resilience: config.resilience, presets: config.presets });
+
+  // Ctrl+C cancels the rows in flight; completed rows are already in the results file
+  const controller = new AbortController();
+  const onInterrupt = () => {
+    console.log('\nInterrupted; rerun with --resume to continue');
+    controller.abort();
+  };
+  process.once('SIGINT', onInterrupt);
+
+  console.log(`\nGenerating ${rows.length} row(s), ${concurrency} at a time (results: ${resultsFile})...\n`);
+  let summary;
+  try {
+    summary = await runManifest(imageGen, rows, {
+      resultsFile,
+      completed,
+      concurrency,
+      defaults: shared,
+      signal: controller.signal,
+      onResult: (result) => {
+        const files = result.success ? result.images.map(image => image.filePath).join(', ') : `failed: ${result.error}`;
+        console.log(`${result.row}. ${result.prompt || '(no prompt)'}\n  ${files}`);
+      }
+    });
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+  }
+
+  console.log(`\n${summary.succeeded} succeeded, ${summary.failed} failed, ${summary.skipped} skipped (already done)` +
+    (summary.cancelled > 0 ? `, ${summary.cancelled} not run` : '') + '\n');
+  if (summary.failed > 0 || summary.cancelled > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Batch command
+program
+  .command('batch <source>')
+  .description('Generate many images: from a CSV/JSONL manifest (one generation per row) or a {{variable}} prompt template')
+  .option('--var <name=values>', 'Template: values for a variable, comma-separated (repeatable)', collectVariable, {})
+  .option('--zip', 'Template: pair the variable lists by position instead of generating every combination')
+  .option('-c, --concurrency <n>', 'Manifest: rows generated at once', String(DEFAULT_CONCURRENCY))
+  .option('-r, --results <file>', 'Manifest: results JSONL to write (default: <manifest>.results.jsonl)')
+  .option('--resume', 'Manifest: continue the run in the results file, skipping completed rows')
+  .option('-m, --model <model>', `Model to use (${getModelNames('generate').join(', ')}; default: ${DEFAULT_MODELS.generate})`)
+  .option('-s, --size <size>', `Image size (${collectCapability('sizes').join(', ')}; see "models")`)
+  .option('-q, --quality <quality>', `Image quality (${collectCapability('qualities').join(', ')}; see "models")`)
+  .option('--style <style>', `Image style (${collectCapability('styles').join(', ')})`)
+  .option('-n, --count <n>', 'Number of images per prompt')
+  .option('-p, --provider <name>', 'Provider backend (openai, azure or local; default: IMAGE_PROVIDER)')
+  .option('--preset <name>', 'Start from a named preset (see "presets"); other options override it')
+  .option('--dry-run', 'Only print the prompts or rows')
+  .option('--json', 'Template: print the batch result as JSON')
+  .action(async (source, options) => {
+    try {
+      const shared = {
+        preset: options.preset,
+        model: options.model,
+        size: options.size,
+        quality: options.quality,
+        style: options.style,
+        n: options.count,
+        provider: options.provider
+      };
+      if (isManifestFile(source)) {
+        await runManifestBatch(source, options, shared);
+      } else {
+        await runTemplateBatch(source, options, shared);
+      }
+    } catch (error) {
+      console.error('Error running batch:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Presets command
+program
+  .command('presets')
+  .description('List the generation presets usable with generate --preset')
+  .option('--json', 'Print presets as JSON')
+  .action((options) => {
+    try {
+      const { loadPresetDefinitions, getPresetsFile } = require('./utils/presets');
+      const presets = loadPresetDefinitions();
+
+      if (options.json) {
+        console.log(JSON.stringify(presets, null, 2));
+        return;
+      }
+
+      if (presets.length === 0) {
+        console.log(`\nNo presets defined in ${getPresetsFile()}\n`);
+        return;
+      }
+
+      console.log(`\nPresets (${getPresetsFile()})\n`);
+      for (const preset of presets) {
+        console.log(preset.name + (preset.description ? ` - ${preset.description}` : ''));
+        for (const [key, value] of Object.entries(preset.params)) {
+          console.log(`  ${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+        }
+        console.log('');
+      }
+    } catch (error) {
+      console.error('Error listing presets:', error.message);
+      process.exit(1);
+    }
+  });
+
 // List images command
 program
   .command('list')
@@ -242,4 +605,268 @@ program
     }
   });
 
+// History command
+program
+  .command('history [filename]')
+  .description('Show the prompt, model and settings behind generated images')
+  .option('-d, --directory <path>', 'Images directory', './generated-images')
+  .option('-q, --search <text>', 'Only images whose prompt or revised prompt contains this text')
+  .option('-m, --model <model>', 'Only images from this model')
+  .option('--operation <operation>', 'Only generate, edit or variation results')
+  .option('--requester <requester>', 'Only images requested by this client (e.g. cli, http:127.0.0.1)')
+  .option('-l, --limit <count>', 'Limit number of results', '20')
+  .option('--json', 'Print entries as JSON')
+  .action(async (filename, options) => {
+    try {
+      const { ImageHistory } = require('./utils/image-history');
+      const history = new ImageHistory(path.resolve(options.directory));
+
+      if (filename) {
+        const entry = await history.get(filename);
+        if (!entry) {
+          console.error(`No history for image: ${filename}`);
+          process.exit(1);
+        }
+        console.log(JSON.stringify(entry, null, 2));
+        return;
+      }
+
+      const { entries, total } = await history.list({
+        q: options.search,
+        model: options.model,
+        operation: options.operation,
+        requester: options.requester,
+        limit: parseInt(options.limit, 10)
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify(entries, null, 2));
+        return;
+      }
+
+      if (entries.length === 0) {
+        console.log('\nNo matching images found.\n');
+        return;
+      }
+
+      console.log(`\nShowing ${entries.length} of ${total} images (newest first):\n`);
+      entries.forEach((entry, index) => {
+        console.log(`${index + 1}. ${entry.filename} (${entry.createdAt})`);
+        console.log(`   ${entry.operation} | ${entry.model} | ${entry.size || '-'}${entry.quality ? ` | ${entry.quality}` : ''}${entry.style ? ` | ${entry.style}` : ''}`);
+        if (entry.prompt) {
+          console.log(`   Prompt: ${entry.prompt}`);
+        }
+        if (entry.revised_prompt) {
+          console.log(`   Revised: ${entry.revised_prompt}`);
+        }
+        console.log(`   Requester: ${entry.requester || '-'} | Duration: ${entry.durationMs}ms`);
+      });
+
+      console.log('');
+    } catch (error) {
+      console.error('Error reading history:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Spend command
+program
+  .command('spend')
+  .description('Summarize the estimated spend on saved images by day, model and requester')
+  .option('-d, --directory <path>', 'Images directory', './generated-images')
+  .option('--since <date>', 'Only images created at or after this ISO date')
+  .option('--until <date>', 'Only images created before this ISO date')
+  .option('--json', 'Print the summary as JSON')
+  .action(async (options) => {
+    try {
+      const { ImageHistory } = require('./utils/image-history');
+      const { parseSpendPeriod, summarizeSpend } = require('./utils/spend');
+
+      const period = parseSpendPeriod(options);
+      const history = new ImageHistory(path.resolve(options.directory));
+      const summary = summarizeSpend(await history.loadAll(), period);
+
+      if (options.json) {
+        console.log(JSON.stringify({ currency: 'USD', period, ...summary }, null, 2));
+        return;
+      }
+
+      if (summary.images === 0 && summary.unpriced === 0) {
+        console.log('\nNo images in this period.\n');
+        return;
+      }
+
+      const printGroups = (title, field, groups) => {
+        console.log(`\n${title}:`);
+        for (const group of groups) {
+          console.log(`  ${String(group[field]).padEnd(24)} ${formatCost(group.cost).padStart(10)}  ${group.images} image(s), ${group.requests} request(s)`);
+        }
+      };
+
+      console.log(`\nEstimated spend${period.since ? ` since ${period.since}` : ''}${period.until ? ` until ${period.until}` : ''}:`);
+      console.log(`  Total: ${formatCost(summary.total)} for ${summary.images} image(s) in ${summary.requests} request(s)`);
+      if (summary.unpriced > 0) {
+        console.log(`  ${summary.unpriced} image(s) from models without a price are not included`);
+      }
+      printGroups('By day', 'day', summary.byDay);
+      printGroups('By model', 'model', summary.byModel);
+      printGroups('By requester', 'requester', summary.byRequester);
+      console.log('');
+    } catch (error) {
+      console.error('Error summarizing spend:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Tokens commands
+const tokens = program
+  .command('tokens')
+  .description('Manage API tokens for the HTTP API (stored hashed in TOKEN_STORE_FILE)');
+
+/**
+ * Open the token store named by TOKEN_STORE_FILE
+ */
+function openTokenStore() {
+  const { TokenStore, DEFAULT_TOKEN_STORE_FILE } = require('./utils/token-store');
+  return new TokenStore(process.env.TOKEN_STORE_FILE || DEFAULT_TOKEN_STORE_FILE);
+}
+
+tokens
+  .command('create <name>')
+  .description('Create a token and print it (it cannot be shown again)')
+  .option('-s, --scope <scope>', 'Grant a scope: generate, edit, admin:images or admin:metrics (repeatable)', (value, scopes) => scopes.concat(value), [])
+  .option('-e, --expires <when>', 'Expire at an ISO 8601 date or after a number of days (e.g. 30d)')
+  .option('--json', 'Print the token as JSON')
+  .action(async (name, options) => {
+    try {
+      const { token, record } = await openTokenStore().create({
+        name,
+        scopes: options.scope,
+        expiresAt: options.expires
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify({ token, ...record }, null, 2));
+        return;
+      }
+
+      console.log(`\nCreated token "${record.name}" (${record.scopes.join(', ')}), ${record.expiresAt ? `expires ${record.expiresAt}` : 'never expires'}:\n`);
+      console.log(`  ${token}\n`);
+      console.log('Store it now: only its hash is kept. Send it as "Authorization: Bearer <token>".\n');
+    } catch (error) {
+      console.error('Error creating token:', error.message);
+      process.exit(1);
+    }
+  });
+
+tokens
+  .command('list')
+  .description('List tokens with their scopes, expiry and status')
+  .option('--json', 'Print tokens as JSON')
+  .action(async (options) => {
+    try {
+      const list = await openTokenStore().list();
+
+      if (options.json) {
+        console.log(JSON.stringify(list, null, 2));
+        return;
+      }
+
+      if (list.length === 0) {
+        console.log('\nNo API tokens. Create one with "tokens create <name> --scope generate".\n');
+        return;
+      }
+
+      console.log(`\nAPI tokens (${list.length}):\n`);
+      for (const token of list) {
+        console.log(`  ${token.name.padEnd(24)} ${token.status.padEnd(8)} ${token.prefix}...  ${token.scopes.join(', ')}`);
+        console.log(`  ${''.padEnd(24)} created ${token.createdAt}${token.expiresAt ? `, expires ${token.expiresAt}` : ''}${token.revokedAt ? `, revoked ${token.revokedAt}` : ''}`);
+      }
+      console.log('');
+    } catch (error) {
+      console.error('Error listing tokens:', error.message);
+      process.exit(1);
+    }
+  });
+
+tokens
+  .command('revoke <name>')
+  .description('Revoke a token by name or id (takes effect on its next request)')
+  .action(async (name) => {
+    try {
+      const token = await openTokenStore().revoke(name);
+      if (!token) {
+        console.error(`No token named: ${name}`);
+        process.exit(1);
+      }
+      console.log(`Revoked token "${token.name}" at ${token.revokedAt}`);
+    } catch (error) {
+      console.error('Error revoking token:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Inspect command
+program
+  .command('inspect <file>')
+  .description('Show the provenance embedded in a generated image')
+  .option('--json', 'Print the provenance as JSON')
+  .action(async (file, options) => {
+    try {
+      const { readProvenance } = require('./utils/provenance');
+      const { readImage } = require('./utils/image-store');
+      const fsPromises = require('fs').promises;
+      const filePath = path.resolve(file);
+      let data;
+      try {
+        data = await fsPromises.readFile(filePath);
+      } catch (error) {
+        // Content-addressed images are named in .names/; read them with their own provenance
+        data = error.code === 'ENOENT' ? await readImage(path.dirname(filePath), path.basename(filePath)) : null;
+        if (!data) {
+          throw error;
+        }
+      }
+      const result = readProvenance(data);
+
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+      }
+
+      const { provenance } = result;
+      if (!provenance) {
+        console.log(`\nNo provenance found in ${file} (${result.format}).\n`);
+        return;
+      }
+
+      const parameters = Object.entries(provenance.parameters || {})
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([name, value]) => `${name}=${value}`);
+
+      console.log(`\nProvenance for ${file} (${result.format}):\n`);
+      console.log(`  Operation:  ${provenance.operation}`);
+      console.log(`  Model:      ${provenance.model}${provenance.provider ? ` (${provenance.provider})` : ''}`);
+      console.log(`  Generated:  ${provenance.generatedAt}`);
+      if (provenance.prompt) {
+        console.log(`  Prompt:     ${provenance.prompt}`);
+      }
+      if (provenance.revised_prompt) {
+        console.log(`  Revised:    ${provenance.revised_prompt}`);
+      }
+      if (parameters.length > 0) {
+        console.log(`  Parameters: ${parameters.join(', ')}`);
+      }
+      if (provenance.source && provenance.source.length > 0) {
+        console.log(`  Source:     ${provenance.source.join(', ')}`);
+      }
+      console.log(`  Hash:       ${provenance.contentHash}`);
+      console.log(`  Verified:   ${result.verified ? 'yes, image unchanged since generation' : `no, image data now hashes to ${result.contentHash}`}`);
+      console.log('');
+    } catch (error) {
+      console.error('Error inspecting image:', error.message);
+      process.exit(1);
+    }
+  });
+
 program.parse();
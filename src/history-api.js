@@ -0,0 +1,135 @@
+/**
+ * HTTP API for the generation history
+ * GET /history lists saved images with the prompt, model and settings that
+ * produced them; GET /history/:filename returns one image's entry.
+ */
+
+const express = require('express');
+const logger = require('./utils/logger');
+const { ValidationError } = require('./utils/validation');
+
+/**
+ * Largest page GET /history returns
+ */
+const MAX_HISTORY_LIMIT = 500;
+
+/**
+ * Parse an optional non-negative integer query parameter
+ * @param {string} value - Query value
+ * @param {string} field - Parameter name (for errors)
+ * @param {number} min - Smallest accepted value
+ * @param {number} max - Largest accepted value
+ * @returns {number|undefined} Parsed value
+ * @throws {ValidationError} If the value is not an integer in range
+ */
+function parseIntegerQuery(value, field, min, max) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new ValidationError(`${field} must be an integer between ${min} and ${max}`, field);
+  }
+  return number;
+}
+
+/**
+ * Parse the GET /history filter from the query string
+ * @param {Object} query - Request query
+ * @returns {Object} Filter for ImageHistory.list
+ * @throws {ValidationError} If a parameter is invalid
+ */
+function parseHistoryFilter(query) {
+  if (query.since !== undefined && isNaN(Date.parse(query.since))) {
+    throw new ValidationError('since must be an ISO 8601 date', 'since');
+  }
+  return {
+    q: query.q,
+    model: query.model,
+    operation: query.operation,
+    requester: query.requester,
+    since: query.since,
+    limit: parseIntegerQuery(query.limit, 'limit', 1, MAX_HISTORY_LIMIT),
+    offset: parseIntegerQuery(query.offset, 'offset', 0, Number.MAX_SAFE_INTEGER)
+  };
+}
+
+/**
+ * Create the history router
+ * @param {Object} options - Router options
+ * @param {ImageHistory} options.history - Generation history
+ * @returns {express.Router} Router to mount at /history
+ */
+function createHistoryRouter(options = {}) {
+  const { history } = options;
+  const router = express.Router();
+
+  const withImageUrl = (entry, req) => ({
+    ...entry,
+    imageUrl: `${req.protocol}://${req.get('host')}/images/${entry.filename}`
+  });
+
+  router.get('/', async (req, res) => {
+    let filter;
+    try {
+      filter = parseHistoryFilter(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        field: error.field
+      });
+    }
+
+    try {
+      const { entries, total } = await history.list(filter);
+      res.json({
+        success: true,
+        total,
+        entries: entries.map(entry => withImageUrl(entry, req))
+      });
+    } catch (error) {
+      logger.error('Error reading image history:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Internal server error'
+      });
+    }
+  });
+
+  router.get('/:filename', async (req, res) => {
+    let entry;
+    try {
+      entry = await history.get(req.params.filename);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          field: error.field
+        });
+      }
+      logger.error('Error reading image history:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Internal server error'
+      });
+    }
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: `No history for image: ${req.params.filename}`
+      });
+    }
+    res.json({ success: true, entry: withImageUrl(entry, req) });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createHistoryRouter,
+  parseHistoryFilter,
+  MAX_HISTORY_LIMIT
+};
@@ -3,12 +3,31 @@ const bodyParser = require('body-parser');
 const OpenAIImageGenMCP = require('./openai-image-gen');
 const path = require('path');
 const fs = require('fs');
-const authMiddleware = require('./middleware/auth');
-const { generalLimiter, imageGenerationLimiter, healthCheckLimiter } = require('./middleware/rate-limit');
+const { createAuthMiddleware, getRequester } = require('./middleware/auth');
+const {
+  generalLimiter,
+  imageGenerationLimiter,
+  healthCheckLimiter,
+  mcpToolCallLimiter,
+  countImageGenerations
+} = require('./middleware/rate-limit');
 const logger = require('./utils/logger');
 const { validateConfig } = require('./utils/config');
 const { scheduleCleanup, getImageStats, cleanupOldImages } = require('./utils/image-cleanup');
 const { metrics, metricsMiddleware, trackImageGeneration } = require('./utils/metrics');
+const { watchImageDirectory } = require('./utils/image-resources');
+const { readImage } = require('./utils/image-store');
+const { ValidationError } = require('./utils/validation');
+const { createStreamableHttpTransport } = require('./mcp-http-transport');
+const { describeModels } = require('./utils/model-registry');
+const { JobStore } = require('./utils/job-store');
+const { JobQueue } = require('./job-queue');
+const { createJobsRouter, createImageJobRunner, attachJobWebhooks } = require('./jobs-api');
+const { createHistoryRouter } = require('./history-api');
+const { prepareBatch, runBatch } = require('./utils/batch');
+const { WebhookDispatcher } = require('./utils/webhooks');
+const { parseSpendPeriod, summarizeSpend, getSpendCounters } = require('./utils/spend');
+const { TokenStore } = require('./utils/token-store');
 
 // Load environment variables from .env file in project root if it exists
 try {
@@ -28,6 +47,9 @@ try {
     const app = express();
     const PORT = config.port;
 
+    // Bearer token authentication: API tokens (cli.js tokens) checked per route scope, or MCP_AUTH_TOKEN
+    const requireScope = createAuthMiddleware({ store: new TokenStore(config.tokenStoreFile) });
+
     // Middleware
     app.use(bodyParser.json());
     app.use(express.static(path.join(__dirname, '../public')));
@@ -36,9 +58,12 @@ try {
     // Apply general rate limiting to all routes (except health check)
     app.use('/mcp', generalLimiter);
     app.use('/images', generalLimiter);
+    app.use('/models', generalLimiter);
+    app.use('/jobs', generalLimiter);
+    app.use('/history', generalLimiter);
 
     // Initialize the OpenAI Image Generation MCP
-    const imageGenMCP = new OpenAIImageGenMCP(config.apiKey);
+    const imageGenMCP = new OpenAIImageGenMCP(config.apiKey, { providers: config.providers, resilience: config.resilience, cache: config.promptCache, budget: config.budget, presets: config.presets });
     const mcpInterface = imageGenMCP.getMCPInterface();
 
     // Serve static files from the generated-images directory
@@ -52,6 +77,21 @@ try {
     }
     app.use('/images', express.static(imagesDir));
 
+    // Content-addressed images are stored under their hash; serve them by filename too,
+    // with the provenance of that name
+    app.get('/images/:filename', async (req, res, next) => {
+      let data;
+      try {
+        data = await readImage(imagesDir, req.params.filename);
+      } catch (error) {
+        return error instanceof ValidationError ? next() : next(error);
+      }
+      if (!data) {
+        return next();
+      }
+      res.type(path.extname(req.params.filename)).send(data);
+    });
+
     // Set up automatic image cleanup if enabled
     let cleanupScheduler = null;
     if (config.imageCleanupEnabled) {
@@ -70,8 +110,25 @@ try {
       res.json({ status: 'ok' });
     });
 
+    // Model capabilities (used by the web UI to build its form)
+    app.get('/models', (req, res) => {
+      res.json({
+        success: true,
+        ...describeModels(),
+        providers: imageGenMCP.providers.describe()
+      });
+    });
+
+    // Generation presets selectable with the preset parameter
+    app.get('/presets', (req, res) => {
+      res.json({
+        success: true,
+        presets: imageGenMCP.presets.describe()
+      });
+    });
+
     // Image stats endpoint
-    app.get('/admin/images/stats', authMiddleware, async (req, res) => {
+    app.get('/admin/images/stats', requireScope('admin:images'), async (req, res) => {
       try {
         const stats = await getImageStats(imagesDir);
         res.json({
@@ -94,7 +151,7 @@ try {
     });
 
     // Manual cleanup endpoint
-    app.post('/admin/images/cleanup', authMiddleware, async (req, res) => {
+    app.post('/admin/images/cleanup', requireScope('admin:images'), async (req, res) => {
       try {
         const dryRun = req.body.dryRun || false;
 
@@ -125,7 +182,7 @@ try {
       res.send(metrics.getPrometheusMetrics());
     });
 
-    app.get('/admin/metrics', authMiddleware, (req, res) => {
+    app.get('/admin/metrics', requireScope('admin:metrics'), (req, res) => {
       // JSON format with more details
       res.json({
         success: true,
@@ -133,8 +190,53 @@ try {
       });
     });
 
+    // Estimated spend: the ledger by day, model and requester, this process's counters and the budgets
+    app.get('/admin/spend', requireScope('admin:metrics'), async (req, res) => {
+      let period;
+      try {
+        period = parseSpendPeriod(req.query);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          field: error.field
+        });
+      }
+
+      try {
+        const entries = imageGenMCP.spendLedger ? await imageGenMCP.spendLedger.loadAll() : [];
+        res.json({
+          success: true,
+          currency: 'USD',
+          period,
+          ledger: summarizeSpend(entries, period),
+          sinceStart: getSpendCounters(),
+          budgets: imageGenMCP.budget ? imageGenMCP.budget.getStatus() : []
+        });
+      } catch (error) {
+        logger.error('Error building spend report:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // MCP Streamable HTTP endpoint (JSON-RPC protocol for remote MCP clients)
+    const mcpTransport = createStreamableHttpTransport({
+      imageGen: imageGenMCP,
+      allowedOrigins: config.mcpAllowedOrigins,
+      sessionTtlMs: config.mcpSessionTtlMinutes * 60 * 1000,
+      maxSessions: config.mcpMaxSessions
+    });
+    app.use('/mcp/stream', requireScope(), mcpToolCallLimiter, mcpTransport.router);
+
+    // Notify connected MCP sessions when images are added or removed
+    await imageGenMCP.ensureReady();
+    watchImageDirectory(imageGenMCP.outputDir, change => mcpTransport.broadcast(change));
+
     // MCP descriptor endpoint
-    app.get('/mcp', authMiddleware, (req, res) => {
+    app.get('/mcp', requireScope(), (req, res) => {
       res.json({
         name: mcpInterface.name,
         description: mcpInterface.description,
@@ -142,8 +244,67 @@ try {
       });
     });
 
+    // Asynchronous jobs (POST /jobs returns immediately; poll GET /jobs/:id)
+    const jobQueue = new JobQueue({
+      store: new JobStore(config.jobStoreDir),
+      runner: createImageJobRunner(imageGenMCP),
+      concurrency: config.jobConcurrency,
+      retentionMs: config.jobRetentionDays * 24 * 60 * 60 * 1000
+    });
+
+    // Webhook callbacks for finished jobs (only when a signing secret is configured)
+    const webhooks = config.webhookSecret
+      ? new WebhookDispatcher({
+        secret: config.webhookSecret,
+        retries: config.webhookMaxRetries,
+        timeoutMs: config.webhookTimeoutMs,
+        allowedHosts: config.webhookAllowedHosts
+      })
+      : null;
+    if (webhooks) {
+      attachJobWebhooks(jobQueue, webhooks);
+    } else {
+      logger.info('Webhook callbacks are disabled. Set WEBHOOK_SECRET to enable callbackUrl on jobs.');
+    }
+
+    await jobQueue.start();
+    app.post('/jobs', imageGenerationLimiter);
+    app.use('/jobs', requireScope('generate'), createJobsRouter({ queue: jobQueue, webhooks, presets: imageGenMCP.presets }));
+
+    app.get('/admin/jobs/stats', requireScope('admin:metrics'), (req, res) => {
+      res.json({
+        success: true,
+        stats: jobQueue.stats()
+      });
+    });
+
+    app.get('/admin/webhooks/deliveries', requireScope('admin:metrics'), (req, res) => {
+      res.json({
+        success: true,
+        enabled: Boolean(webhooks),
+        deliveries: webhooks
+          ? webhooks.getDeliveries({ status: req.query.status, jobId: req.query.jobId })
+          : []
+      });
+    });
+
+    // Generation history (prompt, model and settings of every saved image)
+    app.use('/history', requireScope('admin:images'), createHistoryRouter({ history: imageGenMCP.history }));
+
+    // Give every saved image and thumbnail a URL served from /images
+    function addImageUrls(req, images) {
+      for (const image of images) {
+        if (image.filename) {
+          image.imageUrl = `${req.protocol}://${req.get('host')}/images/${image.filename}`;
+        }
+        for (const thumbnail of image.thumbnails || []) {
+          thumbnail.imageUrl = `${req.protocol}://${req.get('host')}/images/${thumbnail.filename}`;
+        }
+      }
+    }
+
     // MCP execution endpoint (with strict rate limiting for image generation)
-    app.post('/mcp', imageGenerationLimiter, authMiddleware, async (req, res) => {
+    app.post('/mcp', imageGenerationLimiter, requireScope('generate'), async (req, res) => {
       const startTime = Date.now();
 
       try {
@@ -153,11 +314,12 @@ try {
         logger.request(req, 'received', { prompt: params.prompt });
 
         // Validate parameters using validation utility
-        const { validateImageGenerationParams, ValidationError } = require('./utils/validation');
+        const { validateImageGenerationParams } = require('./utils/validation');
         let validatedParams;
 
         try {
-          validatedParams = validateImageGenerationParams(params);
+          // Explicit parameters override the selected preset
+          validatedParams = validateImageGenerationParams(imageGenMCP.presets.apply(params));
         } catch (error) {
           if (error instanceof ValidationError) {
             logger.request(req, 'failed', { error: error.message, field: error.field });
@@ -174,7 +336,7 @@ try {
         logger.request(req, 'processing', { prompt: validatedParams.prompt });
 
         // Call the handler function with the validated parameters
-        const result = await mcpInterface.handler(validatedParams);
+        const result = await mcpInterface.handler({ ...validatedParams, requester: getRequester(req, `http:${req.ip}`) });
 
         // Calculate response time
         const responseTime = Date.now() - startTime;
@@ -187,10 +349,15 @@ try {
           result.success ? null : result.error
         );
 
-        // If the image was saved, replace the file path with a URL
-        if (result.success && result.data.filePath) {
-          const filename = path.basename(result.data.filePath);
-          result.data.imageUrl = `${req.protocol}://${req.get('host')}/images/${filename}`;
+        if (result.success) {
+          addImageUrls(req, result.data);
+        }
+
+        // Over budget: rejected before calling the provider; retry once the budget resets
+        if (result.budget) {
+          logger.request(req, 'failed', { error: result.error, responseTime });
+          res.set('Retry-After', String(Math.max(1, Math.ceil((Date.parse(result.budget.resetsAt) - Date.now()) / 1000))));
+          return res.status(429).json(result);
         }
 
         // Log request completed
@@ -219,11 +386,75 @@ try {
       }
     });
 
+    // Batch generation from a prompt template (one result per expanded prompt)
+    app.post('/batch', imageGenerationLimiter, requireScope('generate'), async (req, res) => {
+      const startTime = Date.now();
+
+      let batch;
+      try {
+        batch = prepareBatch(req.body || {}, { presets: imageGenMCP.presets });
+      } catch (error) {
+        if (error instanceof ValidationError) {
+          logger.request(req, 'failed', { error: error.message, field: error.field });
+          return res.status(400).json({
+            success: false,
+            error: error.message,
+            field: error.field
+          });
+        }
+        logger.error('Error preparing batch:', error);
+        return res.status(500).json({ success: false, error: error.message || 'Internal server error' });
+      }
+
+      // Every image of the batch counts against the image generation limit, not just the request
+      const images = batch.items.reduce((total, item) => total + (item.params ? item.params.n : 0), 0);
+      const limited = await countImageGenerations(req, images);
+      if (limited) {
+        logger.request(req, 'failed', { error: limited.error });
+        return res.status(429).json(limited);
+      }
+
+      try {
+        logger.request(req, 'processing', { template: req.body.template, prompts: batch.items.length });
+        const result = await runBatch(imageGenMCP, batch, { requester: getRequester(req, `http:${req.ip}`) });
+
+        for (const item of result.items) {
+          if (item.success) {
+            addImageUrls(req, item.images);
+          }
+          if (item.durationMs !== undefined) {
+            const itemBatch = batch.items[item.index];
+            trackImageGeneration(itemBatch.params, item.durationMs, item.success, item.success ? null : item.error);
+          }
+        }
+
+        logger.request(req, 'completed', {
+          responseTime: Date.now() - startTime,
+          succeeded: result.succeeded,
+          failed: result.failed
+        });
+
+        res.json({ success: true, mode: batch.mode, ...result });
+      } catch (error) {
+        logger.error('Error processing batch request:', error);
+        logger.request(req, 'failed', {
+          error: error.message,
+          responseTime: Date.now() - startTime
+        });
+        res.status(500).json({
+          success: false,
+          error: error.message || 'Internal server error'
+        });
+      }
+    });
+
     // Start the server
     app.listen(PORT, () => {
       logger.info(`OpenAI Image Generation MCP server running on port ${PORT}`);
       logger.info(`Health check available at http://localhost:${PORT}/health`);
       logger.info(`Web UI available at http://localhost:${PORT}/`);
+      logger.info(`MCP Streamable HTTP endpoint available at http://localhost:${PORT}/mcp/stream`);
+      logger.info(`Job API available at http://localhost:${PORT}/jobs`);
     });
   } catch (error) {
     logger.error('Failed to start server:', error);
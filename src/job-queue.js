@@ -0,0 +1,310 @@
+/**
+ * Asynchronous job queue
+ * Runs jobs on a bounded in-process worker pool and persists every state
+ * change to a JobStore, so queued and finished jobs survive restarts.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const logger = require('./utils/logger');
+const { metrics } = require('./utils/metrics');
+
+/**
+ * Job statuses that will not change again
+ */
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+/**
+ * Finished jobs are kept this long by default (7 days)
+ */
+const DEFAULT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * How often expired jobs are removed
+ */
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Check whether a job has finished
+ * @param {Object} job - Job
+ * @returns {boolean} True if the job succeeded, failed or was cancelled
+ */
+function isFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+class JobQueue extends EventEmitter {
+  /**
+   * @param {Object} options - Queue options
+   * @param {JobStore} options.store - Persistent job store
+   * @param {Function} options.runner - async (job, { signal, onProgress, onPreview }) => result
+   * @param {number} options.concurrency - Maximum jobs running at once (default: 2)
+   * @param {number} options.retentionMs - How long finished jobs are kept (default: 7 days)
+   */
+  constructor(options = {}) {
+    super();
+    this.store = options.store;
+    this.runner = options.runner;
+    this.concurrency = options.concurrency || 2;
+    this.retentionMs = options.retentionMs || DEFAULT_RETENTION_MS;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = new Map();
+    this.pruneTimer = null;
+  }
+
+  /**
+   * Load stored jobs and start processing
+   * Jobs that were queued or running when the server stopped are queued again.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await this.store.init();
+
+    for (const job of await this.store.loadAll()) {
+      if (isFinished(job)) {
+        this.jobs.set(job.id, job);
+        continue;
+      }
+      Object.assign(job, {
+        status: 'queued',
+        startedAt: null,
+        progress: { stage: 'queued', message: 'Re-queued after restart', updatedAt: new Date().toISOString() }
+      });
+      this.jobs.set(job.id, job);
+      this.pending.push(job.id);
+      await this.persist(job);
+    }
+
+    if (this.pending.length > 0) {
+      logger.info(`Re-queued ${this.pending.length} unfinished job(s)`);
+    }
+
+    await this.prune();
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+    this.updateGauges();
+    this.drain();
+  }
+
+  /**
+   * Stop the prune timer (running jobs are re-queued on the next start)
+   */
+  close() {
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+      this.pruneTimer = null;
+    }
+  }
+
+  /**
+   * Queue a new job
+   * @param {Object} params - Job parameters (passed to the runner)
+   * @param {Object} fields - Extra fields stored on the job (e.g. { callbackUrl })
+   * @returns {Promise<Object>} The queued job
+   */
+  async submit(params, fields = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      ...fields,
+      id: crypto.randomUUID(),
+      status: 'queued',
+      params,
+      progress: { stage: 'queued', message: 'Waiting for a worker', updatedAt: now },
+      result: null,
+      error: null,
+      createdAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job.id);
+    await this.update(job);
+    logger.info(`Queued job ${job.id}`);
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Look up a job
+   * @param {string} id - Job id
+   * @returns {Object|null} Job, or null if unknown
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} The job (unchanged if it had already finished), or null if unknown
+   */
+  async cancel(id) {
+    const job = this.get(id);
+    if (!job || isFinished(job)) {
+      return job;
+    }
+
+    this.pending = this.pending.filter(pendingId => pendingId !== id);
+    const controller = this.running.get(id);
+    if (controller) {
+      controller.abort();
+    }
+
+    await this.finish(job, 'cancelled', { error: 'Job was cancelled' });
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Queue counts
+   * @returns {Object} { queued, running, concurrency, total }
+   */
+  stats() {
+    return {
+      queued: this.pending.length,
+      running: this.running.size,
+      concurrency: this.concurrency,
+      total: this.jobs.size
+    };
+  }
+
+  /**
+   * Start queued jobs while workers are free
+   * @private
+   */
+  drain() {
+    while (this.running.size < this.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift());
+      if (job) {
+        this.run(job);
+      }
+    }
+    this.updateGauges();
+  }
+
+  /**
+   * @private
+   */
+  async run(job) {
+    const controller = new AbortController();
+    this.running.set(job.id, controller);
+
+    const now = new Date().toISOString();
+    Object.assign(job, {
+      status: 'running',
+      startedAt: now,
+      progress: { stage: 'running', message: 'Job started', updatedAt: now }
+    });
+    await this.update(job);
+
+    try {
+      controller.signal.throwIfAborted();
+      const result = await this.runner(job, {
+        signal: controller.signal,
+        onProgress: progress => {
+          if (job.status === 'running') {
+            job.progress = { ...progress, updatedAt: new Date().toISOString() };
+            this.update(job);
+          }
+        },
+        // Previews are large and short-lived, so they are emitted but not persisted
+        onPreview: preview => {
+          if (job.status === 'running') {
+            this.emit('preview', job, preview);
+          }
+        }
+      });
+      if (job.status === 'running') {
+        await this.finish(job, 'succeeded', { result });
+      }
+    } catch (error) {
+      // A cancelled job has already been marked as such
+      if (job.status === 'running') {
+        logger.error(`Job ${job.id} failed:`, error);
+        await this.finish(job, error.name === 'AbortError' ? 'cancelled' : 'failed', { error: error.message });
+      }
+    } finally {
+      this.running.delete(job.id);
+      this.drain();
+    }
+  }
+
+  /**
+   * @private
+   */
+  async finish(job, status, fields) {
+    const now = new Date().toISOString();
+    Object.assign(job, fields, {
+      status,
+      finishedAt: now,
+      progress: { stage: status, message: `Job ${status}`, updatedAt: now }
+    });
+    metrics.incrementCounter('jobs_completed_total', 1, { status });
+    logger.info(`Job ${job.id} ${status}`);
+    await this.update(job);
+    this.emit('finished', job);
+  }
+
+  /**
+   * Persist a job and notify listeners
+   * @private
+   */
+  async update(job) {
+    await this.persist(job);
+    this.emit('update', job);
+  }
+
+  /**
+   * @private
+   */
+  async persist(job) {
+    try {
+      await this.store.save(job);
+    } catch (error) {
+      logger.error(`Could not persist job ${job.id}:`, error);
+    }
+  }
+
+  /**
+   * Remove finished jobs older than the retention period
+   * @returns {Promise<number>} Number of jobs removed
+   */
+  async prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    let removed = 0;
+
+    for (const job of Array.from(this.jobs.values())) {
+      if (isFinished(job) && Date.parse(job.finishedAt) < cutoff) {
+        this.jobs.delete(job.id);
+        try {
+          await this.store.delete(job.id);
+        } catch (error) {
+          logger.warn(`Could not delete expired job ${job.id}: ${error.message}`);
+        }
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      logger.info(`Removed ${removed} expired job(s)`);
+    }
+    return removed;
+  }
+
+  /**
+   * @private
+   */
+  updateGauges() {
+    metrics.setGauge('jobs_queued', this.pending.length);
+    metrics.setGauge('jobs_running', this.running.size);
+  }
+}
+
+module.exports = {
+  JobQueue,
+  isFinished,
+  FINISHED_STATUSES,
+  DEFAULT_RETENTION_MS
+};
@@ -0,0 +1,347 @@
+/**
+ * HTTP API for asynchronous image generation jobs
+ * POST /jobs queues a generation and returns immediately; clients poll
+ * GET /jobs/:id for status, progress and the result (or follow GET /jobs/:id/events,
+ * a server-sent event stream), and DELETE /jobs/:id cancels.
+ * Jobs submitted with a callbackUrl are reported to it by webhook when they finish.
+ */
+
+const express = require('express');
+const logger = require('./utils/logger');
+const { validateImageGenerationParams, validateCallbackUrl, ValidationError } = require('./utils/validation');
+const { trackImageGeneration } = require('./utils/metrics');
+const { isFinished } = require('./job-queue');
+const { getRequester } = require('./middleware/auth');
+const { WebhookTargetError } = require('./utils/webhooks');
+
+/**
+ * Create the job runner that generates and saves images
+ * @param {OpenAIImageGenMCP} imageGen - Shared image generator
+ * @returns {Function} Runner for JobQueue
+ */
+function createImageJobRunner(imageGen) {
+  return async (job, { signal, onProgress, onPreview }) => {
+    const startTime = Date.now();
+    try {
+      // Job results must outlive the upstream URL, so images are always saved
+      const saved = await imageGen.generateAndSaveImage(job.params.prompt, {
+        ...job.params,
+        signal,
+        onProgress,
+        onPartialImage: onPreview,
+        requester: job.requester || `job:${job.id}`
+      });
+      trackImageGeneration(job.params, Date.now() - startTime, true);
+      const images = saved.map(image => ({
+        filename: image.filename,
+        revised_prompt: image.revised_prompt,
+        ...(image.error ? { error: image.error } : {}),
+        ...(image.thumbnails ? { thumbnails: image.thumbnails.map(({ filePath, ...thumbnail }) => thumbnail) } : {})
+      }));
+      // filename and revised_prompt describe the first saved image, for single-image clients
+      const first = images.find(image => image.filename);
+      return {
+        filename: first ? first.filename : null,
+        revised_prompt: first ? first.revised_prompt : null,
+        images
+      };
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        trackImageGeneration(job.params, Date.now() - startTime, false, error.message);
+      }
+      throw error;
+    }
+  };
+}
+
+/**
+ * Images saved by a job
+ * Jobs stored before multi-image results only recorded the first image's filename.
+ * @param {Object} result - Job result
+ * @returns {Array<Object>} Images as { filename, revised_prompt }
+ */
+function getResultImages(result) {
+  if (!result) {
+    return [];
+  }
+  if (result.images) {
+    return result.images;
+  }
+  return result.filename ? [{ filename: result.filename, revised_prompt: result.revised_prompt }] : [];
+}
+
+/**
+ * Public view of a job, with the saved images' URLs
+ * @param {Object} job - Job
+ * @param {express.Request} req - Request (used for the image URL host)
+ * @returns {Object} Job for API responses
+ */
+function formatJob(job, req) {
+  const view = { ...job };
+  if (job.result && job.result.filename) {
+    const toUrl = filename => `${req.protocol}://${req.get('host')}/images/${filename}`;
+    view.result = {
+      ...job.result,
+      imageUrl: toUrl(job.result.filename),
+      images: getResultImages(job.result).map(image => ({
+        ...image,
+        imageUrl: image.filename ? toUrl(image.filename) : null,
+        ...(image.thumbnails
+          ? { thumbnails: image.thumbnails.map(thumbnail => ({ ...thumbnail, imageUrl: toUrl(thumbnail.filename) })) }
+          : {})
+      }))
+    };
+  }
+  return view;
+}
+
+/**
+ * Build the webhook payload for a finished job
+ * @param {Object} job - Finished job
+ * @returns {Object} Payload (job id, prompt, image URLs, revised prompt, timings)
+ */
+function buildJobWebhookPayload(job) {
+  const images = getResultImages(job.result).map(image => ({
+    url: image.filename ? `${job.baseUrl}/images/${image.filename}` : null,
+    filename: image.filename,
+    revised_prompt: image.revised_prompt,
+    ...(image.error ? { error: image.error } : {})
+  }));
+
+  const created = Date.parse(job.createdAt);
+  const started = job.startedAt ? Date.parse(job.startedAt) : null;
+  const finished = Date.parse(job.finishedAt);
+
+  return {
+    jobId: job.id,
+    status: job.status,
+    prompt: job.params.prompt,
+    model: job.params.model,
+    images,
+    revised_prompt: images.length > 0 ? images[0].revised_prompt : null,
+    error: job.error,
+    timings: {
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      queuedMs: started !== null ? started - created : null,
+      runMs: started !== null ? finished - started : null,
+      totalMs: finished - created
+    }
+  };
+}
+
+/**
+ * Send a webhook to the job's callbackUrl when it succeeds or fails
+ * @param {JobQueue} queue - Job queue
+ * @param {WebhookDispatcher} webhooks - Webhook dispatcher
+ */
+function attachJobWebhooks(queue, webhooks) {
+  queue.on('finished', job => {
+    if (job.callbackUrl && ['succeeded', 'failed'].includes(job.status)) {
+      webhooks.deliver(job.callbackUrl, `job.${job.status}`, buildJobWebhookPayload(job), { jobId: job.id });
+    }
+  });
+}
+
+/**
+ * Interval between SSE keep-alive comments
+ */
+const SSE_KEEPALIVE_MS = 15000;
+
+/**
+ * Write one server-sent event
+ * @param {express.Response} res - Event stream response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON data
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Create the jobs router
+ * @param {Object} options - Router options
+ * @param {JobQueue} options.queue - Job queue
+ * @param {WebhookDispatcher} options.webhooks - Webhook dispatcher (callbackUrl is rejected without one)
+ * @param {PresetRegistry} options.presets - Generation presets selectable with preset (optional)
+ * @returns {express.Router} Router to mount at /jobs
+ */
+function createJobsRouter(options = {}) {
+  const { queue, webhooks, presets } = options;
+  const router = express.Router();
+
+  // Event stream viewers by job id. The router listens to the queue once (while
+  // any stream is open) and hands each event to the viewers of that job only.
+  const viewers = new Map();
+  const queueListeners = {
+    update: job => notifyViewers(job, 'onUpdate', job),
+    preview: (job, preview) => notifyViewers(job, 'onPreview', job, preview),
+    finished: job => notifyViewers(job, 'onFinished', job)
+  };
+
+  function notifyViewers(job, handler, ...args) {
+    for (const viewer of [...(viewers.get(job.id) || [])]) {
+      viewer[handler](...args);
+    }
+  }
+
+  function addViewer(jobId, viewer) {
+    if (viewers.size === 0) {
+      for (const [event, listener] of Object.entries(queueListeners)) {
+        queue.on(event, listener);
+      }
+    }
+    if (!viewers.has(jobId)) {
+      viewers.set(jobId, new Set());
+    }
+    viewers.get(jobId).add(viewer);
+  }
+
+  function removeViewer(jobId, viewer) {
+    const jobViewers = viewers.get(jobId);
+    if (!jobViewers || !jobViewers.delete(viewer)) {
+      return;
+    }
+    if (jobViewers.size === 0) {
+      viewers.delete(jobId);
+    }
+    if (viewers.size === 0) {
+      for (const [event, listener] of Object.entries(queueListeners)) {
+        queue.off(event, listener);
+      }
+    }
+  }
+
+  function sendNotFound(req, res) {
+    res.status(404).json({
+      success: false,
+      error: `Job not found: ${req.params.id}`
+    });
+  }
+
+  router.post('/', async (req, res) => {
+    const body = req.body || {};
+    let params;
+    let callbackUrl;
+    try {
+      params = validateImageGenerationParams(presets ? presets.apply(body) : body);
+      callbackUrl = validateCallbackUrl(body.callbackUrl);
+      if (callbackUrl && !webhooks) {
+        throw new ValidationError('Webhook callbacks are not enabled on this server (WEBHOOK_SECRET is not set)', 'callbackUrl');
+      }
+      if (callbackUrl) {
+        await webhooks.checkTarget(callbackUrl);
+      }
+    } catch (error) {
+      if (error instanceof WebhookTargetError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          field: 'callbackUrl'
+        });
+      }
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          field: error.field
+        });
+      }
+      throw error;
+    }
+
+    try {
+      const job = await queue.submit(params, {
+        callbackUrl: callbackUrl || null,
+        baseUrl: `${req.protocol}://${req.get('host')}`,
+        requester: getRequester(req, `http:${req.ip}`)
+      });
+      res.status(202)
+        .location(`${req.baseUrl}/${job.id}`)
+        .json({ success: true, job: formatJob(job, req) });
+    } catch (error) {
+      logger.error('Error queueing job:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Internal server error'
+      });
+    }
+  });
+
+  router.get('/:id', (req, res) => {
+    const job = queue.get(req.params.id);
+    if (!job) {
+      return sendNotFound(req, res);
+    }
+    res.json({ success: true, job: formatJob(job, req) });
+  });
+
+  router.get('/:id/events', (req, res) => {
+    const job = queue.get(req.params.id);
+    if (!job) {
+      return sendNotFound(req, res);
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    sendEvent(res, 'job', formatJob(job, req));
+    if (isFinished(job)) {
+      sendEvent(res, 'done', formatJob(job, req));
+      return res.end();
+    }
+
+    const viewer = {
+      onUpdate: updated => {
+        if (!isFinished(updated)) {
+          sendEvent(res, 'progress', { status: updated.status, progress: updated.progress });
+        }
+      },
+      onPreview: (updated, preview) => sendEvent(res, 'partial_image', preview),
+      onFinished: finished => {
+        sendEvent(res, 'done', formatJob(finished, req));
+        res.end();
+      }
+    };
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEPALIVE_MS);
+
+    addViewer(job.id, viewer);
+    res.on('close', () => {
+      clearInterval(keepAlive);
+      removeViewer(job.id, viewer);
+    });
+  });
+
+  router.delete('/:id', async (req, res) => {
+    const job = queue.get(req.params.id);
+    if (!job) {
+      return sendNotFound(req, res);
+    }
+    if (isFinished(job)) {
+      return res.status(409).json({
+        success: false,
+        error: `Job ${job.id} has already ${job.status === 'cancelled' ? 'been cancelled' : job.status}`,
+        job: formatJob(job, req)
+      });
+    }
+
+    await queue.cancel(job.id);
+    res.json({ success: true, job: formatJob(job, req) });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createJobsRouter,
+  createImageJobRunner,
+  attachJobWebhooks,
+  buildJobWebhookPayload,
+  formatJob
+};
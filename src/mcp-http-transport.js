@@ -0,0 +1,374 @@
+/**
+ * Streamable HTTP transport for the MCP JSON-RPC server
+ * Lets remote MCP clients reach MCPServer.handleRequest over HTTP:
+ * POST for client messages, GET for the server-sent event stream,
+ * and Mcp-Session-Id headers to tie requests to a session. A tool call
+ * that asks for progress is answered on an SSE stream of its own, carrying
+ * the progress and then the response, and is cancelled if its client
+ * disconnects.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const MCPServer = require('./mcp-server');
+const logger = require('./utils/logger');
+const { getRequester } = require('./middleware/auth');
+
+/**
+ * Header carrying the session id (Express lower-cases incoming headers)
+ */
+const SESSION_HEADER = 'mcp-session-id';
+
+/**
+ * Sessions without an open stream expire after this long without a request
+ */
+const DEFAULT_SESSION_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Open sessions allowed at once; initialize is refused beyond this
+ */
+const DEFAULT_MAX_SESSIONS = 100;
+
+/**
+ * Interval for SSE keep-alive comments (keeps proxies from closing idle streams)
+ */
+const KEEPALIVE_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Send a JSON-RPC error as an HTTP response
+ * @private
+ */
+function sendJsonRpcError(res, status, code, message, id = null) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    id,
+    error: {
+      code,
+      message
+    }
+  });
+}
+
+/**
+ * Write a JSON-RPC message as an SSE event
+ * @private
+ */
+function writeSseMessage(res, message) {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+/**
+ * Check whether a message is a request that asked for progress notifications
+ * @private
+ */
+function wantsProgress(message) {
+  const meta = message.params && message.params._meta;
+  return message.id !== undefined && Boolean(meta) && meta.progressToken !== undefined && meta.progressToken !== null;
+}
+
+/**
+ * Check whether the request's Accept header allows a content type
+ * @private
+ */
+function accepts(req, contentType) {
+  const accept = req.headers.accept;
+  if (!accept) {
+    return contentType === 'application/json';
+  }
+  return accept.includes(contentType) || accept.includes('*/*');
+}
+
+/**
+ * Create the Streamable HTTP transport
+ * @param {Object} options - Transport options
+ * @param {OpenAIImageGenMCP} options.imageGen - Shared image generator
+ * @param {Array<string>} options.allowedOrigins - Extra origins allowed to connect (same-host is always allowed)
+ * @param {number} options.sessionTtlMs - Idle session lifetime in milliseconds (default: 30 minutes)
+ * @param {number} options.maxSessions - Open sessions allowed at once (default: 100)
+ * @returns {Object} Transport with router, broadcast(), close() and sessions
+ */
+function createStreamableHttpTransport(options = {}) {
+  const allowedOrigins = options.allowedOrigins || [];
+  const sessionTtlMs = options.sessionTtlMs || DEFAULT_SESSION_TTL_MS;
+  const maxSessions = options.maxSessions || DEFAULT_MAX_SESSIONS;
+  const sessions = new Map();
+  const router = express.Router();
+
+  /**
+   * Write a message to the session's SSE stream (dropped if no stream is open)
+   */
+  function writeEvent(session, message) {
+    if (!session.stream) {
+      logger.debug(`No open stream for MCP session ${session.id}, dropping ${message.method || 'message'}`);
+      return;
+    }
+    writeSseMessage(session.stream, message);
+  }
+
+  function detachStream(session) {
+    if (session.keepAlive) {
+      clearInterval(session.keepAlive);
+      session.keepAlive = null;
+    }
+    if (session.stream) {
+      session.stream.end();
+      session.stream = null;
+    }
+  }
+
+  function createSession(req) {
+    const session = {
+      id: crypto.randomUUID(),
+      stream: null,
+      keepAlive: null,
+      lastSeen: Date.now(),
+      // API token the session belongs to (null without one)
+      tokenName: req.auth ? req.auth.name : null
+    };
+    session.server = new MCPServer({
+      imageGen: options.imageGen,
+      send: message => writeEvent(session, message),
+      requester: getRequester(req, `mcp:${req.ip}`),
+      scopes: req.auth ? req.auth.scopes : null
+    });
+    sessions.set(session.id, session);
+    logger.info(`MCP session ${session.id} created`);
+    return session;
+  }
+
+  function closeSession(session) {
+    detachStream(session);
+    sessions.delete(session.id);
+    logger.info(`MCP session ${session.id} closed`);
+  }
+
+  /**
+   * Close sessions that have no open stream and were idle for longer than the TTL
+   */
+  function expireIdleSessions() {
+    const cutoff = Date.now() - sessionTtlMs;
+    for (const session of Array.from(sessions.values())) {
+      if (!session.stream && session.lastSeen < cutoff) {
+        closeSession(session);
+      }
+    }
+  }
+
+  /**
+   * Reject cross-origin browser requests to prevent DNS rebinding attacks
+   */
+  function validateOrigin(req, res, next) {
+    const origin = req.headers.origin;
+    if (!origin || allowedOrigins.includes(origin)) {
+      return next();
+    }
+
+    try {
+      if (new URL(origin).host === req.headers.host) {
+        return next();
+      }
+    } catch (error) {
+      // Fall through to rejection
+    }
+
+    logger.warn(`Rejected MCP request from origin ${origin}`);
+    sendJsonRpcError(res, 403, -32000, 'Origin not allowed');
+  }
+
+  /**
+   * Look up the session named by the Mcp-Session-Id header
+   * Sends the error response and returns null when there is no such session.
+   */
+  function lookupSession(req, res) {
+    const sessionId = req.headers[SESSION_HEADER];
+    if (!sessionId) {
+      sendJsonRpcError(res, 400, -32000, 'Missing Mcp-Session-Id header');
+      return null;
+    }
+
+    // A session can only be used with the token that created it
+    const session = sessions.get(sessionId);
+    if (!session || session.tokenName !== (req.auth ? req.auth.name : null)) {
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+      return null;
+    }
+
+    session.lastSeen = Date.now();
+    return session;
+  }
+
+  function requireSession(req, res, next) {
+    const session = lookupSession(req, res);
+    if (session) {
+      req.mcpSession = session;
+      next();
+    }
+  }
+
+  router.use(validateOrigin);
+
+  // Client-to-server messages (a single JSON-RPC message or a batch)
+  router.post('/', async (req, res) => {
+    if (!accepts(req, 'application/json')) {
+      return sendJsonRpcError(res, 406, -32000, 'Client must accept application/json');
+    }
+
+    const body = req.body;
+    const messages = Array.isArray(body) ? body : [body];
+    if (messages.length === 0 || messages.some(message => !message || typeof message !== 'object')) {
+      return sendJsonRpcError(res, 400, -32600, 'Invalid Request');
+    }
+
+    const isInitialize = messages.some(message => message.method === 'initialize');
+    if (isInitialize && messages.length > 1) {
+      return sendJsonRpcError(res, 400, -32600, 'initialize must not be part of a batch');
+    }
+
+    let session;
+    if (isInitialize) {
+      if (sessions.size >= maxSessions) {
+        expireIdleSessions();
+      }
+      if (sessions.size >= maxSessions) {
+        logger.warn(`Refused MCP session: ${sessions.size} of ${maxSessions} sessions open`);
+        res.setHeader('Retry-After', '60');
+        return sendJsonRpcError(res, 503, -32000, 'Too many open MCP sessions', messages[0].id);
+      }
+      session = createSession(req);
+      res.setHeader('Mcp-Session-Id', session.id);
+    } else {
+      session = lookupSession(req, res);
+      if (!session) {
+        return;
+      }
+    }
+
+    // A client that disconnects before its responses are written cancels its tool calls
+    // (the response's close event, since the request's fires once its body has been read)
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        controller.abort();
+      }
+    });
+    const context = { signal: controller.signal };
+
+    // Progress is sent on the request's own response, which becomes an SSE stream
+    let keepAlive = null;
+    if (accepts(req, 'text/event-stream') && messages.some(wantsProgress)) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.flushHeaders();
+      keepAlive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL_MS);
+      context.send = message => {
+        if (!res.writableEnded) {
+          writeSseMessage(res, message);
+        }
+      };
+    }
+
+    try {
+      const responses = (await Promise.all(
+        messages.map(message => session.server.handleRequest(message, context))
+      )).filter(Boolean);
+
+      if (keepAlive) {
+        responses.forEach(response => context.send(response));
+        return res.end();
+      }
+
+      // Notifications and responses only: nothing to return
+      if (responses.length === 0) {
+        return res.status(202).end();
+      }
+
+      res.json(Array.isArray(body) ? responses : responses[0]);
+    } catch (error) {
+      logger.error('Error handling MCP HTTP request:', error);
+      if (keepAlive) {
+        context.send({ jsonrpc: '2.0', id: null, error: { code: -32603, message: 'Internal error' } });
+        return res.end();
+      }
+      sendJsonRpcError(res, 500, -32603, 'Internal error');
+    } finally {
+      clearInterval(keepAlive);
+    }
+  });
+
+  // Server-to-client event stream for notifications
+  router.get('/', requireSession, (req, res) => {
+    if (!accepts(req, 'text/event-stream')) {
+      return sendJsonRpcError(res, 406, -32000, 'Client must accept text/event-stream');
+    }
+
+    const session = req.mcpSession;
+
+    // Only one stream per session; a new GET replaces the previous stream
+    detachStream(session);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'Mcp-Session-Id': session.id
+    });
+    res.flushHeaders();
+
+    session.stream = res;
+    session.keepAlive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL_MS);
+
+    req.on('close', () => {
+      if (session.stream === res) {
+        clearInterval(session.keepAlive);
+        session.keepAlive = null;
+        session.stream = null;
+        session.lastSeen = Date.now();
+      }
+    });
+  });
+
+  // Explicit session termination
+  router.delete('/', requireSession, (req, res) => {
+    closeSession(req.mcpSession);
+    res.status(204).end();
+  });
+
+  // Expire idle sessions that have no open stream
+  const sweepInterval = setInterval(expireIdleSessions, Math.min(sessionTtlMs, 60 * 1000));
+  sweepInterval.unref();
+
+  return {
+    router,
+    sessions,
+
+    /**
+     * Forward an output directory change to every session
+     * @param {Object} change - Change from watchImageDirectory
+     */
+    broadcast(change) {
+      for (const session of sessions.values()) {
+        session.server.handleImageDirectoryChange(change);
+      }
+    },
+
+    /**
+     * Close all sessions and stop expiring them
+     */
+    close() {
+      clearInterval(sweepInterval);
+      for (const session of Array.from(sessions.values())) {
+        closeSession(session);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createStreamableHttpTransport,
+  SESSION_HEADER,
+  DEFAULT_SESSION_TTL_MS,
+  DEFAULT_MAX_SESSIONS
+};
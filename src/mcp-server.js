@@ -1,9 +1,33 @@
 #!/usr/bin/env node
 
 const path = require('path');
+const fsPromises = require('fs').promises;
 const OpenAIImageGenMCP = require('./openai-image-gen');
 const { validateConfig } = require('./utils/config');
-const { validateImageGenerationParams, ValidationError } = require('./utils/validation');
+const {
+  validateImageGenerationParams,
+  validateImageEditParams,
+  validateImageVariationParams,
+  confineImagePath,
+  ValidationError,
+  VALIDATION_RULES
+} = require('./utils/validation');
+const {
+  listImageResources,
+  readImageResource,
+  watchImageDirectory,
+  toResourceUri,
+  parseResourceUri,
+  getMimeType,
+  ResourceError
+} = require('./utils/image-resources');
+const { loadPromptCatalog, listPrompts, getPrompt, PromptError } = require('./utils/prompt-catalog');
+const { buildInputSchema } = require('./utils/model-registry');
+const { buildPostprocessSchema } = require('./utils/image-processing');
+const { getPresetsResource, readPresetsResource, PRESETS_RESOURCE_URI } = require('./utils/presets');
+const { prepareBatch, runBatch, buildBatchSchema } = require('./utils/batch');
+const { formatCost } = require('./utils/pricing');
+const { BudgetExceededError } = require('./utils/budget');
 
 // Load environment variables from the project root
 try {
@@ -20,18 +44,141 @@ function log(message) {
   }
 }
 
-// Global variables to be initialized after config validation
-let imageGenMCP = null;
-let initialized = false;
+// Images up to this many pixels are returned inline as MCP image content by default
+const INLINE_IMAGE_MAX_PIXELS = 512 * 512;
+
+/**
+ * Decide whether a generated image should be returned inline as base64
+ * @param {boolean|undefined} includeImage - Explicit include_image argument
+ * @param {string} size - Validated image size (e.g. "512x512")
+ * @returns {boolean} True if the image should be requested as b64_json
+ */
+function shouldInlineImage(includeImage, size) {
+  if (includeImage !== undefined) {
+    return Boolean(includeImage);
+  }
+
+  // 'auto' lets gpt-image-1 pick a size of at least 1024x1024
+  if (size === 'auto') {
+    return false;
+  }
+
+  const [width, height] = size.split('x').map(Number);
+  return width * height <= INLINE_IMAGE_MAX_PIXELS;
+}
+
+/**
+ * Build the generate_image input schema from the model registry
+ * @returns {Object} JSON schema
+ */
+function buildGenerateImageSchema() {
+  const schema = buildInputSchema('generate');
+  const inlineSize = Math.sqrt(INLINE_IMAGE_MAX_PIXELS);
+  schema.properties.include_image = {
+    type: 'boolean',
+    description: `Return the image inline so it can be viewed directly (defaults to true for sizes up to ${inlineSize}x${inlineSize})`
+  };
+  schema.properties.cache = {
+    type: 'string',
+    enum: VALIDATION_RULES.cache.enum,
+    description: 'Prompt-result cache control when the server caches results: bypass skips the cache, refresh generates anew and replaces the cached result'
+  };
+  schema.properties.seed = {
+    type: ['string', 'integer'],
+    description: 'Cache tag: identical requests only share a cached result when their seeds match (pass a new seed for a fresh image)'
+  };
+  schema.properties.output_name = {
+    type: 'string',
+    maxLength: VALIDATION_RULES.outputName.maxLength,
+    description: 'Base filename for the saved images (letters, digits, dots, dashes, underscores); the extension follows the format, and several images get _0, _1, ...'
+  };
+  schema.properties.postprocess = buildPostprocessSchema();
+  return schema;
+}
+
+/**
+ * Add the postprocess property to an edit or variation schema
+ * @param {Object} schema - JSON schema from buildInputSchema
+ * @returns {Object} The schema
+ */
+function withPostprocessProperty(schema) {
+  schema.properties.postprocess = buildPostprocessSchema();
+  return schema;
+}
+
+// Protocol versions this server speaks, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+
+// API token scope each tool requires (see utils/token-store)
+const TOOL_SCOPES = {
+  generate_image: 'generate',
+  edit_image: 'edit',
+  create_image_variation: 'edit',
+  generate_batch: 'generate'
+};
+
+// API token scope the resources/* methods require: saved images, their history and
+// provenance are protected like /admin/images and /history on the HTTP server
+const RESOURCE_SCOPE = 'admin:images';
 
 // MCP Server Implementation
 class MCPServer {
-  constructor() {
+  /**
+   * @param {Object} options - Server options
+   * @param {OpenAIImageGenMCP} options.imageGen - Shared image generator (created in start() when omitted)
+   * @param {Function} options.send - Writes an outgoing message (default: stdout)
+   * @param {string} options.requester - Recorded in the image history for this client's calls (default: mcp)
+   * @param {Array<string>} options.scopes - Scopes of the client's API token; tools needing other scopes are refused (default: all tools)
+   */
+  constructor(options = {}) {
     this.buffer = '';
     this.initialized = false;
+    this.protocolVersion = null;
+    this.subscriptions = new Set(); // Subscribed resource URIs
+    this.inFlight = new Map(); // Request id -> AbortController for running tool calls
+    this.watcher = null;
+    this.imageGen = options.imageGen || null;
+    this.requester = options.requester || 'mcp';
+    this.scopes = options.scopes || null;
+
+    if (options.send) {
+      this.send = options.send;
+    }
+  }
+
+  /**
+   * Write a JSON-RPC message to stdout
+   * @param {Object} message - Response or notification
+   */
+  send(message) {
+    process.stdout.write(JSON.stringify(message) + '\n');
   }
 
-  async handleRequest(request) {
+  /**
+   * Send a JSON-RPC notification to the client
+   * @param {string} method - Notification method
+   * @param {Object} [params] - Notification params
+   */
+  sendNotification(method, params) {
+    const notification = {
+      jsonrpc: '2.0',
+      method
+    };
+    if (params) {
+      notification.params = params;
+    }
+    this.send(notification);
+  }
+
+  /**
+   * Handle one JSON-RPC message
+   * @param {Object} request - Request or notification
+   * @param {Object} context - Transport context for the message (optional)
+   * @param {Function} context.send - Writes messages about this request, such as its progress (default: send)
+   * @param {AbortSignal} context.signal - Aborts a tool call when its client goes away
+   * @returns {Promise<Object|null>} Response, or null for notifications and cancelled calls
+   */
+  async handleRequest(request, context = {}) {
     try {
       const { method, params, id, jsonrpc } = request;
       
@@ -48,18 +195,39 @@ class MCPServer {
         };
       }
       
+      if (typeof method === 'string' && method.startsWith('resources/') && !this.hasScope(RESOURCE_SCOPE)) {
+        return this.forbiddenResponse(id, RESOURCE_SCOPE, method);
+      }
+
       switch (method) {
         case 'initialize':
           this.initialized = true;
-          
-          // Send the response
-          const initResponse = {
+
+          // Use the client's protocol version when we support it, otherwise our latest
+          const requestedVersion = params && params.protocolVersion;
+          this.protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requestedVersion)
+            ? requestedVersion
+            : SUPPORTED_PROTOCOL_VERSIONS[0];
+
+          // Send initialized notification after the response
+          setTimeout(() => {
+            if (this.initialized) {
+              this.sendNotification('notifications/initialized');
+            }
+          }, 100);
+
+          return {
             jsonrpc: '2.0',
             id,
             result: {
-              protocolVersion: '2024-11-05',
+              protocolVersion: this.protocolVersion,
               capabilities: {
-                tools: {}
+                tools: {},
+                resources: {
+                  subscribe: true,
+                  listChanged: true
+                },
+                prompts: {}
               },
               serverInfo: {
                 name: 'openai-image-generation',
@@ -67,23 +235,7 @@ class MCPServer {
               }
             }
           };
-          
-          // Process the response synchronously
-          process.stdout.write(JSON.stringify(initResponse) + '\n');
-          
-          // Send initialized notification after the response
-          setTimeout(() => {
-            if (this.initialized) {
-              const notification = {
-                jsonrpc: '2.0',
-                method: 'notifications/initialized'
-              };
-              process.stdout.write(JSON.stringify(notification) + '\n');
-            }
-          }, 100);
-          
-          return null; // Already sent
-          
+
         case 'notifications/initialized':
           // This is a notification from client, no response needed
           return null;
@@ -96,156 +248,172 @@ class MCPServer {
               tools: [
                 {
                   name: 'generate_image',
-                  description: 'Generate an image using OpenAI DALL-E',
-                  inputSchema: {
-                    type: 'object',
-                    properties: {
-                      prompt: {
-                        type: 'string',
-                        description: 'Text description of the image to generate'
-                      },
-                      model: {
-                        type: 'string',
-                        enum: ['dall-e-2', 'dall-e-3'],
-                        description: 'Model to use',
-                        default: 'dall-e-3'
-                      },
-                      size: {
-                        type: 'string',
-                        enum: ['256x256', '512x512', '1024x1024', '1792x1024', '1024x1792'],
-                        description: 'Image size',
-                        default: '1024x1024'
-                      },
-                      quality: {
-                        type: 'string',
-                        enum: ['standard', 'hd'],
-                        description: 'Image quality',
-                        default: 'standard'
-                      },
-                      style: {
-                        type: 'string',
-                        enum: ['vivid', 'natural'],
-                        description: 'Image style',
-                        default: 'vivid'
-                      },
-                      n: {
-                        type: 'integer',
-                        description: 'Number of images',
-                        default: 1,
-                        minimum: 1,
-                        maximum: 10
-                      }
-                    },
-                    required: ['prompt']
-                  }
+                  description: 'Generate an image using OpenAI DALL-E or GPT Image',
+                  inputSchema: this.withPresetProperty(this.withProviderProperty(buildGenerateImageSchema()))
+                },
+                {
+                  name: 'edit_image',
+                  description: 'Edit an existing image with a prompt and optional mask using OpenAI DALL-E 2 or GPT Image',
+                  inputSchema: this.withProviderProperty(withPostprocessProperty(buildInputSchema('edit')))
+                },
+                {
+                  name: 'create_image_variation',
+                  description: 'Create variations of an existing image using OpenAI DALL-E 2',
+                  inputSchema: this.withProviderProperty(withPostprocessProperty(buildInputSchema('variation')))
+                },
+                {
+                  name: 'generate_batch',
+                  description: 'Generate a family of images from a prompt template with {{variables}}, one image set per expanded prompt',
+                  inputSchema: this.withPresetProperty(this.withProviderProperty(buildBatchSchema(buildGenerateImageSchema())))
                 }
               ]
             }
           };
           
         case 'resources/list':
-          return {
-            jsonrpc: '2.0',
-            id,
-            result: {
-              resources: []
+          try {
+            const page = await listImageResources(this.imageGen.outputDir, {
+              cursor: params && params.cursor
+            });
+            // The preset list leads the first page
+            if (!(params && params.cursor) && this.imageGen.presets && this.imageGen.presets.names().length > 0) {
+              page.resources.unshift(getPresetsResource());
             }
-          };
+            return {
+              jsonrpc: '2.0',
+              id,
+              result: page
+            };
+          } catch (error) {
+            return this.resourceErrorResponse(id, error);
+          }
+
+        case 'resources/read':
+          try {
+            const contents = params && params.uri === PRESETS_RESOURCE_URI && this.imageGen.presets
+              ? readPresetsResource(this.imageGen.presets)
+              : await readImageResource(this.imageGen.outputDir, params && params.uri);
+            return {
+              jsonrpc: '2.0',
+              id,
+              result: contents
+            };
+          } catch (error) {
+            return this.resourceErrorResponse(id, error);
+          }
+
+        case 'resources/subscribe':
+        case 'resources/unsubscribe':
+          try {
+            const uri = params && params.uri;
+            // The preset list is listed and readable, so it can be subscribed to as well
+            if (!(uri === PRESETS_RESOURCE_URI && this.imageGen.presets)) {
+              parseResourceUri(uri);
+            }
+            if (method === 'resources/subscribe') {
+              this.subscriptions.add(uri);
+            } else {
+              this.subscriptions.delete(uri);
+            }
+            return {
+              jsonrpc: '2.0',
+              id,
+              result: {}
+            };
+          } catch (error) {
+            return this.resourceErrorResponse(id, error);
+          }
           
         case 'prompts/list':
+          // Recipes are re-read on every request so edits take effect without a restart
           return {
             jsonrpc: '2.0',
             id,
             result: {
-              prompts: []
+              prompts: listPrompts(await loadPromptCatalog())
             }
           };
-          
-        case 'tools/call':
-          const { name, arguments: args } = params;
-
-          if (name === 'generate_image') {
-            try {
-              // Validate parameters
-              let validatedParams;
-              try {
-                validatedParams = validateImageGenerationParams(args);
-              } catch (validationError) {
-                if (validationError instanceof ValidationError) {
-                  log(`Validation error: ${validationError.message} (field: ${validationError.field})`);
-                  return {
-                    jsonrpc: '2.0',
-                    id,
-                    error: {
-                      code: -32602,
-                      message: `Invalid parameters: ${validationError.message}`,
-                      data: { field: validationError.field }
-                    }
-                  };
-                }
-                throw validationError;
-              }
-
-              // Use the OpenAIImageGenMCP class to generate the image
-              const mcpInterface = imageGenMCP.getMCPInterface();
-              const result = await mcpInterface.handler({
-                ...validatedParams,
-                save: validatedParams.save !== false // Default to true
-              });
-
-              if (result.success) {
-                let responseText = `Image generated successfully!\n\nPrompt: ${validatedParams.prompt}`;
-
-                if (result.data.filePath) {
-                  responseText += `\n\nSaved to: ${result.data.filePath}`;
-                }
-
-                if (result.data.url || (result.data[0] && result.data[0].url)) {
-                  const imageUrl = result.data.url || result.data[0].url;
-                  responseText += `\n\nImage URL: ${imageUrl}`;
-                }
-
-                if (result.data.revised_prompt || (result.data[0] && result.data[0].revised_prompt)) {
-                  const revisedPrompt = result.data.revised_prompt || result.data[0].revised_prompt;
-                  responseText += `\n\nRevised prompt: ${revisedPrompt}`;
-                }
 
-                return {
-                  jsonrpc: '2.0',
-                  id,
-                  result: {
-                    content: [
-                      {
-                        type: 'text',
-                        text: responseText
-                      }
-                    ]
-                  }
-                };
-              } else {
-                throw new Error(result.error || 'Image generation failed');
-              }
-            } catch (error) {
-              log(`Error in generate_image: ${error.message}`);
+        case 'prompts/get':
+          try {
+            const catalog = await loadPromptCatalog();
+            return {
+              jsonrpc: '2.0',
+              id,
+              result: getPrompt(catalog, params && params.name, (params && params.arguments) || {})
+            };
+          } catch (error) {
+            if (error instanceof PromptError) {
+              log(`Prompt error: ${error.message}`);
               return {
                 jsonrpc: '2.0',
                 id,
                 error: {
-                  code: -32000,
-                  message: `Failed to generate image: ${error.message}`
+                  code: error.code,
+                  message: error.message
                 }
               };
             }
+            throw error;
           }
           
-          return {
-            jsonrpc: '2.0',
-            id,
-            error: {
-              code: -32601,
-              message: 'Method not found'
+        case 'tools/call':
+          const { name, arguments: args, _meta: meta } = params;
+          const tool = {
+            generate_image: this.handleGenerateImage,
+            edit_image: this.handleEditImage,
+            create_image_variation: this.handleCreateImageVariation,
+            generate_batch: this.handleGenerateBatch
+          }[name];
+
+          if (!tool) {
+            return {
+              jsonrpc: '2.0',
+              id,
+              error: {
+                code: -32601,
+                message: 'Method not found'
+              }
+            };
+          }
+
+          if (!this.hasScope(TOOL_SCOPES[name])) {
+            return this.forbiddenResponse(id, TOOL_SCOPES[name], name);
+          }
+
+          // Track the call so notifications/cancelled (or the transport) can abort it
+          const controller = new AbortController();
+          const abort = () => controller.abort();
+          this.inFlight.set(id, controller);
+          if (context.signal) {
+            if (context.signal.aborted) {
+              abort();
             }
-          };
+            context.signal.addEventListener('abort', abort);
+          }
+          try {
+            const response = await tool.call(this, id, args || {}, {
+              signal: controller.signal,
+              onProgress: this.createProgressReporter(meta && meta.progressToken, context.send),
+              requester: this.requester
+            });
+
+            // Cancelled requests get no response
+            return controller.signal.aborted ? null : response;
+          } finally {
+            this.inFlight.delete(id);
+            if (context.signal) {
+              context.signal.removeEventListener('abort', abort);
+            }
+          }
+
+        case 'notifications/cancelled':
+          const inFlight = params && this.inFlight.get(params.requestId);
+          if (inFlight) {
+            log(`Cancelling request ${params.requestId}${params.reason ? `: ${params.reason}` : ''}`);
+            inFlight.abort();
+          }
+          return null;
           
         default:
           // For unknown methods, return method not found
@@ -276,6 +444,480 @@ class MCPServer {
     }
   }
 
+  /**
+   * Create an onProgress callback that sends notifications/progress for a token
+   * @param {string|number} progressToken - Token from the request's _meta (optional)
+   * @param {Function} send - Writes the notifications (default: send)
+   * @returns {Function|undefined} Progress callback, or undefined without a token
+   */
+  createProgressReporter(progressToken, send) {
+    if (progressToken === undefined || progressToken === null) {
+      return undefined;
+    }
+
+    let progress = 0;
+    return ({ message }) => {
+      progress += 1;
+      const notification = {
+        jsonrpc: '2.0',
+        method: 'notifications/progress',
+        params: { progressToken, progress, message }
+      };
+      if (send) {
+        send(notification);
+      } else {
+        this.send(notification);
+      }
+    };
+  }
+
+  /**
+   * Add the provider choice to a tool schema when several providers are configured
+   * @param {Object} schema - Tool input schema
+   * @returns {Object} The schema
+   */
+  withProviderProperty(schema) {
+    const providerProperty = this.imageGen.providers && this.imageGen.providers.getSchemaProperty();
+    if (providerProperty) {
+      schema.properties.provider = providerProperty;
+    }
+    return schema;
+  }
+
+  /**
+   * Add the preset choice to the generate_image schema when presets are defined
+   * @param {Object} schema - Tool input schema
+   * @returns {Object} The schema
+   */
+  withPresetProperty(schema) {
+    const presetProperty = this.imageGen.presets && this.imageGen.presets.getSchemaProperty();
+    if (presetProperty) {
+      schema.properties.preset = presetProperty;
+    }
+    return schema;
+  }
+
+  /**
+   * Build the JSON-RPC error returned when tool arguments fail validation
+   * @param {number|string} id - Request id
+   * @param {ValidationError} validationError - The validation failure
+   * @returns {Object} JSON-RPC error response
+   */
+  invalidParamsResponse(id, validationError) {
+    log(`Validation error: ${validationError.message} (field: ${validationError.field})`);
+    return {
+      jsonrpc: '2.0',
+      id,
+      error: {
+        code: -32602,
+        message: `Invalid parameters: ${validationError.message}`,
+        data: { field: validationError.field }
+      }
+    };
+  }
+
+  /**
+   * Confine the source image(s) and mask of an edit or variation to the
+   * output directory (or IMAGE_INPUT_DIR), so clients cannot have other
+   * files on the server sent to the provider
+   * @param {Object} validatedParams - Validated tool arguments; paths are replaced with resolved ones
+   * @returns {Object} The same arguments
+   * @throws {ValidationError} If a path is outside those directories
+   */
+  confineSourcePaths(validatedParams) {
+    const directories = [this.imageGen.outputDir, this.imageGen.inputDir];
+    validatedParams.image = Array.isArray(validatedParams.image)
+      ? validatedParams.image.map(image => confineImagePath(image, directories, 'image'))
+      : confineImagePath(validatedParams.image, directories, 'image');
+    if (validatedParams.mask) {
+      validatedParams.mask = confineImagePath(validatedParams.mask, directories, 'mask');
+    }
+    return validatedParams;
+  }
+
+  /**
+   * Check whether this client's API token grants a scope (always true without a token)
+   * @param {string} scope - Scope to check
+   * @returns {boolean} True if the scope is granted
+   */
+  hasScope(scope) {
+    return !this.scopes || this.scopes.includes(scope);
+  }
+
+  /**
+   * Build the JSON-RPC error returned when the client's API token lacks a scope
+   * @param {number|string} id - Request id
+   * @param {string} scope - Scope the request needs
+   * @param {string} action - Tool or method that was refused
+   * @returns {Object} JSON-RPC error response
+   */
+  forbiddenResponse(id, scope, action) {
+    log(`Refusing ${action}: token does not have the ${scope} scope`);
+    return {
+      jsonrpc: '2.0',
+      id,
+      error: {
+        code: -32000,
+        message: `Token does not have the ${scope} scope required by ${action}`,
+        data: { reason: 'forbidden', scope }
+      }
+    };
+  }
+
+  /**
+   * Build the JSON-RPC error returned when a request would exceed a spending budget
+   * @param {number|string} id - Request id
+   * @param {string} message - Error message
+   * @param {Object} details - Budget details ({ scope, caller, period, limit, spent, estimate, resetsAt })
+   * @returns {Object} JSON-RPC error response
+   */
+  budgetExceededResponse(id, message, details) {
+    log(`Budget exceeded: ${message}`);
+    return {
+      jsonrpc: '2.0',
+      id,
+      error: {
+        code: -32000,
+        message,
+        data: { reason: 'budget_exceeded', ...details }
+      }
+    };
+  }
+
+  /**
+   * Build the JSON-RPC error returned when a resource request fails
+   * @param {number|string} id - Request id
+   * @param {Error} error - The failure (ResourceError carries its own code)
+   * @returns {Object} JSON-RPC error response
+   */
+  resourceErrorResponse(id, error) {
+    log(`Resource error: ${error.message}`);
+    return {
+      jsonrpc: '2.0',
+      id,
+      error: {
+        code: error instanceof ResourceError ? error.code : -32603,
+        message: error.message
+      }
+    };
+  }
+
+  /**
+   * Notify the client about images added to, changed in or removed from the output directory
+   * @param {Object} change - Change from watchImageDirectory
+   * @param {boolean} change.listChanged - Whether images were added or removed
+   * @param {Array<string>} change.filenames - Affected filenames
+   */
+  handleImageDirectoryChange({ listChanged, filenames }) {
+    if (!this.initialized) {
+      return;
+    }
+
+    if (listChanged && this.hasScope(RESOURCE_SCOPE)) {
+      this.sendNotification('notifications/resources/list_changed');
+    }
+
+    for (const filename of filenames) {
+      const uri = toResourceUri(filename);
+      if (this.subscriptions.has(uri)) {
+        this.sendNotification('notifications/resources/updated', { uri });
+      }
+    }
+  }
+
+  /**
+   * Describe a list of image results as tool response text
+   * @param {string} heading - First line of the response
+   * @param {Array} results - Image data, optionally with filePath
+   * @returns {string} Response text
+   */
+  formatImageResults(heading, results) {
+    let responseText = heading;
+
+    results.forEach((image, index) => {
+      responseText += `\n\nImage ${index + 1}:`;
+      if (image.filePath) {
+        responseText += `\nSaved to: ${image.filePath}`;
+      }
+      if (image.error) {
+        responseText += `\nNot saved: ${image.error}`;
+      }
+      for (const thumbnail of image.thumbnails || []) {
+        responseText += `\nThumbnail ${thumbnail.width}x${thumbnail.height}: ${thumbnail.filePath}`;
+      }
+      if (image.cached) {
+        responseText += '\nReturned from the prompt cache (no new generation)';
+      }
+      if (image.estimatedCost) {
+        responseText += `\nEstimated cost: ${formatCost(image.estimatedCost)}`;
+      }
+      if (image.url) {
+        responseText += `\nImage URL: ${image.url}`;
+      }
+    });
+
+    return responseText;
+  }
+
+  /**
+   * Handle the generate_image tool
+   * @param {number|string} id - Request id
+   * @param {Object} args - Tool arguments
+   * @param {Object} context - Call context ({ signal, onProgress, requester })
+   * @returns {Promise<Object>} JSON-RPC response
+   */
+  async handleGenerateImage(id, args, context = {}) {
+    try {
+      // Validate parameters
+      let validatedParams;
+      try {
+        // Explicit arguments override the selected preset
+        validatedParams = validateImageGenerationParams(this.imageGen.presets ? this.imageGen.presets.apply(args) : args);
+      } catch (validationError) {
+        if (validationError instanceof ValidationError) {
+          return this.invalidParamsResponse(id, validationError);
+        }
+        throw validationError;
+      }
+
+      // Request base64 data when the image should be returned inline
+      const includeImage = shouldInlineImage(args.include_image, validatedParams.size);
+      if (includeImage) {
+        validatedParams.response_format = 'b64_json';
+      }
+
+      // Use the OpenAIImageGenMCP class to generate the image
+      const mcpInterface = this.imageGen.getMCPInterface();
+      const result = await mcpInterface.handler({
+        ...validatedParams,
+        save: validatedParams.save !== false, // Default to true
+        ...context
+      });
+
+      if (result.success) {
+        const images = [].concat(result.data);
+        let responseText = this.formatImageResults(
+          `Image generated successfully!\n\nPrompt: ${validatedParams.prompt}`,
+          images
+        );
+
+        const revisedPrompt = images.map(image => image.revised_prompt).find(Boolean);
+        if (revisedPrompt) {
+          responseText += `\n\nRevised prompt: ${revisedPrompt}`;
+        }
+
+        const content = [
+          {
+            type: 'text',
+            text: responseText
+          }
+        ];
+
+        if (includeImage) {
+          for (const image of images) {
+            // Post-processing may have converted saved images to another format
+            const mimeType = getMimeType(image.filename || `image.${validatedParams.output_format || 'png'}`);
+            // Saved images are read back from disk; unsaved ones carry their base64 data
+            const data = image.filePath
+              ? (await fsPromises.readFile(image.filePath)).toString('base64')
+              : image.b64_json;
+            if (data) {
+              content.push({ type: 'image', mimeType, data });
+            }
+          }
+        }
+
+        return {
+          jsonrpc: '2.0',
+          id,
+          result: {
+            content
+          }
+        };
+      } else if (result.budget) {
+        return this.budgetExceededResponse(id, result.error, result.budget);
+      } else {
+        throw new Error(result.error || 'Image generation failed');
+      }
+    } catch (error) {
+      log(`Error in generate_image: ${error.message}`);
+      return {
+        jsonrpc: '2.0',
+        id,
+        error: {
+          code: -32000,
+          message: `Failed to generate image: ${error.message}`
+        }
+      };
+    }
+  }
+
+  /**
+   * Handle the edit_image tool
+   * @param {number|string} id - Request id
+   * @param {Object} args - Tool arguments
+   * @param {Object} context - Call context ({ signal, onProgress, requester })
+   * @returns {Promise<Object>} JSON-RPC response
+   */
+  async handleEditImage(id, args, context = {}) {
+    let validatedParams;
+    try {
+      validatedParams = this.confineSourcePaths(validateImageEditParams(args));
+    } catch (validationError) {
+      if (validationError instanceof ValidationError) {
+        return this.invalidParamsResponse(id, validationError);
+      }
+      throw validationError;
+    }
+
+    try {
+      const { image, prompt, ...validatedOptions } = validatedParams;
+      const options = { ...validatedOptions, ...context };
+      const results = validatedParams.save !== false
+        ? await this.imageGen.editAndSaveImage(image, prompt, options)
+        : await this.imageGen.editImage(image, prompt, options);
+
+      return {
+        jsonrpc: '2.0',
+        id,
+        result: {
+          content: [
+            {
+              type: 'text',
+              text: this.formatImageResults(
+                `Image edited successfully!\n\nPrompt: ${prompt}\nSource: ${[].concat(image).join(', ')}`,
+                results
+              )
+            }
+          ]
+        }
+      };
+    } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        return this.budgetExceededResponse(id, error.message, error.details);
+      }
+      log(`Error in edit_image: ${error.message}`);
+      return {
+        jsonrpc: '2.0',
+        id,
+        error: {
+          code: -32000,
+          message: `Failed to edit image: ${error.message}`
+        }
+      };
+    }
+  }
+
+  /**
+   * Handle the create_image_variation tool
+   * @param {number|string} id - Request id
+   * @param {Object} args - Tool arguments
+   * @param {Object} context - Call context ({ signal, onProgress, requester })
+   * @returns {Promise<Object>} JSON-RPC response
+   */
+  async handleCreateImageVariation(id, args, context = {}) {
+    let validatedParams;
+    try {
+      validatedParams = this.confineSourcePaths(validateImageVariationParams(args));
+    } catch (validationError) {
+      if (validationError instanceof ValidationError) {
+        return this.invalidParamsResponse(id, validationError);
+      }
+      throw validationError;
+    }
+
+    try {
+      const { image, ...validatedOptions } = validatedParams;
+      const options = { ...validatedOptions, ...context };
+      const results = validatedParams.save !== false
+        ? await this.imageGen.createAndSaveImageVariation(image, options)
+        : await this.imageGen.createImageVariation(image, options);
+
+      return {
+        jsonrpc: '2.0',
+        id,
+        result: {
+          content: [
+            {
+              type: 'text',
+              text: this.formatImageResults(
+                `Created ${results.length} variation(s) successfully!\n\nSource: ${image}`,
+                results
+              )
+            }
+          ]
+        }
+      };
+    } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        return this.budgetExceededResponse(id, error.message, error.details);
+      }
+      log(`Error in create_image_variation: ${error.message}`);
+      return {
+        jsonrpc: '2.0',
+        id,
+        error: {
+          code: -32000,
+          message: `Failed to create image variation: ${error.message}`
+        }
+      };
+    }
+  }
+
+  /**
+   * Handle the generate_batch tool
+   * @param {number|string} id - Request id
+   * @param {Object} args - Tool arguments
+   * @param {Object} context - Call context ({ signal, onProgress, requester })
+   * @returns {Promise<Object>} JSON-RPC response
+   */
+  async handleGenerateBatch(id, args, context = {}) {
+    let batch;
+    try {
+      batch = prepareBatch(args, { presets: this.imageGen.presets });
+    } catch (validationError) {
+      if (validationError instanceof ValidationError) {
+        return this.invalidParamsResponse(id, validationError);
+      }
+      throw validationError;
+    }
+
+    try {
+      const result = await runBatch(this.imageGen, batch, context);
+
+      let responseText = `Batch finished: ${result.succeeded} of ${result.total} prompt(s) succeeded`;
+      for (const item of result.items) {
+        const header = `Prompt ${item.index + 1}: ${item.prompt}`;
+        responseText += item.success
+          ? `\n\n${this.formatImageResults(header, item.images)}`
+          : `\n\n${header}\nFailed: ${item.error}`;
+      }
+
+      return {
+        jsonrpc: '2.0',
+        id,
+        result: {
+          content: [
+            {
+              type: 'text',
+              text: responseText
+            }
+          ]
+        }
+      };
+    } catch (error) {
+      log(`Error in generate_batch: ${error.message}`);
+      return {
+        jsonrpc: '2.0',
+        id,
+        error: {
+          code: -32000,
+          message: `Failed to generate batch: ${error.message}`
+        }
+      };
+    }
+  }
+
   processInput(chunk) {
     this.buffer += chunk;
     
@@ -290,7 +932,7 @@ class MCPServer {
           // Handle the request
           this.handleRequest(request).then(response => {
             if (response) {
-              process.stdout.write(JSON.stringify(response) + '\n');
+              this.send(response);
             }
           }).catch(error => {
             log(`Error processing request: ${error.message}`);
@@ -304,7 +946,7 @@ class MCPServer {
                 data: error.message
               }
             };
-            process.stdout.write(JSON.stringify(errorResponse) + '\n');
+            this.send(errorResponse);
           });
         } catch (error) {
           log(`Error parsing JSON: ${error.message}`);
@@ -318,7 +960,7 @@ class MCPServer {
               data: error.message
             }
           };
-          process.stdout.write(JSON.stringify(errorResponse) + '\n');
+          this.send(errorResponse);
         }
       }
     }
@@ -335,9 +977,16 @@ class MCPServer {
       });
 
       // Initialize the OpenAIImageGenMCP instance
-      imageGenMCP = new OpenAIImageGenMCP(config.apiKey);
+      this.imageGen = new OpenAIImageGenMCP(config.apiKey, { providers: config.providers, resilience: config.resilience, cache: config.promptCache, budget: config.budget, presets: config.presets });
       log('OpenAI Image Generation MCP initialized');
 
+      // Publish saved images as resources and notify clients when they change
+      await this.imageGen.ensureReady();
+      this.watcher = watchImageDirectory(
+        this.imageGen.outputDir,
+        change => this.handleImageDirectoryChange(change)
+      );
+
       // Set up stdin
       process.stdin.setEncoding('utf8');
 
@@ -383,6 +1032,12 @@ class MCPServer {
   }
 }
 
-// Start the server
-const server = new MCPServer();
-server.start();
+module.exports = MCPServer;
+module.exports.SUPPORTED_PROTOCOL_VERSIONS = SUPPORTED_PROTOCOL_VERSIONS;
+
+// Start the stdio server when run directly
+if (require.main === module) {
+  const server = new MCPServer();
+  server.start();
+}
+
@@ -1,10 +1,22 @@
 /**
  * Authentication middleware for the OpenAI Image Generation MCP
- * Provides basic bearer token authentication with timing-attack protection
+ * Bearer token authentication against the API token store (named tokens with
+ * scopes, see utils/token-store) and the single MCP_AUTH_TOKEN, which is
+ * still accepted with every scope. Authentication is off while neither is set.
  */
 
 const crypto = require('crypto');
 const logger = require('../utils/logger');
+const { SCOPES } = require('../utils/token-store');
+
+/**
+ * Reasons a stored token is refused
+ */
+const REFUSED_TOKEN_ERRORS = {
+  unknown: 'Invalid authentication token',
+  revoked: 'Authentication token has been revoked',
+  expired: 'Authentication token has expired'
+};
 
 /**
  * Constant-time string comparison to prevent timing attacks
@@ -32,40 +44,99 @@ function timingSafeEqual(a, b) {
 }
 
 /**
- * Middleware to check for valid bearer token authentication
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
+ * Create bearer token authentication middleware
+ * @param {Object} options - Middleware options
+ * @param {TokenStore} options.store - API token store (optional; only MCP_AUTH_TOKEN is checked without it)
+ * @returns {Function} requireScope(scope) returning the middleware for a route; with no scope any valid token passes
  */
-function authMiddleware(req, res, next) {
-  // Skip auth if no token is configured
-  if (!process.env.MCP_AUTH_TOKEN) {
-    logger.warn('No MCP_AUTH_TOKEN set. Running without authentication!');
-    return next();
-  }
+function createAuthMiddleware(options = {}) {
+  const store = options.store || null;
 
-  const authHeader = req.headers.authorization;
+  return function requireScope(scope = null) {
+    return async function authMiddleware(req, res, next) {
+      const legacyToken = process.env.MCP_AUTH_TOKEN;
 
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    logger.warn(`Authentication failed: Missing or invalid authorization header from ${req.ip}`);
-    return res.status(401).json({
-      success: false,
-      error: 'Missing or invalid authorization header'
-    });
-  }
+      let tokens = [];
+      if (store) {
+        try {
+          tokens = await store.load();
+        } catch (error) {
+          logger.error(`Could not read the token store ${store.file}:`, error);
+          return res.status(500).json({
+            success: false,
+            error: 'Authentication is unavailable'
+          });
+        }
+      }
 
-  const token = authHeader.split(' ')[1];
+      // Skip auth if no token is configured
+      if (!legacyToken && tokens.length === 0) {
+        logger.warn('No MCP_AUTH_TOKEN set and no API tokens created. Running without authentication!');
+        return next();
+      }
 
-  if (!token || !timingSafeEqual(token, process.env.MCP_AUTH_TOKEN)) {
-    logger.warn(`Authentication failed: Invalid token from ${req.ip}`);
-    return res.status(403).json({
-      success: false,
-      error: 'Invalid authentication token'
-    });
-  }
+      const authHeader = req.headers.authorization;
+
+      if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        logger.warn(`Authentication failed: Missing or invalid authorization header from ${req.ip}`);
+        return res.status(401).json({
+          success: false,
+          error: 'Missing or invalid authorization header'
+        });
+      }
+
+      const token = authHeader.split(' ')[1];
+
+      if (token && legacyToken && timingSafeEqual(token, legacyToken)) {
+        req.auth = { name: null, scopes: SCOPES, legacy: true };
+        return next();
+      }
+
+      const { status, token: record } = token && tokens.length > 0
+        ? await store.verify(token)
+        : { status: 'unknown', token: null };
 
-  // Authentication successful
-  next();
+      if (status !== 'active') {
+        logger.warn(`Authentication failed: ${status} token${record ? ` "${record.name}"` : ''} from ${req.ip}`);
+        return res.status(403).json({
+          success: false,
+          error: REFUSED_TOKEN_ERRORS[status]
+        });
+      }
+
+      if (scope && !record.scopes.includes(scope)) {
+        logger.warn(`Authorization failed: token "${record.name}" lacks the ${scope} scope for ${req.method} ${req.originalUrl}`);
+        return res.status(403).json({
+          success: false,
+          error: `Token does not have the ${scope} scope`,
+          scope
+        });
+      }
+
+      // Authentication successful
+      req.auth = { name: record.name, scopes: record.scopes, legacy: false };
+      next();
+    };
+  };
+}
+
+/**
+ * Requester recorded for an authenticated request (token:<name> for API tokens)
+ * @param {Object} req - Express request object
+ * @param {string} fallback - Requester when no named token was used (e.g. http:<ip>)
+ * @returns {string} Requester
+ */
+function getRequester(req, fallback) {
+  return req.auth && req.auth.name ? `token:${req.auth.name}` : fallback;
 }
 
-module.exports = authMiddleware;
\ No newline at end of file
+/**
+ * Middleware that only checks MCP_AUTH_TOKEN (no token store, no scope)
+ */
+const authMiddleware = createAuthMiddleware()();
+
+module.exports = {
+  authMiddleware,
+  createAuthMiddleware,
+  getRequester
+};
@@ -3,7 +3,8 @@
  * Prevents API abuse and manages costs
  */
 
-const rateLimit = require('express-rate-limit');
+const crypto = require('crypto');
+const { rateLimit, MemoryStore } = require('express-rate-limit');
 const logger = require('../utils/logger');
 
 /**
@@ -29,13 +30,40 @@ const generalLimiter = rateLimit({
   }
 });
 
+/**
+ * Image generation requests allowed per client and hour
+ */
+const IMAGE_GENERATION_LIMIT = parseInt(process.env.IMAGE_GENERATION_RATE_LIMIT) || 10; // Configurable, default 10
+
+/**
+ * Hit counts of the image generation limiter, shared with countImageGenerations
+ */
+const imageGenerationStore = new MemoryStore();
+
+/**
+ * Key of a client for the image generation limit: the IP and, if present, a hash of the auth token
+ * @param {express.Request} req - Request
+ * @returns {string} Key
+ */
+function getImageGenerationKey(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    const token = authHeader.split(' ')[1];
+    // Use a hash of the token to avoid storing raw tokens in memory
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex').substring(0, 16);
+    return `${req.ip}-${tokenHash}`;
+  }
+  return req.ip;
+}
+
 /**
  * Strict rate limiter for image generation endpoint
  * Allows 10 requests per hour per IP to prevent excessive OpenAI API costs
  */
 const imageGenerationLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
-  max: parseInt(process.env.IMAGE_GENERATION_RATE_LIMIT) || 10, // Configurable, default 10
+  max: IMAGE_GENERATION_LIMIT,
+  store: imageGenerationStore,
   message: {
     success: false,
     error: 'Image generation rate limit exceeded. Please try again later.'
@@ -54,19 +82,42 @@ const imageGenerationLimiter = rateLimit({
     });
   },
   // Custom key generator to use both IP and auth token (if present)
-  keyGenerator: (req) => {
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.split(' ')[1];
-      // Use a hash of the token to avoid storing raw tokens in memory
-      const crypto = require('crypto');
-      const tokenHash = crypto.createHash('sha256').update(token).digest('hex').substring(0, 16);
-      return `${req.ip}-${tokenHash}`;
-    }
-    return req.ip;
-  }
+  keyGenerator: getImageGenerationKey
 });
 
+/**
+ * Count every image of a multi-image request (such as a batch) against the image generation limit
+ * imageGenerationLimiter has already counted the request as one; the other images are added
+ * once their number is known. A request that would go over the limit is refused and only
+ * its first hit stays counted.
+ * @param {express.Request} req - Request that passed imageGenerationLimiter
+ * @param {number} images - Images the request would generate
+ * @returns {Promise<Object|null>} null within the limit, otherwise the 429 response body
+ */
+async function countImageGenerations(req, images) {
+  const key = getImageGenerationKey(req);
+  let totalHits = 0;
+  let resetTime = null;
+  for (let i = 1; i < images; i++) {
+    ({ totalHits, resetTime } = await imageGenerationStore.increment(key));
+  }
+  if (totalHits <= IMAGE_GENERATION_LIMIT) {
+    return null;
+  }
+
+  for (let i = 1; i < images; i++) {
+    await imageGenerationStore.decrement(key);
+  }
+  logger.warn(`Image generation rate limit exceeded for IP ${req.ip} by a request for ${images} images`);
+  return {
+    success: false,
+    error: `Image generation rate limit exceeded: this request would generate ${images} images. Please try again later.`,
+    retryAfter: Math.ceil(resetTime.getTime() / 1000),
+    limit: IMAGE_GENERATION_LIMIT,
+    remaining: Math.max(0, IMAGE_GENERATION_LIMIT - (totalHits - images + 1))
+  };
+}
+
 /**
  * Very permissive rate limiter for health checks
  * Allows 1000 requests per minute
@@ -79,8 +130,24 @@ const healthCheckLimiter = rateLimit({
   skipFailedRequests: true // Don't count failed requests
 });
 
+/**
+ * Apply the image generation limit to MCP JSON-RPC messages that call tools
+ * Other MCP messages (initialize, list, read) only count against the general limit.
+ */
+function mcpToolCallLimiter(req, res, next) {
+  const messages = Array.isArray(req.body) ? req.body : [req.body];
+  const callsTool = messages.some(message => message && message.method === 'tools/call');
+
+  if (req.method === 'POST' && callsTool) {
+    return imageGenerationLimiter(req, res, next);
+  }
+  next();
+}
+
 module.exports = {
   generalLimiter,
   imageGenerationLimiter,
-  healthCheckLimiter
+  healthCheckLimiter,
+  mcpToolCallLimiter,
+  countImageGenerations
 };
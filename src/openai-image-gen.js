@@ -1,26 +1,119 @@
-const OpenAI = require('openai');
 const fs = require('fs');
 const fsPromises = require('fs').promises;
 const path = require('path');
 const https = require('https');
 const logger = require('./utils/logger');
-const { validateImageGenerationParams } = require('./utils/validation');
+const { validateImageGenerationParams, VALIDATION_RULES } = require('./utils/validation');
+const { buildInputSchema, DEFAULT_MODELS, getModel } = require('./utils/model-registry');
+const {
+  getProviderConfig,
+  getResilienceConfig,
+  getPromptCacheConfig,
+  getBudgetConfig,
+  getSpendLedgerConfig
+} = require('./utils/config');
+const { createProviderRegistry } = require('./providers');
+const { withRetry, CircuitBreaker } = require('./utils/resilience');
+const { ImageHistory } = require('./utils/image-history');
+const { embedProvenance } = require('./utils/provenance');
+const { ImageStore } = require('./utils/image-store');
+const { PromptCache, getCacheKey } = require('./utils/prompt-cache');
+const { PresetRegistry, loadPresetDefinitions } = require('./utils/presets');
+const { getImagePrice } = require('./utils/pricing');
+const { recordSpend, SpendLedger } = require('./utils/spend');
+const { BudgetTracker, BudgetExceededError, UnpricedRequestError } = require('./utils/budget');
+const {
+  processImage,
+  createThumbnail,
+  getOutputFormat,
+  transformsImage,
+  buildPostprocessSchema
+} = require('./utils/image-processing');
+
+/**
+ * Check whether a model rejects response_format (gpt-image-1 always returns base64)
+ * @param {string} model - Model name
+ * @returns {boolean} True if response_format must be omitted
+ */
+function returnsBase64Only(model) {
+  return VALIDATION_RULES.response_format.unsupportedModels.includes(model);
+}
+
+/**
+ * File extension for a saved image, based on the requested output format
+ * @param {string} outputFormat - png, jpeg, webp or avif (default: png)
+ * @returns {string} Extension including the leading dot
+ */
+function getImageExtension(outputFormat) {
+  return `.${outputFormat || 'png'}`;
+}
+
+/**
+ * Filename (without extension) for one image of a response
+ * @param {string} outputName - Requested base name (optional)
+ * @param {string} prefix - Filename prefix (image, edit or variation)
+ * @param {number} timestamp - Timestamp shared by the response's images
+ * @param {number} index - Image index in the response
+ * @param {number} count - Images in the response
+ * @returns {string} e.g. image_1700000000000_0, hero-fox or hero-fox_1
+ */
+function getImageBaseName(outputName, prefix, timestamp, index, count) {
+  if (!outputName) {
+    return `${prefix}_${timestamp}_${index}`;
+  }
+  return count > 1 ? `${outputName}_${index}` : outputName;
+}
 
 /**
  * OpenAI Image Generation MCP
  * This MCP provides image generation capabilities using OpenAI's DALL-E models
  */
 class OpenAIImageGenMCP {
-  constructor(apiKey) {
-    this.openai = new OpenAI({
-      apiKey: apiKey || process.env.OPENAI_API_KEY
-    });
+  /**
+   * @param {string} apiKey - OpenAI API key (default: OPENAI_API_KEY)
+   * @param {Object} options - Options
+   * @param {Object} options.providers - Provider configuration (default: from the environment, see getProviderConfig)
+   * @param {Object} options.resilience - Retry/circuit breaker settings (default: from the environment, see getResilienceConfig)
+   * @param {Object} options.cache - Prompt-result cache settings (default: from the environment, see getPromptCacheConfig)
+   * @param {Array<Object>} options.presets - Named parameter presets (default: from the presets file, see loadPresetDefinitions)
+   * @param {Object} options.budget - Spending budget settings (default: from the environment, see getBudgetConfig)
+   * @param {Object} options.spendLedger - Spend ledger settings (default: from the environment, see getSpendLedgerConfig)
+   */
+  constructor(apiKey, options = {}) {
+    const providerConfig = { ...(options.providers || getProviderConfig()) };
+    if (apiKey) {
+      providerConfig.openai = { ...providerConfig.openai, apiKey };
+    }
+    this.providers = createProviderRegistry(providerConfig);
+
+    // OpenAI SDK client of the default OpenAI provider (null when OpenAI is not configured)
+    this.openai = this.providers.providers.has('openai') ? this.providers.get('openai').client : null;
+
+    // Upstream calls are retried on transient failures; each provider gets its own circuit breaker
+    this.resilience = { ...getResilienceConfig(), ...options.resilience };
+    this.breakers = new Map();
+
+    // Repeated identical generate requests can be served from saved images (opt-in)
+    const cacheConfig = { ...getPromptCacheConfig(), ...options.cache };
+    this.cache = cacheConfig.enabled ? new PromptCache(cacheConfig) : null;
 
-    // Default configs
-    this.defaultModel = "dall-e-3";
-    this.defaultSize = "1024x1024";
-    this.defaultQuality = "standard";
-    this.defaultStyle = "vivid";
+    // Named parameter presets, merged into requests that select one
+    this.presets = new PresetRegistry(options.presets || loadPresetDefinitions());
+
+    // Spending caps checked against each request's estimated cost before the provider is called
+    const budgetConfig = options.budget || getBudgetConfig();
+    this.budget = budgetConfig.enabled ? new BudgetTracker(budgetConfig) : null;
+
+    // Estimated cost of every generation, kept apart from the saved images so cleanup cannot erase it
+    const spendLedgerConfig = { ...getSpendLedgerConfig(), ...options.spendLedger };
+    this.spendLedger = spendLedgerConfig.file ? new SpendLedger(spendLedgerConfig.file) : null;
+
+    // Default configs (from the model registry)
+    const defaultModel = getModel(DEFAULT_MODELS.generate);
+    this.defaultModel = DEFAULT_MODELS.generate;
+    this.defaultSize = defaultModel.defaultSize;
+    this.defaultQuality = defaultModel.defaultQuality;
+    this.defaultStyle = defaultModel.defaultStyle;
 
     // Use OUTPUT_DIR env var if set, otherwise use path relative to project root
     // This ensures the directory is created in the right location regardless of cwd
@@ -32,12 +125,26 @@ class OpenAIImageGenMCP {
           : path.join(projectRoot, process.env.OUTPUT_DIR))
       : defaultOutputDir;
 
+    // Extra directory MCP clients may edit images from (IMAGE_INPUT_DIR; the output directory always qualifies)
+    this.inputDir = process.env.IMAGE_INPUT_DIR
+      ? path.resolve(projectRoot, process.env.IMAGE_INPUT_DIR)
+      : null;
+
+    // Storage layout (IMAGE_STORAGE_LAYOUT=content-addressed stores identical images once)
+    this.store = new ImageStore(this.outputDir, { layout: process.env.IMAGE_STORAGE_LAYOUT || 'flat' });
+
+    // Metadata sidecars for saved images
+    this.history = new ImageHistory(this.outputDir);
+
+    // Provenance metadata written into saved files (EMBED_PROVENANCE=false disables it)
+    this.embedProvenance = process.env.EMBED_PROVENANCE !== 'false';
+
     // Initialize output directory asynchronously
     this.initPromise = this.initializeOutputDirectory();
   }
 
   /**
-   * Initialize the output directory asynchronously
+   * Initialize the output directory (and restore the budget spend) asynchronously
    * @private
    */
   async initializeOutputDirectory() {
@@ -53,6 +160,10 @@ class OpenAIImageGenMCP {
         throw mkdirError;
       }
     }
+    await this.store.initialize();
+    if (this.budget) {
+      await this.budget.load();
+    }
   }
 
   /**
@@ -64,23 +175,61 @@ class OpenAIImageGenMCP {
       await this.initPromise;
     }
   }
+
+  /**
+   * Report a progress stage to the caller's onProgress callback, if any
+   * @param {Object} options - Operation options
+   * @param {string} stage - Stage name (validated, submitted, generated, downloading, processing, saved, cached)
+   * @param {string} message - Human-readable progress message
+   * @private
+   */
+  reportProgress(options, stage, message) {
+    if (typeof options.onProgress !== 'function') {
+      return;
+    }
+    try {
+      options.onProgress({ stage, message });
+    } catch (error) {
+      logger.debug(`Progress callback failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Throw if the operation has been cancelled
+   * @param {AbortSignal} signal - Optional abort signal
+   * @private
+   */
+  throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      const error = new Error('Operation was cancelled');
+      error.name = 'AbortError';
+      throw error;
+    }
+  }
   
   /**
    * Generate an image using OpenAI's DALL-E model
    * @param {string} prompt - The prompt to generate an image from
    * @param {Object} options - Generation options
-   * @returns {Promise<Object>} - Generated image data
+   * @param {string} options.provider - Provider backend to use (default: configured default provider)
+   * @param {string} options.preset - Named parameter preset (explicit options override it)
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @param {Function} options.onProgress - Optional callback receiving { stage, message }
+   * @param {Function} options.onPartialImage - Optional callback receiving streamed previews
+   *   ({ index, b64_json, output_format }) when partial_images is set
+   * @param {string} options.requester - Who asked for the images (spend counter label)
+   * @returns {Promise<Array<Object>>} - Generated image data, each with its estimatedCost (USD)
    */
   async generateImage(prompt, options = {}) {
     try {
       // Ensure output directory is ready
       await this.ensureReady();
 
-      // Validate parameters before making API call
-      const validatedParams = validateImageGenerationParams({
+      // Validate parameters (merged with the selected preset) before making API call
+      const validatedParams = validateImageGenerationParams(this.presets.apply({
         prompt,
         ...options
-      });
+      }));
 
       logger.info(`Generating image with prompt: "${validatedParams.prompt.substring(0, 50)}..."`);
       logger.debug(`Image generation parameters: ${JSON.stringify({
@@ -90,6 +239,8 @@ class OpenAIImageGenMCP {
         style: validatedParams.style,
         n: validatedParams.n
       })}`);
+      this.reportProgress(options, 'validated', 'Parameters validated');
+      this.throwIfAborted(options.signal);
 
       const startTime = Date.now();
 
@@ -98,10 +249,13 @@ class OpenAIImageGenMCP {
         model: validatedParams.model,
         prompt: validatedParams.prompt,
         n: validatedParams.n,
-        size: validatedParams.size,
-        response_format: validatedParams.response_format || options.response_format || 'url'
+        size: validatedParams.size
       };
 
+      if (!returnsBase64Only(validatedParams.model)) {
+        apiParams.response_format = validatedParams.response_format || 'url';
+      }
+
       // Add optional parameters based on model support
       if (validatedParams.quality) {
         apiParams.quality = validatedParams.quality;
@@ -109,38 +263,165 @@ class OpenAIImageGenMCP {
       if (validatedParams.style) {
         apiParams.style = validatedParams.style;
       }
+      for (const key of ['background', 'output_format', 'output_compression', 'moderation']) {
+        if (validatedParams[key] !== undefined) {
+          apiParams[key] = validatedParams[key];
+        }
+      }
+
+      // Stream the response when previews are requested
+      let readStream = null;
+      if (validatedParams.partial_images > 0) {
+        apiParams.stream = true;
+        apiParams.partial_images = validatedParams.partial_images;
+        readStream = stream => this.readImageStream(stream, validatedParams.partial_images, options);
+      }
 
-      const response = await this.openai.images.generate(apiParams);
+      const provider = this.providers.select(validatedParams.provider, validatedParams.model, 'generate');
+      const reservation = await this.reserveBudget(validatedParams.model, validatedParams, validatedParams.n, options);
+      this.reportProgress(options, 'submitted', `Submitted request to ${validatedParams.model} (${provider.name})`);
+      const response = await this.withReservation(reservation,
+        () => this.callProvider(provider, 'generate', apiParams, options.signal, readStream));
 
       const duration = Date.now() - startTime;
       logger.info(`Image generated successfully in ${duration}ms`);
+      this.reportProgress(options, 'generated', `Generated ${response.data.length} image(s) in ${duration}ms`);
 
-      return response.data;
+      return this.attachEstimatedCost(response.data, validatedParams.model, validatedParams, options, reservation);
     } catch (error) {
       logger.error('Error generating image:', error);
       throw error;
     }
   }
   
+  /**
+   * Collect a streamed image response, reporting partial images as they arrive
+   * @param {AsyncIterable<Object>} stream - Image generation stream events
+   * @param {number} partialImages - Number of partial images requested
+   * @param {Object} options - Generation options (onProgress, onPartialImage)
+   * @returns {Promise<Object>} Response in the non-streamed shape ({ data: [...] })
+   * @private
+   */
+  async readImageStream(stream, partialImages, options) {
+    const data = [];
+
+    for await (const event of stream) {
+      if (event.type === 'image_generation.partial_image') {
+        this.reportProgress(
+          options,
+          'partial_image',
+          `Received preview ${event.partial_image_index + 1} of ${partialImages}`
+        );
+        if (typeof options.onPartialImage === 'function') {
+          try {
+            options.onPartialImage({
+              index: event.partial_image_index,
+              b64_json: event.b64_json,
+              output_format: event.output_format
+            });
+          } catch (error) {
+            logger.debug(`Partial image callback failed: ${error.message}`);
+          }
+        }
+      } else if (event.type === 'image_generation.completed') {
+        data.push({ b64_json: event.b64_json });
+      }
+    }
+
+    if (data.length === 0) {
+      throw new Error('Image stream ended without a completed image');
+    }
+    return { data };
+  }
+
+  /**
+   * Get the circuit breaker for a provider
+   * @param {string} name - Provider name
+   * @returns {CircuitBreaker} Breaker
+   */
+  getBreaker(name) {
+    if (!this.breakers.has(name)) {
+      this.breakers.set(name, new CircuitBreaker(name, this.resilience));
+    }
+    return this.breakers.get(name);
+  }
+
+  /**
+   * Call a provider operation with retries and the provider's circuit breaker
+   * @param {ImageProvider} provider - Provider
+   * @param {string} method - generate, edit or createVariation
+   * @param {Object|Function} params - API parameters, or a function building them for each attempt
+   *   (needed when they contain file streams, which can only be read once)
+   * @param {AbortSignal} signal - Optional signal to cancel the call
+   * @param {Function} readStream - Optional reader for a streamed response (requests streaming when set)
+   * @returns {Promise<Object>} API response
+   * @private
+   */
+  callProvider(provider, method, params, signal, readStream = null) {
+    const buildParams = typeof params === 'function' ? params : () => params;
+    const call = readStream
+      ? async () => readStream(await provider[method](buildParams(), { signal, stream: true }))
+      : () => provider[method](buildParams(), { signal });
+    return withRetry(call, {
+      ...this.resilience,
+      breaker: this.getBreaker(provider.name),
+      signal,
+      operation: `${provider.name}.${method}`
+    });
+  }
+
   /**
    * Save an image from a URL to the local filesystem
+   * Transient download failures (timeouts, 5xx) are retried.
    * @param {string} imageUrl - The URL of the image to save
    * @param {string} filename - The filename to save the image as
-   * @param {number} timeout - Download timeout in milliseconds (default: 30000)
+   * @param {number} timeout - Download timeout in milliseconds per attempt (default: 30000)
+   * @param {AbortSignal} signal - Optional signal to cancel the download
    * @returns {Promise<string>} - The path to the saved image
    */
-  async saveImage(imageUrl, filename, timeout = 30000) {
+  async saveImage(imageUrl, filename, timeout = 30000, signal = null) {
+    return withRetry(() => this.downloadImage(imageUrl, filename, timeout, signal), {
+      ...this.resilience,
+      signal,
+      operation: 'download'
+    });
+  }
+
+  /**
+   * Download an image once (see saveImage)
+   * @private
+   */
+  downloadImage(imageUrl, filename, timeout, signal) {
     return new Promise((resolve, reject) => {
       const fullPath = path.join(this.outputDir, filename);
       let file = null;
+      let request = null;
       let completed = false;
       let timeoutId = null;
 
+      // Abort handler (cancels the download and removes the partial file)
+      const onAbort = () => {
+        if (!completed) {
+          completed = true;
+          if (request) {
+            request.destroy();
+          }
+          cleanup();
+          const error = new Error('Download was cancelled');
+          error.name = 'AbortError';
+          logger.info(`Download cancelled for ${imageUrl}`);
+          reject(error);
+        }
+      };
+
       // Cleanup function
       const cleanup = () => {
         if (timeoutId) {
           clearTimeout(timeoutId);
         }
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
         if (file && !completed) {
           file.close();
           // Delete incomplete file
@@ -152,9 +433,20 @@ class OpenAIImageGenMCP {
         }
       };
 
+      if (signal && signal.aborted) {
+        const error = new Error('Download was cancelled');
+        error.name = 'AbortError';
+        reject(error);
+        return;
+      }
+
       try {
         file = fs.createWriteStream(fullPath);
 
+        if (signal) {
+          signal.addEventListener('abort', onAbort);
+        }
+
         // Set up timeout
         timeoutId = setTimeout(() => {
           if (!completed) {
@@ -167,13 +459,14 @@ class OpenAIImageGenMCP {
           }
         }, timeout);
 
-        const request = https.get(imageUrl, (response) => {
+        request = https.get(imageUrl, (response) => {
           // Check for HTTP errors
           if (response.statusCode !== 200) {
             completed = true;
             cleanup();
             const error = new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`);
             error.statusCode = response.statusCode;
+            error.headers = response.headers;
             logger.error(`HTTP error downloading image from ${imageUrl}:`, error);
             reject(error);
             return;
@@ -217,6 +510,9 @@ class OpenAIImageGenMCP {
             if (!completed) {
               completed = true;
               clearTimeout(timeoutId);
+              if (signal) {
+                signal.removeEventListener('abort', onAbort);
+              }
               file.close((err) => {
                 if (err) {
                   logger.error(`Error closing file ${fullPath}:`, err);
@@ -262,27 +558,431 @@ class OpenAIImageGenMCP {
   }
   
   /**
-   * Generate an image and save it to the filesystem
+   * Save a base64-encoded image (b64_json response) to the local filesystem
+   * @param {string} b64Data - The base64-encoded image data
+   * @param {string} filename - The filename to save the image as
+   * @param {AbortSignal} signal - Optional signal to cancel the write
+   * @returns {Promise<string>} - The path to the saved image
+   */
+  async saveBase64Image(b64Data, filename, signal = null) {
+    const fullPath = path.join(this.outputDir, filename);
+    this.throwIfAborted(signal);
+
+    try {
+      await fsPromises.writeFile(fullPath, Buffer.from(b64Data, 'base64'));
+      logger.info(`Image saved to ${fullPath}`);
+      return fullPath;
+    } catch (error) {
+      logger.error(`Error writing file ${fullPath}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reserve a request's estimated cost against the spending budgets
+   * With a state file the check covers every process sharing it (see BudgetTracker.reserve).
+   * @param {string} model - Model
+   * @param {Object} params - { size, quality } of the request
+   * @param {number} n - Images requested
+   * @param {Object} options - Request options (requester)
+   * @returns {Promise<Object|null>} Reservation, or null when no budget is configured
+   * @throws {BudgetExceededError} If the request would exceed a budget
+   * @throws {UnpricedRequestError} If the request has no price and no fallback price is set
+   * @private
+   */
+  async reserveBudget(model, params, n, options = {}) {
+    if (!this.budget) {
+      return null;
+    }
+    return this.budget.reserve(this.getBudgetPrice(model, params) * n, options.requester);
+  }
+
+  /**
+   * Per-image price charged to the spending budgets
+   * @param {string} model - Model
+   * @param {Object} params - { size, quality } of the request
+   * @returns {number} USD per image (BUDGET_UNPRICED_USD for models without a price)
+   * @throws {UnpricedRequestError} If the request has no price and no fallback price is set
+   * @private
+   */
+  getBudgetPrice(model, params) {
+    const price = getImagePrice(model, params.size, params.quality);
+    if (price !== null) {
+      return price;
+    }
+    if (this.budget.unpricedPrice === null) {
+      throw new UnpricedRequestError({ model, size: params.size, quality: params.quality });
+    }
+    return this.budget.unpricedPrice;
+  }
+
+  /**
+   * Run a provider call, releasing the budget reservation if it fails
+   * @param {Object|null} reservation - Reservation from reserveBudget
+   * @param {Function} call - Provider call
+   * @returns {Promise<Object>} The call's response
+   * @private
+   */
+  async withReservation(reservation, call) {
+    try {
+      return await call();
+    } catch (error) {
+      if (reservation) {
+        this.budget.release(reservation);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Attach the estimated cost to each image of a response and add it to the spend counters
+   * and the spend ledger (and, with budgets, replace the request's reservation with it)
+   * @param {Array<Object>} images - Image data from the provider
+   * @param {string} model - Model that produced the images
+   * @param {Object} params - { size, quality } the images were requested with
+   * @param {Object} options - Request options (requester)
+   * @param {Object|null} reservation - Reservation from reserveBudget
+   * @returns {Promise<Array<Object>>} Images with estimatedCost (USD per image; null if the model has no price)
+   * @private
+   */
+  async attachEstimatedCost(images, model, params, options = {}, reservation = null) {
+    const price = getImagePrice(model, params.size, params.quality);
+    if (price !== null && images.length > 0) {
+      recordSpend(price, images.length, { model, requester: options.requester });
+    }
+    if (reservation) {
+      this.budget.settle(reservation, this.getBudgetPrice(model, params) * images.length);
+    }
+    if (this.spendLedger && images.length > 0) {
+      await this.recordLedger({
+        model,
+        size: params.size || null,
+        quality: params.quality || null,
+        requester: options.requester || null,
+        images: images.length,
+        estimatedCost: price
+      });
+    }
+    return images.map(image => ({ ...image, estimatedCost: price }));
+  }
+
+  /**
+   * Append a request's spend to the ledger
+   * Like the history, a failed write is logged rather than failing the request; the images were already produced.
+   * @param {Object} entry - Ledger entry (see SpendLedger.append)
+   * @private
+   */
+  async recordLedger(entry) {
+    try {
+      await this.spendLedger.append(entry);
+    } catch (error) {
+      logger.warn(`Could not record spend in ${this.spendLedger.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save every image of a response, downloading URLs and decoding base64 data
+   * Files share one timestamp and are numbered in response order
+   * (e.g. image_1700000000000_0.png, image_1700000000000_1.png); a name already
+   * taken gets a suffix (image_1700000000000_0-1.png). An output_name replaces
+   * the prefix and timestamp (hero-fox.png, or hero-fox_0.png, hero-fox_1.png
+   * for several images). Requested postprocess
+   * operations are applied to the written file and its thumbnails saved next to
+   * it. Each image's metadata is recorded in the generation history and embedded
+   * in the file as provenance, and the file is then stored in the configured layout.
+   * An image whose processing fails is deleted and returned with an error (filename
+   * and filePath null) while the rest are saved; the call fails if none could be.
+   * @param {Array<Object>} images - Image data ({ url } or { b64_json }, optional revised_prompt)
+   * @param {string} prefix - Filename prefix (image, edit or variation)
+   * @param {Object} options - Request options (output_format, output_name, postprocess, signal, onProgress)
+   * @param {Object} metadata - History metadata shared by the images (operation, prompt, model, ...)
+   * @param {number} startTime - When the request started (for durationMs)
+   * @returns {Promise<Array<Object>>} Saved images as { filename, filePath, url, revised_prompt, deduplicated, estimatedCost },
+   *   plus thumbnails ({ filename, filePath, width, height }) when requested
+   *   (filename is the public name served under /images; filePath holds the bytes)
+   * @private
+   */
+  async saveImages(images, prefix, options = {}, metadata = {}, startTime = Date.now()) {
+    const timestamp = Date.now();
+    const postprocess = options.postprocess || null;
+    const sourceFormat = options.output_format || 'png';
+    const format = getOutputFormat(postprocess, sourceFormat);
+    const extension = getImageExtension(format);
+    const results = [];
+    const failures = [];
+
+    for (let i = 0; i < images.length; i++) {
+      const image = images[i];
+      const estimatedCost = typeof image.estimatedCost === 'number' ? image.estimatedCost : null;
+      const filename = await this.store.reserve(getImageBaseName(options.output_name, prefix, timestamp, i, images.length), extension);
+      try {
+        const writeName = this.store.getWriteName(filename);
+        let writtenPath;
+        if (image.url) {
+          this.reportProgress(options, 'downloading', `Downloading image ${i + 1} of ${images.length}`);
+          writtenPath = await this.saveImage(image.url, writeName, undefined, options.signal);
+        } else if (image.b64_json) {
+          writtenPath = await this.saveBase64Image(image.b64_json, writeName, options.signal);
+        } else {
+          throw new Error(`Image ${i + 1} of ${images.length} has neither a URL nor base64 data to save`);
+        }
+
+        let thumbnails = null;
+        try {
+          let data = null;
+          if (transformsImage(postprocess)) {
+            this.reportProgress(options, 'processing', `Processing image ${i + 1} of ${images.length}`);
+            ({ data } = await processImage(await fsPromises.readFile(writtenPath), postprocess, sourceFormat));
+            await fsPromises.writeFile(writtenPath, data);
+          }
+          if (postprocess && postprocess.thumbnails) {
+            thumbnails = await this.saveThumbnails(data || await fsPromises.readFile(writtenPath), filename, postprocess, sourceFormat);
+          }
+        } catch (error) {
+          // The unprocessed bytes do not match the requested output, so the file is dropped
+          // and the rest of the batch is still saved
+          await fsPromises.rm(writtenPath, { force: true });
+          logger.warn(`Could not process image ${i + 1} of ${images.length}: ${error.message}`);
+          failures.push(error);
+          results.push({
+            filename: null,
+            filePath: null,
+            url: image.url || null,
+            revised_prompt: image.revised_prompt || null,
+            estimatedCost,
+            error: `Post-processing failed: ${error.message}`
+          });
+          continue;
+        }
+
+        // Stripped images keep no metadata at all; the provenance packet is not written for AVIF
+        const contentHash = postprocess && (postprocess.strip || format === 'avif')
+          ? null
+          : await this.writeProvenance(writtenPath, {
+            ...metadata,
+            revised_prompt: image.revised_prompt || null
+          });
+        const { filePath, deduplicated } = await this.store.commit(writtenPath, filename);
+        this.reportProgress(options, 'saved', `Saved image ${i + 1} of ${images.length} to ${filePath}`);
+        await this.recordHistory(path.join(this.outputDir, filename), {
+          ...metadata,
+          revised_prompt: image.revised_prompt || null,
+          contentHash,
+          ...(thumbnails ? { thumbnails: thumbnails.map(thumbnail => thumbnail.filename) } : {}),
+          index: i,
+          count: images.length,
+          requester: options.requester || null,
+          estimatedCost,
+          durationMs: Date.now() - startTime
+        });
+        results.push({
+          filename,
+          filePath,
+          url: image.url || null,
+          revised_prompt: image.revised_prompt || null,
+          deduplicated,
+          estimatedCost,
+          ...(thumbnails ? { thumbnails } : {})
+        });
+      } finally {
+        this.store.release(filename);
+      }
+    }
+
+    if (failures.length === images.length) {
+      throw failures[0];
+    }
+    return results;
+  }
+
+  /**
+   * Save the thumbnail variants of an image
+   * Thumbnails are named after their image and actual size
+   * (image_1700000000000_0_thumb_256x256.webp) and stored like any saved image.
+   * @param {Buffer} data - Image data (after processing)
+   * @param {string} filename - Filename of the image
+   * @param {Object} postprocess - Validated operations
+   * @param {string} sourceFormat - Format of data when it was not converted
+   * @returns {Promise<Array<Object>>} Thumbnails as { filename, filePath, width, height }
+   * @private
+   */
+  async saveThumbnails(data, filename, postprocess, sourceFormat) {
+    const extension = path.extname(filename);
+    const base = filename.slice(0, -extension.length);
+    const thumbnails = [];
+
+    // Render every variant before writing any, so a failure leaves no thumbnails behind
+    const rendered = [];
+    for (const size of postprocess.thumbnails) {
+      rendered.push(await createThumbnail(data, size, postprocess, sourceFormat));
+    }
+    for (const thumbnail of rendered) {
+      const thumbnailName = await this.store.reserve(`${base}_thumb_${thumbnail.width}x${thumbnail.height}`, extension);
+      try {
+        const writtenPath = path.join(this.outputDir, this.store.getWriteName(thumbnailName));
+        await fsPromises.writeFile(writtenPath, thumbnail.data);
+        const { filePath } = await this.store.commit(writtenPath, thumbnailName);
+        thumbnails.push({ filename: thumbnailName, filePath, width: thumbnail.width, height: thumbnail.height });
+      } finally {
+        this.store.release(thumbnailName);
+      }
+    }
+
+    return thumbnails;
+  }
+
+  /**
+   * Embed provenance (prompt, model, parameters, timestamp, content hash) in a saved image
+   * Like the history, a failure is logged rather than failing the request.
+   * @param {string} filePath - Path of the saved image
+   * @param {Object} metadata - History metadata for the image
+   * @returns {Promise<string|null>} Content hash of the image, or null if nothing was embedded
+   * @private
+   */
+  async writeProvenance(filePath, metadata) {
+    if (!this.embedProvenance) {
+      return null;
+    }
+    const { operation, prompt, revised_prompt, model, provider, source, ...parameters } = metadata;
+    try {
+      const { data, provenance } = embedProvenance(await fsPromises.readFile(filePath), {
+        operation,
+        prompt: prompt || null,
+        revised_prompt,
+        model,
+        provider,
+        parameters,
+        source: source || null
+      });
+      const tempPath = `${filePath}.tmp`;
+      await fsPromises.writeFile(tempPath, data);
+      await fsPromises.rename(tempPath, filePath);
+      return provenance.contentHash;
+    } catch (error) {
+      logger.warn(`Could not embed provenance in ${filePath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Record a saved image in the generation history
+   * A failed write is logged rather than failing the request; the image is already saved.
+   * @param {string} filePath - Path of the saved image under its public filename
+   * @param {Object} metadata - History metadata
+   * @private
+   */
+  async recordHistory(filePath, metadata) {
+    try {
+      await this.history.record(filePath, metadata);
+    } catch (error) {
+      logger.warn(`Could not record history for ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate images and save them to the filesystem
+   * With the prompt-result cache enabled, a request identical to an earlier one
+   * (same validated parameters and seed) returns the images it saved, marked
+   * cached: true, without calling the provider.
    * @param {string} prompt - The prompt to generate an image from
    * @param {Object} options - Generation options
-   * @returns {Promise<Object>} - Generated image data and file path
+   * @param {string} options.requester - Who asked for the images (recorded in the history)
+   * @param {string} options.preset - Named parameter preset (explicit options override it)
+   * @param {string} options.cache - bypass (do not use the cache) or refresh (regenerate and replace the cached result)
+   * @param {string|number} options.seed - Cache tag; requests only share cached results when their seeds match
+   * @param {string} options.output_name - Base filename for the saved images (default: image_<timestamp>_<n>)
+   * @returns {Promise<Array<Object>>} - Saved images as { filename, filePath, url, revised_prompt, deduplicated, estimatedCost }
    */
   async generateAndSaveImage(prompt, options = {}) {
     // Ensure output directory is ready
     await this.ensureReady();
 
+    // Merge the preset first so saving sees its output format and post-processing too
+    options = this.presets.apply(options);
+
+    // Validation also resolves the model defaults for the cache key and the history
+    const params = validateImageGenerationParams({ ...options, prompt });
+    const provider = params.provider || this.providers.defaultName;
+    const cacheKey = this.cache && params.cache !== 'bypass'
+      ? getCacheKey({ ...params, provider }, params.seed)
+      : null;
+
+    if (cacheKey && params.cache !== 'refresh') {
+      const cached = await this.readCachedImages(cacheKey, params.model);
+      if (cached) {
+        this.reportProgress(options, 'cached', `Returning ${cached.length} cached image(s)`);
+        return cached;
+      }
+    }
+
+    const startTime = Date.now();
     const imageData = await this.generateImage(prompt, options);
-    const filename = `image_${Date.now()}.png`;
-    
-    if (imageData[0] && imageData[0].url) {
-      const filePath = await this.saveImage(imageData[0].url, filename);
-      return {
-        ...imageData[0],
-        filePath
-      };
+    const saved = await this.saveImages(imageData, 'image', { ...options, postprocess: params.postprocess, output_name: params.output_name }, {
+      operation: 'generate',
+      prompt: params.prompt,
+      model: params.model,
+      provider,
+      size: params.size,
+      quality: params.quality || null,
+      style: params.style || null,
+      background: params.background || null,
+      output_format: params.output_format || null,
+      postprocess: params.postprocess || null
+    }, startTime);
+
+    // Only fully saved results are cached; a request with an image that failed processing runs again
+    if (cacheKey && saved.every(image => image.filePath)) {
+      this.cache.set(cacheKey, saved.map(image => ({
+        filename: image.filename,
+        revised_prompt: image.revised_prompt,
+        ...(image.thumbnails ? { thumbnails: image.thumbnails.map(({ filePath, ...thumbnail }) => thumbnail) } : {})
+      })));
     }
-    
-    return imageData;
+    return saved;
+  }
+
+  /**
+   * Return the saved images of a cached request
+   * An entry whose images were deleted (e.g. by cleanup) is dropped so the request is generated again.
+   * @param {string} cacheKey - Cache key
+   * @param {string} model - Model (metric label)
+   * @returns {Promise<Array<Object>|null>} Saved images, or null if not cached
+   * @private
+   */
+  async readCachedImages(cacheKey, model) {
+    const entry = this.cache.get(cacheKey, { model });
+    if (!entry) {
+      return null;
+    }
+
+    const images = [];
+    for (const image of entry.images) {
+      const filePath = await this.store.resolve(image.filename);
+      const thumbnails = [];
+      for (const thumbnail of image.thumbnails || []) {
+        thumbnails.push({ ...thumbnail, filePath: await this.store.resolve(thumbnail.filename) });
+      }
+      const missing = [{ filename: image.filename, filePath }, ...thumbnails].find(file => !file.filePath);
+      if (missing) {
+        logger.info(`Cached image ${missing.filename} no longer exists; generating again`);
+        this.cache.delete(cacheKey);
+        return null;
+      }
+      images.push({
+        filename: image.filename,
+        filePath,
+        url: null,
+        revised_prompt: image.revised_prompt,
+        deduplicated: false,
+        ...(image.thumbnails ? { thumbnails } : {}),
+        // Served from disk: nothing new was spent
+        estimatedCost: 0,
+        cached: true
+      });
+    }
+
+    logger.info(`Prompt cache hit: returning ${images.length} image(s) saved ${entry.createdAt}`);
+    return images;
   }
 
   /**
@@ -292,7 +992,11 @@ class OpenAIImageGenMCP {
    * @param {number} options.n - Number of variations (1-10)
    * @param {string} options.size - Image size
    * @param {string} options.model - Model (only dall-e-2 supports variations)
-   * @returns {Promise<Array>} - Generated variation data
+   * @param {string} options.provider - Provider backend to use
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @param {Function} options.onProgress - Optional callback receiving { stage, message }
+   * @param {string} options.requester - Who asked for the variations (spend counter label)
+   * @returns {Promise<Array>} - Generated variation data, each with its estimatedCost (USD)
    */
   async createImageVariation(image, options = {}) {
     try {
@@ -306,27 +1010,30 @@ class OpenAIImageGenMCP {
       if (model !== 'dall-e-2') {
         throw new Error('Image variations are only supported by dall-e-2');
       }
+      const provider = this.providers.select(options.provider, model, 'variation');
 
       logger.info(`Creating ${n} variation(s) of image`);
       logger.debug(`Variation parameters: model=${model}, size=${size}, n=${n}`);
+      this.throwIfAborted(options.signal);
 
       const startTime = Date.now();
 
-      // Create readable stream from image path or buffer
-      const imageStream = typeof image === 'string' ? fs.createReadStream(image) : image;
-
-      const response = await this.openai.images.createVariation({
+      const reservation = await this.reserveBudget(model, { size }, n, options);
+      this.reportProgress(options, 'submitted', `Submitted variation request to ${model} (${provider.name})`);
+      const response = await this.withReservation(reservation, () => this.callProvider(provider, 'createVariation', () => ({
         model,
-        image: imageStream,
+        // Create readable stream from image path or buffer (reopened for each attempt)
+        image: typeof image === 'string' ? fs.createReadStream(image) : image,
         n,
         size,
         response_format: options.response_format || 'url'
-      });
+      }), options.signal));
 
       const duration = Date.now() - startTime;
       logger.info(`Variations created successfully in ${duration}ms`);
+      this.reportProgress(options, 'generated', `Created ${response.data.length} variation(s) in ${duration}ms`);
 
-      return response.data;
+      return this.attachEstimatedCost(response.data, model, { size }, options, reservation);
     } catch (error) {
       logger.error('Error creating image variation:', error);
       throw error;
@@ -337,38 +1044,40 @@ class OpenAIImageGenMCP {
    * Create variations and save them
    * @param {string|Buffer} image - Path to image file or Buffer
    * @param {Object} options - Variation options
-   * @returns {Promise<Array>} - Array of variation data with file paths
+   * @returns {Promise<Array<Object>>} - Saved variations as { filename, filePath, url, revised_prompt, deduplicated, estimatedCost }
    */
   async createAndSaveImageVariation(image, options = {}) {
     await this.ensureReady();
 
+    const startTime = Date.now();
     const variations = await this.createImageVariation(image, options);
-    const results = [];
-
-    for (let i = 0; i < variations.length; i++) {
-      if (variations[i].url) {
-        const filename = `variation_${Date.now()}_${i}.png`;
-        const filePath = await this.saveImage(variations[i].url, filename);
-        results.push({
-          ...variations[i],
-          filePath
-        });
-      }
-    }
-
-    return results;
+    return this.saveImages(variations, 'variation', options, {
+      operation: 'variation',
+      prompt: null,
+      model: options.model || 'dall-e-2',
+      provider: options.provider || this.providers.defaultName,
+      size: options.size || '1024x1024',
+      postprocess: options.postprocess || null,
+      source: typeof image === 'string' ? [path.basename(image)] : []
+    }, startTime);
   }
 
   /**
    * Edit an image based on a prompt
-   * @param {string|Buffer} image - Path to source image or Buffer
+   * @param {string|Buffer|Array} image - Path to source image or Buffer (gpt-image-1 accepts a list)
    * @param {string} prompt - Text description of desired edit
    * @param {Object} options - Edit options
    * @param {string|Buffer} options.mask - Optional mask image (PNG with transparency)
-   * @param {string} options.model - Model (only dall-e-2 supports editing)
+   * @param {string} options.model - Model (dall-e-2 or gpt-image-1)
+   * @param {string} options.provider - Provider backend to use
    * @param {number} options.n - Number of edits to generate
    * @param {string} options.size - Output size
-   * @returns {Promise<Array>} - Generated edit data
+   * @param {string} options.quality - Quality (gpt-image-1 only)
+   * @param {string} options.background - Background (gpt-image-1 only)
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @param {Function} options.onProgress - Optional callback receiving { stage, message }
+   * @param {string} options.requester - Who asked for the edits (spend counter label)
+   * @returns {Promise<Array>} - Generated edit data, each with its estimatedCost (USD)
    */
   async editImage(image, prompt, options = {}) {
     try {
@@ -378,41 +1087,59 @@ class OpenAIImageGenMCP {
       const size = options.size || '1024x1024';
       const n = options.n || 1;
 
-      // Validate model (only dall-e-2 supports editing)
-      if (model !== 'dall-e-2') {
-        throw new Error('Image editing is only supported by dall-e-2');
+      // Validate model
+      if (!VALIDATION_RULES.edit.models.includes(model)) {
+        throw new Error(`Image editing is only supported by ${VALIDATION_RULES.edit.models.join(', ')}`);
       }
+      const provider = this.providers.select(options.provider, model, 'edit');
 
       logger.info(`Editing image with prompt: "${prompt.substring(0, 50)}..."`);
       logger.debug(`Edit parameters: model=${model}, size=${size}, n=${n}`);
+      this.throwIfAborted(options.signal);
 
       const startTime = Date.now();
 
-      // Create readable stream from image path or buffer
-      const imageStream = typeof image === 'string' ? fs.createReadStream(image) : image;
-
       const params = {
         model,
-        image: imageStream,
         prompt,
         n,
-        size,
-        response_format: options.response_format || 'url'
+        size
       };
 
-      // Add mask if provided
-      if (options.mask) {
-        const maskStream = typeof options.mask === 'string' ?
-          fs.createReadStream(options.mask) : options.mask;
-        params.mask = maskStream;
+      if (!returnsBase64Only(model)) {
+        params.response_format = options.response_format || 'url';
+      }
+      if (options.quality) {
+        params.quality = options.quality;
+      }
+      if (options.background) {
+        params.background = options.background;
       }
 
-      const response = await this.openai.images.edit(params);
+      // Create readable streams from image paths or buffers (reopened for each attempt)
+      const toStream = source => (typeof source === 'string' ? fs.createReadStream(source) : source);
+      const buildParams = () => {
+        const attemptParams = {
+          ...params,
+          image: Array.isArray(image) ? image.map(toStream) : toStream(image)
+        };
+        // Add mask if provided
+        if (options.mask) {
+          attemptParams.mask = toStream(options.mask);
+        }
+        return attemptParams;
+      };
+
+      const reservation = await this.reserveBudget(model, { size, quality: options.quality }, n, options);
+      this.reportProgress(options, 'submitted', `Submitted edit request to ${model} (${provider.name})`);
+      const response = await this.withReservation(reservation,
+        () => this.callProvider(provider, 'edit', buildParams, options.signal));
 
       const duration = Date.now() - startTime;
       logger.info(`Image edited successfully in ${duration}ms`);
+      this.reportProgress(options, 'generated', `Created ${response.data.length} edit(s) in ${duration}ms`);
 
-      return response.data;
+      return this.attachEstimatedCost(response.data, model, { size, quality: options.quality }, options, reservation);
     } catch (error) {
       logger.error('Error editing image:', error);
       throw error;
@@ -424,26 +1151,48 @@ class OpenAIImageGenMCP {
    * @param {string|Buffer} image - Path to source image or Buffer
    * @param {string} prompt - Text description of desired edit
    * @param {Object} options - Edit options
-   * @returns {Promise<Array>} - Array of edit data with file paths
+   * @returns {Promise<Array<Object>>} - Saved edits as { filename, filePath, url, revised_prompt, deduplicated, estimatedCost }
    */
   async editAndSaveImage(image, prompt, options = {}) {
     await this.ensureReady();
 
+    const startTime = Date.now();
+    // gpt-image-1 always returns base64 data
     const edits = await this.editImage(image, prompt, options);
-    const results = [];
+    return this.saveImages(edits, 'edit', options, {
+      operation: 'edit',
+      prompt,
+      model: options.model || 'dall-e-2',
+      provider: options.provider || this.providers.defaultName,
+      size: options.size || '1024x1024',
+      quality: options.quality || null,
+      background: options.background || null,
+      postprocess: options.postprocess || null,
+      source: [].concat(image).filter(source => typeof source === 'string').map(source => path.basename(source))
+    }, startTime);
+  }
 
-    for (let i = 0; i < edits.length; i++) {
-      if (edits[i].url) {
-        const filename = `edit_${Date.now()}_${i}.png`;
-        const filePath = await this.saveImage(edits[i].url, filename);
-        results.push({
-          ...edits[i],
-          filePath
-        });
-      }
+  /**
+   * JSON schema for generation parameters, built from the model registry
+   * @returns {Object} JSON schema
+   */
+  getParameterSchema() {
+    const schema = buildInputSchema('generate');
+    schema.properties.save = {
+      type: "boolean",
+      description: "Whether to save the generated image to the filesystem",
+      default: true
+    };
+    schema.properties.postprocess = buildPostprocessSchema();
+    const providerProperty = this.providers.getSchemaProperty();
+    if (providerProperty) {
+      schema.properties.provider = providerProperty;
     }
-
-    return results;
+    const presetProperty = this.presets.getSchemaProperty();
+    if (presetProperty) {
+      schema.properties.preset = presetProperty;
+    }
+    return schema;
   }
 
   /**
@@ -454,52 +1203,7 @@ class OpenAIImageGenMCP {
     return {
       name: "openai_image_generation",
       description: "Generate images using OpenAI's DALL-E models",
-      parameters: {
-        type: "object",
-        properties: {
-          prompt: {
-            type: "string",
-            description: "A detailed text description of the image you want to generate"
-          },
-          model: {
-            type: "string",
-            enum: ["dall-e-2", "dall-e-3"],
-            description: "The DALL-E model to use for generation",
-            default: this.defaultModel
-          },
-          size: {
-            type: "string",
-            enum: ["256x256", "512x512", "1024x1024", "1792x1024", "1024x1792"],
-            description: "The size of the generated image",
-            default: this.defaultSize
-          },
-          quality: {
-            type: "string",
-            enum: ["standard", "hd"],
-            description: "The quality of the generated image",
-            default: this.defaultQuality
-          },
-          style: {
-            type: "string",
-            enum: ["vivid", "natural"],
-            description: "The style of the generated image",
-            default: this.defaultStyle
-          },
-          n: {
-            type: "integer",
-            description: "The number of images to generate",
-            default: 1,
-            minimum: 1,
-            maximum: 10
-          },
-          save: {
-            type: "boolean",
-            description: "Whether to save the generated image to the filesystem",
-            default: true
-          }
-        },
-        required: ["prompt"]
-      },
+      parameters: this.getParameterSchema(),
       handler: async (params) => {
         try {
           if (params.save) {
@@ -518,7 +1222,10 @@ class OpenAIImageGenMCP {
         } catch (error) {
           return {
             success: false,
-            error: error.message
+            error: error.message,
+            // Budget rejections tell the caller which budget and when it resets
+            ...(error instanceof BudgetExceededError ? { code: error.code, budget: error.details } : {}),
+            ...(error instanceof UnpricedRequestError ? { code: error.code } : {})
           };
         }
       }
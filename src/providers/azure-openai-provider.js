@@ -0,0 +1,43 @@
+/**
+ * Azure OpenAI image provider
+ * Requests are routed to deployments; the `models` map names the deployment
+ * serving each registry model (e.g. { 'dall-e-3': 'images-prod' }).
+ */
+
+const OpenAIProvider = require('./openai-provider');
+
+/**
+ * Azure OpenAI does not offer image variations
+ */
+const AZURE_OPERATIONS = ['generate', 'edit'];
+
+class AzureOpenAIProvider extends OpenAIProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.endpoint - Resource endpoint (https://<resource>.openai.azure.com)
+   * @param {string} options.apiKey - Azure OpenAI API key
+   * @param {string} options.apiVersion - API version (e.g. 2025-04-01-preview)
+   * @param {Object} options.models - Map of registry model name to deployment name
+   * @param {string} name - Provider name (default: 'azure')
+   */
+  constructor(options = {}, name = 'azure') {
+    super({ operations: AZURE_OPERATIONS, ...options }, name);
+    this.type = 'azure';
+  }
+
+  /**
+   * @protected
+   */
+  createClient(options) {
+    // Loaded lazily so the OpenAI SDK is only asked for the Azure client when it is configured
+    const { AzureOpenAI } = require('openai');
+    return new AzureOpenAI({
+      endpoint: options.endpoint,
+      apiKey: options.apiKey,
+      apiVersion: options.apiVersion,
+      maxRetries: 0
+    });
+  }
+}
+
+module.exports = AzureOpenAIProvider;
@@ -0,0 +1,123 @@
+/**
+ * Base class for image provider backends
+ * A provider turns validated generate/edit/variation parameters into API calls
+ * and reports which registry models and operations it can serve.
+ */
+
+const { getModel, getModelNames } = require('../utils/model-registry');
+
+/**
+ * Provider error class (unknown providers, unsupported models or operations)
+ */
+class ProviderError extends Error {
+  constructor(message, field = 'provider') {
+    super(message);
+    this.name = 'ProviderError';
+    this.field = field;
+  }
+}
+
+class ImageProvider {
+  /**
+   * @param {string} name - Provider name used in requests and config (e.g. 'openai')
+   * @param {Object} options - Provider options
+   * @param {Object} options.models - Map of registry model name to the provider's model/deployment name
+   *   (default: every registry model, passed through unchanged)
+   * @param {Array<string>} options.operations - Operations this provider serves (default: all the model supports)
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.type = 'base';
+    this.models = options.models && Object.keys(options.models).length > 0 ? options.models : null;
+    this.operations = options.operations || null;
+  }
+
+  /**
+   * Check whether this provider can run an operation with a model
+   * @param {string} model - Registry model name
+   * @param {string} operation - generate, edit or variation
+   * @returns {boolean} True if supported
+   */
+  supports(model, operation) {
+    const capabilities = getModel(model);
+    if (!capabilities || !capabilities.operations.includes(operation)) {
+      return false;
+    }
+    if (this.operations && !this.operations.includes(operation)) {
+      return false;
+    }
+    return !this.models || Object.prototype.hasOwnProperty.call(this.models, model);
+  }
+
+  /**
+   * Throw if the provider cannot run an operation with a model
+   * @param {string} model - Registry model name
+   * @param {string} operation - generate, edit or variation
+   * @throws {ProviderError} If unsupported
+   */
+  assertSupports(model, operation) {
+    if (!this.supports(model, operation)) {
+      throw new ProviderError(
+        `Provider ${this.name} does not support ${operation} with model ${model}`,
+        'model'
+      );
+    }
+  }
+
+  /**
+   * Map a registry model name to the name this provider expects
+   * @param {string} model - Registry model name
+   * @returns {string} Provider model or deployment name
+   */
+  resolveModel(model) {
+    return this.models && this.models[model] ? this.models[model] : model;
+  }
+
+  /**
+   * Describe what this provider serves
+   * @returns {Object} { name, type, models: { model: [operations] } }
+   */
+  getCapabilities() {
+    const models = {};
+    for (const model of getModelNames()) {
+      const operations = getModel(model).operations.filter(operation => this.supports(model, operation));
+      if (operations.length > 0) {
+        models[model] = operations;
+      }
+    }
+    return { name: this.name, type: this.type, models };
+  }
+
+  /**
+   * Generate images
+   * @param {Object} params - API parameters (registry model name in params.model)
+   * @param {Object} requestOptions - Request options ({ signal })
+   * @returns {Promise<Object>} Response with a `data` array of { url | b64_json, revised_prompt }
+   */
+  async generate(params, requestOptions) {
+    throw new ProviderError(`Provider ${this.name} does not implement generate`);
+  }
+
+  /**
+   * Edit images
+   * @param {Object} params - API parameters
+   * @param {Object} requestOptions - Request options ({ signal })
+   * @returns {Promise<Object>} Response with a `data` array
+   */
+  async edit(params, requestOptions) {
+    throw new ProviderError(`Provider ${this.name} does not implement edit`);
+  }
+
+  /**
+   * Create image variations
+   * @param {Object} params - API parameters
+   * @param {Object} requestOptions - Request options ({ signal })
+   * @returns {Promise<Object>} Response with a `data` array
+   */
+  async createVariation(params, requestOptions) {
+    throw new ProviderError(`Provider ${this.name} does not implement variation`);
+  }
+}
+
+module.exports = ImageProvider;
+module.exports.ProviderError = ProviderError;
@@ -0,0 +1,134 @@
+/**
+ * Image provider registry
+ * Builds the configured provider backends and picks one per request.
+ */
+
+const logger = require('../utils/logger');
+const ImageProvider = require('./image-provider');
+const OpenAIProvider = require('./openai-provider');
+const AzureOpenAIProvider = require('./azure-openai-provider');
+const OpenAICompatibleProvider = require('./openai-compatible-provider');
+
+const { ProviderError } = ImageProvider;
+
+/**
+ * Provider implementations by config key
+ */
+const PROVIDER_TYPES = {
+  openai: OpenAIProvider,
+  azure: AzureOpenAIProvider,
+  local: OpenAICompatibleProvider
+};
+
+class ProviderRegistry {
+  /**
+   * @param {Array<ImageProvider>} providers - Provider instances
+   * @param {string} defaultProvider - Name of the provider used when a request does not pick one
+   */
+  constructor(providers = [], defaultProvider = null) {
+    this.providers = new Map(providers.map(provider => [provider.name, provider]));
+    this.defaultName = defaultProvider || (providers[0] && providers[0].name) || null;
+
+    if (this.defaultName && !this.providers.has(this.defaultName)) {
+      throw new ProviderError(
+        `Default provider ${this.defaultName} is not configured. Configured providers: ${this.names().join(', ') || 'none'}`
+      );
+    }
+  }
+
+  /**
+   * @returns {Array<string>} Configured provider names
+   */
+  names() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * Look up a provider by name (default provider when omitted)
+   * @param {string} name - Provider name
+   * @returns {ImageProvider} Provider
+   * @throws {ProviderError} If the provider is not configured
+   */
+  get(name) {
+    const providerName = name || this.defaultName;
+    const provider = this.providers.get(providerName);
+    if (!provider) {
+      throw new ProviderError(
+        `Unknown provider: ${providerName}. Configured providers: ${this.names().join(', ') || 'none'}`
+      );
+    }
+    return provider;
+  }
+
+  /**
+   * Pick the provider for a request and check it can serve the model
+   * @param {string} name - Requested provider (default provider when omitted)
+   * @param {string} model - Registry model name
+   * @param {string} operation - generate, edit or variation
+   * @returns {ImageProvider} Provider
+   * @throws {ProviderError} If the provider is unknown or does not support the model/operation
+   */
+  select(name, model, operation) {
+    const provider = this.get(name);
+    provider.assertSupports(model, operation);
+    return provider;
+  }
+
+  /**
+   * JSON schema property for choosing a provider per request
+   * @returns {Object|null} Schema property, or null when only one provider is configured
+   */
+  getSchemaProperty() {
+    if (this.providers.size < 2) {
+      return null;
+    }
+    return {
+      type: 'string',
+      enum: this.names(),
+      description: 'Provider backend to route the request to',
+      default: this.defaultName
+    };
+  }
+
+  /**
+   * Describe configured providers for clients
+   * @returns {Object} { default, providers: [{ name, type, models }] }
+   */
+  describe() {
+    return {
+      default: this.defaultName,
+      providers: Array.from(this.providers.values()).map(provider => provider.getCapabilities())
+    };
+  }
+}
+
+/**
+ * Build the provider registry from configuration
+ * @param {Object} config - Provider configuration (see getProviderConfig in utils/config)
+ * @param {string} config.defaultProvider - Provider used when a request does not pick one
+ * @param {Object|null} config.openai - OpenAI options ({ apiKey, baseURL, models })
+ * @param {Object|null} config.azure - Azure options ({ endpoint, apiKey, apiVersion, models })
+ * @param {Object|null} config.local - OpenAI-compatible options ({ baseURL, apiKey, models, operations })
+ * @returns {ProviderRegistry} Registry
+ */
+function createProviderRegistry(config = {}) {
+  const providers = [];
+  for (const [name, Provider] of Object.entries(PROVIDER_TYPES)) {
+    if (config[name]) {
+      providers.push(new Provider(config[name], name));
+      logger.debug(`Configured image provider: ${name}`);
+    }
+  }
+  return new ProviderRegistry(providers, config.defaultProvider);
+}
+
+module.exports = {
+  createProviderRegistry,
+  ProviderRegistry,
+  ProviderError,
+  ImageProvider,
+  OpenAIProvider,
+  AzureOpenAIProvider,
+  OpenAICompatibleProvider,
+  PROVIDER_TYPES
+};
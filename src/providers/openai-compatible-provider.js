@@ -0,0 +1,35 @@
+/**
+ * Provider for any server exposing the OpenAI images API
+ * (e.g. a self-hosted diffusion server). Registry model names are mapped to
+ * the names the server expects through the `models` option.
+ */
+
+const OpenAIProvider = require('./openai-provider');
+
+class OpenAICompatibleProvider extends OpenAIProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.baseURL - Server base URL (e.g. http://localhost:8080/v1)
+   * @param {string} options.apiKey - Optional API key (many local servers ignore it)
+   * @param {Object} options.models - Map of registry model name to the server's model name
+   * @param {Array<string>} options.operations - Operations the server implements (default: generate)
+   * @param {string} name - Provider name (default: 'local')
+   */
+  constructor(options = {}, name = 'local') {
+    if (!options.client && !options.baseURL) {
+      throw new Error(`Provider ${name} requires a baseURL`);
+    }
+    super({ operations: ['generate'], ...options }, name);
+    this.type = 'openai-compatible';
+  }
+
+  /**
+   * @protected
+   */
+  createClient(options) {
+    // The SDK requires an API key even when the server does not check it
+    return super.createClient({ ...options, apiKey: options.apiKey || 'not-needed' });
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
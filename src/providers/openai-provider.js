@@ -0,0 +1,61 @@
+/**
+ * OpenAI image provider (api.openai.com)
+ */
+
+const OpenAI = require('openai');
+const ImageProvider = require('./image-provider');
+
+class OpenAIProvider extends ImageProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - OpenAI API key
+   * @param {string} options.baseURL - Optional API base URL
+   * @param {Object} options.client - Optional pre-built client (for subclasses and tests)
+   * @param {string} name - Provider name (default: 'openai')
+   */
+  constructor(options = {}, name = 'openai') {
+    super(name, options);
+    this.type = 'openai';
+    this.client = options.client || this.createClient(options);
+  }
+
+  /**
+   * Create the SDK client
+   * @param {Object} options - Provider options
+   * @returns {OpenAI} Client
+   * @protected
+   */
+  createClient(options) {
+    // Retries are handled by the shared resilience layer (see utils/resilience)
+    const clientOptions = { apiKey: options.apiKey, maxRetries: 0 };
+    if (options.baseURL) {
+      clientOptions.baseURL = options.baseURL;
+    }
+    return new OpenAI(clientOptions);
+  }
+
+  /**
+   * Replace the registry model name with the provider's model name
+   * @private
+   */
+  withResolvedModel(params) {
+    return { ...params, model: this.resolveModel(params.model) };
+  }
+
+  async generate(params, requestOptions) {
+    this.assertSupports(params.model, 'generate');
+    return this.client.images.generate(this.withResolvedModel(params), requestOptions);
+  }
+
+  async edit(params, requestOptions) {
+    this.assertSupports(params.model, 'edit');
+    return this.client.images.edit(this.withResolvedModel(params), requestOptions);
+  }
+
+  async createVariation(params, requestOptions) {
+    this.assertSupports(params.model, 'variation');
+    return this.client.images.createVariation(this.withResolvedModel(params), requestOptions);
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,149 @@
+/**
+ * Batch generation from a prompt template
+ * A batch is a template, its variable values and generation parameters shared
+ * by every prompt (see utils/prompt-templates). Each expanded prompt is
+ * validated on its own, and runs one after another; one failing prompt does
+ * not stop the rest, so the result reports every prompt separately.
+ */
+
+const logger = require('./logger');
+const { expandTemplate } = require('./prompt-templates');
+const { validateImageGenerationParams, ValidationError, VALIDATION_RULES } = require('./validation');
+
+/**
+ * Stand-in prompt used to check the shared parameters once for the whole batch
+ */
+const SHARED_PARAMS_PROMPT = 'batch';
+
+/**
+ * Expand and validate a batch request
+ * Invalid shared parameters or variables reject the whole batch; a prompt that
+ * fails validation (for example, too long for the model) is kept as a failed
+ * item so the others still run.
+ * @param {Object} params - { template, variables, mode, preset, ...generation parameters }
+ * @param {Object} options - Options
+ * @param {PresetRegistry} options.presets - Presets for the preset parameter (optional)
+ * @returns {Object} { mode, items: [{ index, prompt, variables, params } or { index, prompt, variables, error, field }] }
+ * @throws {ValidationError} If the template, variables or shared parameters are invalid
+ */
+function prepareBatch(params = {}, options = {}) {
+  const { template, variables, mode = VALIDATION_RULES.batch.defaultMode, ...shared } = params;
+  const expanded = expandTemplate(template, variables || {}, mode);
+
+  const merged = options.presets ? options.presets.apply(shared) : shared;
+  validateImageGenerationParams({ ...merged, prompt: SHARED_PARAMS_PROMPT });
+
+  const items = expanded.map((item, index) => {
+    try {
+      return { index, ...item, params: validateImageGenerationParams({ ...merged, prompt: item.prompt }) };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return { index, ...item, error: error.message, field: error.field };
+      }
+      throw error;
+    }
+  });
+
+  return { mode, items };
+}
+
+/**
+ * Generate every prompt of a prepared batch, one at a time
+ * @param {OpenAIImageGenMCP} imageGen - Image generator
+ * @param {Object} batch - Batch from prepareBatch
+ * @param {Object} options - Run options
+ * @param {AbortSignal} options.signal - Cancels the batch; remaining prompts are not generated
+ * @param {Function} options.onProgress - Called with { stage, message } after each prompt
+ * @param {string} options.requester - Recorded in the image history (e.g. mcp, cli)
+ * @returns {Promise<Object>} { total, succeeded, failed, items: [{ index, prompt, variables, success, images | error, field }] }
+ * @throws {Error} AbortError if the batch is cancelled
+ */
+async function runBatch(imageGen, batch, options = {}) {
+  const { signal, onProgress, requester } = options;
+  const total = batch.items.length;
+  const items = [];
+
+  for (const item of batch.items) {
+    const { index, prompt, variables } = item;
+    let result;
+    if (item.error) {
+      result = { index, prompt, variables, success: false, error: item.error, field: item.field };
+    } else {
+      const startTime = Date.now();
+      try {
+        const generateOptions = { ...item.params, signal, requester };
+        const images = item.params.save !== false
+          ? await imageGen.generateAndSaveImage(prompt, generateOptions)
+          : await imageGen.generateImage(prompt, generateOptions);
+        result = { index, prompt, variables, success: true, images, durationMs: Date.now() - startTime };
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw error;
+        }
+        logger.warn(`Batch prompt ${index + 1} of ${total} failed: ${error.message}`);
+        result = { index, prompt, variables, success: false, error: error.message, durationMs: Date.now() - startTime };
+        if (error.field) {
+          result.field = error.field;
+        }
+      }
+    }
+    items.push(result);
+
+    if (typeof onProgress === 'function') {
+      try {
+        onProgress({ stage: 'item', message: `Prompt ${items.length} of ${total} ${result.success ? 'done' : 'failed'}` });
+      } catch (error) {
+        logger.debug(`Progress callback failed: ${error.message}`);
+      }
+    }
+  }
+
+  const succeeded = items.filter(item => item.success).length;
+  return { total, succeeded, failed: total - succeeded, items };
+}
+
+/**
+ * JSON schema for the generate_batch tool
+ * @param {Object} generateSchema - generate_image input schema (the shared parameters)
+ * @returns {Object} JSON schema
+ */
+function buildBatchSchema(generateSchema) {
+  const rules = VALIDATION_RULES.batch;
+  // Every other generate_image parameter applies to all prompts
+  const shared = { ...generateSchema.properties };
+  delete shared.prompt;
+  delete shared.include_image;
+  return {
+    type: 'object',
+    properties: {
+      template: {
+        type: 'string',
+        description: 'Prompt template; {{name}} inserts a variable and {{name|default}} gives it a default, e.g. "A {{color}} {{animal}} in {{style|watercolor}} style"'
+      },
+      variables: {
+        type: 'object',
+        description: 'Values per template variable: a single value or a list of values',
+        additionalProperties: {
+          oneOf: [
+            { type: ['string', 'number'] },
+            { type: 'array', items: { type: ['string', 'number'] }, minItems: 1 }
+          ]
+        }
+      },
+      mode: {
+        type: 'string',
+        enum: rules.modes,
+        default: rules.defaultMode,
+        description: `product generates every combination of the lists, zip pairs the lists by position (up to ${rules.maxItems} prompts)`
+      },
+      ...shared
+    },
+    required: ['template']
+  };
+}
+
+module.exports = {
+  prepareBatch,
+  runBatch,
+  buildBatchSchema
+};
@@ -0,0 +1,577 @@
+/**
+ * Spending budgets
+ * Daily and monthly caps in USD, on all spend together (global) and on each
+ * caller's spend (by requester). A request's estimated cost (see utils/pricing)
+ * is reserved before the provider is called, and the request is rejected if it
+ * would take any budget past its limit; once the images arrive the reservation
+ * is replaced by their cost. Crossing a warning threshold is logged and
+ * counted once per budget and period. Spend and requests in flight are kept in
+ * a JSON state file so they survive restarts and count across every process
+ * sharing it (the server, job workers, cli.js): reservations are checked and
+ * recorded, and spend is added, under a lock on the file. Periods follow
+ * UTC: daily budgets reset at midnight, monthly budgets on the first of the
+ * month.
+ */
+
+const crypto = require('crypto');
+const fsPromises = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const logger = require('./logger');
+const { metrics } = require('./metrics');
+const { roundCost, formatCost } = require('./pricing');
+
+/**
+ * Budget periods
+ */
+const PERIODS = ['daily', 'monthly'];
+
+/**
+ * Requester used for calls that did not say who made them
+ */
+const UNKNOWN_CALLER = 'unknown';
+
+/**
+ * How long a save waits for another process's lock on the state file,
+ * and how old a lock must be to count as left behind by a crashed process
+ */
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_RETRY_MS = 20;
+const STALE_LOCK_MS = 30000;
+
+/**
+ * Reservations older than this are dropped even if their process still runs
+ * (a request that never settled), so they cannot hold a budget forever
+ */
+const RESERVATION_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Process that owns the reservations made here
+ */
+const OWNER = { host: os.hostname(), pid: process.pid };
+
+/**
+ * Key of the period containing a date (2026-10-19 or 2026-10)
+ * @param {string} period - daily or monthly
+ * @param {Date} now - Date (default: now)
+ * @returns {string} Period key
+ */
+function getPeriodKey(period, now = new Date()) {
+  const iso = now.toISOString();
+  return period === 'daily' ? iso.slice(0, 10) : iso.slice(0, 7);
+}
+
+/**
+ * When the period containing a date ends
+ * @param {string} period - daily or monthly
+ * @param {Date} now - Date (default: now)
+ * @returns {Date} Start of the next period
+ */
+function getPeriodEnd(period, now = new Date()) {
+  return period === 'daily'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+/**
+ * Describe a budget for messages (e.g. "Daily spending budget for cli")
+ * @private
+ */
+function describeBudget(period, caller) {
+  const name = `${period.charAt(0).toUpperCase()}${period.slice(1)} spending budget`;
+  return caller ? `${name} for ${caller}` : name;
+}
+
+/**
+ * Add two spend maps ({ budgetName: usd })
+ * @private
+ */
+function addSpend(a = {}, b = {}) {
+  const sum = { ...a };
+  for (const [name, cost] of Object.entries(b)) {
+    sum[name] = roundCost((sum[name] || 0) + cost);
+  }
+  return sum;
+}
+
+/**
+ * Keep the highest warning threshold of two warned maps
+ * @private
+ */
+function maxWarned(a = {}, b = {}) {
+  const merged = { ...a };
+  for (const [name, threshold] of Object.entries(b)) {
+    merged[name] = Math.max(merged[name] || 0, threshold);
+  }
+  return merged;
+}
+
+/**
+ * Whether a saved reservation still counts: not expired, and not left by a
+ * process on this host that has exited
+ * @private
+ */
+function isLive(reservation, now = Date.now()) {
+  if (!reservation || !Array.isArray(reservation.budgets) || now - Date.parse(reservation.createdAt) > RESERVATION_TTL_MS) {
+    return false;
+  }
+  const owner = reservation.owner || {};
+  if (owner.host !== OWNER.host || owner.pid === OWNER.pid) {
+    return true;
+  }
+  try {
+    process.kill(owner.pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Error thrown when a request would exceed a budget
+ */
+class BudgetExceededError extends Error {
+  /**
+   * @param {Object} details - { scope, caller, period, limit, spent, estimate, resetsAt }
+   */
+  constructor(details) {
+    super(`${describeBudget(details.period, details.caller)} exceeded: ${formatCost(details.spent)} of ${formatCost(details.limit)} ` +
+      `spent and this request is estimated at ${formatCost(details.estimate)}; it resets at ${details.resetsAt}`);
+    this.name = 'BudgetExceededError';
+    this.code = 'EBUDGET';
+    this.details = details;
+    this.retryInMs = Math.max(0, Date.parse(details.resetsAt) - Date.now());
+  }
+}
+
+/**
+ * Error thrown when budgets are set and a request has no price to reserve
+ */
+class UnpricedRequestError extends Error {
+  /**
+   * @param {Object} details - { model, size, quality }
+   */
+  constructor(details) {
+    super(`No price is known for ${details.model} at size ${details.size || 'default'} and quality ${details.quality || 'default'}, ` +
+      'so it cannot be checked against the spending budgets; set BUDGET_UNPRICED_USD to charge such requests a fallback price per image');
+    this.name = 'UnpricedRequestError';
+    this.code = 'EUNPRICED';
+    this.details = details;
+  }
+}
+
+class BudgetTracker {
+  /**
+   * @param {Object} options - Budget options (see getBudgetConfig)
+   * @param {Object} options.limits - USD limits: { global: { daily, monthly }, caller: { daily, monthly } } (null for none)
+   * @param {Array<number>} options.warnPercents - Percentages of a limit that log a warning (default: 80)
+   * @param {number} options.unpricedPrice - USD charged per image the pricing table has no price for (null rejects such requests)
+   * @param {string} options.stateFile - JSON file the spend is kept in (optional; in memory without it)
+   * @param {number} options.lockTimeoutMs - How long to wait for the state file lock (default: 5s)
+   */
+  constructor(options = {}) {
+    this.limits = {
+      global: { daily: null, monthly: null, ...(options.limits && options.limits.global) },
+      caller: { daily: null, monthly: null, ...(options.limits && options.limits.caller) }
+    };
+    this.warnPercents = [...(options.warnPercents || [80])].sort((a, b) => a - b);
+    this.unpricedPrice = options.unpricedPrice ?? null;
+    this.stateFile = options.stateFile || null;
+    this.lockTimeoutMs = options.lockTimeoutMs || LOCK_TIMEOUT_MS;
+    this.state = {};
+    // Spend settled by this process and not yet written to the state file
+    this.unsaved = {};
+    this.rollover();
+    // Requests in flight (of every process sharing the state file), by reservation id
+    this.reservations = new Map();
+    // Reservations this process settled or released that are still in the state file
+    this.released = new Set();
+    this.loadedVersion = null;
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Restore the spend and reservations from the state file, unless the file
+   * is unchanged since the last read
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.stateFile) {
+      return Promise.resolve();
+    }
+    // Read between writes, so a save in progress is not counted twice
+    const read = this.writes.then(async () => {
+      let saved;
+      try {
+        const stats = await fsPromises.stat(this.stateFile);
+        const version = `${stats.mtimeMs}:${stats.size}`;
+        if (version === this.loadedVersion) {
+          return;
+        }
+        saved = JSON.parse(await fsPromises.readFile(this.stateFile, 'utf8'));
+        this.loadedVersion = version;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn(`Ignoring unreadable budget state ${this.stateFile}: ${error.message}`);
+        }
+        return;
+      }
+      this.applySaved(saved);
+    });
+    this.writes = read.catch(() => {});
+    return read;
+  }
+
+  /**
+   * Take the spend and reservations from saved state, plus this process's
+   * changes that are not in it yet
+   * @private
+   */
+  applySaved(saved) {
+    this.rollover();
+    for (const period of PERIODS) {
+      const { key, warned } = this.state[period];
+      const entry = saved && saved[period] && saved[period].key === key ? saved[period] : {};
+      this.state[period] = {
+        key,
+        spent: addSpend(entry.spent, this.unsaved[period].spent),
+        warned: maxWarned(entry.warned, warned)
+      };
+    }
+
+    const now = Date.now();
+    this.reservations = new Map(Object.entries((saved && saved.reservations) || {})
+      .filter(([id, reservation]) => !this.released.has(id) && isLive(reservation, now)));
+    this.updateGauges();
+  }
+
+  /**
+   * Start new periods once the current ones have ended
+   * @private
+   */
+  rollover(now = new Date()) {
+    for (const period of PERIODS) {
+      const key = getPeriodKey(period, now);
+      if (!this.state[period] || this.state[period].key !== key) {
+        this.state[period] = { key, spent: {}, warned: {} };
+      }
+      if (!this.unsaved[period] || this.unsaved[period].key !== key) {
+        this.unsaved[period] = { key, spent: {} };
+      }
+    }
+  }
+
+  /**
+   * Budgets a caller's request counts against
+   * @private
+   */
+  getBudgets(caller) {
+    const budgets = [{ name: 'global', scope: 'global', caller: null }];
+    if (this.limits.caller.daily || this.limits.caller.monthly) {
+      const name = caller || UNKNOWN_CALLER;
+      budgets.push({ name: `caller:${name}`, scope: 'caller', caller: name });
+    }
+    return budgets;
+  }
+
+  /**
+   * Estimated cost of the requests in flight against a budget
+   * @private
+   */
+  getPending(name) {
+    let pending = 0;
+    for (const reservation of this.reservations.values()) {
+      if (reservation.budgets.includes(name)) {
+        pending += reservation.estimate;
+      }
+    }
+    return roundCost(pending);
+  }
+
+  /**
+   * Reserve a request's estimated cost
+   * With a state file, the check and the reservation happen under the file's
+   * lock against every process's spend and requests in flight, so processes
+   * sharing the file cannot together go over a limit.
+   * @param {number} estimate - Estimated USD cost of the request
+   * @param {string} caller - Requester (e.g. cli, mcp, http:127.0.0.1)
+   * @returns {Promise<Object>} Reservation to settle or release
+   * @throws {BudgetExceededError} If the request would exceed a budget
+   * @throws {Error} If the state file cannot be locked, read or written
+   */
+  async reserve(estimate, caller) {
+    if (!this.stateFile) {
+      return this.addReservation(estimate, caller);
+    }
+    return this.update(() => this.addReservation(estimate, caller));
+  }
+
+  /**
+   * Check a request against the budgets and record its reservation
+   * @private
+   */
+  addReservation(estimate, caller) {
+    const now = new Date();
+    this.rollover(now);
+    const budgets = this.getBudgets(caller);
+
+    for (const budget of budgets) {
+      for (const period of PERIODS) {
+        const limit = this.limits[budget.scope][period];
+        if (!limit) {
+          continue;
+        }
+        const spent = roundCost((this.state[period].spent[budget.name] || 0) + this.getPending(budget.name));
+        if (roundCost(spent + estimate) > limit) {
+          metrics.incrementCounter('budget_rejections_total', 1, { scope: budget.scope, period });
+          throw new BudgetExceededError({
+            scope: budget.scope,
+            caller: budget.caller,
+            period,
+            limit,
+            spent,
+            estimate,
+            resetsAt: getPeriodEnd(period, now).toISOString()
+          });
+        }
+      }
+    }
+
+    const id = crypto.randomUUID();
+    this.reservations.set(id, {
+      owner: OWNER,
+      estimate,
+      budgets: budgets.map(budget => budget.name),
+      createdAt: now.toISOString()
+    });
+    return { id, estimate, budgets };
+  }
+
+  /**
+   * Drop a reservation without spending it (the request failed)
+   * @param {Object} reservation - Reservation from reserve
+   * @returns {Promise<void>} Resolves once the state file is written
+   */
+  release(reservation) {
+    this.reservations.delete(reservation.id);
+    if (!this.stateFile) {
+      return Promise.resolve();
+    }
+    this.released.add(reservation.id);
+    return this.save();
+  }
+
+  /**
+   * Replace a reservation with the request's cost and save the spend
+   * @param {Object} reservation - Reservation from reserve
+   * @param {number} cost - USD cost of the images produced
+   * @returns {Promise<void>} Resolves once the state file is written
+   */
+  settle(reservation, cost) {
+    this.reservations.delete(reservation.id);
+    if (this.stateFile) {
+      this.released.add(reservation.id);
+    }
+    this.rollover();
+    for (const period of PERIODS) {
+      const { spent } = this.state[period];
+      const unsaved = this.unsaved[period].spent;
+      for (const budget of reservation.budgets) {
+        spent[budget.name] = roundCost((spent[budget.name] || 0) + cost);
+        if (this.stateFile) {
+          unsaved[budget.name] = roundCost((unsaved[budget.name] || 0) + cost);
+        }
+        this.checkThresholds(budget, period);
+      }
+    }
+    this.updateGauges();
+    return this.save();
+  }
+
+  /**
+   * Warn once per period when a budget's spend crosses a threshold
+   * @private
+   */
+  checkThresholds(budget, period) {
+    const limit = this.limits[budget.scope][period];
+    if (!limit) {
+      return;
+    }
+    const { spent, warned } = this.state[period];
+    const percent = (spent[budget.name] / limit) * 100;
+    const crossed = this.warnPercents.filter(threshold => percent >= threshold).pop();
+    if (crossed === undefined || (warned[budget.name] || 0) >= crossed) {
+      return;
+    }
+
+    warned[budget.name] = crossed;
+    logger.warn(`${describeBudget(period, budget.caller)} is ${Math.floor(percent)}% used ` +
+      `(${formatCost(spent[budget.name])} of ${formatCost(limit)})`);
+    metrics.incrementCounter('budget_warnings_total', 1, { scope: budget.scope, period, threshold: String(crossed) });
+  }
+
+  /**
+   * Publish the global budgets' spend as gauges
+   * @private
+   */
+  updateGauges() {
+    for (const period of PERIODS) {
+      metrics.setGauge('budget_spent_usd', this.state[period].spent.global || 0, { scope: 'global', period });
+    }
+  }
+
+  /**
+   * Take the lock on the state file, waiting for another process to release it
+   * @returns {Promise<string>} Lock file path
+   * @private
+   */
+  async acquireLock() {
+    const lockPath = `${this.stateFile}.lock`;
+    const deadline = Date.now() + this.lockTimeoutMs;
+    for (;;) {
+      try {
+        await (await fsPromises.open(lockPath, 'wx')).close();
+        return lockPath;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      const stats = await fsPromises.stat(lockPath).catch(() => null);
+      if (stats && Date.now() - stats.mtimeMs > STALE_LOCK_MS) {
+        logger.warn(`Removing stale budget state lock ${lockPath}`);
+        await fsPromises.rm(lockPath, { force: true });
+      } else if (Date.now() >= deadline) {
+        throw new Error(`timed out waiting for ${lockPath}`);
+      } else {
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+    }
+  }
+
+  /**
+   * Read the state file, apply a change and write it back, under the lock
+   * shared with other processes using the file (one update at a time)
+   * The file gets this process's unsaved spend added and its settled and
+   * released reservations removed.
+   * @param {Function} change - Called with the file's state loaded; its result is returned (optional)
+   * @returns {Promise<*>} The change's result
+   * @private
+   */
+  update(change) {
+    const run = this.writes.then(async () => {
+      await fsPromises.mkdir(path.dirname(path.resolve(this.stateFile)), { recursive: true });
+      const lockPath = await this.acquireLock();
+      try {
+        let saved = {};
+        try {
+          saved = JSON.parse(await fsPromises.readFile(this.stateFile, 'utf8')) || {};
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            logger.warn(`Replacing unreadable budget state ${this.stateFile}: ${error.message}`);
+          }
+        }
+        this.applySaved(saved);
+        const result = change ? change() : undefined;
+
+        const written = {};
+        const data = {};
+        for (const period of PERIODS) {
+          const { key, spent, warned } = this.state[period];
+          written[period] = { ...this.unsaved[period].spent };
+          data[period] = { key, spent: { ...spent }, warned: { ...warned } };
+        }
+        const released = [...this.released];
+        data.reservations = Object.fromEntries(this.reservations);
+
+        const tempPath = `${this.stateFile}.tmp`;
+        await fsPromises.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await fsPromises.rename(tempPath, this.stateFile);
+
+        for (const period of PERIODS) {
+          const unsaved = this.unsaved[period];
+          if (unsaved.key !== data[period].key) {
+            continue;
+          }
+          for (const [name, cost] of Object.entries(written[period])) {
+            const left = roundCost((unsaved.spent[name] || 0) - cost);
+            if (left > 0) {
+              unsaved.spent[name] = left;
+            } else {
+              delete unsaved.spent[name];
+            }
+          }
+        }
+        for (const id of released) {
+          this.released.delete(id);
+        }
+        this.loadedVersion = null;
+        return result;
+      } finally {
+        await fsPromises.rm(lockPath, { force: true });
+      }
+    });
+    this.writes = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Write this process's unsaved spend and finished reservations to the state file
+   * A failed write is logged; the spend stays counted in memory and is added
+   * by the next update.
+   * @returns {Promise<void>}
+   */
+  save() {
+    if (!this.stateFile) {
+      return Promise.resolve();
+    }
+    return this.update().catch(error => {
+      logger.warn(`Could not save budget state to ${this.stateFile}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Describe every budget with its spend in the current periods
+   * @returns {Array<Object>} Budgets as { scope, caller, period, periodKey, limit, spent, pending, remaining, resetsAt }
+   */
+  getStatus() {
+    const now = new Date();
+    this.rollover(now);
+    const status = [];
+    for (const period of PERIODS) {
+      const { key, spent } = this.state[period];
+      const reserved = [...this.reservations.values()].flatMap(reservation => reservation.budgets);
+      const names = new Set(['global', ...Object.keys(spent), ...reserved]);
+      for (const name of names) {
+        const scope = name === 'global' ? 'global' : 'caller';
+        const limit = this.limits[scope][period];
+        if (!limit) {
+          continue;
+        }
+        const used = spent[name] || 0;
+        status.push({
+          scope,
+          caller: scope === 'caller' ? name.slice('caller:'.length) : null,
+          period,
+          periodKey: key,
+          limit,
+          spent: used,
+          pending: this.getPending(name),
+          remaining: roundCost(Math.max(0, limit - used)),
+          resetsAt: getPeriodEnd(period, now).toISOString()
+        });
+      }
+    }
+    return status;
+  }
+}
+
+module.exports = {
+  BudgetTracker,
+  BudgetExceededError,
+  UnpricedRequestError,
+  getPeriodKey,
+  getPeriodEnd
+};
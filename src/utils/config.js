@@ -3,6 +3,8 @@
  */
 
 const logger = require('./logger');
+const { loadPresetDefinitions } = require('./presets');
+const { DEFAULT_TOKEN_STORE_FILE } = require('./token-store');
 
 /**
  * Validate that a required environment variable is set
@@ -29,6 +31,190 @@ function getEnvVar(varName, defaultValue) {
   return process.env[varName] || defaultValue;
 }
 
+/**
+ * Parse a comma-separated list
+ * @param {string} value - e.g. "generate, edit"
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a model map such as "dall-e-3=images-prod,gpt-image-1=gpt-image"
+ * Entries without "=" map the model to itself.
+ * @param {string} value - Comma-separated model=name pairs
+ * @returns {Object} { registryModel: providerModel }
+ */
+function parseModelMap(value) {
+  const models = {};
+  for (const entry of parseList(value)) {
+    const [model, target] = entry.split('=').map(part => part.trim());
+    models[model] = target || model;
+  }
+  return models;
+}
+
+/**
+ * Read image provider settings from the environment
+ * A provider is configured when its endpoint/key variables are set.
+ * @returns {Object} { defaultProvider, openai, azure, local } (unconfigured providers are null)
+ */
+function getProviderConfig() {
+  const defaultProvider = getEnvVar('IMAGE_PROVIDER', 'openai');
+
+  return {
+    defaultProvider,
+    openai: process.env.OPENAI_API_KEY || defaultProvider === 'openai'
+      ? {
+        apiKey: process.env.OPENAI_API_KEY,
+        baseURL: process.env.OPENAI_BASE_URL
+      }
+      : null,
+    azure: process.env.AZURE_OPENAI_ENDPOINT
+      ? {
+        endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+        apiKey: process.env.AZURE_OPENAI_API_KEY,
+        apiVersion: getEnvVar('AZURE_OPENAI_API_VERSION', '2025-04-01-preview'),
+        models: parseModelMap(process.env.AZURE_OPENAI_DEPLOYMENTS)
+      }
+      : null,
+    local: process.env.LOCAL_IMAGE_BASE_URL
+      ? {
+        baseURL: process.env.LOCAL_IMAGE_BASE_URL,
+        apiKey: process.env.LOCAL_IMAGE_API_KEY,
+        models: parseModelMap(process.env.LOCAL_IMAGE_MODELS),
+        operations: parseList(getEnvVar('LOCAL_IMAGE_OPERATIONS', 'generate'))
+      }
+      : null
+  };
+}
+
+/**
+ * Read retry and circuit breaker settings for upstream calls from the environment
+ * @returns {Object} { retries, baseDelayMs, maxDelayMs, failureThreshold, resetTimeoutMs }
+ */
+function getResilienceConfig() {
+  return {
+    retries: parseInt(getEnvVar('UPSTREAM_MAX_RETRIES', '3'), 10),
+    baseDelayMs: parseInt(getEnvVar('UPSTREAM_RETRY_BASE_DELAY_MS', '500'), 10),
+    maxDelayMs: parseInt(getEnvVar('UPSTREAM_RETRY_MAX_DELAY_MS', '20000'), 10),
+    failureThreshold: parseInt(getEnvVar('CIRCUIT_BREAKER_THRESHOLD', '5'), 10),
+    resetTimeoutMs: parseInt(getEnvVar('CIRCUIT_BREAKER_RESET_MS', '30000'), 10)
+  };
+}
+
+/**
+ * Read prompt-result cache settings from the environment
+ * @returns {Object} { enabled, ttlMs, maxEntries }
+ */
+function getPromptCacheConfig() {
+  return {
+    enabled: getEnvVar('PROMPT_CACHE_ENABLED', 'false') === 'true',
+    ttlMs: parseInt(getEnvVar('PROMPT_CACHE_TTL_MINUTES', '1440'), 10) * 60 * 1000,
+    maxEntries: parseInt(getEnvVar('PROMPT_CACHE_MAX_ENTRIES', '500'), 10)
+  };
+}
+
+/**
+ * Read spend ledger settings from the environment
+ * @returns {Object} { file } JSON Lines file every generation's estimated cost is appended to
+ */
+function getSpendLedgerConfig() {
+  return {
+    file: getEnvVar('SPEND_LEDGER_FILE', './data/spend.jsonl')
+  };
+}
+
+/**
+ * Read an optional amount in USD from the environment
+ * @param {string} name - Variable name
+ * @param {Object} options - { allowZero: accept 0 (default: false) }
+ * @returns {number|null} Amount, or null when unset
+ * @throws {Error} If the value is not a positive number (or zero, when allowed)
+ */
+function getAmountEnvVar(name, options = {}) {
+  const value = getEnvVar(name, '');
+  if (value === '') {
+    return null;
+  }
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0 || (amount === 0 && !options.allowZero)) {
+    throw new Error(`Invalid ${name} "${value}": expected a ${options.allowZero ? 'non-negative' : 'positive'} amount in USD`);
+  }
+  return amount;
+}
+
+/**
+ * Read spending budget settings from the environment
+ * Budgets are enabled when any limit is set.
+ * @returns {Object} { enabled, limits: { global: { daily, monthly }, caller: { daily, monthly } }, warnPercents, unpricedPrice, stateFile }
+ * @throws {Error} If a limit or warning threshold is invalid
+ */
+function getBudgetConfig() {
+  const limits = {
+    global: {
+      daily: getAmountEnvVar('BUDGET_DAILY_USD'),
+      monthly: getAmountEnvVar('BUDGET_MONTHLY_USD')
+    },
+    caller: {
+      daily: getAmountEnvVar('BUDGET_CALLER_DAILY_USD'),
+      monthly: getAmountEnvVar('BUDGET_CALLER_MONTHLY_USD')
+    }
+  };
+
+  const warnPercents = getEnvVar('BUDGET_WARN_PERCENT', '80')
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean)
+    .map(value => {
+      const percent = Number(value);
+      if (!Number.isFinite(percent) || percent <= 0 || percent > 100) {
+        throw new Error(`Invalid BUDGET_WARN_PERCENT "${value}": expected percentages between 1 and 100`);
+      }
+      return percent;
+    });
+
+  return {
+    enabled: Object.values(limits).some(scope => scope.daily !== null || scope.monthly !== null),
+    limits,
+    warnPercents,
+    // Per-image charge for requests the pricing table has no price for (null rejects them; 0 lets free models run)
+    unpricedPrice: getAmountEnvVar('BUDGET_UNPRICED_USD', { allowZero: true }),
+    stateFile: getEnvVar('BUDGET_STATE_FILE', './data/budget.json')
+  };
+}
+
+/**
+ * Check that the default provider has the settings it needs
+ * @param {Object} providers - Result of getProviderConfig()
+ * @throws {Error} If the default provider is unknown or incomplete
+ */
+function validateProviderConfig(providers) {
+  const required = {
+    azure: ['AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_DEPLOYMENTS'],
+    local: ['LOCAL_IMAGE_BASE_URL']
+  };
+
+  if (!['openai', ...Object.keys(required)].includes(providers.defaultProvider)) {
+    throw new Error(
+      `Invalid IMAGE_PROVIDER "${providers.defaultProvider}". Must be one of: openai, azure, local`
+    );
+  }
+
+  for (const [name, varNames] of Object.entries(required)) {
+    if (providers.defaultProvider !== name && !providers[name]) {
+      continue;
+    }
+    for (const varName of varNames) {
+      requireEnvVar(varName, `required for the ${name} image provider`);
+    }
+  }
+}
+
 /**
  * Validate OpenAI API key format
  * @param {string} apiKey - The API key to validate
@@ -120,18 +306,23 @@ async function validateConfig(options = {}) {
   logger.info('Validating configuration...');
 
   try {
-    // Check for required environment variables
-    const apiKey = requireEnvVar('OPENAI_API_KEY', 'OpenAI API key for DALL-E access');
+    const providers = getProviderConfig();
+    validateProviderConfig(providers);
+
+    // The OpenAI key is only required when OpenAI is the default provider
+    const apiKey = providers.defaultProvider === 'openai'
+      ? requireEnvVar('OPENAI_API_KEY', 'OpenAI API key for DALL-E access')
+      : process.env.OPENAI_API_KEY;
 
     // Validate API key format
-    if (!isValidOpenAIKeyFormat(apiKey)) {
+    if (apiKey && !isValidOpenAIKeyFormat(apiKey)) {
       throw new Error(
         'Invalid OPENAI_API_KEY format. OpenAI keys should start with "sk-" or "sk-proj-"'
       );
     }
 
     // Optionally validate API key by making a test call
-    if (validateApiKey) {
+    if (apiKey && validateApiKey) {
       logger.info('Validating OpenAI API key...');
       const validation = await validateOpenAIKey(apiKey);
       if (!validation.valid) {
@@ -144,8 +335,14 @@ async function validateConfig(options = {}) {
     // Get optional configuration
     const config = {
       apiKey,
+      providers,
+      resilience: getResilienceConfig(),
+      promptCache: getPromptCacheConfig(),
+      budget: getBudgetConfig(),
+      presets: loadPresetDefinitions(),
       port: parseInt(getEnvVar('PORT', '3010'), 10),
       authToken: process.env.MCP_AUTH_TOKEN,
+      tokenStoreFile: getEnvVar('TOKEN_STORE_FILE', DEFAULT_TOKEN_STORE_FILE),
       outputDir: getEnvVar('OUTPUT_DIR', './generated-images'),
       logLevel: parseInt(getEnvVar('LOG_LEVEL', '2'), 10),
       logToFile: getEnvVar('LOG_TO_FILE', 'false') === 'true',
@@ -155,12 +352,31 @@ async function validateConfig(options = {}) {
       imageRetentionDays: parseInt(getEnvVar('IMAGE_RETENTION_DAYS', '7'), 10),
       imageMaxCount: process.env.IMAGE_MAX_COUNT ? parseInt(process.env.IMAGE_MAX_COUNT, 10) : null,
       imageCleanupEnabled: getEnvVar('IMAGE_CLEANUP_ENABLED', 'false') === 'true',
-      imageCleanupIntervalHours: parseInt(getEnvVar('IMAGE_CLEANUP_INTERVAL_HOURS', '24'), 10)
+      imageCleanupIntervalHours: parseInt(getEnvVar('IMAGE_CLEANUP_INTERVAL_HOURS', '24'), 10),
+      // Streamable HTTP MCP transport settings
+      mcpAllowedOrigins: getEnvVar('MCP_ALLOWED_ORIGINS', '')
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(Boolean),
+      mcpSessionTtlMinutes: parseInt(getEnvVar('MCP_SESSION_TTL_MINUTES', '30'), 10),
+      mcpMaxSessions: parseInt(getEnvVar('MCP_MAX_SESSIONS', '100'), 10),
+      // Asynchronous job settings
+      jobConcurrency: parseInt(getEnvVar('JOB_CONCURRENCY', '2'), 10),
+      jobStoreDir: getEnvVar('JOB_STORE_DIR', './data/jobs'),
+      jobRetentionDays: parseInt(getEnvVar('JOB_RETENTION_DAYS', '7'), 10),
+      // Webhook callbacks (enabled when a signing secret is set)
+      webhookSecret: process.env.WEBHOOK_SECRET,
+      webhookMaxRetries: parseInt(getEnvVar('WEBHOOK_MAX_RETRIES', '5'), 10),
+      webhookTimeoutMs: parseInt(getEnvVar('WEBHOOK_TIMEOUT_MS', '10000'), 10),
+      webhookAllowedHosts: getEnvVar('WEBHOOK_ALLOWED_HOSTS', '')
+        .split(',')
+        .map(host => host.trim())
+        .filter(Boolean)
     };
 
     // Warn about missing optional security settings
     if (!config.authToken) {
-      logger.warn('MCP_AUTH_TOKEN is not set. API will run without authentication.');
+      logger.warn('MCP_AUTH_TOKEN is not set. API will run without authentication unless API tokens are created (cli.js tokens create).');
       logger.warn('This is not recommended for production environments.');
     }
 
@@ -181,6 +397,13 @@ async function validateConfig(options = {}) {
 module.exports = {
   requireEnvVar,
   getEnvVar,
+  parseModelMap,
+  getProviderConfig,
+  getResilienceConfig,
+  getPromptCacheConfig,
+  getBudgetConfig,
+  getSpendLedgerConfig,
+  validateProviderConfig,
   isValidOpenAIKeyFormat,
   validateOpenAIKey,
   validateConfig
@@ -6,6 +6,8 @@
 const fsPromises = require('fs').promises;
 const path = require('path');
 const logger = require('./logger');
+const { ImageHistory, removeSidecar } = require('./image-history');
+const { readNames, removeImage, pruneStore } = require('./image-store');
 
 /**
  * Default retention period (7 days in milliseconds)
@@ -13,9 +15,13 @@ const logger = require('./logger');
 const DEFAULT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
 
 /**
- * Get all image files in a directory
+ * Get all images in a directory
+ * Covers both storage layouts: files directly in the directory, and names of
+ * the content-addressed layout (whose path is the shared stored object, and
+ * whose age counts from when the name was saved).
  * @param {string} directory - Directory to scan
- * @returns {Promise<Array>} Array of file objects with name and stats
+ * @returns {Promise<Array>} Array of file objects with name, path, stats and
+ *   hash (content address; null for flat files)
  */
 async function getImageFiles(directory) {
   try {
@@ -24,13 +30,14 @@ async function getImageFiles(directory) {
 
     for (const file of files) {
       // Only process image files
-      if (/\.(png|jpg|jpeg|gif|webp)$/i.test(file)) {
+      if (/\.(png|jpg|jpeg|gif|webp|avif)$/i.test(file)) {
         const filePath = path.join(directory, file);
         try {
           const stats = await fsPromises.stat(filePath);
           imageFiles.push({
             name: file,
             path: filePath,
+            hash: null,
             size: stats.size,
             created: stats.birthtime,
             modified: stats.mtime,
@@ -42,6 +49,23 @@ async function getImageFiles(directory) {
       }
     }
 
+    for (const name of await readNames(directory)) {
+      try {
+        const stats = await fsPromises.stat(name.objectPath);
+        imageFiles.push({
+          name: name.filename,
+          path: name.objectPath,
+          hash: name.hash,
+          size: stats.size,
+          created: name.modified,
+          modified: name.modified,
+          age: Date.now() - name.modified.getTime()
+        });
+      } catch (statError) {
+        logger.warn(`Could not stat stored image for ${name.filename}: ${statError.message}`);
+      }
+    }
+
     return imageFiles;
   } catch (error) {
     logger.error(`Error reading directory ${directory}:`, error);
@@ -124,18 +148,35 @@ async function cleanupOldImages(directory, options = {}) {
 
     logger.info(`Identified ${filesToDelete.length} files for deletion`);
 
+    // Deduplicated images share stored bytes, which are freed with their last name
+    const references = new Map();
+    for (const file of imageFiles) {
+      if (file.hash) {
+        references.set(file.hash, (references.get(file.hash) || 0) + 1);
+      }
+    }
+
     // Delete the files
     for (const file of filesToDelete) {
       try {
+        let bytesFreed;
         if (!dryRun) {
-          await fsPromises.unlink(file.path);
+          bytesFreed = await removeImage(directory, file, references);
+          // Keep the generation history in step with the images
+          await removeSidecar(directory, file.name);
           logger.debug(`Deleted: ${file.name} (${formatBytes(file.size)}, ${Math.floor(file.age / (24 * 60 * 60 * 1000))} days old)`);
         } else {
+          bytesFreed = !file.hash || references.get(file.hash) === 1;
+          if (file.hash) {
+            references.set(file.hash, references.get(file.hash) - 1);
+          }
           logger.debug(`[DRY RUN] Would delete: ${file.name} (${formatBytes(file.size)}, ${Math.floor(file.age / (24 * 60 * 60 * 1000))} days old)`);
         }
 
         results.filesDeleted++;
-        results.spaceFreed += file.size;
+        if (bytesFreed) {
+          results.spaceFreed += file.size;
+        }
         results.deletedFiles.push({
           name: file.name,
           size: file.size,
@@ -150,6 +191,20 @@ async function cleanupOldImages(directory, options = {}) {
       }
     }
 
+    // Drop history and stored bytes for images removed by other means
+    if (!dryRun) {
+      try {
+        await pruneStore(directory);
+      } catch (error) {
+        logger.warn(`Could not prune image store: ${error.message}`);
+      }
+      try {
+        await new ImageHistory(directory).prune();
+      } catch (error) {
+        logger.warn(`Could not prune image history: ${error.message}`);
+      }
+    }
+
     logger.info(`Cleanup complete: ${results.filesDeleted} files deleted, ${formatBytes(results.spaceFreed)} freed`);
 
     if (results.errors.length > 0) {
@@ -183,7 +238,9 @@ async function getImageStats(directory) {
       };
     }
 
-    const totalSize = imageFiles.reduce((sum, file) => sum + file.size, 0);
+    // Deduplicated images share one stored file, counted once
+    const totalSize = Array.from(new Map(imageFiles.map(file => [file.path, file.size])).values())
+      .reduce((sum, size) => sum + size, 0);
     const totalAge = imageFiles.reduce((sum, file) => sum + file.age, 0);
 
     imageFiles.sort((a, b) => a.modified - b.modified);
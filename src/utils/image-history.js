@@ -0,0 +1,212 @@
+/**
+ * Generation history for saved images
+ * Every saved image gets a JSON sidecar (.history/<filename>.json in the
+ * output directory) recording how it was made: prompt, revised prompt, model,
+ * size, quality, style, requester and duration. The sidecars are the index;
+ * queries scan them, so there is no second copy to fall out of step with the
+ * images. The dot directory is not served by /images or watched for changes.
+ */
+
+const fsPromises = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const { ValidationError } = require('./validation');
+const { resolveImagePath } = require('./image-store');
+
+/**
+ * Sidecar directory inside the output directory
+ */
+const HISTORY_DIRNAME = '.history';
+
+/**
+ * Default number of entries returned by list()
+ */
+const DEFAULT_HISTORY_LIMIT = 50;
+
+/**
+ * Path of the sidecar for an image
+ * @param {string} directory - Output directory
+ * @param {string} filename - Image filename
+ * @returns {string} Sidecar path
+ */
+function getSidecarPath(directory, filename) {
+  return path.join(directory, HISTORY_DIRNAME, `${filename}.json`);
+}
+
+/**
+ * Delete the sidecar for an image (missing sidecars are ignored)
+ * @param {string} directory - Output directory
+ * @param {string} filename - Image filename
+ * @returns {Promise<boolean>} True if a sidecar was deleted
+ */
+async function removeSidecar(directory, filename) {
+  try {
+    await fsPromises.unlink(getSidecarPath(directory, filename));
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+class ImageHistory {
+  /**
+   * @param {string} directory - Output directory holding the images
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * @private
+   */
+  getPath(filename) {
+    // Only plain filenames inside the output directory are addressable
+    if (!filename || filename !== path.basename(filename) || filename.startsWith('.')) {
+      throw new ValidationError(`Invalid image filename: ${filename}`, 'filename');
+    }
+    return getSidecarPath(this.directory, filename);
+  }
+
+  /**
+   * Record metadata for a saved image (atomically, via a temporary file)
+   * @param {string} filePath - Path of the saved image
+   * @param {Object} metadata - Generation metadata (prompt, model, size, ...)
+   * @returns {Promise<Object>} The history entry
+   */
+  async record(filePath, metadata) {
+    const filename = path.basename(filePath);
+    const entry = {
+      filename,
+      ...metadata,
+      createdAt: new Date().toISOString()
+    };
+
+    const sidecarPath = this.getPath(filename);
+    await fsPromises.mkdir(path.dirname(sidecarPath), { recursive: true });
+    const tempPath = `${sidecarPath}.tmp`;
+    await fsPromises.writeFile(tempPath, JSON.stringify(entry, null, 2));
+    await fsPromises.rename(tempPath, sidecarPath);
+    return entry;
+  }
+
+  /**
+   * Look up the history entry for an image
+   * @param {string} filename - Image filename
+   * @returns {Promise<Object|null>} Entry, or null if the image has no history
+   */
+  async get(filename) {
+    try {
+      return JSON.parse(await fsPromises.readFile(this.getPath(filename), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read every entry (unreadable sidecars are skipped)
+   * @returns {Promise<Array<Object>>} Entries, newest first
+   */
+  async loadAll() {
+    let files;
+    try {
+      files = await fsPromises.readdir(path.join(this.directory, HISTORY_DIRNAME));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = [];
+    for (const file of files) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+      try {
+        const entry = JSON.parse(await fsPromises.readFile(path.join(this.directory, HISTORY_DIRNAME, file), 'utf8'));
+        if (!entry || typeof entry.filename !== 'string' || typeof entry.createdAt !== 'string') {
+          throw new Error('missing filename or createdAt');
+        }
+        entries.push(entry);
+      } catch (error) {
+        logger.warn(`Skipping unreadable history file ${file}: ${error.message}`);
+      }
+    }
+
+    return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || a.filename.localeCompare(b.filename));
+  }
+
+  /**
+   * Query the history
+   * @param {Object} filter - Query options
+   * @param {string} filter.q - Case-insensitive text to find in the prompt or revised prompt
+   * @param {string} filter.model - Only entries for this model
+   * @param {string} filter.operation - Only generate, edit or variation entries
+   * @param {string} filter.requester - Only entries from this requester
+   * @param {string} filter.since - Only entries created at or after this ISO date
+   * @param {number} filter.limit - Maximum entries returned (default: 50)
+   * @param {number} filter.offset - Entries to skip (default: 0)
+   * @returns {Promise<Object>} { entries, total }
+   */
+  async list(filter = {}) {
+    const limit = filter.limit || DEFAULT_HISTORY_LIMIT;
+    const offset = filter.offset || 0;
+    const text = filter.q ? String(filter.q).toLowerCase() : null;
+    const since = filter.since ? Date.parse(filter.since) : null;
+
+    const matches = (await this.loadAll()).filter(entry =>
+      (!filter.model || entry.model === filter.model) &&
+      (!filter.operation || entry.operation === filter.operation) &&
+      (!filter.requester || entry.requester === filter.requester) &&
+      (since === null || Date.parse(entry.createdAt) >= since) &&
+      (!text || [entry.prompt, entry.revised_prompt].some(value => value && value.toLowerCase().includes(text))));
+
+    return {
+      entries: matches.slice(offset, offset + limit),
+      total: matches.length
+    };
+  }
+
+  /**
+   * Delete the history entry for an image
+   * @param {string} filename - Image filename
+   * @returns {Promise<boolean>} True if an entry was deleted
+   */
+  remove(filename) {
+    this.getPath(filename);
+    return removeSidecar(this.directory, filename);
+  }
+
+  /**
+   * Delete entries whose image no longer exists
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async prune() {
+    let removed = 0;
+    for (const entry of await this.loadAll()) {
+      if (!(await resolveImagePath(this.directory, entry.filename))) {
+        await this.remove(entry.filename);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      logger.info(`Removed ${removed} history entr${removed === 1 ? 'y' : 'ies'} for deleted images`);
+    }
+    return removed;
+  }
+}
+
+module.exports = {
+  ImageHistory,
+  getSidecarPath,
+  removeSidecar,
+  HISTORY_DIRNAME,
+  DEFAULT_HISTORY_LIMIT
+};
@@ -0,0 +1,161 @@
+/**
+ * Local post-processing of saved images
+ * Providers return a few fixed sizes in PNG (or the gpt-image-1 output
+ * format); postprocess operations turn that into what a site needs without a
+ * network round trip: crop a region, resize with a fit (cover crops to fill),
+ * convert to jpeg/webp/avif at a quality, strip metadata, and derive
+ * thumbnail variants. Operations are validated by validatePostprocess and run
+ * in that order with sharp.
+ */
+
+const sharp = require('sharp');
+const { VALIDATION_RULES } = require('./validation');
+
+/**
+ * Format of the processed image
+ * @param {Object} postprocess - Validated operations
+ * @param {string} sourceFormat - Format the provider returned (default: png)
+ * @returns {string} png, jpeg, webp or avif
+ */
+function getOutputFormat(postprocess, sourceFormat = 'png') {
+  return (postprocess && postprocess.format) || sourceFormat;
+}
+
+/**
+ * Check whether the image itself changes (thumbnails alone leave it untouched)
+ * @param {Object} postprocess - Validated operations
+ * @returns {boolean}
+ */
+function transformsImage(postprocess) {
+  return Boolean(postprocess && (postprocess.crop || postprocess.resize || postprocess.format ||
+    postprocess.quality !== undefined || postprocess.strip));
+}
+
+/**
+ * @private
+ */
+function toResizeOptions(resize) {
+  const options = { fit: resize.fit };
+  if (resize.width !== undefined) {
+    options.width = resize.width;
+  }
+  if (resize.height !== undefined) {
+    options.height = resize.height;
+  }
+  if (resize.position) {
+    options.position = resize.position;
+  }
+  return options;
+}
+
+/**
+ * @private
+ */
+async function encode(pipeline, format, postprocess) {
+  const options = postprocess.quality !== undefined ? { quality: postprocess.quality } : {};
+  if (!postprocess.strip) {
+    pipeline.keepMetadata();
+  }
+  const { data, info } = await pipeline.toFormat(format, options).toBuffer({ resolveWithObject: true });
+  return { data, format, width: info.width, height: info.height };
+}
+
+/**
+ * Apply the crop, resize, conversion and strip operations to an image
+ * @param {Buffer} data - Image data
+ * @param {Object} postprocess - Validated operations
+ * @param {string} sourceFormat - Format of data (default: png)
+ * @returns {Promise<Object>} { data, format, width, height }
+ */
+async function processImage(data, postprocess, sourceFormat = 'png') {
+  const pipeline = sharp(data);
+  if (postprocess.crop) {
+    pipeline.extract(postprocess.crop);
+  }
+  if (postprocess.resize) {
+    pipeline.resize(toResizeOptions(postprocess.resize));
+  }
+  return encode(pipeline, getOutputFormat(postprocess, sourceFormat), postprocess);
+}
+
+/**
+ * Derive a thumbnail from a (processed) image, in the same format and quality
+ * Thumbnails never carry metadata.
+ * @param {Buffer} data - Image data
+ * @param {Object} thumbnail - Validated thumbnail size ({ width, height, fit, position })
+ * @param {Object} postprocess - Validated operations
+ * @param {string} sourceFormat - Format of data (default: png)
+ * @returns {Promise<Object>} { data, format, width, height }
+ */
+async function createThumbnail(data, thumbnail, postprocess, sourceFormat = 'png') {
+  const pipeline = sharp(data).resize(toResizeOptions(thumbnail));
+  return encode(pipeline, getOutputFormat(postprocess, sourceFormat), { quality: postprocess.quality, strip: true });
+}
+
+/**
+ * JSON schema for the postprocess parameter (MCP tool schemas)
+ * @returns {Object} JSON schema
+ */
+function buildPostprocessSchema() {
+  const rules = VALIDATION_RULES.postprocess;
+  const dimension = { type: 'integer', minimum: 1, maximum: rules.maxDimension };
+  const resize = fit => ({
+    type: 'object',
+    properties: {
+      width: dimension,
+      height: dimension,
+      fit: {
+        type: 'string',
+        enum: rules.fits,
+        default: fit,
+        description: 'cover crops to fill both dimensions, contain letterboxes, inside/outside keep the aspect ratio'
+      },
+      position: {
+        type: 'string',
+        enum: rules.positions,
+        description: 'Which part to keep when cover crops (entropy and attention pick the busiest region)'
+      }
+    }
+  });
+
+  return {
+    type: 'object',
+    description: 'Local post-processing of the saved image: crop, then resize, convert and strip metadata; thumbnails are saved alongside',
+    properties: {
+      crop: {
+        type: 'object',
+        description: 'Region to keep, in pixels of the generated image',
+        properties: {
+          left: { type: 'integer', minimum: 0 },
+          top: { type: 'integer', minimum: 0 },
+          width: dimension,
+          height: dimension
+        },
+        required: ['width', 'height']
+      },
+      resize: { ...resize(rules.defaultFit), description: 'Target size (width, height or both)' },
+      format: { type: 'string', enum: rules.formats, description: 'Convert the saved image to this format' },
+      quality: {
+        type: 'integer',
+        minimum: rules.quality.min,
+        maximum: rules.quality.max,
+        description: `Encoder quality (${rules.qualityFormats.join(', ')} output)`
+      },
+      strip: { type: 'boolean', description: 'Remove all metadata, including the embedded provenance' },
+      thumbnails: {
+        type: 'array',
+        maxItems: rules.maxThumbnails,
+        description: 'Thumbnail sizes saved next to the image',
+        items: resize(rules.defaultThumbnailFit)
+      }
+    }
+  };
+}
+
+module.exports = {
+  processImage,
+  createThumbnail,
+  getOutputFormat,
+  transformsImage,
+  buildPostprocessSchema
+};
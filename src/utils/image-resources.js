@@ -0,0 +1,301 @@
+/**
+ * MCP resource helpers for generated images
+ * Exposes files in the output directory as image://generated/<filename> resources,
+ * described with their generation history where it exists
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { getImageFiles } = require('./image-cleanup');
+const { ImageHistory } = require('./image-history');
+const { readImage, NAMES_DIRNAME } = require('./image-store');
+const { ValidationError } = require('./validation');
+
+/**
+ * URI prefix for generated image resources
+ */
+const RESOURCE_URI_PREFIX = 'image://generated/';
+
+/**
+ * Default number of resources returned per resources/list page
+ */
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * MIME types by file extension
+ */
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif'
+};
+
+/**
+ * Resource error class (carries a JSON-RPC error code)
+ */
+class ResourceError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ResourceError';
+    this.code = code;
+  }
+}
+
+/**
+ * Get the MIME type for an image filename
+ * @param {string} filename - Image filename
+ * @returns {string} MIME type (application/octet-stream if unknown)
+ */
+function getMimeType(filename) {
+  return MIME_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Build the resource URI for an image filename
+ * @param {string} filename - Image filename
+ * @returns {string} Resource URI
+ */
+function toResourceUri(filename) {
+  return `${RESOURCE_URI_PREFIX}${encodeURIComponent(filename)}`;
+}
+
+/**
+ * Extract the image filename from a resource URI
+ * @param {string} uri - Resource URI
+ * @returns {string} Image filename
+ * @throws {ResourceError} If the URI is not a generated image resource
+ */
+function parseResourceUri(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith(RESOURCE_URI_PREFIX)) {
+    throw new ResourceError(`Unknown resource URI: ${uri}`, -32602);
+  }
+
+  let filename;
+  try {
+    filename = decodeURIComponent(uri.slice(RESOURCE_URI_PREFIX.length));
+  } catch (error) {
+    throw new ResourceError(`Invalid resource URI: ${uri}`, -32602);
+  }
+
+  // Only plain filenames inside the output directory are addressable
+  if (!filename || filename !== path.basename(filename) || filename === '..') {
+    throw new ResourceError(`Invalid resource URI: ${uri}`, -32602);
+  }
+
+  return filename;
+}
+
+/**
+ * Encode a list offset as an opaque pagination cursor
+ * @private
+ */
+function encodeCursor(offset) {
+  return Buffer.from(String(offset)).toString('base64');
+}
+
+/**
+ * Decode a pagination cursor back into a list offset
+ * @private
+ */
+function decodeCursor(cursor) {
+  const offset = parseInt(Buffer.from(cursor, 'base64').toString('utf8'), 10);
+  if (isNaN(offset) || offset < 0) {
+    throw new ResourceError('Invalid cursor', -32602);
+  }
+  return offset;
+}
+
+/**
+ * Look up an image's history entry without failing the resource request
+ * @private
+ */
+async function readHistoryEntry(history, filename) {
+  try {
+    return await history.get(filename);
+  } catch (error) {
+    logger.warn(`Could not read history for ${filename}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Describe an image from its history entry
+ * @private
+ */
+function describeEntry(entry) {
+  const prompt = entry.prompt ? `: ${entry.prompt}` : '';
+  return `${entry.operation} with ${entry.model}${prompt}`;
+}
+
+/**
+ * List generated images as MCP resources (newest first)
+ * @param {string} directory - Output directory
+ * @param {Object} options - List options
+ * @param {string} options.cursor - Cursor from a previous page
+ * @param {number} options.pageSize - Resources per page (default: 50)
+ * @returns {Promise<Object>} { resources, nextCursor }
+ */
+async function listImageResources(directory, options = {}) {
+  const pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+  const offset = options.cursor ? decodeCursor(options.cursor) : 0;
+
+  const files = await getImageFiles(directory);
+
+  // Sort newest first, then by name so pages are stable
+  files.sort((a, b) => (b.modified - a.modified) || a.name.localeCompare(b.name));
+
+  const page = files.slice(offset, offset + pageSize);
+  const history = new ImageHistory(directory);
+  const resources = [];
+  for (const file of page) {
+    const resource = {
+      uri: toResourceUri(file.name),
+      name: file.name,
+      mimeType: getMimeType(file.name),
+      size: file.size
+    };
+    const entry = await readHistoryEntry(history, file.name);
+    if (entry) {
+      resource.description = describeEntry(entry);
+    }
+    resources.push(resource);
+  }
+  const result = { resources };
+
+  if (offset + pageSize < files.length) {
+    result.nextCursor = encodeCursor(offset + pageSize);
+  }
+
+  return result;
+}
+
+/**
+ * Read a generated image resource
+ * The image's history entry, if any, follows as an application/json content.
+ * @param {string} directory - Output directory
+ * @param {string} uri - Resource URI
+ * @returns {Promise<Object>} { contents: [{ uri, mimeType, blob }, { uri, mimeType, text }?] }
+ * @throws {ResourceError} If the resource does not exist
+ */
+async function readImageResource(directory, uri) {
+  const filename = parseResourceUri(uri);
+
+  let data;
+  try {
+    data = await readImage(directory, filename);
+    if (!data) {
+      throw new ResourceError(`Resource not found: ${uri}`, -32002);
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT' || error instanceof ValidationError) {
+      throw new ResourceError(`Resource not found: ${uri}`, -32002);
+    }
+    throw error;
+  }
+
+  const contents = [
+    {
+      uri,
+      mimeType: getMimeType(filename),
+      blob: data.toString('base64')
+    }
+  ];
+  const entry = await readHistoryEntry(new ImageHistory(directory), filename);
+  if (entry) {
+    contents.push({
+      uri,
+      mimeType: 'application/json',
+      text: JSON.stringify(entry)
+    });
+  }
+
+  return { contents };
+}
+
+/**
+ * Watch the output directory for added, changed and deleted images
+ * Names of the content-addressed layout (.names/<filename>.json) are watched
+ * too, when that directory exists. Events are debounced so a single write
+ * produces one callback.
+ * @param {string} directory - Output directory
+ * @param {Function} onChange - Called with { listChanged, filenames }
+ * @param {Object} options - Watch options
+ * @param {number} options.debounceMs - Debounce delay in milliseconds (default: 250)
+ * @returns {Object} Watcher with close() method
+ */
+function watchImageDirectory(directory, onChange, options = {}) {
+  const debounceMs = options.debounceMs !== undefined ? options.debounceMs : 250;
+  let pending = new Set();
+  let listChanged = false;
+  let timeoutId = null;
+
+  const flush = () => {
+    timeoutId = null;
+    const change = { listChanged, filenames: Array.from(pending) };
+    pending = new Set();
+    listChanged = false;
+
+    try {
+      onChange(change);
+    } catch (error) {
+      logger.error('Error handling image directory change:', error);
+    }
+  };
+
+  const onEvent = (eventType, filename) => {
+    if (!filename || !MIME_TYPES[path.extname(filename).toLowerCase()]) {
+      return;
+    }
+
+    pending.add(filename);
+    if (eventType === 'rename') {
+      listChanged = true;
+    }
+
+    if (!timeoutId) {
+      timeoutId = setTimeout(flush, debounceMs);
+    }
+  };
+
+  const watchers = [fs.watch(directory, onEvent)];
+  const namesDirectory = path.join(directory, NAMES_DIRNAME);
+  if (fs.existsSync(namesDirectory)) {
+    watchers.push(fs.watch(namesDirectory, (eventType, filename) => {
+      // Name files are written via a temporary file and renamed into place
+      if (filename && filename.endsWith('.json')) {
+        onEvent('rename', filename.slice(0, -'.json'.length));
+      }
+    }));
+  }
+
+  for (const watcher of watchers) {
+    watcher.on('error', (error) => {
+      logger.error(`Error watching ${directory}:`, error);
+    });
+  }
+
+  return {
+    close: () => {
+      if (timeoutId) {
+        clearTimeout(timeoutId);
+      }
+      watchers.forEach(watcher => watcher.close());
+    }
+  };
+}
+
+module.exports = {
+  listImageResources,
+  readImageResource,
+  watchImageDirectory,
+  toResourceUri,
+  parseResourceUri,
+  getMimeType,
+  ResourceError,
+  RESOURCE_URI_PREFIX,
+  DEFAULT_PAGE_SIZE
+};
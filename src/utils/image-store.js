@@ -0,0 +1,415 @@
+/**
+ * Storage layouts for saved images
+ * The flat layout (default) writes each image to <outputDir>/<filename>. The
+ * content-addressed layout stores each distinct image once, under its SHA-256
+ * in sharded subdirectories (objects/ab/cd/<sha256>.png), and maps the
+ * friendly filename to it with a small JSON file in .names/<filename>.json.
+ * Objects hold the image without its embedded provenance, which differs on
+ * every save (prompt, timestamp); each name keeps its own provenance in its
+ * mapping, and readImage() puts it back. Saving an image whose pixels are
+ * already stored only adds a name. Friendly filenames stay the public
+ * identifier (/images/<filename>, history, MCP resources) in both layouts,
+ * and images saved under either layout remain readable.
+ */
+
+const crypto = require('crypto');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const { ValidationError } = require('./validation');
+const { computeContentHash, stripProvenance, readProvenance, embedProvenance } = require('./provenance');
+
+/**
+ * Supported layouts
+ */
+const STORAGE_LAYOUTS = ['flat', 'content-addressed'];
+
+/**
+ * Directories of the content-addressed layout inside the output directory
+ */
+const OBJECTS_DIRNAME = 'objects';
+const NAMES_DIRNAME = '.names';
+const STAGING_DIRNAME = '.staging';
+
+/**
+ * Objects younger than this are never pruned (commit() writes the object before its name)
+ */
+const PRUNE_GRACE_MS = 60 * 1000;
+
+/**
+ * Content address of an image: the SHA-256 of its bytes without embedded
+ * provenance, so it matches the provenance contentHash
+ * @param {Buffer} data - Image data
+ * @returns {string} "sha256:<hex>"
+ */
+function getContentAddress(data) {
+  try {
+    return computeContentHash(stripProvenance(data));
+  } catch (error) {
+    // Formats that cannot carry provenance are hashed as they are
+    return computeContentHash(data);
+  }
+}
+
+/**
+ * Split an image into its bytes without provenance and the provenance record
+ * @private
+ */
+function splitProvenance(data) {
+  try {
+    const { provenance } = readProvenance(data);
+    return provenance ? { data: stripProvenance(data), provenance } : { data, provenance: null };
+  } catch (error) {
+    return { data, provenance: null };
+  }
+}
+
+/**
+ * Path of a stored object: objects/<hex[0:2]>/<hex[2:4]>/<hex><extension>
+ * @param {string} directory - Output directory
+ * @param {string} hash - Content address ("sha256:<hex>")
+ * @param {string} extension - File extension including the dot
+ * @returns {string} Object path
+ */
+function getObjectPath(directory, hash, extension) {
+  const hex = hash.replace(/^sha256:/, '');
+  return path.join(directory, OBJECTS_DIRNAME, hex.slice(0, 2), hex.slice(2, 4), `${hex}${extension.toLowerCase()}`);
+}
+
+/**
+ * Path of the name mapping for a friendly filename
+ * @param {string} directory - Output directory
+ * @param {string} filename - Friendly filename
+ * @returns {string} Mapping path
+ */
+function getNamePath(directory, filename) {
+  return path.join(directory, NAMES_DIRNAME, `${filename}.json`);
+}
+
+/**
+ * @private
+ */
+function assertFilename(filename) {
+  if (!filename || filename !== path.basename(filename) || filename.startsWith('.')) {
+    throw new ValidationError(`Invalid image filename: ${filename}`, 'filename');
+  }
+}
+
+/**
+ * @private
+ */
+async function exists(filePath) {
+  try {
+    await fsPromises.access(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read every name mapping of the content-addressed layout
+ * Unreadable mappings are skipped.
+ * @param {string} directory - Output directory
+ * @returns {Promise<Array<Object>>} Mappings as { filename, hash, objectPath, modified }
+ */
+async function readNames(directory) {
+  let files;
+  try {
+    files = await fsPromises.readdir(path.join(directory, NAMES_DIRNAME));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const names = [];
+  for (const file of files) {
+    if (!file.endsWith('.json')) {
+      continue;
+    }
+    const namePath = path.join(directory, NAMES_DIRNAME, file);
+    try {
+      const mapping = JSON.parse(await fsPromises.readFile(namePath, 'utf8'));
+      if (!mapping || typeof mapping.hash !== 'string' || mapping.filename !== file.slice(0, -'.json'.length)) {
+        throw new Error('missing filename or hash');
+      }
+      const stats = await fsPromises.stat(namePath);
+      names.push({
+        filename: mapping.filename,
+        hash: mapping.hash,
+        objectPath: getObjectPath(directory, mapping.hash, path.extname(mapping.filename)),
+        modified: stats.mtime
+      });
+    } catch (error) {
+      logger.warn(`Skipping unreadable image name ${file}: ${error.message}`);
+    }
+  }
+  return names;
+}
+
+/**
+ * Find the file holding an image's bytes, in either layout
+ * @param {string} directory - Output directory
+ * @param {string} filename - Friendly filename
+ * @returns {Promise<string|null>} File path, or null if the image does not exist
+ * @throws {ValidationError} If the filename is not a plain image filename
+ */
+async function resolveImagePath(directory, filename) {
+  assertFilename(filename);
+
+  const flatPath = path.join(directory, filename);
+  if (await exists(flatPath)) {
+    return flatPath;
+  }
+
+  let mapping;
+  try {
+    mapping = JSON.parse(await fsPromises.readFile(getNamePath(directory, filename), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+  const objectPath = getObjectPath(directory, mapping.hash, path.extname(filename));
+  return (await exists(objectPath)) ? objectPath : null;
+}
+
+/**
+ * Read an image by its friendly filename, in either layout
+ * Content-addressed images get the provenance of this name back.
+ * @param {string} directory - Output directory
+ * @param {string} filename - Friendly filename
+ * @returns {Promise<Buffer|null>} Image data, or null if the image does not exist
+ * @throws {ValidationError} If the filename is not a plain image filename
+ */
+async function readImage(directory, filename) {
+  const filePath = await resolveImagePath(directory, filename);
+  if (!filePath) {
+    return null;
+  }
+  const data = await fsPromises.readFile(filePath);
+  if (filePath === path.join(directory, filename)) {
+    return data;
+  }
+
+  const mapping = JSON.parse(await fsPromises.readFile(getNamePath(directory, filename), 'utf8'));
+  return mapping.provenance ? embedProvenance(data, mapping.provenance).data : data;
+}
+
+/**
+ * Delete an image's name and, once no other name uses them, its bytes
+ * @param {string} directory - Output directory
+ * @param {Object} file - Image from getImageFiles ({ name, path, hash })
+ * @param {Map<string, number>} references - Names per content hash; updated in place
+ * @returns {Promise<boolean>} True if the bytes were deleted (not only a name)
+ */
+async function removeImage(directory, file, references = new Map()) {
+  if (!file.hash) {
+    await fsPromises.unlink(file.path);
+    return true;
+  }
+
+  await fsPromises.unlink(getNamePath(directory, file.name));
+  const remaining = (references.get(file.hash) || 1) - 1;
+  references.set(file.hash, remaining);
+  if (remaining > 0) {
+    return false;
+  }
+  try {
+    await fsPromises.unlink(file.path);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+  return true;
+}
+
+/**
+ * Tidy the content-addressed layout: delete names whose bytes are gone and
+ * stored objects no name refers to (left by deleted names or interrupted saves)
+ * @param {string} directory - Output directory
+ * @returns {Promise<Object>} { names, objects } removed
+ */
+async function pruneStore(directory) {
+  const removed = { names: 0, objects: 0 };
+  const referenced = new Set();
+  for (const name of await readNames(directory)) {
+    if (await exists(name.objectPath)) {
+      referenced.add(name.objectPath);
+    } else {
+      await fsPromises.unlink(getNamePath(directory, name.filename));
+      removed.names++;
+    }
+  }
+
+  const objectsDir = path.join(directory, OBJECTS_DIRNAME);
+  const shards = (await exists(objectsDir)) ? await fsPromises.readdir(objectsDir) : [];
+  for (const shard of shards) {
+    for (const subshard of await fsPromises.readdir(path.join(objectsDir, shard))) {
+      const shardDir = path.join(objectsDir, shard, subshard);
+      for (const file of await fsPromises.readdir(shardDir)) {
+        const objectPath = path.join(shardDir, file);
+        if (referenced.has(objectPath)) {
+          continue;
+        }
+        const stats = await fsPromises.stat(objectPath);
+        if (Date.now() - stats.mtime.getTime() >= PRUNE_GRACE_MS) {
+          await fsPromises.unlink(objectPath);
+          removed.objects++;
+        }
+      }
+    }
+  }
+
+  if (removed.names > 0 || removed.objects > 0) {
+    logger.info(`Pruned image store: ${removed.names} dangling names, ${removed.objects} unreferenced objects`);
+  }
+  return removed;
+}
+
+class ImageStore {
+  /**
+   * @param {string} directory - Output directory
+   * @param {Object} options - Store options
+   * @param {string} options.layout - flat (default) or content-addressed
+   */
+  constructor(directory, options = {}) {
+    const layout = options.layout || 'flat';
+    if (!STORAGE_LAYOUTS.includes(layout)) {
+      throw new ValidationError(`Invalid image storage layout: ${layout} (expected ${STORAGE_LAYOUTS.join(' or ')})`, 'layout');
+    }
+    this.directory = directory;
+    this.layout = layout;
+    this.pending = new Set();
+  }
+
+  /**
+   * Create the directories the layout needs
+   */
+  async initialize() {
+    if (this.layout === 'content-addressed') {
+      for (const dirname of [OBJECTS_DIRNAME, NAMES_DIRNAME, STAGING_DIRNAME]) {
+        await fsPromises.mkdir(path.join(this.directory, dirname), { recursive: true });
+      }
+    }
+  }
+
+  /**
+   * Pick an unused friendly filename
+   * <base><extension> is used if free, otherwise <base>-1<extension>, <base>-2<extension>, ...
+   * The name stays reserved until release() so concurrent saves cannot pick it too.
+   * @param {string} base - Filename without extension (e.g. image_1700000000000_0)
+   * @param {string} extension - File extension including the dot
+   * @returns {Promise<string>} Reserved filename
+   */
+  async reserve(base, extension) {
+    for (let attempt = 0; ; attempt++) {
+      const filename = attempt === 0 ? `${base}${extension}` : `${base}-${attempt}${extension}`;
+      if (this.pending.has(filename)) {
+        continue;
+      }
+      this.pending.add(filename);
+      if (!(await exists(path.join(this.directory, filename))) && !(await exists(getNamePath(this.directory, filename)))) {
+        return filename;
+      }
+      this.pending.delete(filename);
+    }
+  }
+
+  /**
+   * Release a name reserved with reserve()
+   * @param {string} filename - Reserved filename
+   */
+  release(filename) {
+    this.pending.delete(filename);
+  }
+
+  /**
+   * Where to write an image's bytes before commit(), relative to the output directory
+   * @param {string} filename - Reserved filename
+   * @returns {string} Relative path
+   */
+  getWriteName(filename) {
+    return this.layout === 'content-addressed' ? path.join(STAGING_DIRNAME, filename) : filename;
+  }
+
+  /**
+   * Store a written image under its friendly filename
+   * In the content-addressed layout the image without its provenance is moved
+   * to its object path, or dropped if the same pixels are already stored, and
+   * the name is mapped to it along with the provenance.
+   * @param {string} writtenPath - Path the bytes were written to (see getWriteName)
+   * @param {string} filename - Reserved filename
+   * @returns {Promise<Object>} { filePath, hash, deduplicated } (hash is null in the flat layout)
+   */
+  async commit(writtenPath, filename) {
+    if (this.layout === 'flat') {
+      return { filePath: writtenPath, hash: null, deduplicated: false };
+    }
+
+    const { data, provenance } = splitProvenance(await fsPromises.readFile(writtenPath));
+    const hash = getContentAddress(data);
+    const objectPath = getObjectPath(this.directory, hash, path.extname(filename));
+    const deduplicated = await exists(objectPath);
+    if (deduplicated) {
+      await fsPromises.unlink(writtenPath);
+      // Retention counts from the newest name; keep the object as fresh
+      const now = new Date();
+      await fsPromises.utimes(objectPath, now, now);
+      logger.info(`${filename} duplicates stored image ${hash}`);
+    } else {
+      await fsPromises.mkdir(path.dirname(objectPath), { recursive: true });
+      if (provenance) {
+        await fsPromises.writeFile(writtenPath, data);
+      }
+      await fsPromises.rename(writtenPath, objectPath);
+    }
+
+    const namePath = getNamePath(this.directory, filename);
+    const tempPath = `${namePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fsPromises.writeFile(tempPath, JSON.stringify({ filename, hash, provenance, createdAt: new Date().toISOString() }, null, 2));
+    await fsPromises.rename(tempPath, namePath);
+    return { filePath: objectPath, hash, deduplicated };
+  }
+
+  /**
+   * Find the file holding an image's bytes (see resolveImagePath)
+   * @param {string} filename - Friendly filename
+   * @returns {Promise<string|null>} File path, or null if the image does not exist
+   */
+  resolve(filename) {
+    return resolveImagePath(this.directory, filename);
+  }
+
+  /**
+   * Read an image with its own provenance (see readImage)
+   * @param {string} filename - Friendly filename
+   * @returns {Promise<Buffer|null>} Image data, or null if the image does not exist
+   */
+  read(filename) {
+    return readImage(this.directory, filename);
+  }
+}
+
+module.exports = {
+  ImageStore,
+  getContentAddress,
+  getObjectPath,
+  getNamePath,
+  readNames,
+  resolveImagePath,
+  readImage,
+  removeImage,
+  pruneStore,
+  STORAGE_LAYOUTS,
+  OBJECTS_DIRNAME,
+  NAMES_DIRNAME,
+  STAGING_DIRNAME
+};
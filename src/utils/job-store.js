@@ -0,0 +1,127 @@
+/**
+ * Persistent store for asynchronous image jobs
+ * Each job is kept as a JSON file (<id>.json) in the store directory so
+ * jobs and their results survive server restarts.
+ */
+
+const fsPromises = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Job ids are UUIDs; anything else is rejected before touching the filesystem
+ */
+const JOB_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+class JobStore {
+  /**
+   * @param {string} directory - Directory holding the job files
+   */
+  constructor(directory) {
+    this.directory = directory;
+    // Pending write per job, so updates to the same job are written in order
+    this.writes = new Map();
+  }
+
+  /**
+   * Create the store directory if needed
+   * @returns {Promise<void>}
+   */
+  async init() {
+    await fsPromises.mkdir(this.directory, { recursive: true });
+  }
+
+  /**
+   * @private
+   */
+  getPath(id) {
+    if (!JOB_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid job id: ${id}`);
+    }
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  /**
+   * Write a job (atomically, via a temporary file)
+   * @param {Object} job - Job to persist
+   * @returns {Promise<void>}
+   */
+  save(job) {
+    const filePath = this.getPath(job.id);
+    const data = JSON.stringify(job, null, 2);
+    const previous = this.writes.get(job.id) || Promise.resolve();
+
+    const write = previous
+      .catch(() => {})
+      .then(async () => {
+        const tempPath = `${filePath}.tmp`;
+        await fsPromises.writeFile(tempPath, data);
+        await fsPromises.rename(tempPath, filePath);
+      });
+
+    this.writes.set(job.id, write);
+    return write.finally(() => {
+      if (this.writes.get(job.id) === write) {
+        this.writes.delete(job.id);
+      }
+    });
+  }
+
+  /**
+   * Read a job
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} Job, or null if it does not exist
+   */
+  async load(id) {
+    try {
+      return JSON.parse(await fsPromises.readFile(this.getPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read every stored job (unreadable files are skipped)
+   * @returns {Promise<Array<Object>>} Jobs, oldest first
+   */
+  async loadAll() {
+    const files = await fsPromises.readdir(this.directory);
+    const jobs = [];
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+      try {
+        jobs.push(JSON.parse(await fsPromises.readFile(path.join(this.directory, file), 'utf8')));
+      } catch (error) {
+        logger.warn(`Skipping unreadable job file ${file}: ${error.message}`);
+      }
+    }
+
+    return jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Delete a job
+   * @param {string} id - Job id
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    try {
+      await fsPromises.unlink(this.getPath(id));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = {
+  JobStore,
+  JOB_ID_PATTERN
+};
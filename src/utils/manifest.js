@@ -0,0 +1,391 @@
+/**
+ * Batch manifests for the CLI
+ * A manifest lists one generation per row, as CSV (with a header row) or
+ * JSONL (one object per line), with the columns prompt, model, size, quality,
+ * style, output (the saved file's base name) and an optional id. Rows run with
+ * bounded concurrency and each outcome is appended to a results JSONL file as
+ * it finishes, so an interrupted run can resume from that file without
+ * generating completed rows again.
+ */
+
+const fsPromises = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Manifest columns and the generation parameters they set
+ */
+const MANIFEST_COLUMNS = {
+  id: null,
+  prompt: 'prompt',
+  model: 'model',
+  size: 'size',
+  quality: 'quality',
+  style: 'style',
+  output: 'output_name'
+};
+
+/**
+ * Manifest file extensions and their formats
+ */
+const MANIFEST_FORMATS = {
+  '.csv': 'csv',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl'
+};
+
+/**
+ * Rows generated at once unless --concurrency says otherwise
+ */
+const DEFAULT_CONCURRENCY = 2;
+
+/**
+ * Upper bound for --concurrency
+ */
+const MAX_CONCURRENCY = 10;
+
+/**
+ * Check whether a path names a manifest file (by extension)
+ * @param {string} file - Path
+ * @returns {boolean}
+ */
+function isManifestFile(file) {
+  return Boolean(MANIFEST_FORMATS[path.extname(file).toLowerCase()]);
+}
+
+/**
+ * Default results file for a manifest: <name>.results.jsonl next to it
+ * @param {string} file - Manifest path
+ * @returns {string} Results path
+ */
+function getResultsFile(file) {
+  const extension = path.extname(file);
+  return path.join(path.dirname(file), `${path.basename(file, extension)}.results.jsonl`);
+}
+
+/**
+ * Parse CSV text into records (RFC 4180: quoted fields may hold commas,
+ * doubled quotes and line breaks)
+ * @param {string} content - CSV text
+ * @returns {Array<Object>} Records as { line, fields }
+ * @throws {Error} If a quoted field is not closed
+ */
+function parseCsv(content) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+  };
+
+  const text = content.replace(/^\uFEFF/, '');
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unclosed quoted field starting on line ${recordLine}`);
+  }
+  if (field !== '' || fields.length > 0) {
+    endRecord();
+  }
+  return records;
+}
+
+/**
+ * Turn a manifest row's columns into a row
+ * @private
+ */
+function toRow(values, row, line, file) {
+  const unknown = Object.keys(values).filter(column => !(column in MANIFEST_COLUMNS));
+  if (unknown.length > 0) {
+    throw new Error(`${file}:${line}: unknown column ${unknown[0]} (columns: ${Object.keys(MANIFEST_COLUMNS).join(', ')})`);
+  }
+
+  const params = {};
+  for (const [column, param] of Object.entries(MANIFEST_COLUMNS)) {
+    const value = values[column];
+    if (param && value !== undefined && value !== null && value !== '') {
+      params[param] = typeof value === 'string' ? value.trim() : value;
+    }
+  }
+
+  const id = values.id !== undefined && values.id !== null && values.id !== '' ? String(values.id) : null;
+  return { row, line, id, params };
+}
+
+/**
+ * Read a CSV or JSONL manifest
+ * Rows are numbered from 1 in file order, not counting the CSV header or blank lines.
+ * @param {string} file - Manifest path (.csv, .jsonl or .ndjson)
+ * @returns {Promise<Array<Object>>} Rows as { row, line, id, params }
+ * @throws {Error} If the file cannot be read or a row is malformed
+ */
+async function loadManifest(file) {
+  const format = MANIFEST_FORMATS[path.extname(file).toLowerCase()];
+  if (!format) {
+    throw new Error(`Unsupported manifest ${file}: expected a .csv, .jsonl or .ndjson file`);
+  }
+
+  const content = await fsPromises.readFile(file, 'utf8');
+  const rows = [];
+
+  if (format === 'csv') {
+    const [header, ...records] = parseCsv(content);
+    if (!header) {
+      return rows;
+    }
+    const columns = header.fields.map(column => column.trim().toLowerCase());
+    if (!columns.includes('prompt')) {
+      throw new Error(`${file}: the header row needs a prompt column`);
+    }
+    for (const record of records) {
+      if (record.fields.length > columns.length) {
+        throw new Error(`${file}:${record.line}: ${record.fields.length} fields for ${columns.length} columns`);
+      }
+      const values = Object.fromEntries(columns.map((column, i) => [column, record.fields[i]]));
+      rows.push(toRow(values, rows.length + 1, record.line, file));
+    }
+    return rows;
+  }
+
+  content.split(/\r?\n/).forEach((text, index) => {
+    if (text.trim() === '') {
+      return;
+    }
+    let values;
+    try {
+      values = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${file}:${index + 1}: invalid JSON (${error.message})`);
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new Error(`${file}:${index + 1}: expected a JSON object`);
+    }
+    rows.push(toRow(values, rows.length + 1, index + 1, file));
+  });
+  return rows;
+}
+
+/**
+ * Key identifying a row across runs: its id, or its row number
+ * @param {Object} row - Row or result record
+ * @returns {string}
+ */
+function getRowKey(row) {
+  return row.id !== null && row.id !== undefined ? `id:${row.id}` : `row:${row.row}`;
+}
+
+/**
+ * Read the rows a previous run completed from its results file
+ * A line cut off by an interruption is ignored.
+ * @param {string} file - Results JSONL path
+ * @returns {Promise<Map<string, Object>>} Successful result records by row key
+ */
+async function readCompletedRows(file) {
+  let content;
+  try {
+    content = await fsPromises.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return new Map();
+    }
+    throw error;
+  }
+
+  const completed = new Map();
+  content.split(/\r?\n/).forEach((text, index) => {
+    if (text.trim() === '') {
+      return;
+    }
+    try {
+      const record = JSON.parse(text);
+      if (record.success) {
+        completed.set(getRowKey(record), record);
+      }
+    } catch (error) {
+      logger.warn(`Ignoring unreadable line ${index + 1} of ${file}`);
+    }
+  });
+  return completed;
+}
+
+/**
+ * Prepare the results file for a run
+ * Without resume an existing results file is left alone and the run refused,
+ * so a finished run's record is never mixed with a new one.
+ * @param {string} file - Results JSONL path
+ * @param {Object} options - Options
+ * @param {boolean} options.resume - Continue the run recorded in the file
+ * @returns {Promise<Map<string, Object>>} Rows to skip (see readCompletedRows)
+ * @throws {Error} If the file exists and resume is not set
+ */
+async function openResultsFile(file, options = {}) {
+  let content = null;
+  try {
+    content = await fsPromises.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  if (content === null) {
+    await fsPromises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+    return new Map();
+  }
+  if (!options.resume) {
+    throw new Error(`Results file ${file} already exists; pass --resume to continue that run, or remove it`);
+  }
+
+  // Finish a line cut off by the interruption so new records start on their own line
+  if (content !== '' && !content.endsWith('\n')) {
+    await fsPromises.appendFile(file, '\n');
+  }
+  return readCompletedRows(file);
+}
+
+/**
+ * Generate the rows of a manifest with bounded concurrency
+ * Each row's result is appended to the results file as soon as it finishes.
+ * Rows already completed with the same prompt (see readCompletedRows) are skipped.
+ * @param {OpenAIImageGenMCP} imageGen - Image generator
+ * @param {Array<Object>} rows - Rows from loadManifest
+ * @param {Object} options - Run options
+ * @param {string} options.resultsFile - Results JSONL to append to
+ * @param {Map<string, Object>} options.completed - Rows to skip (default: none)
+ * @param {number} options.concurrency - Rows generated at once (default: 2)
+ * @param {Object} options.defaults - Generation parameters for columns a row leaves empty (e.g. model, preset)
+ * @param {AbortSignal} options.signal - Stops starting rows and cancels those in flight (they are not recorded)
+ * @param {Function} options.onResult - Called with each result record
+ * @returns {Promise<Object>} { total, skipped, succeeded, failed, cancelled }
+ */
+async function runManifest(imageGen, rows, options = {}) {
+  const {
+    resultsFile,
+    completed = new Map(),
+    concurrency = DEFAULT_CONCURRENCY,
+    defaults = {},
+    signal,
+    onResult
+  } = options;
+
+  const pending = [];
+  let skipped = 0;
+  for (const row of rows) {
+    const previous = completed.get(getRowKey(row));
+    if (previous && previous.prompt === row.params.prompt) {
+      skipped++;
+    } else {
+      pending.push(row);
+    }
+  }
+
+  const summary = { total: rows.length, skipped, succeeded: 0, failed: 0, cancelled: 0 };
+  // Appends are chained so concurrent rows never interleave their lines
+  let writes = Promise.resolve();
+  const record = (result) => {
+    writes = writes.then(() => fsPromises.appendFile(resultsFile, `${JSON.stringify(result)}\n`));
+    return writes;
+  };
+
+  const runRow = async (row) => {
+    const base = { row: row.row, id: row.id, prompt: row.params.prompt || null };
+    const startTime = Date.now();
+    let result;
+    try {
+      const images = await imageGen.generateAndSaveImage(row.params.prompt, {
+        ...defaults,
+        ...row.params,
+        signal,
+        requester: 'cli'
+      });
+      result = {
+        ...base,
+        success: true,
+        images: images.map(image => ({ filename: image.filename, filePath: image.filePath })),
+        durationMs: Date.now() - startTime
+      };
+      summary.succeeded++;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        summary.cancelled++;
+        return;
+      }
+      result = { ...base, success: false, error: error.message, durationMs: Date.now() - startTime };
+      if (error.field) {
+        result.field = error.field;
+      }
+      summary.failed++;
+    }
+    result.completedAt = new Date().toISOString();
+    await record(result);
+    if (typeof onResult === 'function') {
+      onResult(result);
+    }
+  };
+
+  let next = 0;
+  const worker = async () => {
+    while (next < pending.length && !(signal && signal.aborted)) {
+      await runRow(pending[next++]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+  await writes;
+
+  summary.cancelled += pending.length - summary.succeeded - summary.failed - summary.cancelled;
+  return summary;
+}
+
+module.exports = {
+  loadManifest,
+  parseCsv,
+  readCompletedRows,
+  openResultsFile,
+  runManifest,
+  isManifestFile,
+  getResultsFile,
+  getRowKey,
+  MANIFEST_COLUMNS,
+  DEFAULT_CONCURRENCY,
+  MAX_CONCURRENCY
+};
@@ -72,6 +72,15 @@ class MetricsStore {
     this.histograms.set(key, hist);
   }
 
+  /**
+   * Get every labelled series of a counter
+   * @param {string} name - Metric name
+   * @returns {Array<Object>} Series as { name, value, labels }
+   */
+  getCounters(name) {
+    return Array.from(this.counters.values()).filter(counter => counter.name === name);
+  }
+
   /**
    * Get key for storing metrics with labels
    * @private
@@ -0,0 +1,370 @@
+/**
+ * Model capability registry
+ * Single source of truth for what each image model supports. Validation rules,
+ * MCP tool schemas, the web UI form and CLI help text are all derived from it.
+ */
+
+/**
+ * Operations a model can support
+ */
+const OPERATIONS = ['generate', 'edit', 'variation'];
+
+/**
+ * Default model for each operation
+ */
+const DEFAULT_MODELS = {
+  generate: 'dall-e-3',
+  edit: 'dall-e-2',
+  variation: 'dall-e-2'
+};
+
+/**
+ * Model capabilities
+ * Options a model does not support are null. Sizes, n and prompt limits apply
+ * to every operation the model supports.
+ */
+const MODELS = {
+  'dall-e-2': {
+    label: 'DALL-E 2',
+    operations: ['generate', 'edit', 'variation'],
+    sizes: ['256x256', '512x512', '1024x1024'],
+    defaultSize: '1024x1024',
+    qualities: ['standard'],
+    defaultQuality: 'standard',
+    styles: null,
+    defaultStyle: null,
+    n: { min: 1, max: 10 },
+    promptMaxLength: 1000,
+    responseFormats: ['url', 'b64_json'],
+    backgrounds: null,
+    outputFormats: null,
+    moderation: null,
+    // Streamed previews while the image renders (partial_images)
+    partialImages: null,
+    // Source images for edits and variations
+    image: { extensions: ['.png'], maxImages: 1 },
+    // Optional parameters accepted by edits
+    editOptions: []
+  },
+  'dall-e-3': {
+    label: 'DALL-E 3',
+    operations: ['generate'],
+    sizes: ['1024x1024', '1792x1024', '1024x1792'],
+    defaultSize: '1024x1024',
+    qualities: ['standard', 'hd'],
+    defaultQuality: 'standard',
+    styles: ['vivid', 'natural'],
+    defaultStyle: 'vivid',
+    n: { min: 1, max: 1 },
+    promptMaxLength: 4000,
+    responseFormats: ['url', 'b64_json'],
+    backgrounds: null,
+    outputFormats: null,
+    moderation: null,
+    partialImages: null,
+    image: null,
+    editOptions: []
+  },
+  'gpt-image-1': {
+    label: 'GPT Image 1',
+    operations: ['generate', 'edit'],
+    sizes: ['1024x1024', '1536x1024', '1024x1536', 'auto'],
+    defaultSize: '1024x1024',
+    qualities: ['low', 'medium', 'high', 'auto'],
+    defaultQuality: 'auto',
+    styles: null,
+    defaultStyle: null,
+    n: { min: 1, max: 10 },
+    promptMaxLength: 32000,
+    // Always returns base64 data and rejects response_format
+    responseFormats: null,
+    backgrounds: ['transparent', 'opaque', 'auto'],
+    outputFormats: ['png', 'jpeg', 'webp'],
+    moderation: ['low', 'auto'],
+    partialImages: { max: 3 },
+    image: { extensions: ['.png', '.jpg', '.jpeg', '.webp'], maxImages: 16 },
+    editOptions: ['quality', 'background']
+  }
+};
+
+/**
+ * Get a model's capabilities
+ * @param {string} name - Model name
+ * @returns {Object|null} Capabilities, or null for unknown models
+ */
+function getModel(name) {
+  return MODELS[name] || null;
+}
+
+/**
+ * List model names, optionally only those supporting an operation
+ * @param {string} operation - generate, edit or variation (default: all models)
+ * @returns {Array<string>} Model names
+ */
+function getModelNames(operation) {
+  return Object.keys(MODELS).filter(name => !operation || MODELS[name].operations.includes(operation));
+}
+
+/**
+ * Union of a capability list across models, in registry order
+ * @param {string} field - Capability name (e.g. 'sizes')
+ * @param {Array<string>} names - Models to include (default: all)
+ * @returns {Array} Distinct values
+ */
+function collectCapability(field, names = getModelNames()) {
+  const values = [];
+  for (const name of names) {
+    for (const value of MODELS[name][field] || []) {
+      if (!values.includes(value)) {
+        values.push(value);
+      }
+    }
+  }
+  return values;
+}
+
+/**
+ * Map each model to one of its capabilities
+ * @param {string} field - Capability name
+ * @returns {Object} { model: value }
+ */
+function mapCapability(field) {
+  const result = {};
+  for (const name of getModelNames()) {
+    result[name] = MODELS[name][field];
+  }
+  return result;
+}
+
+/**
+ * Describe the registry for clients (served to the web UI)
+ * @returns {Object} { operations, defaults, models }
+ */
+function describeModels() {
+  return {
+    operations: OPERATIONS,
+    defaults: DEFAULT_MODELS,
+    models: getModelNames().map(name => ({ name, ...MODELS[name] }))
+  };
+}
+
+/**
+ * Build a JSON schema string enum property
+ * @private
+ */
+function enumProperty(values, description, extra = {}) {
+  return { type: 'string', enum: values, description, ...extra };
+}
+
+/**
+ * Describe a capability per model, e.g. "dall-e-3: standard, hd; gpt-image-1: low, ..."
+ * @private
+ */
+function describeByModel(field, names) {
+  return names
+    .filter(name => MODELS[name][field])
+    .map(name => `${name}: ${MODELS[name][field].join(', ')}`)
+    .join('; ');
+}
+
+/**
+ * Build the model-dependent properties shared by every operation
+ * @private
+ */
+function buildModelProperties(operation, names) {
+  const defaultModel = DEFAULT_MODELS[operation];
+  const defaults = MODELS[defaultModel];
+  const nMax = Math.max(...names.map(name => MODELS[name].n.max));
+
+  const properties = {
+    model: enumProperty(names, 'Model to use', { default: defaultModel }),
+    size: enumProperty(
+      collectCapability('sizes', names),
+      `Image size (${describeByModel('sizes', names)})`,
+      { default: defaults.defaultSize }
+    ),
+    n: {
+      type: 'integer',
+      description: `Number of images (${names.map(name => `${name}: ${MODELS[name].n.min}-${MODELS[name].n.max}`).join('; ')})`,
+      default: 1,
+      minimum: 1,
+      maximum: nMax
+    }
+  };
+
+  if (operation === 'variation') {
+    return properties;
+  }
+
+  // Edits only take quality and background from models that list them in editOptions
+  const supportsOption = (name, option) => operation !== 'edit' || MODELS[name].editOptions.includes(option);
+
+  const qualityModels = names.filter(name => supportsOption(name, 'quality'));
+  if (qualityModels.length > 0) {
+    properties.quality = enumProperty(
+      collectCapability('qualities', qualityModels),
+      `Image quality (${describeByModel('qualities', qualityModels)})`
+    );
+    if (operation === 'generate') {
+      properties.quality.default = defaults.defaultQuality;
+    }
+  }
+
+  if (operation === 'generate') {
+    const styles = collectCapability('styles', names);
+    if (styles.length > 0) {
+      properties.style = enumProperty(
+        styles,
+        `Image style (${names.filter(name => MODELS[name].styles).join(', ')} only)`,
+        { default: defaults.defaultStyle }
+      );
+    }
+  }
+
+  const backgroundModels = names.filter(name => MODELS[name].backgrounds && supportsOption(name, 'background'));
+  if (backgroundModels.length > 0) {
+    properties.background = enumProperty(
+      collectCapability('backgrounds', backgroundModels),
+      `Background (${backgroundModels.join(', ')} only; transparent requires png or webp output)`
+    );
+  }
+
+  if (operation === 'generate') {
+    const formatModels = names.filter(name => MODELS[name].outputFormats);
+    if (formatModels.length > 0) {
+      properties.output_format = enumProperty(
+        collectCapability('outputFormats', formatModels),
+        `Output image format (${formatModels.join(', ')} only)`,
+        { default: 'png' }
+      );
+      properties.output_compression = {
+        type: 'integer',
+        description: `Compression level 0-100 for jpeg or webp output (${formatModels.join(', ')} only)`,
+        minimum: 0,
+        maximum: 100
+      };
+    }
+
+    const moderationModels = names.filter(name => MODELS[name].moderation);
+    if (moderationModels.length > 0) {
+      properties.moderation = enumProperty(
+        collectCapability('moderation', moderationModels),
+        `Content moderation level (${moderationModels.join(', ')} only)`
+      );
+    }
+
+    const streamingModels = names.filter(name => MODELS[name].partialImages);
+    if (streamingModels.length > 0) {
+      properties.partial_images = {
+        type: 'integer',
+        description: `Number of preview images streamed while the image renders (${streamingModels.join(', ')} only)`,
+        minimum: 0,
+        maximum: Math.max(...streamingModels.map(name => MODELS[name].partialImages.max))
+      };
+    }
+  }
+
+  return properties;
+}
+
+/**
+ * Build per-model conditional constraints (JSON schema if/then)
+ * The operation's default model also matches when `model` is omitted.
+ * @private
+ */
+function buildModelConditions(operation, names) {
+  return names.map(name => {
+    const model = MODELS[name];
+    const condition = { properties: { model: { const: name } } };
+    if (name !== DEFAULT_MODELS[operation]) {
+      condition.required = ['model'];
+    }
+
+    const then = {
+      properties: {
+        size: { enum: model.sizes },
+        n: { minimum: model.n.min, maximum: model.n.max }
+      }
+    };
+    if (operation !== 'variation') {
+      then.properties.prompt = { maxLength: model.promptMaxLength };
+    }
+
+    return { if: condition, then };
+  });
+}
+
+/**
+ * Build the JSON schema for an operation's input
+ * @param {string} operation - generate, edit or variation
+ * @returns {Object} JSON schema
+ */
+function buildInputSchema(operation) {
+  if (!OPERATIONS.includes(operation)) {
+    throw new Error(`Unknown operation: ${operation}`);
+  }
+
+  const names = getModelNames(operation);
+  const promptMaxLength = Math.max(...names.map(name => MODELS[name].promptMaxLength));
+  const properties = {};
+  const required = [];
+
+  if (operation !== 'generate') {
+    const imageModels = names.filter(name => MODELS[name].image);
+    const maxImages = Math.max(...imageModels.map(name => MODELS[name].image.maxImages));
+    const imageDescription = imageModels
+      .map(name => `${name}: ${MODELS[name].image.maxImages === 1 ? 'one' : `up to ${MODELS[name].image.maxImages}`} ${MODELS[name].image.extensions.join('/')} file(s)`)
+      .join('; ');
+
+    properties.image = maxImages > 1
+      ? {
+        oneOf: [
+          { type: 'string' },
+          { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: maxImages }
+        ],
+        description: `Path to the source image, or a list of paths, inside the output directory or IMAGE_INPUT_DIR (${imageDescription})`
+      }
+      : { type: 'string', description: `Path to the source image inside the output directory or IMAGE_INPUT_DIR (${imageDescription}, less than 4MB)` };
+    required.push('image');
+  }
+
+  if (operation === 'edit') {
+    properties.mask = {
+      type: 'string',
+      description: 'Optional path to a PNG mask (inside the output directory or IMAGE_INPUT_DIR) whose fully transparent areas mark where the image should be edited'
+    };
+  }
+
+  if (operation !== 'variation') {
+    properties.prompt = {
+      type: 'string',
+      description: operation === 'edit'
+        ? 'Text description of the desired edit'
+        : 'Text description of the image to generate',
+      minLength: 1,
+      maxLength: promptMaxLength
+    };
+    required.push('prompt');
+  }
+
+  Object.assign(properties, buildModelProperties(operation, names));
+
+  return {
+    type: 'object',
+    properties,
+    required,
+    allOf: buildModelConditions(operation, names)
+  };
+}
+
+module.exports = {
+  MODELS,
+  OPERATIONS,
+  DEFAULT_MODELS,
+  getModel,
+  getModelNames,
+  collectCapability,
+  mapCapability,
+  describeModels,
+  buildInputSchema
+};
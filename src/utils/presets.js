@@ -0,0 +1,248 @@
+/**
+ * Named presets for generation parameters
+ * A preset bundles a model/size/quality/style combination (and optionally
+ * output and post-processing settings) under a name such as hero-wide.
+ * Presets are defined in a JSON/YAML file (presets.yaml in the project root,
+ * or PRESETS_FILE) and selected per request with the preset parameter;
+ * parameters given explicitly in the request override the preset's.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('./logger');
+const { validateImageGenerationParams, ValidationError } = require('./validation');
+
+/**
+ * Default presets file (project root presets.yaml)
+ */
+const DEFAULT_PRESETS_FILE = path.join(__dirname, '..', '..', 'presets.yaml');
+
+/**
+ * Generation parameters a preset may set
+ */
+const PRESET_PARAM_KEYS = [
+  'model',
+  'size',
+  'quality',
+  'style',
+  'n',
+  'background',
+  'output_format',
+  'output_compression',
+  'moderation',
+  'postprocess'
+];
+
+/**
+ * Preset names: lowercase letters, digits and dashes
+ */
+const PRESET_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * MCP resource listing the presets
+ */
+const PRESETS_RESOURCE_URI = 'image://presets';
+
+/**
+ * Resolve the presets file from PRESETS_FILE or the default
+ * @returns {string} Absolute path to the presets file
+ */
+function getPresetsFile() {
+  if (!process.env.PRESETS_FILE) {
+    return DEFAULT_PRESETS_FILE;
+  }
+  return path.isAbsolute(process.env.PRESETS_FILE)
+    ? process.env.PRESETS_FILE
+    : path.join(__dirname, '..', '..', process.env.PRESETS_FILE);
+}
+
+/**
+ * Check a preset definition and keep its generation parameters
+ * @param {string} name - Preset name
+ * @param {Object} definition - { description, ...parameters }
+ * @returns {Object} { name, description, params }
+ * @throws {Error} If the preset is malformed or its parameters are invalid
+ */
+function normalizePreset(name, definition) {
+  if (!PRESET_NAME_PATTERN.test(name)) {
+    throw new Error('name must be lowercase letters, digits and dashes');
+  }
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('preset must be an object of generation parameters');
+  }
+
+  const { description, ...rest } = definition;
+  const unknown = Object.keys(rest).filter(key => !PRESET_PARAM_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`unsupported parameters ${unknown.join(', ')} (allowed: ${PRESET_PARAM_KEYS.join(', ')})`);
+  }
+
+  // Check the combination once, as a request with only this preset would be
+  validateImageGenerationParams({ ...rest, prompt: name });
+
+  return { name, description: description || '', params: rest };
+}
+
+/**
+ * Load preset definitions from a JSON/YAML file
+ * The file maps preset names to their parameters. A missing file means no
+ * presets; invalid presets are logged and skipped so one bad entry does not
+ * hide the rest.
+ * @param {string} file - Presets file (default: getPresetsFile())
+ * @returns {Array<Object>} Presets as { name, description, params }, sorted by name
+ * @throws {Error} If the file cannot be read or parsed
+ */
+function loadPresetDefinitions(file = getPresetsFile()) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.debug(`Presets file ${file} does not exist`);
+      return [];
+    }
+    throw error;
+  }
+
+  let definitions;
+  try {
+    definitions = path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+  } catch (error) {
+    throw new Error(`Invalid presets file ${file}: ${error.message}`);
+  }
+  if (definitions === undefined || definitions === null) {
+    return [];
+  }
+  if (typeof definitions !== 'object' || Array.isArray(definitions)) {
+    throw new Error(`Invalid presets file ${file}: expected a mapping of preset names to parameters`);
+  }
+
+  const presets = [];
+  for (const [name, definition] of Object.entries(definitions)) {
+    try {
+      presets.push(normalizePreset(name, definition));
+    } catch (error) {
+      logger.warn(`Skipping preset "${name}" in ${file}: ${error.message}`);
+    }
+  }
+  return presets.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+class PresetRegistry {
+  /**
+   * @param {Array<Object>} presets - Presets from loadPresetDefinitions
+   */
+  constructor(presets = []) {
+    this.presets = new Map(presets.map(preset => [preset.name, preset]));
+  }
+
+  /**
+   * @returns {Array<string>} Preset names
+   */
+  names() {
+    return Array.from(this.presets.keys());
+  }
+
+  /**
+   * Merge a request's preset into its parameters
+   * Parameters set in the request (not undefined, null or empty) override the
+   * preset's; the preset parameter itself is removed.
+   * @param {Object} params - Request parameters, optionally with preset
+   * @returns {Object} Parameters to validate
+   * @throws {ValidationError} If the preset does not exist
+   */
+  apply(params = {}) {
+    const { preset: name, ...explicit } = params;
+    if (name === undefined || name === null || name === '') {
+      return explicit;
+    }
+
+    const preset = this.presets.get(name);
+    if (!preset) {
+      throw new ValidationError(
+        `Unknown preset: ${name}. Available presets: ${this.names().join(', ') || 'none'}`,
+        'preset'
+      );
+    }
+
+    const merged = { ...preset.params };
+    for (const [key, value] of Object.entries(explicit)) {
+      if (value !== undefined && value !== null && value !== '') {
+        merged[key] = value;
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * JSON schema property for choosing a preset per request
+   * @returns {Object|null} Schema property, or null when no presets are defined
+   */
+  getSchemaProperty() {
+    if (this.presets.size === 0) {
+      return null;
+    }
+    return {
+      type: 'string',
+      enum: this.names(),
+      description: 'Named parameter preset; parameters given explicitly override it. ' +
+        Array.from(this.presets.values())
+          .map(preset => `${preset.name}: ${preset.description || JSON.stringify(preset.params)}`)
+          .join('; ')
+    };
+  }
+
+  /**
+   * Describe the presets for clients
+   * @returns {Array<Object>} Presets as { name, description, params }
+   */
+  describe() {
+    return Array.from(this.presets.values()).map(preset => ({
+      name: preset.name,
+      description: preset.description,
+      params: preset.params
+    }));
+  }
+}
+
+/**
+ * MCP resource descriptor for the preset list
+ * @returns {Object} Resource for resources/list
+ */
+function getPresetsResource() {
+  return {
+    uri: PRESETS_RESOURCE_URI,
+    name: 'Generation presets',
+    description: 'Named parameter presets accepted by generate_image (preset argument)',
+    mimeType: 'application/json'
+  };
+}
+
+/**
+ * Read the preset list as an MCP resource
+ * @param {PresetRegistry} registry - Presets
+ * @returns {Object} { contents: [{ uri, mimeType, text }] }
+ */
+function readPresetsResource(registry) {
+  return {
+    contents: [
+      {
+        uri: PRESETS_RESOURCE_URI,
+        mimeType: 'application/json',
+        text: JSON.stringify({ presets: registry.describe() }, null, 2)
+      }
+    ]
+  };
+}
+
+module.exports = {
+  PresetRegistry,
+  loadPresetDefinitions,
+  getPresetsFile,
+  getPresetsResource,
+  readPresetsResource,
+  PRESET_PARAM_KEYS,
+  PRESETS_RESOURCE_URI,
+  DEFAULT_PRESETS_FILE
+};
@@ -0,0 +1,101 @@
+/**
+ * Image pricing
+ * List prices per output image in USD, keyed by model, quality and size. They
+ * are estimates: the provider bills what it bills (gpt-image-1 edits, for
+ * instance, also pay for their input image tokens), so spend figures built
+ * from these prices are for tracking and budgeting, not invoicing.
+ */
+
+const { getModel } = require('./model-registry');
+
+/**
+ * Price per image: { model: { quality: { size: usd } } }
+ * dall-e-2 has a single quality, priced as standard.
+ */
+const PRICING = {
+  'dall-e-2': {
+    standard: { '256x256': 0.016, '512x512': 0.018, '1024x1024': 0.02 }
+  },
+  'dall-e-3': {
+    standard: { '1024x1024': 0.04, '1792x1024': 0.08, '1024x1792': 0.08 },
+    hd: { '1024x1024': 0.08, '1792x1024': 0.12, '1024x1792': 0.12 }
+  },
+  'gpt-image-1': {
+    low: { '1024x1024': 0.011, '1536x1024': 0.016, '1024x1536': 0.016 },
+    medium: { '1024x1024': 0.042, '1536x1024': 0.063, '1024x1536': 0.063 },
+    high: { '1024x1024': 0.167, '1536x1024': 0.25, '1024x1536': 0.25 }
+  }
+};
+
+/**
+ * Highest price in a list of prices
+ * @private
+ */
+function maxPrice(prices) {
+  return prices.length > 0 ? Math.max(...prices) : null;
+}
+
+/**
+ * Price of one image
+ * Missing quality and size take the model's defaults. auto lets the provider
+ * choose, so it is priced as the most expensive option it could pick; an
+ * estimate never comes in under the bill.
+ * @param {string} model - Model name
+ * @param {string} size - Image size (default: the model's default size)
+ * @param {string} quality - Image quality (default: the model's default quality)
+ * @returns {number|null} USD per image, or null if the combination has no price
+ */
+function getImagePrice(model, size, quality) {
+  const table = PRICING[model];
+  if (!table) {
+    return null;
+  }
+  const capabilities = getModel(model) || {};
+  const resolvedQuality = quality || capabilities.defaultQuality || 'standard';
+  const resolvedSize = size || capabilities.defaultSize;
+
+  const sizePrice = prices => (resolvedSize === 'auto'
+    ? maxPrice(Object.values(prices))
+    : (prices[resolvedSize] !== undefined ? prices[resolvedSize] : null));
+
+  if (resolvedQuality === 'auto') {
+    return maxPrice(Object.values(table).map(sizePrice).filter(price => price !== null));
+  }
+  return table[resolvedQuality] ? sizePrice(table[resolvedQuality]) : null;
+}
+
+/**
+ * Estimated cost of a request
+ * @param {Object} params - { model, size, quality, n }
+ * @returns {number|null} USD for all n images, or null if the request has no price
+ */
+function estimateCost(params = {}) {
+  const price = getImagePrice(params.model, params.size, params.quality);
+  return price === null ? null : roundCost(price * (params.n || 1));
+}
+
+/**
+ * Round a USD amount to a millionth of a dollar (sums of prices pick up float noise)
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Format a USD amount for display
+ * @param {number|null} value - Amount
+ * @returns {string} e.g. $0.040, or - for no estimate
+ */
+function formatCost(value) {
+  return typeof value === 'number' ? `$${value.toFixed(3)}` : '-';
+}
+
+module.exports = {
+  PRICING,
+  getImagePrice,
+  estimateCost,
+  roundCost,
+  formatCost
+};
@@ -0,0 +1,120 @@
+/**
+ * Prompt-result cache
+ * Remembers which saved images an identical generate request produced, so a
+ * repeated call returns them instead of paying for a new generation. Keys are
+ * derived from the validated parameters (plus an optional caller-supplied seed),
+ * entries expire after a TTL, and the least recently used entry is evicted once
+ * the cache is full. The cache lives in memory; hits and misses are counted in
+ * the metrics store.
+ */
+
+const crypto = require('crypto');
+const { metrics } = require('./metrics');
+
+/**
+ * Validated parameters that do not change the images produced
+ */
+const IGNORED_PARAMS = ['cache', 'seed', 'save', 'response_format', 'partial_images'];
+
+/**
+ * Build the cache key for a generate request
+ * @param {Object} params - Parameters from validateImageGenerationParams (provider resolved)
+ * @param {string} seed - Optional seed/tag; requests only share results when seeds match
+ * @returns {string} Key (hex SHA-256)
+ */
+function getCacheKey(params, seed) {
+  const normalized = Object.keys(params)
+    .filter(key => !IGNORED_PARAMS.includes(key) && params[key] !== undefined && params[key] !== null)
+    .sort()
+    .map(key => [key, params[key]]);
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ params: normalized, seed: seed === undefined ? null : String(seed) }))
+    .digest('hex');
+}
+
+class PromptCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.ttlMs - How long an entry is served (default: 24 hours)
+   * @param {number} options.maxEntries - Entries kept before the least recently used is evicted (default: 500)
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || 24 * 60 * 60 * 1000;
+    this.maxEntries = options.maxEntries || 500;
+    this.entries = new Map();
+  }
+
+  /**
+   * Look up an entry, counting the hit or miss
+   * @param {string} key - Cache key
+   * @param {Object} labels - Metric labels (e.g. { model })
+   * @returns {Object|null} { images, createdAt }, or null on a miss
+   */
+  get(key, labels = {}) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      metrics.incrementCounter('prompt_cache_misses_total', 1, labels);
+      return null;
+    }
+
+    // Re-insert so Map order tracks recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    metrics.incrementCounter('prompt_cache_hits_total', 1, labels);
+    return { images: entry.images, createdAt: entry.createdAt };
+  }
+
+  /**
+   * Store the images a request produced
+   * @param {string} key - Cache key
+   * @param {Array<Object>} images - Saved images as { filename, revised_prompt }
+   */
+  set(key, images) {
+    const now = Date.now();
+    this.entries.delete(key);
+    this.entries.set(key, {
+      images,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: now + this.ttlMs
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      metrics.incrementCounter('prompt_cache_evictions_total');
+    }
+    metrics.setGauge('prompt_cache_entries', this.entries.size);
+  }
+
+  /**
+   * Forget an entry
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    if (this.entries.delete(key)) {
+      metrics.setGauge('prompt_cache_entries', this.entries.size);
+    }
+  }
+
+  /**
+   * Forget every entry
+   */
+  clear() {
+    this.entries.clear();
+    metrics.setGauge('prompt_cache_entries', 0);
+  }
+
+  /**
+   * Number of entries (including expired ones not yet looked up)
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = {
+  PromptCache,
+  getCacheKey,
+  IGNORED_PARAMS
+};
@@ -0,0 +1,224 @@
+/**
+ * Prompt catalog for reusable image-generation recipes
+ * Loads JSON/YAML recipe files and expands them into generate_image calls
+ */
+
+const fsPromises = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('./logger');
+const { validateImageGenerationParams } = require('./validation');
+const { renderTemplate } = require('./prompt-templates');
+
+/**
+ * Default directory containing recipe files (project root /prompts)
+ */
+const DEFAULT_PROMPTS_DIR = path.join(__dirname, '..', '..', 'prompts');
+
+/**
+ * Recipe file extensions and their parsers
+ */
+const RECIPE_PARSERS = {
+  '.json': content => JSON.parse(content),
+  '.yaml': content => yaml.load(content),
+  '.yml': content => yaml.load(content)
+};
+
+/**
+ * Generation parameters a recipe may set as defaults
+ */
+const RECIPE_DEFAULT_KEYS = ['model', 'size', 'quality', 'style', 'n'];
+
+/**
+ * Prompt error class (carries a JSON-RPC error code)
+ */
+class PromptError extends Error {
+  constructor(message, code = -32602) {
+    super(message);
+    this.name = 'PromptError';
+    this.code = code;
+  }
+}
+
+/**
+ * Resolve the prompts directory from PROMPTS_DIR or the default
+ * @returns {string} Absolute path to the prompts directory
+ */
+function getPromptsDirectory() {
+  if (!process.env.PROMPTS_DIR) {
+    return DEFAULT_PROMPTS_DIR;
+  }
+  return path.isAbsolute(process.env.PROMPTS_DIR)
+    ? process.env.PROMPTS_DIR
+    : path.join(__dirname, '..', '..', process.env.PROMPTS_DIR);
+}
+
+/**
+ * Check a parsed recipe has the fields the catalog relies on
+ * @param {Object} recipe - Parsed recipe
+ * @param {string} file - Source filename (for error messages)
+ * @returns {Object} Normalized recipe
+ * @throws {Error} If the recipe is malformed
+ */
+function normalizeRecipe(recipe, file) {
+  if (!recipe || typeof recipe !== 'object') {
+    throw new Error(`${file}: recipe must be an object`);
+  }
+  if (typeof recipe.name !== 'string' || !recipe.name) {
+    throw new Error(`${file}: "name" is required`);
+  }
+  if (typeof recipe.template !== 'string' || !recipe.template) {
+    throw new Error(`${file}: "template" is required`);
+  }
+
+  const args = recipe.arguments || [];
+  if (!Array.isArray(args) || args.some(arg => !arg || typeof arg.name !== 'string')) {
+    throw new Error(`${file}: "arguments" must be a list of { name, description, required, default }`);
+  }
+
+  const defaults = {};
+  for (const key of RECIPE_DEFAULT_KEYS) {
+    if (recipe.defaults && recipe.defaults[key] !== undefined) {
+      defaults[key] = recipe.defaults[key];
+    }
+  }
+
+  return {
+    name: recipe.name,
+    description: recipe.description || '',
+    arguments: args,
+    template: recipe.template,
+    defaults,
+    source: file
+  };
+}
+
+/**
+ * Load all recipes from a directory
+ * Malformed files are logged and skipped so one bad recipe does not hide the rest.
+ * @param {string} directory - Directory containing .json/.yaml/.yml recipes
+ * @returns {Promise<Array>} Recipes sorted by name
+ */
+async function loadPromptCatalog(directory = getPromptsDirectory()) {
+  let files;
+  try {
+    files = await fsPromises.readdir(directory);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.debug(`Prompts directory ${directory} does not exist`);
+      return [];
+    }
+    throw error;
+  }
+
+  const recipes = new Map();
+  for (const file of files.sort()) {
+    const parse = RECIPE_PARSERS[path.extname(file).toLowerCase()];
+    if (!parse) {
+      continue;
+    }
+
+    try {
+      const content = await fsPromises.readFile(path.join(directory, file), 'utf8');
+      const recipe = normalizeRecipe(parse(content), file);
+      if (recipes.has(recipe.name)) {
+        logger.warn(`Duplicate prompt "${recipe.name}" in ${file}, ignoring`);
+        continue;
+      }
+      recipes.set(recipe.name, recipe);
+    } catch (error) {
+      logger.warn(`Skipping prompt recipe ${file}: ${error.message}`);
+    }
+  }
+
+  return Array.from(recipes.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Describe recipes in MCP prompts/list format
+ * @param {Array} catalog - Recipes from loadPromptCatalog
+ * @returns {Array} MCP prompt descriptors
+ */
+function listPrompts(catalog) {
+  return catalog.map(recipe => ({
+    name: recipe.name,
+    description: recipe.description,
+    arguments: recipe.arguments.map(arg => ({
+      name: arg.name,
+      description: arg.description || '',
+      required: Boolean(arg.required)
+    }))
+  }));
+}
+
+/**
+ * Expand a recipe into validated generate_image arguments
+ * @param {Object} recipe - Recipe from the catalog
+ * @param {Object} args - Argument values supplied by the client
+ * @returns {Object} Validated generate_image parameters
+ * @throws {PromptError} If required arguments are missing or the result is invalid
+ */
+function expandRecipe(recipe, args = {}) {
+  const values = {};
+  for (const arg of recipe.arguments) {
+    const value = args[arg.name];
+    if (value !== undefined && value !== null && value !== '') {
+      values[arg.name] = value;
+    } else if (arg.default !== undefined) {
+      values[arg.name] = arg.default;
+    } else if (arg.required) {
+      throw new PromptError(`Missing required argument "${arg.name}" for prompt "${recipe.name}"`);
+    }
+  }
+
+  try {
+    return validateImageGenerationParams({
+      ...recipe.defaults,
+      prompt: renderTemplate(recipe.template, values).replace(/\s+/g, ' ')
+    });
+  } catch (error) {
+    throw new PromptError(`Prompt "${recipe.name}" is invalid: ${error.message}`);
+  }
+}
+
+/**
+ * Build the MCP prompts/get result for a recipe
+ * @param {Array} catalog - Recipes from loadPromptCatalog
+ * @param {string} name - Prompt name
+ * @param {Object} args - Argument values supplied by the client
+ * @returns {Object} { description, messages }
+ * @throws {PromptError} If the prompt does not exist or cannot be expanded
+ */
+function getPrompt(catalog, name, args = {}) {
+  const recipe = catalog.find(r => r.name === name);
+  if (!recipe) {
+    throw new PromptError(`Unknown prompt: ${name}`);
+  }
+
+  const toolArguments = expandRecipe(recipe, args);
+
+  return {
+    description: recipe.description,
+    messages: [
+      {
+        role: 'user',
+        content: {
+          type: 'text',
+          text: 'Generate this image by calling the generate_image tool with these arguments:\n\n' +
+            JSON.stringify(toolArguments, null, 2)
+        }
+      }
+    ]
+  };
+}
+
+module.exports = {
+  loadPromptCatalog,
+  listPrompts,
+  getPrompt,
+  expandRecipe,
+  renderTemplate,
+  getPromptsDirectory,
+  PromptError,
+  DEFAULT_PROMPTS_DIR
+};
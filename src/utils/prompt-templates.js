@@ -0,0 +1,151 @@
+/**
+ * Prompt templates with {{variables}}
+ * A template such as "A {{color}} {{animal}} in {{style|watercolor}} style"
+ * names its variables in double braces, optionally with a default after a
+ * pipe. Given lists of values, a template expands into one prompt per
+ * combination (product) or per position across the lists (zip).
+ */
+
+const { ValidationError, VALIDATION_RULES } = require('./validation');
+
+/**
+ * {{name}} or {{name|default}} placeholders
+ */
+const VARIABLE_PATTERN = /\{\{\s*([\w-]+)\s*(?:\|([^}]*))?\}\}/g;
+
+/**
+ * List the variables a template uses, with their inline defaults
+ * @param {string} template - Template text
+ * @returns {Array<Object>} Variables as { name, default } in order of first use
+ */
+function parseTemplate(template) {
+  const variables = new Map();
+  for (const match of template.matchAll(VARIABLE_PATTERN)) {
+    const [, name, defaultValue] = match;
+    const variable = variables.get(name) || { name, default: undefined };
+    if (variable.default === undefined && defaultValue !== undefined) {
+      variable.default = defaultValue.trim();
+    }
+    variables.set(name, variable);
+  }
+  return Array.from(variables.values());
+}
+
+/**
+ * Replace {{variable}} placeholders in a template
+ * Variables without a value take their inline default, or render empty.
+ * @param {string} template - Template text
+ * @param {Object} values - Variable values
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, values) {
+  return template.replace(VARIABLE_PATTERN, (match, key, defaultValue) => {
+    if (values[key] !== undefined && values[key] !== null) {
+      return String(values[key]);
+    }
+    return defaultValue !== undefined ? defaultValue.trim() : '';
+  });
+}
+
+/**
+ * Check a variable's values and return them as a list
+ * @private
+ */
+function toValueList(name, value) {
+  const values = Array.isArray(value) ? value : [value];
+  if (values.length === 0) {
+    throw new ValidationError(`Variable ${name} needs at least one value`, `variables.${name}`);
+  }
+  for (const item of values) {
+    if (typeof item !== 'string' && typeof item !== 'number') {
+      throw new ValidationError(`Values of variable ${name} must be strings or numbers`, `variables.${name}`);
+    }
+  }
+  return values;
+}
+
+/**
+ * Combine value lists into one set of values per prompt
+ * @private
+ */
+function combine(names, lists, mode) {
+  if (mode === 'zip') {
+    // Single values apply to every prompt; lists must line up
+    const length = Math.max(1, ...lists.map(list => list.length));
+    names.forEach((name, i) => {
+      if (lists[i].length !== 1 && lists[i].length !== length) {
+        throw new ValidationError(
+          `Variable ${name} has ${lists[i].length} values; zip mode needs ${length} (or one)`,
+          `variables.${name}`
+        );
+      }
+    });
+    return Array.from({ length }, (_, index) => Object.fromEntries(
+      names.map((name, i) => [name, lists[i].length === 1 ? lists[i][0] : lists[i][index]])
+    ));
+  }
+
+  return names.reduce((combinations, name, i) => combinations.flatMap(values =>
+    lists[i].map(value => ({ ...values, [name]: value }))
+  ), [{}]);
+}
+
+/**
+ * Expand a template into one prompt per combination of variable values
+ * @param {string} template - Template text
+ * @param {Object} variables - Variable values: a string/number or a list of them per name
+ * @param {string} mode - product (every combination) or zip (lists side by side) (default: product)
+ * @returns {Array<Object>} Prompts as { prompt, variables }
+ * @throws {ValidationError} If a variable has no value or the expansion is too large
+ */
+function expandTemplate(template, variables = {}, mode = VALIDATION_RULES.batch.defaultMode) {
+  const rules = VALIDATION_RULES.batch;
+
+  if (typeof template !== 'string' || template.trim() === '') {
+    throw new ValidationError('Template is required', 'template');
+  }
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    throw new ValidationError('Variables must be an object of values by name', 'variables');
+  }
+  if (!rules.modes.includes(mode)) {
+    throw new ValidationError(`Invalid mode. Must be one of: ${rules.modes.join(', ')}`, 'mode');
+  }
+
+  const used = parseTemplate(template);
+  const unknown = Object.keys(variables).filter(name => !used.some(variable => variable.name === name));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Template does not use variable ${unknown[0]}`, `variables.${unknown[0]}`);
+  }
+
+  const names = [];
+  const lists = [];
+  for (const variable of used) {
+    const value = variables[variable.name];
+    if (value === undefined || value === null) {
+      if (variable.default === undefined) {
+        throw new ValidationError(`Variable ${variable.name} has no value or default`, `variables.${variable.name}`);
+      }
+      continue;
+    }
+    names.push(variable.name);
+    lists.push(toValueList(variable.name, value));
+  }
+
+  const count = mode === 'zip'
+    ? Math.max(1, ...lists.map(list => list.length))
+    : lists.reduce((total, list) => total * list.length, 1);
+  if (count > rules.maxItems) {
+    throw new ValidationError(`Template expands to ${count} prompts; the limit is ${rules.maxItems}`, 'variables');
+  }
+
+  return combine(names, lists, mode).map(values => ({
+    prompt: renderTemplate(template, values).replace(/\s+/g, ' ').trim(),
+    variables: values
+  }));
+}
+
+module.exports = {
+  parseTemplate,
+  renderTemplate,
+  expandTemplate
+};
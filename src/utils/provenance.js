@@ -0,0 +1,596 @@
+/**
+ * Provenance metadata embedded in saved images
+ * Writes an XMP packet describing how an image was made (prompt, revised
+ * prompt, model, parameters, timestamp, content hash) into the file itself:
+ * an iTXt chunk (plus a tEXt Software chunk) for PNG, an APP1 segment for JPEG
+ * and an XMP chunk for WebP. The content hash covers the file without this
+ * metadata, so readProvenance can tell whether the image was altered later.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Name written as the creator tool / PNG Software text
+ */
+const SOFTWARE_NAME = 'openai-image-gen-mcp';
+
+/**
+ * XML namespace of the provenance properties
+ */
+const PROVENANCE_NAMESPACE = 'https://github.com/collactivelabs/openai-image-gen-mcp/ns/provenance/1.0/';
+
+/**
+ * Container identifiers
+ */
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+const JPEG_XMP_HEADER = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1');
+const JPEG_MAX_SEGMENT_LENGTH = 0xffff;
+const WEBP_XMP_FLAG = 0x04;
+
+/**
+ * Error for images whose format cannot carry provenance
+ */
+class ProvenanceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProvenanceError';
+  }
+}
+
+let crcTable = null;
+
+/**
+ * CRC-32 as used by PNG chunks
+ * @private
+ */
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Detect the image format from its leading bytes
+ * @param {Buffer} buffer - Image data
+ * @returns {string|null} png, jpeg, webp, or null if unrecognised
+ */
+function detectImageFormat(buffer) {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return 'png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  return null;
+}
+
+/**
+ * Hash image data
+ * @param {Buffer} buffer - Image data
+ * @returns {string} "sha256:<hex>"
+ */
+function computeContentHash(buffer) {
+  return `sha256:${crypto.createHash('sha256').update(buffer).digest('hex')}`;
+}
+
+/**
+ * @private
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * @private
+ */
+function unescapeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Build the XMP packet for a provenance record
+ * The full record is kept as JSON in oigm:Provenance; the prompt, tool and
+ * date are repeated in standard properties for other XMP readers.
+ * @param {Object} provenance - Provenance record
+ * @returns {string} XMP packet
+ */
+function buildXmpPacket(provenance) {
+  const description = provenance.prompt
+    ? `\n      <dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(provenance.prompt)}</rdf:li></rdf:Alt></dc:description>`
+    : '';
+  return `<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about=""
+        xmlns:dc="http://purl.org/dc/elements/1.1/"
+        xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+        xmlns:oigm="${PROVENANCE_NAMESPACE}">${description}
+      <xmp:CreatorTool>${escapeXml(SOFTWARE_NAME)}</xmp:CreatorTool>
+      <xmp:CreateDate>${escapeXml(provenance.generatedAt)}</xmp:CreateDate>
+      <oigm:Model>${escapeXml(provenance.model || '')}</oigm:Model>
+      <oigm:ContentHash>${escapeXml(provenance.contentHash)}</oigm:ContentHash>
+      <oigm:Provenance>${escapeXml(JSON.stringify(provenance))}</oigm:Provenance>
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+/**
+ * Extract the provenance record from an XMP packet written by buildXmpPacket
+ * @param {string} xmp - XMP packet
+ * @returns {Object|null} Provenance record, or null if the packet is not ours
+ */
+function parseXmpPacket(xmp) {
+  const match = xmp.match(/<oigm:Provenance>([\s\S]*?)<\/oigm:Provenance>/);
+  if (!xmp.includes(PROVENANCE_NAMESPACE) || !match) {
+    return null;
+  }
+  try {
+    return JSON.parse(unescapeXml(match[1]));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @private
+ */
+function isOurXmp(text) {
+  return text.includes(PROVENANCE_NAMESPACE);
+}
+
+// PNG
+
+/**
+ * @private
+ */
+function readPngChunks(buffer) {
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const end = offset + 12 + length;
+    if (end > buffer.length) {
+      throw new ProvenanceError('Truncated PNG chunk');
+    }
+    chunks.push({
+      type: buffer.toString('latin1', offset + 4, offset + 8),
+      data: buffer.subarray(offset + 8, offset + 8 + length),
+      raw: buffer.subarray(offset, end)
+    });
+    offset = end;
+  }
+  return chunks;
+}
+
+/**
+ * @private
+ */
+function buildPngChunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(data.length, 0);
+  header.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])), 0);
+  return Buffer.concat([header, data, crc]);
+}
+
+/**
+ * Parse a tEXt or iTXt chunk into { keyword, text }
+ * @private
+ */
+function readPngText(chunk) {
+  const separator = chunk.data.indexOf(0);
+  if (separator === -1) {
+    return null;
+  }
+  const keyword = chunk.data.toString('latin1', 0, separator);
+  if (chunk.type === 'tEXt') {
+    return { keyword, text: chunk.data.toString('latin1', separator + 1) };
+  }
+  // iTXt: compression flag, compression method, language tag\0, translated keyword\0, text
+  if (chunk.data[separator + 1] !== 0) {
+    return { keyword, text: null }; // Compressed text is never ours
+  }
+  const languageEnd = chunk.data.indexOf(0, separator + 3);
+  const translatedEnd = languageEnd === -1 ? -1 : chunk.data.indexOf(0, languageEnd + 1);
+  if (translatedEnd === -1) {
+    return null;
+  }
+  return { keyword, text: chunk.data.toString('utf8', translatedEnd + 1) };
+}
+
+/**
+ * @private
+ */
+function isOurPngChunk(chunk) {
+  if (chunk.type !== 'tEXt' && chunk.type !== 'iTXt') {
+    return false;
+  }
+  const text = readPngText(chunk);
+  if (!text || text.text === null) {
+    return false;
+  }
+  return (chunk.type === 'tEXt' && text.keyword === 'Software' && text.text === SOFTWARE_NAME) ||
+    (chunk.type === 'iTXt' && text.keyword === PNG_XMP_KEYWORD && isOurXmp(text.text));
+}
+
+/**
+ * @private
+ */
+function embedPng(buffer, xmp) {
+  const chunks = readPngChunks(buffer).filter(chunk => !isOurPngChunk(chunk));
+  if (chunks.length === 0 || chunks[0].type !== 'IHDR') {
+    throw new ProvenanceError('PNG does not start with an IHDR chunk');
+  }
+  const software = buildPngChunk('tEXt', Buffer.from(`Software\0${SOFTWARE_NAME}`, 'latin1'));
+  const itxt = buildPngChunk('iTXt', Buffer.concat([
+    Buffer.from(`${PNG_XMP_KEYWORD}\0\0\0\0\0`, 'latin1'),
+    Buffer.from(xmp, 'utf8')
+  ]));
+  return Buffer.concat([PNG_SIGNATURE, chunks[0].raw, software, itxt, ...chunks.slice(1).map(chunk => chunk.raw)]);
+}
+
+/**
+ * @private
+ */
+function stripPng(buffer) {
+  const chunks = readPngChunks(buffer).filter(chunk => !isOurPngChunk(chunk));
+  return Buffer.concat([PNG_SIGNATURE, ...chunks.map(chunk => chunk.raw)]);
+}
+
+/**
+ * @private
+ */
+function readPngXmp(buffer) {
+  for (const chunk of readPngChunks(buffer)) {
+    if (chunk.type === 'iTXt') {
+      const text = readPngText(chunk);
+      if (text && text.keyword === PNG_XMP_KEYWORD && text.text) {
+        return text.text;
+      }
+    }
+  }
+  return null;
+}
+
+// JPEG
+
+/**
+ * Split a JPEG into its header segments (up to the first SOS) and the rest
+ * @private
+ */
+function readJpegSegments(buffer) {
+  const segments = [];
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      throw new ProvenanceError('Invalid JPEG segment marker');
+    }
+    const marker = buffer[offset + 1];
+    if (marker === 0xda) {
+      break; // Start of scan: entropy-coded data follows
+    }
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length) {
+      throw new ProvenanceError('Truncated JPEG segment');
+    }
+    segments.push({ marker, data: buffer.subarray(offset + 4, end), raw: buffer.subarray(offset, end) });
+    offset = end;
+  }
+  return { segments, rest: buffer.subarray(offset) };
+}
+
+/**
+ * @private
+ */
+function isJpegXmpSegment(segment) {
+  return segment.marker === 0xe1 && segment.data.subarray(0, JPEG_XMP_HEADER.length).equals(JPEG_XMP_HEADER);
+}
+
+/**
+ * @private
+ */
+function isOurJpegSegment(segment) {
+  return isJpegXmpSegment(segment) && isOurXmp(segment.data.toString('utf8', JPEG_XMP_HEADER.length));
+}
+
+/**
+ * @private
+ */
+function embedJpeg(buffer, xmp) {
+  const { segments, rest } = readJpegSegments(buffer);
+  const kept = segments.filter(segment => !isOurJpegSegment(segment));
+  const payload = Buffer.concat([JPEG_XMP_HEADER, Buffer.from(xmp, 'utf8')]);
+  if (payload.length + 2 > JPEG_MAX_SEGMENT_LENGTH) {
+    throw new ProvenanceError('Provenance is too large for a JPEG XMP segment');
+  }
+  const header = Buffer.from([0xff, 0xe1, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+
+  // Keep a leading JFIF APP0 segment first, as readers expect
+  const position = kept.length > 0 && kept[0].marker === 0xe0 ? 1 : 0;
+  return Buffer.concat([
+    buffer.subarray(0, 2),
+    ...kept.slice(0, position).map(segment => segment.raw),
+    header,
+    payload,
+    ...kept.slice(position).map(segment => segment.raw),
+    rest
+  ]);
+}
+
+/**
+ * @private
+ */
+function stripJpeg(buffer) {
+  const { segments, rest } = readJpegSegments(buffer);
+  return Buffer.concat([
+    buffer.subarray(0, 2),
+    ...segments.filter(segment => !isOurJpegSegment(segment)).map(segment => segment.raw),
+    rest
+  ]);
+}
+
+/**
+ * @private
+ */
+function readJpegXmp(buffer) {
+  const segment = readJpegSegments(buffer).segments.find(isJpegXmpSegment);
+  return segment ? segment.data.toString('utf8', JPEG_XMP_HEADER.length) : null;
+}
+
+// WebP
+
+/**
+ * @private
+ */
+function readWebpChunks(buffer) {
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const size = buffer.readUInt32LE(offset + 4);
+    const end = offset + 8 + size + (size % 2);
+    if (offset + 8 + size > buffer.length) {
+      throw new ProvenanceError('Truncated WebP chunk');
+    }
+    chunks.push({
+      type: buffer.toString('latin1', offset, offset + 4),
+      data: buffer.subarray(offset + 8, offset + 8 + size),
+      raw: buffer.subarray(offset, Math.min(end, buffer.length))
+    });
+    offset = end;
+  }
+  return chunks;
+}
+
+/**
+ * @private
+ */
+function buildWebpChunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.write(type, 0, 'latin1');
+  header.writeUInt32LE(data.length, 4);
+  return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+/**
+ * @private
+ */
+function buildWebp(chunks) {
+  const body = Buffer.concat(chunks.map(chunk => chunk.raw));
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Canvas size of a simple (VP8 or VP8L) WebP image
+ * @private
+ */
+function getWebpCanvasSize(chunk) {
+  if (chunk.type === 'VP8 ' && chunk.data.length >= 10) {
+    return {
+      width: chunk.data.readUInt16LE(6) & 0x3fff,
+      height: chunk.data.readUInt16LE(8) & 0x3fff
+    };
+  }
+  if (chunk.type === 'VP8L' && chunk.data.length >= 5 && chunk.data[0] === 0x2f) {
+    const bits = chunk.data.readUInt32LE(1);
+    return {
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >>> 14) & 0x3fff) + 1
+    };
+  }
+  throw new ProvenanceError(`Unsupported WebP image chunk: ${chunk.type}`);
+}
+
+/**
+ * @private
+ */
+function buildVp8xChunk(flags, width, height) {
+  const data = Buffer.alloc(10);
+  data[0] = flags;
+  data.writeUIntLE(width - 1, 4, 3);
+  data.writeUIntLE(height - 1, 7, 3);
+  return { type: 'VP8X', data, raw: buildWebpChunk('VP8X', data) };
+}
+
+/**
+ * @private
+ */
+function withVp8xFlags(chunk, flags) {
+  const data = Buffer.from(chunk.data);
+  data[0] = flags;
+  return { type: 'VP8X', data, raw: buildWebpChunk('VP8X', data) };
+}
+
+/**
+ * @private
+ */
+function isOurWebpChunk(chunk) {
+  return chunk.type === 'XMP ' && isOurXmp(chunk.data.toString('utf8'));
+}
+
+/**
+ * @private
+ */
+function embedWebp(buffer, xmp) {
+  let chunks = readWebpChunks(stripWebp(buffer));
+  if (chunks.length === 0) {
+    throw new ProvenanceError('WebP has no image data');
+  }
+  if (chunks.some(chunk => chunk.type === 'XMP ')) {
+    throw new ProvenanceError('WebP already carries XMP metadata');
+  }
+
+  // XMP requires the extended (VP8X) container
+  if (chunks[0].type === 'VP8X') {
+    chunks = [withVp8xFlags(chunks[0], chunks[0].data[0] | WEBP_XMP_FLAG), ...chunks.slice(1)];
+  } else {
+    const { width, height } = getWebpCanvasSize(chunks[0]);
+    chunks = [buildVp8xChunk(WEBP_XMP_FLAG, width, height), ...chunks];
+  }
+
+  const data = Buffer.from(xmp, 'utf8');
+  return buildWebp([...chunks, { type: 'XMP ', data, raw: buildWebpChunk('XMP ', data) }]);
+}
+
+/**
+ * @private
+ */
+function stripWebp(buffer) {
+  let chunks = readWebpChunks(buffer);
+  if (chunks.some(isOurWebpChunk)) {
+    chunks = chunks.filter(chunk => !isOurWebpChunk(chunk));
+    if (chunks[0] && chunks[0].type === 'VP8X') {
+      chunks[0] = withVp8xFlags(chunks[0], chunks[0].data[0] & ~WEBP_XMP_FLAG);
+    }
+  }
+
+  // A VP8X with no features left is only a wrapper around a simple image
+  if (chunks.length === 2 && chunks[0].type === 'VP8X' && chunks[0].data[0] === 0 &&
+      ['VP8 ', 'VP8L'].includes(chunks[1].type)) {
+    chunks = [chunks[1]];
+  }
+  return buildWebp(chunks);
+}
+
+/**
+ * @private
+ */
+function readWebpXmp(buffer) {
+  const chunk = readWebpChunks(buffer).find(candidate => candidate.type === 'XMP ');
+  return chunk ? chunk.data.toString('utf8') : null;
+}
+
+const FORMATS = {
+  png: { embed: embedPng, strip: stripPng, readXmp: readPngXmp },
+  jpeg: { embed: embedJpeg, strip: stripJpeg, readXmp: readJpegXmp },
+  webp: { embed: embedWebp, strip: stripWebp, readXmp: readWebpXmp }
+};
+
+/**
+ * @private
+ */
+function getFormat(buffer) {
+  const format = detectImageFormat(buffer);
+  if (!format) {
+    throw new ProvenanceError('Unsupported image format (expected PNG, JPEG or WebP)');
+  }
+  return { name: format, ...FORMATS[format] };
+}
+
+/**
+ * Remove provenance written by embedProvenance
+ * @param {Buffer} buffer - Image data
+ * @returns {Buffer} Image data without our metadata
+ * @throws {ProvenanceError} If the format is unsupported or the file is malformed
+ */
+function stripProvenance(buffer) {
+  return getFormat(buffer).strip(buffer);
+}
+
+/**
+ * Embed provenance in an image
+ * Any provenance already present is replaced; the content hash covers the
+ * image without it.
+ * @param {Buffer} buffer - Image data
+ * @param {Object} fields - Provenance fields (prompt, revised_prompt, model, parameters, ...)
+ * @returns {Object} { data: image with provenance, provenance: the embedded record }
+ * @throws {ProvenanceError} If the format is unsupported or the file is malformed
+ */
+function embedProvenance(buffer, fields) {
+  const format = getFormat(buffer);
+  const provenance = {
+    software: SOFTWARE_NAME,
+    ...fields,
+    generatedAt: fields.generatedAt || new Date().toISOString(),
+    contentHash: computeContentHash(format.strip(buffer))
+  };
+  return {
+    data: format.embed(buffer, buildXmpPacket(provenance)),
+    provenance
+  };
+}
+
+/**
+ * Read provenance back from an image
+ * @param {Buffer} buffer - Image data
+ * @returns {Object} { format, provenance (null if absent), contentHash, verified }
+ *   verified is true when the image is unchanged since the provenance was written,
+ *   false when it was altered, and null when there is no provenance
+ * @throws {ProvenanceError} If the format is unsupported or the file is malformed
+ */
+function readProvenance(buffer) {
+  const format = getFormat(buffer);
+  const xmp = format.readXmp(buffer);
+  const provenance = xmp ? parseXmpPacket(xmp) : null;
+  const contentHash = computeContentHash(format.strip(buffer));
+  return {
+    format: format.name,
+    provenance,
+    contentHash,
+    verified: provenance ? provenance.contentHash === contentHash : null
+  };
+}
+
+module.exports = {
+  embedProvenance,
+  readProvenance,
+  stripProvenance,
+  detectImageFormat,
+  computeContentHash,
+  buildXmpPacket,
+  parseXmpPacket,
+  ProvenanceError,
+  SOFTWARE_NAME,
+  PROVENANCE_NAMESPACE
+};
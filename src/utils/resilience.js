@@ -0,0 +1,324 @@
+/**
+ * Resilience utilities for upstream calls
+ * Retries with jittered exponential backoff (honouring Retry-After) and a
+ * circuit breaker that fails fast while an upstream provider is down.
+ */
+
+const logger = require('./logger');
+const { metrics } = require('./metrics');
+
+/**
+ * HTTP statuses worth retrying
+ */
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Network error codes worth retrying
+ */
+const RETRYABLE_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN'];
+
+/**
+ * OpenAI SDK error names for connection failures (they carry no status or code)
+ */
+const RETRYABLE_ERROR_NAMES = ['APIConnectionError', 'APIConnectionTimeoutError'];
+
+/**
+ * Default retry settings
+ */
+const DEFAULT_RETRY_OPTIONS = {
+  retries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 20000
+};
+
+/**
+ * Breaker states (gauge values exported as circuit_breaker_state)
+ */
+const BREAKER_STATES = {
+  closed: 0,
+  open: 1,
+  half_open: 2
+};
+
+/**
+ * Error thrown while a circuit breaker is open
+ */
+class CircuitOpenError extends Error {
+  constructor(name, retryInMs) {
+    super(`Upstream ${name} is unavailable (circuit open); retry in ${Math.ceil(retryInMs / 1000)}s`);
+    this.name = 'CircuitOpenError';
+    this.code = 'ECIRCUITOPEN';
+    this.retryInMs = retryInMs;
+  }
+}
+
+/**
+ * Get the HTTP status of an error (OpenAI SDK uses status, downloads use statusCode)
+ * @param {Error} error - The error
+ * @returns {number|undefined} HTTP status
+ */
+function getErrorStatus(error) {
+  return error.status || error.statusCode;
+}
+
+/**
+ * Check whether an error is transient and worth retrying
+ * @param {Error} error - The error
+ * @returns {boolean} True if the call should be retried
+ */
+function isRetryableError(error) {
+  if (!error || error.name === 'AbortError' || error.name === 'APIUserAbortError') {
+    return false;
+  }
+  const status = getErrorStatus(error);
+  if (status) {
+    return RETRYABLE_STATUSES.includes(status);
+  }
+  return RETRYABLE_CODES.includes(error.code) || RETRYABLE_ERROR_NAMES.includes(error.name);
+}
+
+/**
+ * Check whether an error indicates the upstream itself is failing
+ * Rate limits (429) are retried but do not count towards opening the breaker.
+ * @param {Error} error - The error
+ * @returns {boolean} True if the error counts as an upstream failure
+ */
+function isUpstreamFailure(error) {
+  return isRetryableError(error) && getErrorStatus(error) !== 429;
+}
+
+/**
+ * Read a Retry-After delay from an error's response headers
+ * @param {Error} error - The error (headers may be a plain object or Headers instance)
+ * @returns {number|null} Delay in milliseconds, or null if absent
+ */
+function getRetryAfterMs(error) {
+  const headers = error && error.headers;
+  if (!headers) {
+    return null;
+  }
+  const read = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const retryAfterMs = parseFloat(read('retry-after-ms'));
+  if (!isNaN(retryAfterMs)) {
+    return Math.max(0, retryAfterMs);
+  }
+
+  const retryAfter = read('retry-after');
+  if (!retryAfter) {
+    return null;
+  }
+  const seconds = parseFloat(retryAfter);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Compute a jittered exponential backoff delay
+ * @param {number} attempt - Retry number (1 for the first retry)
+ * @param {Object} options - { baseDelayMs, maxDelayMs }
+ * @param {Function} random - Random source (default: Math.random)
+ * @returns {number} Delay in milliseconds, between half and all of the exponential delay
+ */
+function computeBackoffDelay(attempt, options = DEFAULT_RETRY_OPTIONS, random = Math.random) {
+  const exponential = Math.min(options.maxDelayMs, options.baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(exponential / 2 + random() * exponential / 2);
+}
+
+/**
+ * Wait for a delay, rejecting early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      const error = new Error('Operation was cancelled');
+      error.name = 'AbortError';
+      reject(error);
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Circuit breaker for one upstream
+ * Opens after `failureThreshold` consecutive upstream failures, fails fast
+ * for `resetTimeoutMs`, then lets a single trial request through (half open).
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Upstream name (used in errors and metric labels)
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures before opening (default: 5)
+   * @param {number} options.resetTimeoutMs - Time to stay open before a trial request (default: 30000)
+   * @param {MetricsStore} options.metrics - Metrics store (default: shared store)
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+    this.metrics = options.metrics || metrics;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.setState('closed');
+  }
+
+  /**
+   * @private
+   */
+  setState(state) {
+    if (this.state !== state) {
+      if (this.state) {
+        logger.warn(`Circuit breaker for ${this.name} is now ${state}`);
+        this.metrics.incrementCounter('circuit_breaker_transitions_total', 1, { upstream: this.name, state });
+      }
+      this.state = state;
+    }
+    this.metrics.setGauge('circuit_breaker_state', BREAKER_STATES[state], { upstream: this.name });
+  }
+
+  /**
+   * Throw if requests should not be sent right now
+   * @throws {CircuitOpenError} While open (or while a half-open trial is running)
+   */
+  beforeRequest() {
+    if (this.state === 'open') {
+      const elapsed = Date.now() - this.openedAt;
+      if (elapsed < this.resetTimeoutMs) {
+        this.metrics.incrementCounter('circuit_breaker_rejections_total', 1, { upstream: this.name });
+        throw new CircuitOpenError(this.name, this.resetTimeoutMs - elapsed);
+      }
+      this.setState('half_open');
+    }
+
+    if (this.state === 'half_open') {
+      if (this.trialInFlight) {
+        this.metrics.incrementCounter('circuit_breaker_rejections_total', 1, { upstream: this.name });
+        throw new CircuitOpenError(this.name, this.resetTimeoutMs);
+      }
+      this.trialInFlight = true;
+    }
+  }
+
+  /**
+   * Record a successful request (closes the breaker)
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.trialInFlight = false;
+    this.openedAt = null;
+    this.setState('closed');
+  }
+
+  /**
+   * Record a failed request
+   * Only upstream failures count. Another answer from the upstream (such as a 400
+   * or 429) closes a half-open breaker; a cancelled request or a local error says
+   * nothing about the upstream and just frees the trial for the next request.
+   * @param {Error} error - The failure
+   */
+  recordFailure(error) {
+    this.trialInFlight = false;
+    if (!isUpstreamFailure(error)) {
+      if (this.state === 'half_open' && error && getErrorStatus(error)) {
+        // The upstream answered, so it is reachable again
+        this.recordSuccess();
+      }
+      return;
+    }
+
+    this.failures++;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.setState('open');
+    }
+  }
+}
+
+/**
+ * Run an async call with retries and an optional circuit breaker
+ * @param {Function} fn - Call to make; receives the attempt number (0-based)
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Maximum retries after the first attempt (default: 3)
+ * @param {number} options.baseDelayMs - First backoff delay (default: 500)
+ * @param {number} options.maxDelayMs - Maximum backoff delay, also caps Retry-After (default: 20000)
+ * @param {CircuitBreaker} options.breaker - Optional circuit breaker
+ * @param {AbortSignal} options.signal - Optional signal; aborting stops further retries
+ * @param {string} options.operation - Operation label for logs and metrics
+ * @param {MetricsStore} options.metrics - Metrics store (default: shared store)
+ * @returns {Promise<*>} Result of fn
+ */
+async function withRetry(fn, options = {}) {
+  const settings = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  const store = options.metrics || metrics;
+  const operation = settings.operation || 'upstream';
+
+  for (let attempt = 0; ; attempt++) {
+    if (settings.breaker) {
+      settings.breaker.beforeRequest();
+    }
+
+    try {
+      const result = await fn(attempt);
+      if (settings.breaker) {
+        settings.breaker.recordSuccess();
+      }
+      return result;
+    } catch (error) {
+      if (settings.breaker) {
+        settings.breaker.recordFailure(error);
+      }
+
+      if (attempt >= settings.retries || !isRetryableError(error) || (settings.signal && settings.signal.aborted)) {
+        if (attempt > 0) {
+          store.incrementCounter('upstream_retries_exhausted_total', 1, { operation });
+        }
+        throw error;
+      }
+
+      const retryAfterMs = getRetryAfterMs(error);
+      const delay = retryAfterMs !== null
+        ? Math.min(retryAfterMs, settings.maxDelayMs)
+        : computeBackoffDelay(attempt + 1, settings);
+      const reason = getErrorStatus(error) || error.code || error.name;
+
+      store.incrementCounter('upstream_retries_total', 1, { operation, reason: String(reason) });
+      logger.warn(`${operation} failed (${error.message}); retry ${attempt + 1}/${settings.retries} in ${delay}ms`);
+      await sleep(delay, settings.signal);
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  CircuitBreaker,
+  CircuitOpenError,
+  isRetryableError,
+  isUpstreamFailure,
+  getRetryAfterMs,
+  computeBackoffDelay,
+  sleep,
+  DEFAULT_RETRY_OPTIONS,
+  RETRYABLE_STATUSES,
+  RETRYABLE_CODES
+};
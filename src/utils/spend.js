@@ -0,0 +1,241 @@
+/**
+ * Spend tracking
+ * Every priced generation adds its estimated cost (see utils/pricing) to
+ * counters labelled by model and requester, covering this process since it
+ * started. Every generation, saved or not, is also appended to a spend ledger
+ * (a JSON Lines file that image cleanup never touches), which is what reports
+ * by day and over longer periods are built from.
+ */
+
+const fsPromises = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const { metrics } = require('./metrics');
+const { getImagePrice, roundCost } = require('./pricing');
+const { ValidationError } = require('./validation');
+
+/**
+ * Counter of estimated spend in USD
+ */
+const SPEND_METRIC = 'image_spend_usd_total';
+
+/**
+ * Counter of priced images
+ */
+const SPEND_IMAGES_METRIC = 'image_spend_images_total';
+
+/**
+ * Requester label for calls that did not say who made them
+ */
+const UNKNOWN_REQUESTER = 'unknown';
+
+/**
+ * Add a request's estimated cost to the spend counters
+ * @param {number} price - USD per image
+ * @param {number} count - Images produced
+ * @param {Object} labels - { model, requester }
+ * @param {MetricsStore} store - Metrics store (default: the shared store)
+ */
+function recordSpend(price, count, labels = {}, store = metrics) {
+  const counterLabels = {
+    model: labels.model,
+    requester: labels.requester || UNKNOWN_REQUESTER
+  };
+  store.incrementCounter(SPEND_METRIC, roundCost(price * count), counterLabels);
+  store.incrementCounter(SPEND_IMAGES_METRIC, count, counterLabels);
+}
+
+/**
+ * Add amounts (e.g. { cost, images }) to a group of a summary
+ * @private
+ */
+function addTo(groups, key, amounts) {
+  const group = groups.get(key) || {};
+  for (const [name, value] of Object.entries(amounts)) {
+    group[name] = (group[name] || 0) + value;
+  }
+  groups.set(key, group);
+}
+
+/**
+ * Turn grouped amounts into a list of { [field]: key, cost, ... }
+ * @private
+ */
+function listGroups(groups, field) {
+  return Array.from(groups, ([key, group]) => ({ [field]: key, ...group, cost: roundCost(group.cost || 0) }));
+}
+
+/**
+ * Spend counted by this process since it started
+ * @param {MetricsStore} store - Metrics store (default: the shared store)
+ * @returns {Object} { startedAt, total, images, byModel, byRequester }
+ */
+function getSpendCounters(store = metrics) {
+  const byModel = new Map();
+  const byRequester = new Map();
+  let total = 0;
+  let images = 0;
+
+  for (const counter of store.getCounters(SPEND_METRIC)) {
+    total += counter.value;
+    addTo(byModel, counter.labels.model, { cost: counter.value });
+    addTo(byRequester, counter.labels.requester, { cost: counter.value });
+  }
+  for (const counter of store.getCounters(SPEND_IMAGES_METRIC)) {
+    images += counter.value;
+    addTo(byModel, counter.labels.model, { images: counter.value });
+    addTo(byRequester, counter.labels.requester, { images: counter.value });
+  }
+
+  const byCost = (a, b) => b.cost - a.cost;
+  return {
+    startedAt: new Date(store.startTime).toISOString(),
+    total: roundCost(total),
+    images,
+    byModel: listGroups(byModel, 'model').sort(byCost),
+    byRequester: listGroups(byRequester, 'requester').sort(byCost)
+  };
+}
+
+/**
+ * Parse a reporting period
+ * @param {Object} query - { since, until } as ISO 8601 dates (both optional)
+ * @returns {Object} { since, until } (null when not set)
+ * @throws {ValidationError} If a date is invalid or the period is empty
+ */
+function parseSpendPeriod(query = {}) {
+  const period = {};
+  for (const field of ['since', 'until']) {
+    const value = query[field];
+    if (value === undefined || value === null || value === '') {
+      period[field] = null;
+    } else if (isNaN(Date.parse(value))) {
+      throw new ValidationError(`${field} must be an ISO 8601 date`, field);
+    } else {
+      period[field] = new Date(value).toISOString();
+    }
+  }
+  if (period.since && period.until && period.since >= period.until) {
+    throw new ValidationError('until must be later than since', 'until');
+  }
+  return period;
+}
+
+/**
+ * Summarize spend from ledger or history entries
+ * A ledger entry covers a whole request (images of estimatedCost each); a history
+ * entry covers one saved image, and its request is counted on the first image.
+ * Entries recorded before costs were tracked are priced from their model, size
+ * and quality.
+ * @param {Array<Object>} entries - Entries (see SpendLedger.loadAll and ImageHistory.loadAll)
+ * @param {Object} period - { since, until } from parseSpendPeriod; since is inclusive, until exclusive
+ * @returns {Object} { total, images, requests, unpriced, byDay, byModel, byRequester }
+ */
+function summarizeSpend(entries, period = {}) {
+  const since = period.since ? Date.parse(period.since) : null;
+  const until = period.until ? Date.parse(period.until) : null;
+  const byDay = new Map();
+  const byModel = new Map();
+  const byRequester = new Map();
+  const summary = { total: 0, images: 0, requests: 0, unpriced: 0 };
+
+  for (const entry of entries) {
+    const createdAt = Date.parse(entry.createdAt);
+    if ((since !== null && createdAt < since) || (until !== null && createdAt >= until)) {
+      continue;
+    }
+
+    const cost = typeof entry.estimatedCost === 'number'
+      ? entry.estimatedCost
+      : getImagePrice(entry.model, entry.size, entry.quality);
+    const images = entry.images || 1;
+    if (cost === null) {
+      summary.unpriced += images;
+      continue;
+    }
+
+    const amounts = { cost: cost * images, images, requests: entry.index ? 0 : 1 };
+    summary.total += amounts.cost;
+    summary.images += images;
+    summary.requests += amounts.requests;
+    addTo(byDay, entry.createdAt.slice(0, 10), amounts);
+    addTo(byModel, entry.model, amounts);
+    addTo(byRequester, entry.requester || UNKNOWN_REQUESTER, amounts);
+  }
+
+  const byCost = (a, b) => b.cost - a.cost;
+  return {
+    ...summary,
+    total: roundCost(summary.total),
+    byDay: listGroups(byDay, 'day').sort((a, b) => a.day.localeCompare(b.day)),
+    byModel: listGroups(byModel, 'model').sort(byCost),
+    byRequester: listGroups(byRequester, 'requester').sort(byCost)
+  };
+}
+
+/**
+ * Append-only record of what every generation is estimated to have cost
+ * Lines are appended in one write each, so processes can share the file.
+ */
+class SpendLedger {
+  /**
+   * @param {string} filePath - JSON Lines file the entries are appended to
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Append a request's spend
+   * @param {Object} entry - { model, size, quality, requester, images, estimatedCost (USD per image; null if unpriced) }
+   * @returns {Promise<void>}
+   */
+  async append(entry) {
+    const line = JSON.stringify({ createdAt: new Date().toISOString(), ...entry });
+    await fsPromises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fsPromises.appendFile(this.filePath, `${line}\n`);
+  }
+
+  /**
+   * Read every entry (unreadable lines, such as one cut short by a crash, are skipped)
+   * @returns {Promise<Array<Object>>} Entries, oldest first
+   */
+  async loadAll() {
+    let content;
+    try {
+      content = await fsPromises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        const entry = JSON.parse(line);
+        if (!entry || typeof entry.createdAt !== 'string') {
+          throw new Error('missing createdAt');
+        }
+        entries.push(entry);
+      } catch (error) {
+        logger.warn(`Skipping unreadable spend ledger line in ${this.filePath}: ${error.message}`);
+      }
+    }
+    return entries;
+  }
+}
+
+module.exports = {
+  SpendLedger,
+  recordSpend,
+  getSpendCounters,
+  parseSpendPeriod,
+  summarizeSpend,
+  SPEND_METRIC,
+  SPEND_IMAGES_METRIC
+};
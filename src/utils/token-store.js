@@ -0,0 +1,246 @@
+/**
+ * API token store
+ * Named bearer tokens for the HTTP API, each limited to a set of scopes and
+ * optionally to an expiry date. Only a SHA-256 hash of each token is kept, in
+ * a JSON file shared by the server and `cli.js tokens`; the server re-reads
+ * the file when it changes, so created and revoked tokens apply without a
+ * restart. Revoked tokens stay in the file (disabled) for the record.
+ */
+
+const crypto = require('crypto');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { ValidationError } = require('./validation');
+
+/**
+ * Scopes a token can be granted
+ * - generate: generate images (POST /mcp, /batch, /jobs, generate_image and generate_batch tools)
+ * - edit: edit images and create variations (edit_image and create_image_variation tools)
+ * - admin:images: image stats, cleanup, the generation history and MCP image resources
+ * - admin:metrics: metrics, spend, job and webhook stats
+ */
+const SCOPES = ['generate', 'edit', 'admin:images', 'admin:metrics'];
+
+/**
+ * Default token file (relative to the working directory, like the other state files)
+ */
+const DEFAULT_TOKEN_STORE_FILE = './data/tokens.json';
+
+/**
+ * Prefix of generated tokens, so they are recognizable in configs and logs
+ */
+const TOKEN_PREFIX = 'igm_';
+
+/**
+ * Token names become requesters (token:<name>), so keep them to a safe alphabet
+ */
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Plaintext token
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Parse a token expiry: an ISO 8601 date or a number of days (e.g. 30d)
+ * @param {string} value - Expiry (null or empty for a token that never expires)
+ * @param {Date} now - Date the expiry is counted from (default: now)
+ * @returns {string|null} ISO expiry date
+ * @throws {ValidationError} If the expiry is invalid or not in the future
+ */
+function parseExpiry(value, now = new Date()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const days = /^(\d+)d$/.exec(String(value).trim());
+  const expiresAt = days
+    ? new Date(now.getTime() + parseInt(days[1], 10) * 24 * 60 * 60 * 1000)
+    : new Date(value);
+
+  if (Number.isNaN(expiresAt.getTime())) {
+    throw new ValidationError(`Invalid expiry "${value}": use an ISO 8601 date or a number of days such as 30d`, 'expiresAt');
+  }
+  if (expiresAt <= now) {
+    throw new ValidationError('Expiry must be in the future', 'expiresAt');
+  }
+  return expiresAt.toISOString();
+}
+
+/**
+ * Describe a token without its hash
+ * @private
+ */
+function describeToken(token, now = new Date()) {
+  const { hash, ...rest } = token;
+  let status = 'active';
+  if (token.disabled) {
+    status = 'revoked';
+  } else if (token.expiresAt && Date.parse(token.expiresAt) <= now.getTime()) {
+    status = 'expired';
+  }
+  return { ...rest, status };
+}
+
+class TokenStore {
+  /**
+   * @param {string} file - JSON file the tokens are kept in
+   */
+  constructor(file = DEFAULT_TOKEN_STORE_FILE) {
+    this.file = file;
+    this.tokens = [];
+    this.loadedVersion = null;
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Read the tokens, unless the file is unchanged since the last read
+   * @returns {Promise<Array<Object>>} Stored tokens (with hashes)
+   * @throws {Error} If the file exists but cannot be read or parsed
+   */
+  async load() {
+    let stats;
+    try {
+      stats = await fsPromises.stat(this.file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.tokens = [];
+      this.loadedVersion = null;
+      return this.tokens;
+    }
+
+    const version = `${stats.mtimeMs}:${stats.size}`;
+    if (version !== this.loadedVersion) {
+      const data = JSON.parse(await fsPromises.readFile(this.file, 'utf8'));
+      this.tokens = Array.isArray(data.tokens) ? data.tokens : [];
+      this.loadedVersion = version;
+    }
+    return this.tokens;
+  }
+
+  /**
+   * Write the tokens (atomically, readable by the owner only)
+   * @private
+   */
+  save() {
+    const data = JSON.stringify({ tokens: this.tokens }, null, 2);
+    this.writes = this.writes.catch(() => {}).then(async () => {
+      const tempPath = `${this.file}.tmp`;
+      await fsPromises.mkdir(path.dirname(path.resolve(this.file)), { recursive: true });
+      await fsPromises.writeFile(tempPath, data, { mode: 0o600 });
+      await fsPromises.rename(tempPath, this.file);
+    });
+    return this.writes;
+  }
+
+  /**
+   * Create a token
+   * @param {Object} options - Token options
+   * @param {string} options.name - Unique name, used as the requester (token:<name>)
+   * @param {Array<string>} options.scopes - Granted scopes (see SCOPES)
+   * @param {string} options.expiresAt - Expiry (see parseExpiry; optional)
+   * @returns {Promise<Object>} { token, record }; the plaintext token is only available here
+   * @throws {ValidationError} If the name, scopes or expiry are invalid
+   */
+  async create({ name, scopes = [], expiresAt = null } = {}) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new ValidationError('Token name must be 1-64 letters, digits, dots, dashes or underscores', 'name');
+    }
+    const unique = [...new Set(scopes)];
+    if (unique.length === 0) {
+      throw new ValidationError(`At least one scope is required (${SCOPES.join(', ')})`, 'scopes');
+    }
+    const unknown = unique.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown scope: ${unknown.join(', ')} (use ${SCOPES.join(', ')})`, 'scopes');
+    }
+    const expiry = parseExpiry(expiresAt);
+
+    await this.load();
+    if (this.tokens.some(token => token.name === name)) {
+      throw new ValidationError(`A token named "${name}" already exists`, 'name');
+    }
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const record = {
+      id: crypto.randomUUID(),
+      name,
+      hash: hashToken(token),
+      prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+      scopes: SCOPES.filter(scope => unique.includes(scope)),
+      createdAt: new Date().toISOString(),
+      expiresAt: expiry,
+      disabled: false,
+      revokedAt: null
+    };
+    this.tokens.push(record);
+    await this.save();
+    return { token, record: describeToken(record) };
+  }
+
+  /**
+   * List the tokens (without hashes)
+   * @returns {Promise<Array<Object>>} Tokens with their status (active, expired or revoked)
+   */
+  async list() {
+    const now = new Date();
+    return (await this.load()).map(token => describeToken(token, now));
+  }
+
+  /**
+   * Revoke a token by name or id
+   * @param {string} nameOrId - Token name or id
+   * @returns {Promise<Object|null>} The revoked token, or null if there is no such token
+   */
+  async revoke(nameOrId) {
+    await this.load();
+    const token = this.tokens.find(candidate => candidate.name === nameOrId || candidate.id === nameOrId);
+    if (!token) {
+      return null;
+    }
+    if (!token.disabled) {
+      token.disabled = true;
+      token.revokedAt = new Date().toISOString();
+      await this.save();
+    }
+    return describeToken(token);
+  }
+
+  /**
+   * Look up a presented token
+   * @param {string} token - Plaintext bearer token
+   * @returns {Promise<Object>} { status, token }: status is active, expired, revoked or unknown
+   */
+  async verify(token) {
+    const tokens = await this.load();
+    const hash = Buffer.from(hashToken(token), 'hex');
+    // Compare every hash in constant time rather than stopping at the first match
+    let match = null;
+    for (const candidate of tokens) {
+      const candidateHash = Buffer.from(candidate.hash || '', 'hex');
+      if (candidateHash.length === hash.length && crypto.timingSafeEqual(candidateHash, hash)) {
+        match = candidate;
+      }
+    }
+
+    if (!match) {
+      return { status: 'unknown', token: null };
+    }
+    const described = describeToken(match);
+    return { status: described.status, token: described };
+  }
+}
+
+module.exports = {
+  TokenStore,
+  SCOPES,
+  DEFAULT_TOKEN_STORE_FILE,
+  hashToken,
+  parseExpiry
+};
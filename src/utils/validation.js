@@ -2,45 +2,48 @@
  * Input validation utilities for OpenAI Image Generation MCP
  */
 
+const fs = require('fs');
+const path = require('path');
 const logger = require('./logger');
+const {
+  DEFAULT_MODELS,
+  getModel,
+  getModelNames,
+  collectCapability,
+  mapCapability
+} = require('./model-registry');
 
-// OpenAI API limits and constraints
+// OpenAI API limits and constraints, derived from the model registry
 const VALIDATION_RULES = {
   prompt: {
     minLength: 1,
-    maxLength: 4000, // OpenAI's limit
-    required: true
+    maxLength: 4000, // Fallback for models without a registry limit
+    required: true,
+    // Model-specific maximum lengths
+    modelConstraints: mapCapability('promptMaxLength')
   },
   model: {
-    enum: ['dall-e-2', 'dall-e-3'],
-    default: 'dall-e-3'
+    enum: getModelNames(),
+    default: DEFAULT_MODELS.generate
   },
   size: {
-    enum: ['256x256', '512x512', '1024x1024', '1792x1024', '1024x1792'],
+    enum: collectCapability('sizes'),
     default: '1024x1024',
     // Model-specific constraints
-    modelConstraints: {
-      'dall-e-2': ['256x256', '512x512', '1024x1024'],
-      'dall-e-3': ['1024x1024', '1792x1024', '1024x1792']
-    }
+    modelConstraints: mapCapability('sizes'),
+    modelDefaults: mapCapability('defaultSize')
   },
   quality: {
-    enum: ['standard', 'hd'],
+    enum: collectCapability('qualities'),
     default: 'standard',
-    // Only dall-e-3 supports hd
-    modelConstraints: {
-      'dall-e-3': ['standard', 'hd'],
-      'dall-e-2': ['standard']
-    }
+    modelConstraints: mapCapability('qualities'),
+    modelDefaults: mapCapability('defaultQuality')
   },
   style: {
-    enum: ['vivid', 'natural'],
+    enum: collectCapability('styles'),
     default: 'vivid',
-    // Only dall-e-3 supports style
-    modelConstraints: {
-      'dall-e-3': ['vivid', 'natural'],
-      'dall-e-2': null // style not supported
-    }
+    // null means style is not supported
+    modelConstraints: mapCapability('styles')
   },
   n: {
     type: 'integer',
@@ -48,10 +51,85 @@ const VALIDATION_RULES = {
     max: 10,
     default: 1,
     // Model-specific constraints
-    modelConstraints: {
-      'dall-e-2': { min: 1, max: 10 },
-      'dall-e-3': { min: 1, max: 1 } // dall-e-3 only supports n=1
-    }
+    modelConstraints: mapCapability('n')
+  },
+  image: {
+    // Masks and uploads for models without a registry entry must be PNG
+    extensions: ['.png'],
+    modelConstraints: mapCapability('image')
+  },
+  edit: {
+    models: getModelNames('edit'),
+    modelOptions: mapCapability('editOptions')
+  },
+  variation: {
+    models: getModelNames('variation')
+  },
+  response_format: {
+    enum: ['url', 'b64_json'],
+    // Models that always return base64 data and reject response_format
+    unsupportedModels: getModelNames().filter(name => !getModel(name).responseFormats)
+  },
+  // Output options only some models support
+  background: {
+    enum: collectCapability('backgrounds'),
+    models: getModelNames().filter(name => getModel(name).backgrounds),
+    // Transparency needs an output format with an alpha channel
+    transparentFormats: ['png', 'webp']
+  },
+  output_format: {
+    enum: collectCapability('outputFormats'),
+    models: getModelNames().filter(name => getModel(name).outputFormats)
+  },
+  output_compression: {
+    min: 0,
+    max: 100,
+    models: getModelNames().filter(name => getModel(name).outputFormats),
+    formats: ['jpeg', 'webp']
+  },
+  moderation: {
+    enum: collectCapability('moderation'),
+    models: getModelNames().filter(name => getModel(name).moderation)
+  },
+  partial_images: {
+    min: 0,
+    models: getModelNames().filter(name => getModel(name).partialImages),
+    modelConstraints: mapCapability('partialImages')
+  },
+  // Prompt-result cache controls
+  cache: {
+    // bypass neither reads nor stores; refresh skips the cached result and stores the new one
+    enum: ['bypass', 'refresh']
+  },
+  seed: {
+    // Requests only share a cached result when their seeds match
+    maxLength: 100
+  },
+  // Base filename for saved images (the extension follows the output format)
+  outputName: {
+    pattern: /^[A-Za-z0-9][A-Za-z0-9._-]*$/,
+    maxLength: 100,
+    imageExtensions: /\.(png|jpe?g|webp|avif|gif)$/i
+  },
+  // Local post-processing of saved images (see utils/image-processing)
+  postprocess: {
+    formats: ['png', 'jpeg', 'webp', 'avif'],
+    // Formats whose encoder takes a quality setting
+    qualityFormats: ['jpeg', 'webp', 'avif'],
+    fits: ['cover', 'contain', 'fill', 'inside', 'outside'],
+    positions: ['centre', 'top', 'right', 'bottom', 'left', 'entropy', 'attention'],
+    maxDimension: 4096,
+    quality: { min: 1, max: 100 },
+    maxThumbnails: 5,
+    defaultFit: 'cover',
+    defaultThumbnailFit: 'inside'
+  },
+  // Prompt template expansion (see utils/prompt-templates)
+  batch: {
+    // product: every combination of the value lists; zip: the lists side by side
+    modes: ['product', 'zip'],
+    defaultMode: 'product',
+    maxItems: 20
   }
 };
 
@@ -69,9 +147,10 @@ class ValidationError extends Error {
 /**
  * Validate prompt parameter
  * @param {string} prompt - The prompt to validate
+ * @param {number} [maxLength] - Override for the maximum prompt length
  * @throws {ValidationError} If validation fails
  */
-function validatePrompt(prompt) {
+function validatePrompt(prompt, maxLength = VALIDATION_RULES.prompt.maxLength) {
   const rules = VALIDATION_RULES.prompt;
 
   if (rules.required && (prompt === undefined || prompt === null || prompt === '')) {
@@ -86,8 +165,8 @@ function validatePrompt(prompt) {
     throw new ValidationError(`Prompt must be at least ${rules.minLength} character(s)`, 'prompt');
   }
 
-  if (prompt.length > rules.maxLength) {
-    throw new ValidationError(`Prompt must not exceed ${rules.maxLength} characters`, 'prompt');
+  if (prompt.length > maxLength) {
+    throw new ValidationError(`Prompt must not exceed ${maxLength} characters`, 'prompt');
   }
 
   // Check for potentially problematic content
@@ -99,6 +178,16 @@ function validatePrompt(prompt) {
   return trimmedPrompt;
 }
 
+/**
+ * Get the maximum prompt length for a model
+ * @param {string} model - The model being used
+ * @returns {number} Maximum prompt length in characters
+ */
+function getPromptMaxLength(model) {
+  const rules = VALIDATION_RULES.prompt;
+  return rules.modelConstraints[model] || rules.maxLength;
+}
+
 /**
  * Validate model parameter
  * @param {string} model - The model to validate
@@ -133,7 +222,7 @@ function validateSize(size, model = 'dall-e-3') {
   const rules = VALIDATION_RULES.size;
 
   if (!size) {
-    return rules.default;
+    return rules.modelDefaults[model] || rules.default;
   }
 
   if (!rules.enum.includes(size)) {
@@ -166,7 +255,7 @@ function validateQuality(quality, model = 'dall-e-3') {
   const rules = VALIDATION_RULES.quality;
 
   if (!quality) {
-    return rules.default;
+    return rules.modelDefaults[model] || rules.default;
   }
 
   if (!rules.enum.includes(quality)) {
@@ -263,6 +352,721 @@ function validateN(n, model = 'dall-e-3') {
   return numN;
 }
 
+/**
+ * Validate response_format parameter
+ * @param {string} responseFormat - The response format to validate
+ * @param {string} model - The model being used
+ * @returns {string|undefined} Validated response format (undefined if not set)
+ * @throws {ValidationError} If validation fails
+ */
+function validateResponseFormat(responseFormat, model = 'dall-e-3') {
+  const rules = VALIDATION_RULES.response_format;
+
+  if (responseFormat === undefined) {
+    return undefined;
+  }
+
+  if (!rules.enum.includes(responseFormat)) {
+    throw new ValidationError(
+      'response_format must be either "url" or "b64_json"',
+      'response_format'
+    );
+  }
+
+  // Models that always return base64 only accept the equivalent b64_json
+  if (rules.unsupportedModels.includes(model)) {
+    if (responseFormat !== 'b64_json') {
+      throw new ValidationError(
+        `Model ${model} always returns base64 image data; response_format "${responseFormat}" is not supported`,
+        'response_format'
+      );
+    }
+    return undefined;
+  }
+
+  return responseFormat;
+}
+
+/**
+ * Validate provider parameter
+ * Only the format is checked here; whether the provider is configured and
+ * supports the model is checked when the request is routed.
+ * @param {string} provider - Provider name
+ * @returns {string|undefined} Validated provider (undefined if not set)
+ * @throws {ValidationError} If validation fails
+ */
+function validateProvider(provider) {
+  if (provider === undefined || provider === null || provider === '') {
+    return undefined;
+  }
+
+  if (typeof provider !== 'string' || !/^[a-z0-9_-]+$/i.test(provider)) {
+    throw new ValidationError('provider must be a provider name such as "openai"', 'provider');
+  }
+
+  return provider;
+}
+
+/**
+ * Validate callbackUrl parameter (webhook notified when a job finishes)
+ * Only the URL's form is checked here; the host's addresses are checked by
+ * WebhookDispatcher when the URL is accepted and before every delivery.
+ * @param {string} callbackUrl - The callback URL
+ * @returns {string|undefined} Validated URL (undefined if not set)
+ * @throws {ValidationError} If validation fails
+ */
+function validateCallbackUrl(callbackUrl) {
+  if (callbackUrl === undefined || callbackUrl === null || callbackUrl === '') {
+    return undefined;
+  }
+
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch (error) {
+    throw new ValidationError('callbackUrl must be an absolute http(s) URL', 'callbackUrl');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new ValidationError('callbackUrl must be an absolute http(s) URL', 'callbackUrl');
+  }
+  if (url.username || url.password) {
+    throw new ValidationError('callbackUrl must not contain credentials', 'callbackUrl');
+  }
+
+  return url.toString();
+}
+
+/**
+ * Reject a parameter that the model does not support
+ * @private
+ * @param {string} field - Parameter name
+ * @param {string} model - The model being used
+ * @throws {ValidationError} If the model does not support the parameter
+ */
+function requireModelSupport(field, model) {
+  const allowedModels = VALIDATION_RULES[field].models;
+  if (!allowedModels.includes(model)) {
+    throw new ValidationError(
+      `${field} is not supported for model ${model}. Supported models: ${allowedModels.join(', ')}`,
+      field
+    );
+  }
+}
+
+/**
+ * Validate output_format parameter
+ * @param {string} outputFormat - The output format to validate
+ * @param {string} model - The model being used
+ * @returns {string|undefined} Validated output format (undefined if not set)
+ * @throws {ValidationError} If validation fails
+ */
+function validateOutputFormat(outputFormat, model = 'dall-e-3') {
+  const rules = VALIDATION_RULES.output_format;
+
+  if (outputFormat === undefined || outputFormat === null) {
+    return undefined;
+  }
+
+  requireModelSupport('output_format', model);
+
+  if (!rules.enum.includes(outputFormat)) {
+    throw new ValidationError(
+      `output_format must be one of: ${rules.enum.join(', ')}`,
+      'output_format'
+    );
+  }
+
+  return outputFormat;
+}
+
+/**
+ * Validate output_compression parameter
+ * @param {number} compression - Compression level (0-100)
+ * @param {string} model - The model being used
+ * @param {string} outputFormat - The requested output format (default: png)
+ * @returns {number|undefined} Validated compression (undefined if not set)
+ * @throws {ValidationError} If validation fails
+ */
+function validateOutputCompression(compression, model = 'dall-e-3', outputFormat = 'png') {
+  const rules = VALIDATION_RULES.output_compression;
+
+  if (compression === undefined || compression === null) {
+    return undefined;
+  }
+
+  requireModelSupport('output_compression', model);
+
+  const numCompression = typeof compression === 'string' ? parseInt(compression, 10) : compression;
+  if (!Number.isInteger(numCompression) || numCompression < rules.min || numCompression > rules.max) {
+    throw new ValidationError(
+      `output_compression must be an integer between ${rules.min} and ${rules.max}`,
+      'output_compression'
+    );
+  }
+
+  if (!rules.formats.includes(outputFormat)) {
+    throw new ValidationError(
+      `output_compression requires output_format ${rules.formats.join(' or ')}`,
+      'output_compression'
+    );
+  }
+
+  return numCompression;
+}
+
+/**
+ * Validate background parameter
+ * @param {string} background - The background to validate
+ * @param {string} model - The model being used
+ * @param {string} outputFormat - The requested output format (default: png)
+ * @returns {string|undefined} Validated background (undefined if not set)
+ * @throws {ValidationError} If validation fails
+ */
+function validateBackground(background, model = 'dall-e-3', outputFormat = 'png') {
+  const rules = VALIDATION_RULES.background;
+
+  if (background === undefined || background === null) {
+    return undefined;
+  }
+
+  requireModelSupport('background', model);
+
+  if (!rules.enum.includes(background)) {
+    throw new ValidationError(
+      `background must be one of: ${rules.enum.join(', ')}`,
+      'background'
+    );
+  }
+
+  if (background === 'transparent' && !rules.transparentFormats.includes(outputFormat)) {
+    throw new ValidationError(
+      `Transparent backgrounds require output_format ${rules.transparentFormats.join(' or ')}`,
+      'background'
+    );
+  }
+
+  return background;
+}
+
+/**
+ * Validate moderation parameter
+ * @param {string} moderation - The moderation level to validate
+ * @param {string} model - The model being used
+ * @returns {string|undefined} Validated moderation level (undefined if not set)
+ * @throws {ValidationError} If validation fails
+ */
+function validateModeration(moderation, model = 'dall-e-3') {
+  const rules = VALIDATION_RULES.moderation;
+
+  if (moderation === undefined || moderation === null) {
+    return undefined;
+  }
+
+  requireModelSupport('moderation', model);
+
+  if (!rules.enum.includes(moderation)) {
+    throw new ValidationError(
+      `moderation must be one of: ${rules.enum.join(', ')}`,
+      'moderation'
+    );
+  }
+
+  return moderation;
+}
+
+/**
+ * Validate partial_images parameter (streamed previews)
+ * @param {number} partialImages - Number of preview images
+ * @param {string} model - The model being used
+ * @returns {number|undefined} Validated count (undefined if not set)
+ * @throws {ValidationError} If validation fails
+ */
+function validatePartialImages(partialImages, model = 'dall-e-3') {
+  const rules = VALIDATION_RULES.partial_images;
+
+  if (partialImages === undefined || partialImages === null) {
+    return undefined;
+  }
+
+  requireModelSupport('partial_images', model);
+
+  const max = rules.modelConstraints[model].max;
+  const numPartialImages = typeof partialImages === 'string' ? parseInt(partialImages, 10) : partialImages;
+  if (!Number.isInteger(numPartialImages) || numPartialImages < rules.min || numPartialImages > max) {
+    throw new ValidationError(
+      `partial_images must be an integer between ${rules.min} and ${max}`,
+      'partial_images'
+    );
+  }
+
+  return numPartialImages;
+}
+
+/**
+ * Validate cache parameter (prompt-result cache control)
+ * @param {string} cache - bypass or refresh
+ * @returns {string|undefined} Validated mode (undefined if not set)
+ * @throws {ValidationError} If validation fails
+ */
+function validateCacheMode(cache) {
+  const rules = VALIDATION_RULES.cache;
+
+  if (cache === undefined || cache === null || cache === '') {
+    return undefined;
+  }
+
+  if (!rules.enum.includes(cache)) {
+    throw new ValidationError(`cache must be one of: ${rules.enum.join(', ')}`, 'cache');
+  }
+
+  return cache;
+}
+
+/**
+ * Validate seed parameter (tag that partitions the prompt-result cache)
+ * @param {string|number} seed - Seed or tag
+ * @returns {string|undefined} Validated seed as a string (undefined if not set)
+ * @throws {ValidationError} If validation fails
+ */
+function validateSeed(seed) {
+  const rules = VALIDATION_RULES.seed;
+
+  if (seed === undefined || seed === null || seed === '') {
+    return undefined;
+  }
+
+  if ((typeof seed !== 'string' && !Number.isInteger(seed)) || String(seed).length > rules.maxLength) {
+    throw new ValidationError(`seed must be an integer or a string of at most ${rules.maxLength} characters`, 'seed');
+  }
+
+  return String(seed);
+}
+
+/**
+ * Validate output_name parameter (base filename for saved images)
+ * A trailing image extension is dropped; saved files take the extension of their format.
+ * @param {string} outputName - Base filename (e.g. hero-fox)
+ * @returns {string|undefined} Validated base filename (undefined if not set)
+ * @throws {ValidationError} If validation fails
+ */
+function validateOutputName(outputName) {
+  const rules = VALIDATION_RULES.outputName;
+
+  if (outputName === undefined || outputName === null || outputName === '') {
+    return undefined;
+  }
+
+  if (typeof outputName !== 'string' || outputName.length > rules.maxLength || !rules.pattern.test(outputName)) {
+    throw new ValidationError(
+      `output_name must be at most ${rules.maxLength} letters, digits, dots, dashes or underscores, starting with a letter or digit`,
+      'output_name'
+    );
+  }
+
+  const base = outputName.replace(rules.imageExtensions, '');
+  if (!base) {
+    throw new ValidationError('output_name needs a name before the extension', 'output_name');
+  }
+  return base;
+}
+
+/**
+ * @private
+ */
+function validateDimension(value, field, required = false) {
+  const rules = VALIDATION_RULES.postprocess;
+
+  if (value === undefined || value === null || value === '') {
+    if (required) {
+      throw new ValidationError(`${field} is required`, field);
+    }
+    return undefined;
+  }
+
+  const number = typeof value === 'string' ? Number(value) : value;
+  if (!Number.isInteger(number) || number < 1 || number > rules.maxDimension) {
+    throw new ValidationError(`${field} must be an integer between 1 and ${rules.maxDimension}`, field);
+  }
+  return number;
+}
+
+/**
+ * @private
+ */
+function validateResize(resize, field, defaultFit) {
+  const rules = VALIDATION_RULES.postprocess;
+
+  if (typeof resize !== 'object' || resize === null || Array.isArray(resize)) {
+    throw new ValidationError(`${field} must be an object with width and/or height`, field);
+  }
+
+  const validated = {};
+  const width = validateDimension(resize.width, `${field}.width`);
+  const height = validateDimension(resize.height, `${field}.height`);
+  if (width === undefined && height === undefined) {
+    throw new ValidationError(`${field} needs a width or a height`, field);
+  }
+  if (width !== undefined) {
+    validated.width = width;
+  }
+  if (height !== undefined) {
+    validated.height = height;
+  }
+
+  const fit = resize.fit || defaultFit;
+  if (!rules.fits.includes(fit)) {
+    throw new ValidationError(`${field}.fit must be one of: ${rules.fits.join(', ')}`, `${field}.fit`);
+  }
+  validated.fit = fit;
+
+  if (resize.position !== undefined && resize.position !== null && resize.position !== '') {
+    if (!rules.positions.includes(resize.position)) {
+      throw new ValidationError(`${field}.position must be one of: ${rules.positions.join(', ')}`, `${field}.position`);
+    }
+    validated.position = resize.position;
+  }
+
+  return validated;
+}
+
+/**
+ * Validate postprocess parameter (local resize, crop, conversion and thumbnails after saving)
+ * @param {Object} postprocess - { crop, resize, format, quality, strip, thumbnails }
+ * @param {string} sourceFormat - Format the provider returns (png, jpeg or webp; default: png)
+ * @param {string} size - Requested image size; crops must fit inside it when it is WIDTHxHEIGHT
+ * @returns {Object|undefined} Validated operations (undefined if none were requested)
+ * @throws {ValidationError} If validation fails
+ */
+function validatePostprocess(postprocess, sourceFormat = 'png', size) {
+  const rules = VALIDATION_RULES.postprocess;
+
+  if (postprocess === undefined || postprocess === null) {
+    return undefined;
+  }
+
+  if (typeof postprocess !== 'object' || Array.isArray(postprocess)) {
+    throw new ValidationError('postprocess must be an object', 'postprocess');
+  }
+
+  const validated = {};
+
+  if (postprocess.crop !== undefined && postprocess.crop !== null) {
+    const crop = postprocess.crop;
+    if (typeof crop !== 'object' || Array.isArray(crop)) {
+      throw new ValidationError('postprocess.crop must be an object with left, top, width and height', 'postprocess.crop');
+    }
+    const offset = (value, field) => {
+      const number = value === undefined || value === null || value === '' ? 0 : Number(value);
+      if (!Number.isInteger(number) || number < 0 || number >= rules.maxDimension) {
+        throw new ValidationError(`${field} must be an integer between 0 and ${rules.maxDimension - 1}`, field);
+      }
+      return number;
+    };
+    validated.crop = {
+      left: offset(crop.left, 'postprocess.crop.left'),
+      top: offset(crop.top, 'postprocess.crop.top'),
+      width: validateDimension(crop.width, 'postprocess.crop.width', true),
+      height: validateDimension(crop.height, 'postprocess.crop.height', true)
+    };
+
+    // Sizes such as auto are only known once the image arrives
+    const dimensions = /^(\d+)x(\d+)$/.exec(size || '');
+    if (dimensions) {
+      const [imageWidth, imageHeight] = [Number(dimensions[1]), Number(dimensions[2])];
+      if (validated.crop.left + validated.crop.width > imageWidth) {
+        throw new ValidationError(
+          `postprocess.crop.left + width must not exceed the image width (${imageWidth})`,
+          'postprocess.crop.width'
+        );
+      }
+      if (validated.crop.top + validated.crop.height > imageHeight) {
+        throw new ValidationError(
+          `postprocess.crop.top + height must not exceed the image height (${imageHeight})`,
+          'postprocess.crop.height'
+        );
+      }
+    }
+  }
+
+  if (postprocess.resize !== undefined && postprocess.resize !== null) {
+    validated.resize = validateResize(postprocess.resize, 'postprocess.resize', rules.defaultFit);
+  }
+
+  if (postprocess.format !== undefined && postprocess.format !== null && postprocess.format !== '') {
+    if (!rules.formats.includes(postprocess.format)) {
+      throw new ValidationError(`postprocess.format must be one of: ${rules.formats.join(', ')}`, 'postprocess.format');
+    }
+    validated.format = postprocess.format;
+  }
+
+  if (postprocess.quality !== undefined && postprocess.quality !== null && postprocess.quality !== '') {
+    const format = validated.format || sourceFormat;
+    if (!rules.qualityFormats.includes(format)) {
+      throw new ValidationError(
+        `postprocess.quality requires ${rules.qualityFormats.join(', ')} output (the image is ${format})`,
+        'postprocess.quality'
+      );
+    }
+    const quality = typeof postprocess.quality === 'string' ? Number(postprocess.quality) : postprocess.quality;
+    if (!Number.isInteger(quality) || quality < rules.quality.min || quality > rules.quality.max) {
+      throw new ValidationError(
+        `postprocess.quality must be an integer between ${rules.quality.min} and ${rules.quality.max}`,
+        'postprocess.quality'
+      );
+    }
+    validated.quality = quality;
+  }
+
+  if (postprocess.strip !== undefined && postprocess.strip !== null) {
+    validated.strip = Boolean(postprocess.strip);
+  }
+
+  if (postprocess.thumbnails !== undefined && postprocess.thumbnails !== null) {
+    if (!Array.isArray(postprocess.thumbnails) || postprocess.thumbnails.length > rules.maxThumbnails) {
+      throw new ValidationError(
+        `postprocess.thumbnails must be a list of at most ${rules.maxThumbnails} sizes`,
+        'postprocess.thumbnails'
+      );
+    }
+    if (postprocess.thumbnails.length > 0) {
+      validated.thumbnails = postprocess.thumbnails.map((thumbnail, index) =>
+        validateResize(thumbnail, `postprocess.thumbnails[${index}]`, rules.defaultThumbnailFit)
+      );
+    }
+  }
+
+  return Object.keys(validated).length > 0 ? validated : undefined;
+}
+
+/**
+ * Validate a path to a source image (or mask) on the local filesystem
+ * @param {string} imagePath - The path to validate
+ * @param {string} field - Field name reported in errors (default: 'image')
+ * @param {Array<string>} extensions - Allowed file extensions (default: PNG only)
+ * @returns {string} Validated path
+ * @throws {ValidationError} If validation fails
+ */
+function validateImagePath(imagePath, field = 'image', extensions = VALIDATION_RULES.image.extensions) {
+  if (imagePath === undefined || imagePath === null || imagePath === '') {
+    throw new ValidationError(`${field} is required`, field);
+  }
+
+  if (typeof imagePath !== 'string') {
+    throw new ValidationError(`${field} must be a file path string`, field);
+  }
+
+  const extension = path.extname(imagePath).toLowerCase();
+  if (!extensions.includes(extension)) {
+    throw new ValidationError(
+      `${field} must be one of: ${extensions.join(', ')}`,
+      field
+    );
+  }
+
+  return imagePath;
+}
+
+/**
+ * Resolve a path, following symbolic links when it exists
+ * @private
+ */
+function realPath(filePath) {
+  try {
+    return fs.realpathSync(filePath);
+  } catch (error) {
+    return path.resolve(filePath);
+  }
+}
+
+/**
+ * Confine a source image (or mask) path to the directories images may be read from
+ * Relative paths are taken from the first directory. Symbolic links are
+ * followed before the check, so a link cannot point outside.
+ * @param {string} imagePath - Path to check (see validateImagePath)
+ * @param {Array<string>} directories - Directories images may be read from
+ * @param {string} field - Field name reported in errors (default: 'image')
+ * @returns {string} Absolute path inside one of the directories
+ * @throws {ValidationError} If the path is outside every directory
+ */
+function confineImagePath(imagePath, directories, field = 'image') {
+  const allowed = directories.filter(Boolean);
+  const resolved = realPath(path.resolve(allowed[0] || '.', imagePath));
+  const inside = allowed.some(directory => {
+    const relative = path.relative(realPath(directory), resolved);
+    return relative !== '' && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+  });
+
+  if (!inside) {
+    throw new ValidationError(`${field} must be a file inside the output directory or IMAGE_INPUT_DIR`, field);
+  }
+  return resolved;
+}
+
+/**
+ * Validate the source image(s) for an edit
+ * gpt-image-1 accepts a list of reference images; dall-e-2 takes a single PNG.
+ * @param {string|Array<string>} images - Path or list of paths
+ * @param {string} model - The model being used
+ * @returns {string|Array<string>} Validated path, or list of paths if a list was given
+ * @throws {ValidationError} If validation fails
+ */
+function validateImageList(images, model) {
+  const constraints = VALIDATION_RULES.image.modelConstraints[model] ||
+    { extensions: VALIDATION_RULES.image.extensions, maxImages: 1 };
+
+  if (!Array.isArray(images)) {
+    return validateImagePath(images, 'image', constraints.extensions);
+  }
+
+  if (images.length === 0) {
+    throw new ValidationError('image is required', 'image');
+  }
+
+  if (images.length > constraints.maxImages) {
+    throw new ValidationError(
+      `Model ${model} accepts at most ${constraints.maxImages} image(s)`,
+      'image'
+    );
+  }
+
+  return images.map(image => validateImagePath(image, 'image', constraints.extensions));
+}
+
+/**
+ * Validate the model for an operation that only some models support
+ * @param {string} model - The model to validate
+ * @param {Array<string>} allowedModels - Models that support the operation
+ * @param {string} operation - Human-readable operation name for errors
+ * @returns {string} Validated model (defaults to the first allowed model)
+ * @throws {ValidationError} If validation fails
+ */
+function validateOperationModel(model, allowedModels, operation) {
+  if (!model) {
+    return allowedModels[0];
+  }
+
+  if (!allowedModels.includes(model)) {
+    throw new ValidationError(
+      `Model ${model} does not support ${operation}. Supported models: ${allowedModels.join(', ')}`,
+      'model'
+    );
+  }
+
+  return model;
+}
+
+/**
+ * Validate all parameters for image editing
+ * @param {Object} params - Parameters to validate
+ * @returns {Object} Validated and sanitized parameters
+ * @throws {ValidationError} If validation fails
+ */
+function validateImageEditParams(params) {
+  try {
+    const rules = VALIDATION_RULES.edit;
+    const model = validateOperationModel(params.model, rules.models, 'image editing');
+
+    const validatedParams = {
+      image: validateImageList(params.image, model),
+      prompt: validatePrompt(params.prompt, getPromptMaxLength(model)),
+      model,
+      size: validateSize(params.size, model),
+      n: validateN(params.n, model)
+    };
+
+    if (params.mask !== undefined && params.mask !== null && params.mask !== '') {
+      validatedParams.mask = validateImagePath(params.mask, 'mask');
+    }
+
+    // Only some models accept quality and background for edits
+    const editOptions = rules.modelOptions[model] || [];
+    if (editOptions.includes('quality')) {
+      validatedParams.quality = validateQuality(params.quality, model);
+    }
+
+    if (editOptions.includes('background')) {
+      const background = validateBackground(params.background, model);
+      if (background !== undefined) {
+        validatedParams.background = background;
+      }
+    }
+
+    const provider = validateProvider(params.provider);
+    if (provider !== undefined) {
+      validatedParams.provider = provider;
+    }
+
+    if (params.save !== undefined) {
+      validatedParams.save = Boolean(params.save);
+    }
+
+    const postprocess = validatePostprocess(params.postprocess, 'png', validatedParams.size);
+    if (postprocess !== undefined) {
+      validatedParams.postprocess = postprocess;
+    }
+
+    const responseFormat = validateResponseFormat(params.response_format, model);
+    if (responseFormat !== undefined) {
+      validatedParams.response_format = responseFormat;
+    }
+
+    logger.debug(`Edit validation successful for params: ${JSON.stringify(validatedParams)}`);
+    return validatedParams;
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      logger.warn(`Edit validation failed: ${error.message} (field: ${error.field})`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validate all parameters for image variations
+ * @param {Object} params - Parameters to validate
+ * @returns {Object} Validated and sanitized parameters
+ * @throws {ValidationError} If validation fails
+ */
+function validateImageVariationParams(params) {
+  try {
+    const rules = VALIDATION_RULES.variation;
+    const model = validateOperationModel(params.model, rules.models, 'image variations');
+
+    const validatedParams = {
+      image: validateImagePath(params.image, 'image'),
+      model,
+      size: validateSize(params.size, model),
+      n: validateN(params.n, model)
+    };
+
+    const provider = validateProvider(params.provider);
+    if (provider !== undefined) {
+      validatedParams.provider = provider;
+    }
+
+    if (params.save !== undefined) {
+      validatedParams.save = Boolean(params.save);
+    }
+
+    const postprocess = validatePostprocess(params.postprocess, 'png', validatedParams.size);
+    if (postprocess !== undefined) {
+      validatedParams.postprocess = postprocess;
+    }
+
+    const responseFormat = validateResponseFormat(params.response_format, model);
+    if (responseFormat !== undefined) {
+      validatedParams.response_format = responseFormat;
+    }
+
+    logger.debug(`Variation validation successful for params: ${JSON.stringify(validatedParams)}`);
+    return validatedParams;
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      logger.warn(`Variation validation failed: ${error.message} (field: ${error.field})`);
+    }
+    throw error;
+  }
+}
+
 /**
  * Validate all parameters for image generation
  * @param {Object} params - Parameters to validate
@@ -271,10 +1075,11 @@ function validateN(n, model = 'dall-e-3') {
  */
 function validateImageGenerationParams(params) {
   try {
-    // Validate and sanitize each parameter
+    // Validate and sanitize each parameter (the prompt limit depends on the model)
+    const model = validateModel(params.model);
     const validatedParams = {
-      prompt: validatePrompt(params.prompt),
-      model: validateModel(params.model),
+      prompt: validatePrompt(params.prompt, getPromptMaxLength(model)),
+      model
     };
 
     // Validate parameters that depend on the model
@@ -288,19 +1093,53 @@ function validateImageGenerationParams(params) {
       validatedParams.style = style;
     }
 
+    // Output options (gpt-image-1 only)
+    const outputFormat = validateOutputFormat(params.output_format, model);
+    const gptImageOptions = {
+      output_format: outputFormat,
+      output_compression: validateOutputCompression(params.output_compression, model, outputFormat),
+      background: validateBackground(params.background, model, outputFormat),
+      moderation: validateModeration(params.moderation, model),
+      partial_images: validatePartialImages(params.partial_images, model)
+    };
+    for (const [key, value] of Object.entries(gptImageOptions)) {
+      if (value !== undefined) {
+        validatedParams[key] = value;
+      }
+    }
+
     // Pass through other optional parameters
+    const provider = validateProvider(params.provider);
+    if (provider !== undefined) {
+      validatedParams.provider = provider;
+    }
+
     if (params.save !== undefined) {
       validatedParams.save = Boolean(params.save);
     }
 
-    if (params.response_format !== undefined) {
-      if (!['url', 'b64_json'].includes(params.response_format)) {
-        throw new ValidationError(
-          'response_format must be either "url" or "b64_json"',
-          'response_format'
-        );
-      }
-      validatedParams.response_format = params.response_format;
+    const postprocess = validatePostprocess(params.postprocess, outputFormat, validatedParams.size);
+    if (postprocess !== undefined) {
+      validatedParams.postprocess = postprocess;
+    }
+
+    const cache = validateCacheMode(params.cache);
+    if (cache !== undefined) {
+      validatedParams.cache = cache;
+    }
+    const seed = validateSeed(params.seed);
+    if (seed !== undefined) {
+      validatedParams.seed = seed;
+    }
+
+    const outputName = validateOutputName(params.output_name);
+    if (outputName !== undefined) {
+      validatedParams.output_name = outputName;
+    }
+
+    const responseFormat = validateResponseFormat(params.response_format, model);
+    if (responseFormat !== undefined) {
+      validatedParams.response_format = responseFormat;
     }
 
     logger.debug(`Validation successful for params: ${JSON.stringify(validatedParams)}`);
@@ -315,12 +1154,30 @@ function validateImageGenerationParams(params) {
 
 module.exports = {
   validateImageGenerationParams,
+  validateImageEditParams,
+  validateImageVariationParams,
   validatePrompt,
   validateModel,
   validateSize,
   validateQuality,
   validateStyle,
   validateN,
+  validateResponseFormat,
+  validateOutputFormat,
+  validateOutputCompression,
+  validateBackground,
+  validateModeration,
+  validatePartialImages,
+  validateCacheMode,
+  validateSeed,
+  validateOutputName,
+  validatePostprocess,
+  validateProvider,
+  validateCallbackUrl,
+  validateImagePath,
+  confineImagePath,
+  validateImageList,
+  getPromptMaxLength,
   ValidationError,
   VALIDATION_RULES
 };
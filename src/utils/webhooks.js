@@ -0,0 +1,388 @@
+/**
+ * Webhook delivery
+ * POSTs JSON payloads signed with an HMAC-SHA256 header, retries failed
+ * deliveries with backoff and keeps a bounded log of recent deliveries.
+ * Callback hosts are resolved on every attempt and the request is sent to
+ * the checked addresses only, so callbacks cannot reach loopback, private or
+ * link-local networks (cloud metadata endpoints included) unless the host is
+ * allowlisted.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const logger = require('./logger');
+const { metrics } = require('./metrics');
+const { withRetry } = require('./resilience');
+
+/**
+ * Signature headers sent with every delivery
+ */
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+const DELIVERY_HEADER = 'X-Webhook-Delivery';
+const EVENT_HEADER = 'X-Webhook-Event';
+
+/**
+ * Default delivery settings
+ */
+const DEFAULT_WEBHOOK_OPTIONS = {
+  retries: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+  timeoutMs: 10000,
+  logSize: 200,
+  allowedHosts: []
+};
+
+/**
+ * Networks callbacks may not reach: unspecified, loopback, private, shared
+ * (CGNAT), link-local, benchmarking, multicast and reserved ranges
+ */
+const INTERNAL_NETWORKS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const internalNetworks = new net.BlockList();
+for (const [address, prefix, type] of INTERNAL_NETWORKS) {
+  internalNetworks.addSubnet(address, prefix, type);
+}
+
+/**
+ * Error for callbacks whose host resolves to a network they may not reach (not retried)
+ */
+class WebhookTargetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookTargetError';
+    this.code = 'EWEBHOOKTARGET';
+  }
+}
+
+/**
+ * Split an IP address into the form BlockList checks (IPv4-mapped IPv6 as IPv4)
+ * @private
+ */
+function toCheckedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return { address: mapped[1], type: 'ipv4' };
+  }
+  // URL and DNS answers may write the IPv4 part in hex (::ffff:7f00:1)
+  const hex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (hex) {
+    const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+    return { address: [high >> 8, high & 255, low >> 8, low & 255].join('.'), type: 'ipv4' };
+  }
+  return { address, type: net.isIPv6(address) ? 'ipv6' : 'ipv4' };
+}
+
+/**
+ * Check whether an IP address is in a loopback, private, link-local or reserved range
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if callbacks may not reach the address
+ */
+function isInternalAddress(address) {
+  const checked = toCheckedAddress(address);
+  return internalNetworks.check(checked.address, checked.type);
+}
+
+/**
+ * Parse allowlist entries: hostnames, IP addresses or CIDR ranges (e.g. 10.1.0.0/16)
+ * @param {Array<string>} entries - Allowlist entries
+ * @returns {Object} { hostnames, networks }
+ * @throws {Error} If an address or range is invalid
+ */
+function parseAllowedHosts(entries = []) {
+  const hostnames = new Set();
+  const networks = new net.BlockList();
+  for (const entry of entries.map(value => value.trim().toLowerCase()).filter(Boolean)) {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (net.isIP(address) && prefix !== undefined) {
+      const bits = Number(prefix);
+      if (!Number.isInteger(bits) || bits < 0 || bits > (type === 'ipv6' ? 128 : 32)) {
+        throw new Error(`Invalid webhook allowlist range: ${entry}`);
+      }
+      networks.addSubnet(address, bits, type);
+    } else if (net.isIP(address)) {
+      networks.addAddress(address, type);
+    } else if (prefix === undefined) {
+      hostnames.add(entry);
+    } else {
+      throw new Error(`Invalid webhook allowlist range: ${entry}`);
+    }
+  }
+  return { hostnames, networks };
+}
+
+/**
+ * Resolve a callback URL's host and check every address it resolves to
+ * @param {string} url - Callback URL
+ * @param {Object} allowed - Allowlist from parseAllowedHosts
+ * @param {Function} lookup - dns.lookup-compatible resolver (default: dns.lookup)
+ * @returns {Promise<Array<Object>>} Addresses to connect to ({ address, family })
+ * @throws {WebhookTargetError} If the host resolves to an internal address that is not allowlisted
+ */
+async function resolveWebhookTarget(url, allowed = parseAllowedHosts(), lookup = dns.lookup) {
+  // URL keeps IPv6 literals in brackets
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname, family: net.isIPv6(hostname) ? 6 : 4 }]
+    : await new Promise((resolve, reject) => {
+      lookup(hostname, { all: true, verbatim: true }, (error, results) => (error ? reject(error) : resolve(results)));
+    });
+
+  if (allowed.hostnames.has(hostname)) {
+    return addresses;
+  }
+  for (const { address } of addresses) {
+    const checked = toCheckedAddress(address);
+    if (isInternalAddress(address) && !allowed.networks.check(checked.address, checked.type)) {
+      throw new WebhookTargetError(`Callback host ${hostname} resolves to ${address}, which is in a private or reserved network (allow it with WEBHOOK_ALLOWED_HOSTS)`);
+    }
+  }
+  return addresses;
+}
+
+/**
+ * Sign a payload
+ * The signature covers the timestamp and the raw body ("<timestamp>.<body>").
+ * @param {string} secret - Shared secret
+ * @param {number} timestamp - Unix time in seconds (sent in X-Webhook-Timestamp)
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value ("sha256=<hex>")
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Verify a delivery's signature (for receivers)
+ * @param {string} secret - Shared secret
+ * @param {string} signature - X-Webhook-Signature header value
+ * @param {number|string} timestamp - X-Webhook-Timestamp header value
+ * @param {string} body - Raw request body
+ * @param {number} toleranceSeconds - Maximum accepted age of the timestamp (default: 300)
+ * @returns {boolean} True if the signature is valid and recent
+ */
+function verifySignature(secret, signature, timestamp, body, toleranceSeconds = 300) {
+  if (!signature || !timestamp) {
+    return false;
+  }
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) {
+    return false;
+  }
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+class WebhookDispatcher {
+  /**
+   * @param {Object} options - Dispatcher options
+   * @param {string} options.secret - HMAC secret used to sign payloads
+   * @param {number} options.retries - Retries after the first attempt (default: 5)
+   * @param {number} options.baseDelayMs - First backoff delay (default: 1000)
+   * @param {number} options.maxDelayMs - Maximum backoff delay (default: 60000)
+   * @param {number} options.timeoutMs - Timeout per attempt (default: 10000)
+   * @param {number} options.logSize - Deliveries kept in the log (default: 200)
+   * @param {Array<string>} options.allowedHosts - Hostnames, addresses or CIDR ranges callbacks may reach even if internal
+   * @param {Function} options.lookup - dns.lookup-compatible resolver (default: dns.lookup)
+   */
+  constructor(options = {}) {
+    if (!options.secret) {
+      throw new Error('A webhook secret is required');
+    }
+    this.options = { ...DEFAULT_WEBHOOK_OPTIONS, ...options };
+    this.allowed = parseAllowedHosts(this.options.allowedHosts);
+    this.deliveries = [];
+  }
+
+  /**
+   * Deliver an event (resolves once delivered or given up; never rejects)
+   * @param {string} url - Callback URL
+   * @param {string} event - Event name (e.g. job.succeeded)
+   * @param {Object} payload - JSON payload
+   * @param {Object} context - Extra fields recorded in the delivery log (e.g. { jobId })
+   * @returns {Promise<Object>} Delivery log entry
+   */
+  async deliver(url, event, payload, context = {}) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      ...context,
+      event,
+      url,
+      status: 'pending',
+      attempts: 0,
+      responseStatus: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    };
+    this.record(delivery);
+
+    const body = JSON.stringify({ event, deliveryId: delivery.id, ...payload });
+
+    try {
+      const response = await withRetry(() => {
+        delivery.attempts++;
+        return this.send(url, event, body, delivery.id);
+      }, {
+        retries: this.options.retries,
+        baseDelayMs: this.options.baseDelayMs,
+        maxDelayMs: this.options.maxDelayMs,
+        operation: 'webhook'
+      });
+      delivery.responseStatus = response.status;
+      delivery.status = 'delivered';
+      delivery.error = null;
+      logger.info(`Delivered ${event} webhook to ${url}`);
+    } catch (error) {
+      delivery.status = 'failed';
+      delivery.responseStatus = error.status || null;
+      delivery.error = error.message;
+      logger.warn(`Giving up on ${event} webhook to ${url} after ${delivery.attempts} attempt(s): ${error.message}`);
+    }
+
+    delivery.completedAt = new Date().toISOString();
+    metrics.incrementCounter('webhook_deliveries_total', 1, { status: delivery.status });
+    return delivery;
+  }
+
+  /**
+   * Check that a callback URL's host may be reached (for rejecting it up front)
+   * @param {string} url - Callback URL
+   * @returns {Promise<void>}
+   * @throws {WebhookTargetError} If the host resolves to an internal address that is not allowlisted
+   */
+  async checkTarget(url) {
+    try {
+      await resolveWebhookTarget(url, this.allowed, this.options.lookup);
+    } catch (error) {
+      // Hosts that do not resolve yet are left to fail (and be logged) at delivery time
+      if (error instanceof WebhookTargetError) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Send one attempt
+   * The host is resolved and checked first, and the request connects to the
+   * checked addresses, so a DNS answer cannot change between check and use.
+   * @private
+   */
+  async send(url, event, body, deliveryId) {
+    const addresses = await resolveWebhookTarget(url, this.allowed, this.options.lookup);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const target = new URL(url);
+
+    const response = await new Promise((resolve, reject) => {
+      const request = (target.protocol === 'https:' ? https : http).request(target, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'openai-image-gen-mcp-webhooks',
+          [EVENT_HEADER]: event,
+          [DELIVERY_HEADER]: deliveryId,
+          [TIMESTAMP_HEADER]: String(timestamp),
+          [SIGNATURE_HEADER]: signPayload(this.options.secret, timestamp, body)
+        },
+        // Connect only to the addresses checked above
+        lookup: (hostname, options, callback) => {
+          const candidates = addresses.filter(({ family }) => !options.family || family === options.family);
+          if (candidates.length === 0) {
+            callback(Object.assign(new Error(`No IPv${options.family} address for ${hostname}`), { code: 'ENOTFOUND' }));
+          } else if (options.all) {
+            callback(null, candidates);
+          } else {
+            callback(null, candidates[0].address, candidates[0].family);
+          }
+        }
+      }, res => {
+        clearTimeout(timer);
+        // The response body is not used; drain it so the connection can be reused
+        res.resume();
+        res.on('end', () => resolve(res));
+        res.on('error', reject);
+      });
+
+      // Timeouts are exposed as ETIMEDOUT so they are retried
+      const timer = setTimeout(() => {
+        const error = new Error(`Webhook request timed out after ${this.options.timeoutMs}ms`);
+        error.code = 'ETIMEDOUT';
+        request.destroy(error);
+      }, this.options.timeoutMs);
+
+      request.on('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      request.end(body);
+    });
+
+    // Redirects are not followed: a 3xx counts as a failed delivery
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      const error = new Error(`Webhook endpoint responded with HTTP ${response.statusCode}`);
+      error.status = response.statusCode;
+      error.headers = response.headers;
+      throw error;
+    }
+    return { status: response.statusCode, headers: response.headers };
+  }
+
+  /**
+   * @private
+   */
+  record(delivery) {
+    this.deliveries.unshift(delivery);
+    if (this.deliveries.length > this.options.logSize) {
+      this.deliveries.length = this.options.logSize;
+    }
+  }
+
+  /**
+   * Recent deliveries, newest first
+   * @param {Object} filter - Optional { status, jobId }
+   * @returns {Array<Object>} Delivery log entries
+   */
+  getDeliveries(filter = {}) {
+    return this.deliveries.filter(delivery =>
+      (!filter.status || delivery.status === filter.status) &&
+      (!filter.jobId || delivery.jobId === filter.jobId));
+  }
+}
+
+module.exports = {
+  WebhookDispatcher,
+  WebhookTargetError,
+  signPayload,
+  verifySignature,
+  isInternalAddress,
+  parseAllowedHosts,
+  resolveWebhookTarget,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  DELIVERY_HEADER,
+  EVENT_HEADER,
+  DEFAULT_WEBHOOK_OPTIONS
+};
@@ -0,0 +1,125 @@
+const { prepareBatch, runBatch, buildBatchSchema } = require('../src/utils/batch');
+const { PresetRegistry } = require('../src/utils/presets');
+const { ValidationError } = require('../src/utils/validation');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Batch generation', () => {
+  describe('prepareBatch', () => {
+    it('should validate each expanded prompt with the shared parameters', () => {
+      const batch = prepareBatch({
+        template: 'A {{color}} fox',
+        variables: { color: ['red', 'blue'] },
+        model: 'dall-e-2',
+        size: '256x256'
+      });
+
+      expect(batch.mode).toBe('product');
+      expect(batch.items).toEqual([
+        expect.objectContaining({ index: 0, prompt: 'A red fox', params: expect.objectContaining({ prompt: 'A red fox', model: 'dall-e-2', size: '256x256' }) }),
+        expect.objectContaining({ index: 1, prompt: 'A blue fox', variables: { color: 'blue' } })
+      ]);
+    });
+
+    it('should keep prompts that fail validation as failed items', () => {
+      const batch = prepareBatch({
+        template: '{{text}}',
+        variables: { text: ['A fox', 'x'.repeat(1001)] },
+        model: 'dall-e-2'
+      });
+
+      expect(batch.items[0].params).toBeDefined();
+      expect(batch.items[1]).toMatchObject({ field: 'prompt', error: 'Prompt must not exceed 1000 characters' });
+    });
+
+    it('should reject invalid shared parameters for the whole batch', () => {
+      expect(() => prepareBatch({ template: 'A fox', model: 'dall-e-9' })).toThrow(ValidationError);
+    });
+
+    it('should merge a preset into the shared parameters', () => {
+      const presets = new PresetRegistry([{ name: 'icon-draft', description: '', params: { model: 'dall-e-2', size: '256x256' } }]);
+
+      const batch = prepareBatch({ template: 'A fox', preset: 'icon-draft', size: '512x512' }, { presets });
+
+      expect(batch.items[0].params).toMatchObject({ model: 'dall-e-2', size: '512x512' });
+    });
+  });
+
+  describe('runBatch', () => {
+    function createImageGen() {
+      return {
+        generateAndSaveImage: jest.fn(async (prompt) => {
+          if (prompt.includes('blue')) {
+            throw new Error('Provider unavailable');
+          }
+          return [{ filename: 'image_1_0.png', filePath: '/out/image_1_0.png' }];
+        }),
+        generateImage: jest.fn().mockResolvedValue([{ url: 'https://example.com/image.png' }])
+      };
+    }
+
+    it('should generate every prompt and report per-item results', async () => {
+      const imageGen = createImageGen();
+      const onProgress = jest.fn();
+      const batch = prepareBatch({ template: 'A {{color}} fox', variables: { color: ['red', 'blue', 'green'] } });
+
+      const result = await runBatch(imageGen, batch, { requester: 'cli', onProgress });
+
+      expect(imageGen.generateAndSaveImage).toHaveBeenCalledTimes(3);
+      expect(imageGen.generateAndSaveImage).toHaveBeenCalledWith('A red fox', expect.objectContaining({ model: 'dall-e-3', requester: 'cli' }));
+      expect(result).toMatchObject({ total: 3, succeeded: 2, failed: 1 });
+      expect(result.items[0]).toMatchObject({ success: true, images: [{ filename: 'image_1_0.png' }] });
+      expect(result.items[1]).toMatchObject({ success: false, error: 'Provider unavailable', variables: { color: 'blue' } });
+      expect(onProgress).toHaveBeenLastCalledWith({ stage: 'item', message: 'Prompt 3 of 3 done' });
+    });
+
+    it('should not call the provider for invalid prompts', async () => {
+      const imageGen = createImageGen();
+      const batch = prepareBatch({ template: '{{text}}', variables: { text: ['A fox', ' '] } });
+
+      const result = await runBatch(imageGen, batch);
+
+      expect(imageGen.generateAndSaveImage).toHaveBeenCalledTimes(1);
+      expect(result.items[1]).toMatchObject({ success: false, field: 'prompt' });
+    });
+
+    it('should return images without saving when save is false', async () => {
+      const imageGen = createImageGen();
+      const batch = prepareBatch({ template: 'A fox', save: false });
+
+      const result = await runBatch(imageGen, batch);
+
+      expect(imageGen.generateImage).toHaveBeenCalled();
+      expect(result.items[0].images).toEqual([{ url: 'https://example.com/image.png' }]);
+    });
+
+    it('should stop when the batch is cancelled', async () => {
+      const imageGen = createImageGen();
+      const abortError = new Error('cancelled');
+      abortError.name = 'AbortError';
+      imageGen.generateAndSaveImage.mockRejectedValueOnce(abortError);
+      const batch = prepareBatch({ template: 'A {{color}} fox', variables: { color: ['red', 'green'] } });
+
+      await expect(runBatch(imageGen, batch)).rejects.toThrow('cancelled');
+      expect(imageGen.generateAndSaveImage).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('buildBatchSchema', () => {
+    it('should take the shared parameters from the generate schema', () => {
+      const schema = buildBatchSchema({
+        properties: { prompt: { type: 'string' }, include_image: { type: 'boolean' }, model: { type: 'string' } },
+        required: ['prompt']
+      });
+
+      expect(Object.keys(schema.properties)).toEqual(['template', 'variables', 'mode', 'model']);
+      expect(schema.required).toEqual(['template']);
+    });
+  });
+});
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BudgetTracker, BudgetExceededError, getPeriodKey, getPeriodEnd } = require('../src/utils/budget');
+const { metrics } = require('../src/utils/metrics');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const logger = require('../src/utils/logger');
+
+describe('Budgets', () => {
+  let dir;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'budget-'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('periods', () => {
+    it('should key and end periods in UTC', () => {
+      const now = new Date('2026-12-31T23:30:00Z');
+
+      expect(getPeriodKey('daily', now)).toBe('2026-12-31');
+      expect(getPeriodKey('monthly', now)).toBe('2026-12');
+      expect(getPeriodEnd('daily', now).toISOString()).toBe('2027-01-01T00:00:00.000Z');
+      expect(getPeriodEnd('monthly', now).toISOString()).toBe('2027-01-01T00:00:00.000Z');
+    });
+  });
+
+  describe('BudgetTracker', () => {
+    it('should reject a request that would exceed the global budget', async () => {
+      const budget = new BudgetTracker({ limits: { global: { daily: 0.1 } } });
+      await budget.settle(await budget.reserve(0.08, 'cli'), 0.08);
+
+      await expect(budget.reserve(0.04, 'cli')).rejects.toThrow(BudgetExceededError);
+      const error = await budget.reserve(0.04, 'mcp').catch(rejection => rejection);
+      expect(error.code).toBe('EBUDGET');
+      expect(error.message).toMatch(/^Daily spending budget exceeded: \$0\.080 of \$0\.100 spent and this request is estimated at \$0\.040/);
+      expect(error.details).toMatchObject({ scope: 'global', caller: null, period: 'daily', limit: 0.1, spent: 0.08, estimate: 0.04 });
+      expect(error.retryInMs).toBeGreaterThan(0);
+      await expect(budget.reserve(0.02, 'cli')).resolves.toMatchObject({ estimate: expect.any(Number) });
+    });
+
+    it('should count requests in flight against the budget until they are released', async () => {
+      const budget = new BudgetTracker({ limits: { global: { monthly: 0.1 } } });
+      const first = await budget.reserve(0.08, 'cli');
+
+      await expect(budget.reserve(0.04, 'cli')).rejects.toThrow(BudgetExceededError);
+      budget.release(first);
+      await expect(budget.reserve(0.04, 'cli')).resolves.toMatchObject({ estimate: expect.any(Number) });
+    });
+
+    it('should keep a separate budget per caller', async () => {
+      const budget = new BudgetTracker({ limits: { caller: { daily: 0.1 } } });
+      await budget.settle(await budget.reserve(0.08, 'http:10.0.0.1'), 0.08);
+
+      await expect(budget.reserve(0.04, 'http:10.0.0.1')).rejects.toThrow('Daily spending budget for http:10.0.0.1 exceeded');
+      await expect(budget.reserve(0.04, 'cli')).resolves.toMatchObject({ estimate: expect.any(Number) });
+    });
+
+    it('should warn once per threshold crossed', async () => {
+      const budget = new BudgetTracker({ limits: { global: { daily: 1 } }, warnPercents: [90, 50] });
+
+      await budget.settle(await budget.reserve(0.4, 'cli'), 0.4);
+      expect(logger.warn).not.toHaveBeenCalled();
+
+      await budget.settle(await budget.reserve(0.2, 'cli'), 0.2);
+      await budget.settle(await budget.reserve(0.1, 'cli'), 0.1);
+      expect(logger.warn).toHaveBeenCalledTimes(1);
+      expect(logger.warn).toHaveBeenCalledWith('Daily spending budget is 60% used ($0.600 of $1.000)');
+
+      await budget.settle(await budget.reserve(0.25, 'cli'), 0.25);
+      expect(logger.warn).toHaveBeenCalledTimes(2);
+      expect(metrics.getCounters('budget_warnings_total')).toContainEqual(
+        expect.objectContaining({ labels: { scope: 'global', period: 'daily', threshold: '90' } })
+      );
+    });
+
+    it('should start a new period at midnight UTC', async () => {
+      jest.useFakeTimers({ now: new Date('2026-10-19T23:59:00Z') });
+      const budget = new BudgetTracker({ limits: { global: { daily: 0.1, monthly: 1 } } });
+      await budget.settle(await budget.reserve(0.1, 'cli'), 0.1);
+      await expect(budget.reserve(0.01, 'cli')).rejects.toThrow(BudgetExceededError);
+
+      jest.setSystemTime(new Date('2026-10-20T00:01:00Z'));
+      await expect(budget.reserve(0.01, 'cli')).resolves.toMatchObject({ estimate: expect.any(Number) });
+      expect(budget.getStatus().find(status => status.period === 'monthly').spent).toBe(0.1);
+    });
+
+    it('should persist the spend across restarts', async () => {
+      const stateFile = path.join(dir, 'state', 'budget.json');
+      const options = { limits: { global: { daily: 1 }, caller: { monthly: 2 } }, stateFile };
+
+      const first = new BudgetTracker(options);
+      await first.settle(await first.reserve(0.25, 'cli'), 0.25);
+
+      const second = new BudgetTracker(options);
+      await second.load();
+
+      expect(second.getStatus()).toEqual([
+        expect.objectContaining({ scope: 'global', caller: null, period: 'daily', limit: 1, spent: 0.25, pending: 0, remaining: 0.75 }),
+        expect.objectContaining({ scope: 'caller', caller: 'cli', period: 'monthly', limit: 2, spent: 0.25, remaining: 1.75 })
+      ]);
+    });
+
+    it('should start empty when the state file is from an earlier period or unreadable', async () => {
+      const stateFile = path.join(dir, 'budget.json');
+      fs.writeFileSync(stateFile, JSON.stringify({ daily: { key: '2020-01-01', spent: { global: 5 }, warned: {} } }));
+      const budget = new BudgetTracker({ limits: { global: { daily: 1 } }, stateFile });
+      await budget.load();
+      expect(budget.getStatus()[0].spent).toBe(0);
+
+      fs.writeFileSync(stateFile, '{ broken');
+      await budget.load();
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Ignoring unreadable budget state'));
+    });
+
+    it('should keep the spend of other processes sharing the state file', async () => {
+      const stateFile = path.join(dir, 'budget.json');
+      const options = { limits: { global: { daily: 1 } }, stateFile };
+      const server = new BudgetTracker(options);
+      const cli = new BudgetTracker(options);
+      await server.load();
+      await cli.load();
+
+      await server.settle(await server.reserve(0.25, 'http:127.0.0.1'), 0.25);
+      await cli.settle(await cli.reserve(0.5, 'cli'), 0.5);
+      await server.settle(await server.reserve(0.125, 'http:127.0.0.1'), 0.125);
+
+      expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).daily.spent.global).toBe(0.875);
+      expect(fs.existsSync(`${stateFile}.lock`)).toBe(false);
+
+      await cli.load();
+      expect(cli.getStatus()[0].spent).toBe(0.875);
+      await expect(cli.reserve(0.25, 'cli')).rejects.toThrow(BudgetExceededError);
+    });
+
+    it('should count requests in flight in every process sharing the state file', async () => {
+      const stateFile = path.join(dir, 'budget.json');
+      const options = { limits: { global: { daily: 1 } }, stateFile };
+      const server = new BudgetTracker(options);
+      const worker = new BudgetTracker(options);
+      const cli = new BudgetTracker(options);
+
+      const [first, second] = await Promise.all([server.reserve(0.4, 'mcp'), worker.reserve(0.4, 'job:1')]);
+      await expect(cli.reserve(0.4, 'cli')).rejects.toMatchObject({ details: { spent: 0.8, estimate: 0.4 } });
+
+      await server.release(first);
+      await expect(cli.reserve(0.4, 'cli')).resolves.toMatchObject({ estimate: 0.4 });
+      await worker.settle(second, 0.3);
+      expect(Object.keys(JSON.parse(fs.readFileSync(stateFile, 'utf8')).reservations)).toHaveLength(1);
+      expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).daily.spent.global).toBe(0.3);
+    });
+
+    it('should drop reservations of exited processes and expired ones', async () => {
+      const stateFile = path.join(dir, 'budget.json');
+      const reservation = (pid, createdAt) => ({ owner: { host: os.hostname(), pid }, estimate: 0.5, budgets: ['global'], createdAt });
+      fs.writeFileSync(stateFile, JSON.stringify({
+        reservations: {
+          exited: reservation(2147483646, new Date().toISOString()),
+          expired: reservation(process.pid, new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString()),
+          live: reservation(process.pid, new Date().toISOString())
+        }
+      }));
+      const budget = new BudgetTracker({ limits: { global: { daily: 1 } }, stateFile });
+
+      await expect(budget.reserve(0.5)).resolves.toMatchObject({ estimate: 0.5 });
+      await expect(budget.reserve(0.01)).rejects.toThrow(BudgetExceededError);
+      expect(Object.keys(JSON.parse(fs.readFileSync(stateFile, 'utf8')).reservations)).not.toContain('exited');
+    });
+
+    it('should refuse to reserve while another process holds the state file', async () => {
+      const stateFile = path.join(dir, 'budget.json');
+      const budget = new BudgetTracker({ limits: { global: { daily: 1 } }, stateFile, lockTimeoutMs: 50 });
+      fs.writeFileSync(`${stateFile}.lock`, '');
+
+      await expect(budget.reserve(0.25)).rejects.toThrow('timed out waiting for');
+      expect(budget.getStatus()[0].pending).toBe(0);
+    });
+
+    it('should keep unsaved spend for the next save when the state file is locked', async () => {
+      const stateFile = path.join(dir, 'budget.json');
+      const budget = new BudgetTracker({ limits: { global: { daily: 1 } }, stateFile, lockTimeoutMs: 50 });
+      const reservation = await budget.reserve(0.25);
+      fs.writeFileSync(`${stateFile}.lock`, '');
+
+      await budget.settle(reservation, 0.25);
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Could not save budget state'));
+      expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).daily.spent.global).toBeUndefined();
+
+      fs.rmSync(`${stateFile}.lock`);
+      await budget.settle(await budget.reserve(0.125), 0.125);
+      const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+      expect(saved.daily.spent.global).toBe(0.375);
+      expect(saved.reservations).toEqual({});
+    });
+
+    it('should remove a lock left behind by a crashed process', async () => {
+      const stateFile = path.join(dir, 'budget.json');
+      const budget = new BudgetTracker({ limits: { global: { daily: 1 } }, stateFile, lockTimeoutMs: 50 });
+      fs.writeFileSync(`${stateFile}.lock`, '');
+      const past = new Date(Date.now() - 60000);
+      fs.utimesSync(`${stateFile}.lock`, past, past);
+
+      await budget.settle(await budget.reserve(0.25), 0.25);
+      expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).daily.spent.global).toBe(0.25);
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Removing stale budget state lock'));
+    });
+  });
+});
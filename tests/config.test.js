@@ -3,7 +3,10 @@ const {
   getEnvVar,
   isValidOpenAIKeyFormat,
   validateOpenAIKey,
-  validateConfig
+  validateConfig,
+  parseModelMap,
+  getProviderConfig,
+  getBudgetConfig
 } = require('../src/utils/config');
 
 // Mock logger
@@ -26,6 +29,9 @@ describe('Configuration Utilities', () => {
     delete process.env.OPENAI_API_KEY;
     delete process.env.PORT;
     delete process.env.MCP_AUTH_TOKEN;
+    delete process.env.IMAGE_PROVIDER;
+    delete process.env.AZURE_OPENAI_ENDPOINT;
+    delete process.env.LOCAL_IMAGE_BASE_URL;
   });
 
   afterEach(() => {
@@ -172,6 +178,100 @@ describe('Configuration Utilities', () => {
     });
   });
 
+  describe('parseModelMap', () => {
+    it('should parse model=name pairs', () => {
+      expect(parseModelMap('dall-e-3=images-prod, gpt-image-1 = gpt-image')).toEqual({
+        'dall-e-3': 'images-prod',
+        'gpt-image-1': 'gpt-image'
+      });
+    });
+
+    it('should map bare model names to themselves', () => {
+      expect(parseModelMap('dall-e-2')).toEqual({ 'dall-e-2': 'dall-e-2' });
+      expect(parseModelMap(undefined)).toEqual({});
+    });
+  });
+
+  describe('getProviderConfig', () => {
+    it('should default to the OpenAI provider', () => {
+      process.env.OPENAI_API_KEY = 'sk-validkey123456789012345';
+
+      const providers = getProviderConfig();
+
+      expect(providers.defaultProvider).toBe('openai');
+      expect(providers.openai.apiKey).toBe('sk-validkey123456789012345');
+      expect(providers.azure).toBeNull();
+      expect(providers.local).toBeNull();
+    });
+
+    it('should read Azure and local provider settings', () => {
+      process.env.AZURE_OPENAI_ENDPOINT = 'https://example.openai.azure.com';
+      process.env.AZURE_OPENAI_API_KEY = 'azure-key';
+      process.env.AZURE_OPENAI_DEPLOYMENTS = 'dall-e-3=images-prod';
+      process.env.LOCAL_IMAGE_BASE_URL = 'http://localhost:8080/v1';
+      process.env.LOCAL_IMAGE_OPERATIONS = 'generate,edit';
+
+      const providers = getProviderConfig();
+
+      expect(providers.azure).toEqual({
+        endpoint: 'https://example.openai.azure.com',
+        apiKey: 'azure-key',
+        apiVersion: '2025-04-01-preview',
+        models: { 'dall-e-3': 'images-prod' }
+      });
+      expect(providers.local.operations).toEqual(['generate', 'edit']);
+    });
+  });
+
+  describe('getBudgetConfig', () => {
+    it('should be disabled without limits', () => {
+      const budget = getBudgetConfig();
+
+      expect(budget.enabled).toBe(false);
+      expect(budget.warnPercents).toEqual([80]);
+      expect(budget.stateFile).toBe('./data/budget.json');
+      expect(budget.unpricedPrice).toBeNull();
+    });
+
+    it('should read global and per-caller limits', () => {
+      process.env.BUDGET_DAILY_USD = '5';
+      process.env.BUDGET_CALLER_MONTHLY_USD = '12.5';
+      process.env.BUDGET_WARN_PERCENT = '50, 90';
+      process.env.BUDGET_UNPRICED_USD = '0.2';
+
+      expect(getBudgetConfig()).toMatchObject({
+        enabled: true,
+        limits: {
+          global: { daily: 5, monthly: null },
+          caller: { daily: null, monthly: 12.5 }
+        },
+        warnPercents: [50, 90],
+        unpricedPrice: 0.2
+      });
+    });
+
+    it('should reject invalid amounts and thresholds', () => {
+      process.env.BUDGET_MONTHLY_USD = 'lots';
+      expect(() => getBudgetConfig()).toThrow('Invalid BUDGET_MONTHLY_USD "lots"');
+
+      delete process.env.BUDGET_MONTHLY_USD;
+      process.env.BUDGET_WARN_PERCENT = '150';
+      expect(() => getBudgetConfig()).toThrow('Invalid BUDGET_WARN_PERCENT "150"');
+    });
+
+    it('should accept a zero price for unpriced models but not a zero limit', () => {
+      process.env.BUDGET_DAILY_USD = '5';
+      process.env.BUDGET_UNPRICED_USD = '0';
+      expect(getBudgetConfig().unpricedPrice).toBe(0);
+
+      process.env.BUDGET_UNPRICED_USD = '-1';
+      expect(() => getBudgetConfig()).toThrow('Invalid BUDGET_UNPRICED_USD "-1": expected a non-negative amount in USD');
+
+      process.env.BUDGET_DAILY_USD = '0';
+      expect(() => getBudgetConfig()).toThrow('Invalid BUDGET_DAILY_USD "0"');
+    });
+  });
+
   describe('validateConfig', () => {
     it('should throw error when OPENAI_API_KEY is missing', async () => {
       await expect(validateConfig({ exitOnError: false }))
@@ -218,6 +318,31 @@ describe('Configuration Utilities', () => {
       expect(config.imageGenerationRateLimit).toBe(20);
     });
 
+    it('should not require an OpenAI key when another provider is the default', async () => {
+      process.env.IMAGE_PROVIDER = 'local';
+      process.env.LOCAL_IMAGE_BASE_URL = 'http://localhost:8080/v1';
+
+      const config = await validateConfig({ validateApiKey: false, exitOnError: false });
+
+      expect(config.apiKey).toBeUndefined();
+      expect(config.providers.defaultProvider).toBe('local');
+      expect(config.providers.openai).toBeNull();
+    });
+
+    it('should require settings for the default provider', async () => {
+      process.env.IMAGE_PROVIDER = 'azure';
+
+      await expect(validateConfig({ validateApiKey: false, exitOnError: false }))
+        .rejects.toThrow('Missing required environment variable: AZURE_OPENAI_ENDPOINT');
+    });
+
+    it('should reject unknown providers', async () => {
+      process.env.IMAGE_PROVIDER = 'stability';
+
+      await expect(validateConfig({ validateApiKey: false, exitOnError: false }))
+        .rejects.toThrow('Invalid IMAGE_PROVIDER "stability"');
+    });
+
     it('should validate API key when validateApiKey is true', async () => {
       process.env.OPENAI_API_KEY = 'sk-validkey123456789012345';
 
@@ -0,0 +1,87 @@
+const express = require('express');
+const request = require('supertest');
+const { createHistoryRouter } = require('../src/history-api');
+const { ValidationError } = require('../src/utils/validation');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const ENTRY = {
+  filename: 'image_1_0.png',
+  operation: 'generate',
+  model: 'dall-e-3',
+  prompt: 'a red fox',
+  createdAt: '2025-01-01T00:00:00.000Z'
+};
+
+describe('History API', () => {
+  let app;
+  let history;
+
+  beforeEach(() => {
+    history = {
+      list: jest.fn().mockResolvedValue({ entries: [ENTRY], total: 1 }),
+      get: jest.fn(async filename => {
+        if (filename.startsWith('.')) {
+          throw new ValidationError(`Invalid image filename: ${filename}`, 'filename');
+        }
+        return filename === ENTRY.filename ? ENTRY : null;
+      })
+    };
+    app = express();
+    app.use('/history', createHistoryRouter({ history }));
+  });
+
+  it('should list entries with image URLs', async () => {
+    const res = await request(app).get('/history?q=fox&model=dall-e-3&limit=10&offset=5');
+
+    expect(res.status).toBe(200);
+    expect(history.list).toHaveBeenCalledWith(expect.objectContaining({
+      q: 'fox',
+      model: 'dall-e-3',
+      limit: 10,
+      offset: 5
+    }));
+    expect(res.body).toEqual({
+      success: true,
+      total: 1,
+      entries: [{ ...ENTRY, imageUrl: expect.stringMatching(/\/images\/image_1_0\.png$/) }]
+    });
+  });
+
+  it('should reject invalid query parameters', async () => {
+    const limit = await request(app).get('/history?limit=0');
+    const since = await request(app).get('/history?since=yesterday');
+
+    expect(limit.status).toBe(400);
+    expect(limit.body.field).toBe('limit');
+    expect(since.body.field).toBe('since');
+    expect(history.list).not.toHaveBeenCalled();
+  });
+
+  it('should return one entry', async () => {
+    const res = await request(app).get('/history/image_1_0.png');
+
+    expect(res.status).toBe(200);
+    expect(res.body.entry).toMatchObject({ prompt: 'a red fox' });
+  });
+
+  it('should return 404 for images without history', async () => {
+    const res = await request(app).get('/history/other.png');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('No history for image: other.png');
+  });
+
+  it('should reject invalid filenames', async () => {
+    const res = await request(app).get('/history/.history');
+
+    expect(res.status).toBe(400);
+    expect(res.body.field).toBe('filename');
+  });
+});
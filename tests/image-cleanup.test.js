@@ -26,6 +26,7 @@ jest.mock('../src/utils/logger', () => ({
   debug: jest.fn()
 }));
 
+const path = require('path');
 const fsPromises = require('fs').promises;
 const logger = require('../src/utils/logger');
 
@@ -136,7 +137,8 @@ describe('Image Cleanup Utilities', () => {
       const recentTime = now - 1 * 24 * 60 * 60 * 1000; // 1 day old
 
       fsPromises.access.mockResolvedValue();
-      fsPromises.readdir.mockResolvedValue(['old.png', 'recent.png']);
+      // Only the output directory has entries (no history or content-addressed images)
+      fsPromises.readdir.mockImplementation(async dir => (dir === '/test/dir' ? ['old.png', 'recent.png'] : []));
       fsPromises.stat.mockImplementation((path) => {
         if (path.includes('old')) {
           return Promise.resolve({
@@ -160,7 +162,11 @@ describe('Image Cleanup Utilities', () => {
       expect(results.filesScanned).toBe(2);
       expect(results.filesDeleted).toBe(1);
       expect(results.spaceFreed).toBe(1024);
-      expect(fsPromises.unlink).toHaveBeenCalledTimes(1);
+      // The image and its history sidecar
+      expect(fsPromises.unlink.mock.calls.map(call => call[0])).toEqual([
+        path.join('/test/dir', 'old.png'),
+        path.join('/test/dir', '.history', 'old.png.json')
+      ]);
     });
 
     it('should respect maxFiles limit', async () => {
@@ -183,7 +189,8 @@ describe('Image Cleanup Utilities', () => {
 
       expect(results.filesScanned).toBe(3);
       expect(results.filesDeleted).toBe(1); // Should delete 1 file to get down to 2
-      expect(fsPromises.unlink).toHaveBeenCalledTimes(1);
+      expect(fsPromises.unlink).toHaveBeenCalledWith(path.join('/test/dir', 'img1.png'));
+      expect(fsPromises.unlink).not.toHaveBeenCalledWith(path.join('/test/dir', 'img2.png'));
     });
 
     it('should handle dry run mode', async () => {
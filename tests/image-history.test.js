@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ImageHistory, getSidecarPath } = require('../src/utils/image-history');
+const { cleanupOldImages } = require('../src/utils/image-cleanup');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Image history', () => {
+  let directory;
+  let history;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'image-history-'));
+    history = new ImageHistory(directory);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Write an image file and record its history
+   */
+  async function saveImage(filename, metadata = {}) {
+    const filePath = path.join(directory, filename);
+    fs.writeFileSync(filePath, 'image');
+    return history.record(filePath, { operation: 'generate', model: 'dall-e-3', prompt: 'a red fox', ...metadata });
+  }
+
+  it('should record and look up entries', async () => {
+    const entry = await saveImage('image_1_0.png', { requester: 'cli', durationMs: 1200 });
+
+    expect(entry).toMatchObject({ filename: 'image_1_0.png', prompt: 'a red fox', requester: 'cli', durationMs: 1200 });
+    expect(entry.createdAt).toEqual(expect.any(String));
+    expect(await history.get('image_1_0.png')).toEqual(entry);
+    expect(fs.existsSync(getSidecarPath(directory, 'image_1_0.png'))).toBe(true);
+    expect(await history.get('other.png')).toBeNull();
+  });
+
+  it('should reject filenames outside the output directory', async () => {
+    await expect(history.get('../secret.png')).rejects.toMatchObject({ field: 'filename' });
+    await expect(history.get('.history')).rejects.toThrow('Invalid image filename');
+  });
+
+  it('should filter, search and page entries newest first', async () => {
+    await saveImage('a.png', { model: 'dall-e-2', prompt: 'A lighthouse at dusk' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await saveImage('b.png', { model: 'dall-e-3', revised_prompt: 'A LIGHTHOUSE in fog' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await saveImage('c.png', { operation: 'edit', requester: 'http:127.0.0.1' });
+
+    expect((await history.list()).entries.map(entry => entry.filename)).toEqual(['c.png', 'b.png', 'a.png']);
+    expect((await history.list({ q: 'lighthouse' })).entries.map(entry => entry.filename)).toEqual(['b.png', 'a.png']);
+    expect((await history.list({ model: 'dall-e-2' })).total).toBe(1);
+    expect((await history.list({ operation: 'edit', requester: 'http:127.0.0.1' })).total).toBe(1);
+
+    const page = await history.list({ limit: 1, offset: 1 });
+    expect(page).toEqual({ entries: [expect.objectContaining({ filename: 'b.png' })], total: 3 });
+  });
+
+  it('should skip unreadable sidecars', async () => {
+    await saveImage('a.png');
+    fs.writeFileSync(getSidecarPath(directory, 'broken.png'), '{not json');
+
+    expect((await history.list()).total).toBe(1);
+  });
+
+  it('should prune entries whose image was deleted', async () => {
+    await saveImage('a.png');
+    await saveImage('b.png');
+    fs.unlinkSync(path.join(directory, 'a.png'));
+
+    expect(await history.prune()).toBe(1);
+    expect((await history.list()).entries.map(entry => entry.filename)).toEqual(['b.png']);
+  });
+
+  it('should stay in step with cleanupOldImages', async () => {
+    await saveImage('old.png');
+    await saveImage('new.png');
+    await saveImage('gone.png');
+    const tenDaysAgo = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+    fs.utimesSync(path.join(directory, 'old.png'), tenDaysAgo, tenDaysAgo);
+    fs.unlinkSync(path.join(directory, 'gone.png'));
+
+    const results = await cleanupOldImages(directory, { retentionMs: 7 * 24 * 60 * 60 * 1000 });
+
+    expect(results.deletedFiles.map(file => file.name)).toEqual(['old.png']);
+    expect((await history.list()).entries.map(entry => entry.filename)).toEqual(['new.png']);
+  });
+
+  it('should keep history on a dry run', async () => {
+    await saveImage('old.png');
+    const tenDaysAgo = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+    fs.utimesSync(path.join(directory, 'old.png'), tenDaysAgo, tenDaysAgo);
+
+    await cleanupOldImages(directory, { retentionMs: 7 * 24 * 60 * 60 * 1000, dryRun: true });
+
+    expect(await history.get('old.png')).not.toBeNull();
+  });
+});
@@ -0,0 +1,75 @@
+const sharp = require('sharp');
+const {
+  processImage,
+  createThumbnail,
+  getOutputFormat,
+  transformsImage,
+  buildPostprocessSchema
+} = require('../src/utils/image-processing');
+const { embedProvenance, readProvenance } = require('../src/utils/provenance');
+
+/**
+ * A plain PNG of the given size, like the ones providers return
+ */
+function createPng(width, height) {
+  return sharp({ create: { width, height, channels: 3, background: { r: 200, g: 40, b: 40 } } }).png().toBuffer();
+}
+
+describe('Image processing', () => {
+  it('should resize with cover cropping to fill the size', async () => {
+    const result = await processImage(await createPng(1024, 1024), { resize: { width: 1200, height: 630, fit: 'cover' } });
+
+    expect(result).toMatchObject({ format: 'png', width: 1200, height: 630 });
+    expect(await sharp(result.data).metadata()).toMatchObject({ format: 'png', width: 1200, height: 630 });
+  });
+
+  it('should crop before resizing and keep the aspect ratio with inside', async () => {
+    const result = await processImage(await createPng(1024, 1024), {
+      crop: { left: 0, top: 256, width: 1024, height: 512 },
+      resize: { width: 256, height: 256, fit: 'inside' }
+    });
+
+    expect(result).toMatchObject({ width: 256, height: 128 });
+  });
+
+  it('should convert to jpeg, webp and avif at the requested quality', async () => {
+    const png = await createPng(64, 64);
+
+    for (const format of ['jpeg', 'webp', 'avif']) {
+      const result = await processImage(png, { format, quality: 50 });
+      const metadata = await sharp(result.data).metadata();
+      expect(result.format).toBe(format);
+      expect(format === 'avif' ? metadata.compression : metadata.format).toBe(format === 'avif' ? 'av1' : format);
+    }
+  });
+
+  it('should keep metadata unless asked to strip it', async () => {
+    const { data: png } = embedProvenance(await createPng(32, 32), { operation: 'generate', prompt: 'a red fox' });
+    const keep = await processImage(png, { resize: { width: 16, fit: 'cover' } });
+    const strip = await processImage(png, { resize: { width: 16, fit: 'cover' }, strip: true });
+
+    expect(readProvenance(strip.data).provenance).toBeNull();
+    expect((await sharp(keep.data).metadata()).xmp).toBeDefined();
+  });
+
+  it('should derive metadata-free thumbnails in the output format', async () => {
+    const thumbnail = await createThumbnail(await createPng(1536, 1024), { width: 256, fit: 'inside' }, { format: 'webp' });
+
+    expect(thumbnail).toMatchObject({ format: 'webp', width: 256, height: 171 });
+    expect((await sharp(thumbnail.data).metadata()).xmp).toBeUndefined();
+  });
+
+  it('should report the output format and whether the image changes', () => {
+    expect(getOutputFormat({ format: 'avif' }, 'png')).toBe('avif');
+    expect(getOutputFormat(null, 'webp')).toBe('webp');
+    expect(transformsImage({ thumbnails: [{ width: 64, fit: 'inside' }] })).toBe(false);
+    expect(transformsImage({ strip: true })).toBe(true);
+  });
+
+  it('should describe the operations for tool schemas', () => {
+    const schema = buildPostprocessSchema();
+
+    expect(schema.properties.format.enum).toEqual(['png', 'jpeg', 'webp', 'avif']);
+    expect(schema.properties.thumbnails.items.properties.fit.default).toBe('inside');
+  });
+});
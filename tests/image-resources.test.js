@@ -0,0 +1,258 @@
+const {
+  listImageResources,
+  readImageResource,
+  watchImageDirectory,
+  toResourceUri,
+  parseResourceUri,
+  getMimeType,
+  ResourceError
+} = require('../src/utils/image-resources');
+
+jest.mock('fs', () => ({
+  watch: jest.fn(),
+  existsSync: jest.fn().mockReturnValue(false),
+  promises: {
+    readFile: jest.fn()
+  }
+}));
+
+jest.mock('../src/utils/image-cleanup', () => ({
+  getImageFiles: jest.fn()
+}));
+
+jest.mock('../src/utils/image-history');
+
+// Storage layouts are covered by image-store.test.js
+jest.mock('../src/utils/image-store', () => ({
+  readImage: jest.fn((directory, filename) => require('fs').promises.readFile(`${directory}/${filename}`)),
+  NAMES_DIRNAME: '.names'
+}));
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const fs = require('fs');
+const { getImageFiles } = require('../src/utils/image-cleanup');
+const { ImageHistory } = require('../src/utils/image-history');
+
+const HISTORY_ENTRY = {
+  filename: 'new.png',
+  operation: 'generate',
+  model: 'dall-e-3',
+  prompt: 'a red fox',
+  createdAt: '2025-01-01T00:00:00.000Z'
+};
+
+function mockFile(name, modified, size = 1024) {
+  return { name, path: `/images/${name}`, size, modified: new Date(modified) };
+}
+
+describe('Image Resources', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ImageHistory.prototype.get.mockResolvedValue(null);
+  });
+
+  describe('getMimeType', () => {
+    it('should map image extensions to MIME types', () => {
+      expect(getMimeType('a.png')).toBe('image/png');
+      expect(getMimeType('a.JPG')).toBe('image/jpeg');
+      expect(getMimeType('a.webp')).toBe('image/webp');
+    });
+
+    it('should fall back to octet-stream', () => {
+      expect(getMimeType('a.bin')).toBe('application/octet-stream');
+    });
+  });
+
+  describe('resource URIs', () => {
+    it('should round-trip filenames', () => {
+      const uri = toResourceUri('image 1.png');
+      expect(uri).toBe('image://generated/image%201.png');
+      expect(parseResourceUri(uri)).toBe('image 1.png');
+    });
+
+    it('should reject other schemes', () => {
+      expect(() => parseResourceUri('file:///etc/passwd')).toThrow(ResourceError);
+    });
+
+    it('should reject path traversal', () => {
+      expect(() => parseResourceUri('image://generated/..%2Fsecret.png')).toThrow('Invalid resource URI');
+      expect(() => parseResourceUri('image://generated/..')).toThrow('Invalid resource URI');
+    });
+  });
+
+  describe('listImageResources', () => {
+    it('should list images newest first', async () => {
+      getImageFiles.mockResolvedValue([
+        mockFile('old.png', 1000, 10),
+        mockFile('new.png', 2000, 20)
+      ]);
+
+      const result = await listImageResources('/images');
+
+      expect(result).toEqual({
+        resources: [
+          { uri: 'image://generated/new.png', name: 'new.png', mimeType: 'image/png', size: 20 },
+          { uri: 'image://generated/old.png', name: 'old.png', mimeType: 'image/png', size: 10 }
+        ]
+      });
+    });
+
+    it('should describe images from their history', async () => {
+      getImageFiles.mockResolvedValue([mockFile('old.png', 1000), mockFile('new.png', 2000)]);
+      ImageHistory.prototype.get.mockImplementation(async filename => (filename === 'new.png' ? HISTORY_ENTRY : null));
+
+      const result = await listImageResources('/images');
+
+      expect(result.resources[0].description).toBe('generate with dall-e-3: a red fox');
+      expect(result.resources[1].description).toBeUndefined();
+    });
+
+    it('should paginate with cursors', async () => {
+      getImageFiles.mockImplementation(async () => [
+        mockFile('a.png', 3000),
+        mockFile('b.png', 2000),
+        mockFile('c.png', 1000)
+      ]);
+
+      const first = await listImageResources('/images', { pageSize: 2 });
+      expect(first.resources.map(r => r.name)).toEqual(['a.png', 'b.png']);
+      expect(first.nextCursor).toBeDefined();
+
+      const second = await listImageResources('/images', { pageSize: 2, cursor: first.nextCursor });
+      expect(second.resources.map(r => r.name)).toEqual(['c.png']);
+      expect(second.nextCursor).toBeUndefined();
+    });
+
+    it('should reject invalid cursors', async () => {
+      getImageFiles.mockResolvedValue([]);
+
+      await expect(listImageResources('/images', { cursor: 'bm90LWEtbnVtYmVy' }))
+        .rejects.toThrow('Invalid cursor');
+    });
+  });
+
+  describe('readImageResource', () => {
+    it('should return the image as a base64 blob', async () => {
+      fs.promises.readFile.mockResolvedValue(Buffer.from('hello'));
+
+      const result = await readImageResource('/images', 'image://generated/a.png');
+
+      expect(fs.promises.readFile).toHaveBeenCalledWith(expect.stringContaining('a.png'));
+      expect(result).toEqual({
+        contents: [
+          { uri: 'image://generated/a.png', mimeType: 'image/png', blob: 'aGVsbG8=' }
+        ]
+      });
+    });
+
+    it('should include the history entry as JSON', async () => {
+      fs.promises.readFile.mockResolvedValue(Buffer.from('hello'));
+      ImageHistory.prototype.get.mockResolvedValue(HISTORY_ENTRY);
+
+      const result = await readImageResource('/images', 'image://generated/new.png');
+
+      expect(result.contents[1]).toEqual({
+        uri: 'image://generated/new.png',
+        mimeType: 'application/json',
+        text: JSON.stringify(HISTORY_ENTRY)
+      });
+    });
+
+    it('should read images by filename through the image store', async () => {
+      const { readImage } = require('../src/utils/image-store');
+      readImage.mockResolvedValueOnce(Buffer.from('stored'));
+
+      const result = await readImageResource('/images', 'image://generated/a.png');
+
+      expect(readImage).toHaveBeenCalledWith('/images', 'a.png');
+      expect(result.contents[0].blob).toBe(Buffer.from('stored').toString('base64'));
+    });
+
+    it('should report missing resources', async () => {
+      const { readImage } = require('../src/utils/image-store');
+      readImage.mockResolvedValueOnce(null);
+      await expect(readImageResource('/images', 'image://generated/gone.png'))
+        .rejects.toMatchObject({ code: -32002 });
+
+      const error = new Error('not found');
+      error.code = 'ENOENT';
+      fs.promises.readFile.mockRejectedValue(error);
+
+      await expect(readImageResource('/images', 'image://generated/missing.png'))
+        .rejects.toMatchObject({ code: -32002 });
+    });
+  });
+
+  describe('watchImageDirectory', () => {
+    let listener;
+    let watcher;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      watcher = { on: jest.fn(), close: jest.fn() };
+      fs.watch.mockImplementation((dir, callback) => {
+        listener = callback;
+        return watcher;
+      });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should debounce events into a single change', () => {
+      const onChange = jest.fn();
+      watchImageDirectory('/images', onChange, { debounceMs: 100 });
+
+      listener('rename', 'a.png');
+      listener('change', 'a.png');
+      listener('change', 'notes.txt');
+
+      jest.advanceTimersByTime(100);
+
+      expect(onChange).toHaveBeenCalledTimes(1);
+      expect(onChange).toHaveBeenCalledWith({ listChanged: true, filenames: ['a.png'] });
+    });
+
+    it('should report content changes without a list change', () => {
+      const onChange = jest.fn();
+      watchImageDirectory('/images', onChange, { debounceMs: 100 });
+
+      listener('change', 'a.png');
+      jest.advanceTimersByTime(100);
+
+      expect(onChange).toHaveBeenCalledWith({ listChanged: false, filenames: ['a.png'] });
+    });
+
+    it('should report names added in the content-addressed layout', () => {
+      const listeners = [];
+      fs.existsSync.mockReturnValueOnce(true);
+      fs.watch.mockImplementation((dir, callback) => {
+        listeners.push(callback);
+        return watcher;
+      });
+      const onChange = jest.fn();
+      watchImageDirectory('/images', onChange, { debounceMs: 100 });
+
+      expect(fs.watch).toHaveBeenCalledWith(expect.stringContaining('.names'), expect.any(Function));
+      listeners[1]('change', 'a.png.json');
+      jest.advanceTimersByTime(100);
+
+      expect(onChange).toHaveBeenCalledWith({ listChanged: true, filenames: ['a.png'] });
+    });
+
+    it('should stop watching on close', () => {
+      const handle = watchImageDirectory('/images', jest.fn());
+      handle.close();
+
+      expect(watcher.close).toHaveBeenCalled();
+    });
+  });
+});
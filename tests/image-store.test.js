@@ -0,0 +1,192 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  ImageStore,
+  getContentAddress,
+  getObjectPath,
+  getNamePath,
+  resolveImagePath,
+  pruneStore
+} = require('../src/utils/image-store');
+const { getImageFiles, cleanupOldImages, getImageStats } = require('../src/utils/image-cleanup');
+const { ImageHistory } = require('../src/utils/image-history');
+const { embedProvenance, readProvenance, computeContentHash } = require('../src/utils/provenance');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const TEN_DAYS_AGO = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+
+// 1x1 RGBA PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+describe('Image store', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'image-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Save bytes under a friendly name, the way OpenAIImageGenMCP.saveImages does
+   */
+  async function save(store, base, data) {
+    const filename = await store.reserve(base, '.png');
+    try {
+      const writtenPath = path.join(directory, store.getWriteName(filename));
+      fs.writeFileSync(writtenPath, data);
+      return { filename, ...(await store.commit(writtenPath, filename)) };
+    } finally {
+      store.release(filename);
+    }
+  }
+
+  it('should reject unknown layouts', () => {
+    expect(() => new ImageStore(directory, { layout: 'sharded' })).toThrow(expect.objectContaining({ field: 'layout' }));
+  });
+
+  describe('flat layout', () => {
+    it('should write files directly in the output directory', async () => {
+      const store = new ImageStore(directory);
+      const saved = await save(store, 'image_1_0', 'one');
+
+      expect(saved).toEqual({ filename: 'image_1_0.png', filePath: path.join(directory, 'image_1_0.png'), hash: null, deduplicated: false });
+      expect(await resolveImagePath(directory, 'image_1_0.png')).toBe(path.join(directory, 'image_1_0.png'));
+      expect((await store.read('image_1_0.png')).toString()).toBe('one');
+    });
+
+    it('should not reuse taken or reserved names', async () => {
+      const store = new ImageStore(directory);
+      fs.writeFileSync(path.join(directory, 'image_1_0.png'), 'taken');
+
+      const first = await store.reserve('image_1_0', '.png');
+      const second = await store.reserve('image_1_0', '.png');
+      store.release(first);
+
+      expect([first, second]).toEqual(['image_1_0-1.png', 'image_1_0-2.png']);
+      expect(await store.reserve('image_1_0', '.png')).toBe('image_1_0-1.png');
+    });
+  });
+
+  describe('content-addressed layout', () => {
+    let store;
+
+    beforeEach(async () => {
+      store = new ImageStore(directory, { layout: 'content-addressed' });
+      await store.initialize();
+    });
+
+    it('should store bytes under their hash and map the name to them', async () => {
+      const saved = await save(store, 'image_1_0', 'one');
+      const hash = getContentAddress(Buffer.from('one'));
+      const hex = hash.slice('sha256:'.length);
+
+      expect(saved.filePath).toBe(path.join(directory, 'objects', hex.slice(0, 2), hex.slice(2, 4), `${hex}.png`));
+      expect(saved).toMatchObject({ filename: 'image_1_0.png', hash, deduplicated: false });
+      expect(JSON.parse(fs.readFileSync(getNamePath(directory, 'image_1_0.png'), 'utf8'))).toMatchObject({ filename: 'image_1_0.png', hash });
+      expect(fs.existsSync(path.join(directory, 'image_1_0.png'))).toBe(false);
+      expect(await store.resolve('image_1_0.png')).toBe(saved.filePath);
+      expect(await store.resolve('missing.png')).toBeNull();
+    });
+
+    it('should store identical bytes once', async () => {
+      const first = await save(store, 'image_1_0', 'same');
+      const second = await save(store, 'image_2_0', 'same');
+
+      expect(second).toMatchObject({ filePath: first.filePath, deduplicated: true });
+      expect(fs.readdirSync(path.join(directory, '.staging'))).toEqual([]);
+      expect((await getImageFiles(directory)).map(file => [file.name, file.path])).toEqual([
+        ['image_1_0.png', first.filePath],
+        ['image_2_0.png', first.filePath]
+      ]);
+      expect((await getImageStats(directory)).totalSize).toBe(4);
+    });
+
+    it('should store identical pixels once and keep each name\'s provenance', async () => {
+      const firstData = embedProvenance(PNG, { prompt: 'a fox', model: 'dall-e-3', generatedAt: '2026-10-19T10:00:00.000Z' }).data;
+      const first = await save(store, 'image_1_0', firstData);
+      const second = await save(store, 'image_2_0', embedProvenance(PNG, { prompt: 'a red fox', model: 'dall-e-3' }).data);
+
+      expect(first.hash).toBe(computeContentHash(PNG));
+      expect(second).toMatchObject({ filePath: first.filePath, hash: first.hash, deduplicated: true });
+      expect(readProvenance(fs.readFileSync(first.filePath)).provenance).toBeNull();
+
+      const [one, two] = [await store.read('image_1_0.png'), await store.read('image_2_0.png')];
+      expect(one.equals(firstData)).toBe(true);
+      expect(readProvenance(one).provenance.prompt).toBe('a fox');
+      expect(readProvenance(two)).toMatchObject({ provenance: { prompt: 'a red fox' }, verified: true });
+      expect(await store.read('missing.png')).toBeNull();
+    });
+
+    it('should delete shared bytes with their last name', async () => {
+      const kept = await save(store, 'old_0', 'same');
+      await save(store, 'old_1', 'same');
+      fs.utimesSync(getNamePath(directory, 'old_0.png'), TEN_DAYS_AGO, TEN_DAYS_AGO);
+
+      let results = await cleanupOldImages(directory, { retentionMs: 7 * 24 * 60 * 60 * 1000 });
+      expect(results.deletedFiles.map(file => file.name)).toEqual(['old_0.png']);
+      expect(results.spaceFreed).toBe(0);
+      expect(fs.existsSync(kept.filePath)).toBe(true);
+
+      fs.utimesSync(getNamePath(directory, 'old_1.png'), TEN_DAYS_AGO, TEN_DAYS_AGO);
+      results = await cleanupOldImages(directory, { retentionMs: 7 * 24 * 60 * 60 * 1000 });
+      expect(results.spaceFreed).toBe(4);
+      expect(fs.existsSync(kept.filePath)).toBe(false);
+      expect(await getImageFiles(directory)).toEqual([]);
+    });
+
+    it('should keep the history of stored images', async () => {
+      const history = new ImageHistory(directory);
+      const saved = await save(store, 'image_1_0', 'one');
+      await history.record(path.join(directory, saved.filename), { operation: 'generate', prompt: 'a red fox' });
+
+      expect(await history.prune()).toBe(0);
+      expect(await history.get('image_1_0.png')).not.toBeNull();
+    });
+
+    it('should prune dangling names and old unreferenced objects', async () => {
+      const gone = await save(store, 'gone_0', 'gone');
+      fs.unlinkSync(gone.filePath);
+      const orphanPath = getObjectPath(directory, getContentAddress(Buffer.from('orphan')), '.png');
+      const freshPath = getObjectPath(directory, getContentAddress(Buffer.from('fresh')), '.png');
+      for (const objectPath of [orphanPath, freshPath]) {
+        fs.mkdirSync(path.dirname(objectPath), { recursive: true });
+        fs.writeFileSync(objectPath, 'x');
+      }
+      fs.utimesSync(orphanPath, TEN_DAYS_AGO, TEN_DAYS_AGO);
+
+      expect(await pruneStore(directory)).toEqual({ names: 1, objects: 1 });
+      expect(fs.existsSync(getNamePath(directory, 'gone_0.png'))).toBe(false);
+      expect(fs.existsSync(orphanPath)).toBe(false);
+      expect(fs.existsSync(freshPath)).toBe(true);
+    });
+  });
+
+  it('should list images saved under either layout', async () => {
+    await save(new ImageStore(directory), 'flat_0', 'flat');
+    const store = new ImageStore(directory, { layout: 'content-addressed' });
+    await store.initialize();
+    await save(store, 'stored_0', 'stored');
+
+    const files = await getImageFiles(directory);
+    expect(files.map(file => [file.name, file.hash])).toEqual([
+      ['flat_0.png', null],
+      ['stored_0.png', getContentAddress(Buffer.from('stored'))]
+    ]);
+  });
+
+  it('should only resolve plain filenames', async () => {
+    await expect(resolveImagePath(directory, '../secret.png')).rejects.toMatchObject({ field: 'filename' });
+    await expect(resolveImagePath(directory, '.names')).rejects.toThrow('Invalid image filename');
+  });
+});
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobQueue, isFinished } = require('../src/job-queue');
+const { JobStore } = require('../src/utils/job-store');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+/**
+ * Resolve once the job reaches a finished status
+ */
+function waitForFinish(queue, id) {
+  return new Promise(resolve => {
+    const job = queue.get(id);
+    if (isFinished(job)) {
+      resolve(job);
+      return;
+    }
+    const onFinished = finished => {
+      if (finished.id === id) {
+        queue.off('finished', onFinished);
+        resolve(finished);
+      }
+    };
+    queue.on('finished', onFinished);
+  });
+}
+
+/**
+ * Poll until a condition holds
+ */
+async function waitUntil(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * A runner whose jobs finish only when released
+ */
+function createControlledRunner() {
+  const calls = [];
+  const runner = jest.fn((job, { signal }) => new Promise((resolve, reject) => {
+    calls.push({ job, resolve });
+    signal.addEventListener('abort', () => {
+      const error = new Error('cancelled');
+      error.name = 'AbortError';
+      reject(error);
+    });
+  }));
+  return { runner, calls };
+}
+
+describe('Job queue', () => {
+  let directory;
+  let store;
+  let queue;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+    store = new JobStore(directory);
+  });
+
+  afterEach(() => {
+    if (queue) {
+      queue.close();
+      queue = null;
+    }
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('JobStore', () => {
+    it('should save, load and delete jobs', async () => {
+      await store.init();
+      const job = { id: '00000000-0000-4000-8000-000000000001', status: 'queued', createdAt: new Date().toISOString() };
+
+      await store.save(job);
+      expect(await store.load(job.id)).toEqual(job);
+      expect(await store.loadAll()).toEqual([job]);
+
+      await store.delete(job.id);
+      expect(await store.load(job.id)).toBeNull();
+    });
+
+    it('should reject ids that are not job ids', async () => {
+      await expect(store.load('../secrets')).rejects.toThrow('Invalid job id');
+    });
+  });
+
+  describe('JobQueue', () => {
+    it('should run jobs and record their results', async () => {
+      queue = new JobQueue({ store, runner: jest.fn().mockResolvedValue({ filename: 'a.png' }) });
+      await queue.start();
+
+      const job = await queue.submit({ prompt: 'a fox' });
+      expect(job.status).toMatch(/queued|running/);
+
+      const finished = await waitForFinish(queue, job.id);
+      expect(finished.status).toBe('succeeded');
+      expect(finished.result).toEqual({ filename: 'a.png' });
+      expect((await store.load(job.id)).status).toBe('succeeded');
+    });
+
+    it('should record failures', async () => {
+      queue = new JobQueue({ store, runner: jest.fn().mockRejectedValue(new Error('Upstream exploded')) });
+      await queue.start();
+
+      const job = await queue.submit({ prompt: 'a fox' });
+      const finished = await waitForFinish(queue, job.id);
+
+      expect(finished.status).toBe('failed');
+      expect(finished.error).toBe('Upstream exploded');
+    });
+
+    it('should report progress from the runner', async () => {
+      const runner = jest.fn(async (job, { onProgress }) => {
+        onProgress({ stage: 'submitted', message: 'Submitted' });
+        expect(job.progress.stage).toBe('submitted');
+        return {};
+      });
+      queue = new JobQueue({ store, runner });
+      await queue.start();
+
+      const job = await queue.submit({ prompt: 'a fox' });
+      await waitForFinish(queue, job.id);
+
+      expect(runner).toHaveBeenCalledTimes(1);
+    });
+
+    it('should emit previews from the runner without persisting them', async () => {
+      const runner = jest.fn(async (job, { onPreview }) => {
+        onPreview({ index: 0, b64_json: 'cGFydGlhbA==' });
+        return {};
+      });
+      queue = new JobQueue({ store, runner });
+      const previews = [];
+      queue.on('preview', (job, preview) => previews.push({ id: job.id, preview }));
+      await queue.start();
+
+      const job = await queue.submit({ prompt: 'a fox' });
+      await waitForFinish(queue, job.id);
+
+      expect(previews).toEqual([{ id: job.id, preview: { index: 0, b64_json: 'cGFydGlhbA==' } }]);
+      expect(JSON.stringify(await store.load(job.id))).not.toContain('cGFydGlhbA==');
+    });
+
+    it('should not run more jobs than the concurrency limit', async () => {
+      const { runner, calls } = createControlledRunner();
+      queue = new JobQueue({ store, runner, concurrency: 1 });
+      await queue.start();
+
+      const first = await queue.submit({ prompt: 'one' });
+      const second = await queue.submit({ prompt: 'two' });
+      await waitUntil(() => calls.length === 1);
+
+      expect(calls).toHaveLength(1);
+      expect(queue.stats()).toMatchObject({ queued: 1, running: 1, concurrency: 1 });
+
+      calls[0].resolve({});
+      await waitForFinish(queue, first.id);
+      await waitUntil(() => calls.length === 2);
+      expect(calls).toHaveLength(2);
+      expect(calls[1].job.id).toBe(second.id);
+
+      calls[1].resolve({});
+      await waitForFinish(queue, second.id);
+    });
+
+    it('should cancel queued and running jobs', async () => {
+      const { runner, calls } = createControlledRunner();
+      queue = new JobQueue({ store, runner, concurrency: 1 });
+      await queue.start();
+
+      const running = await queue.submit({ prompt: 'one' });
+      const queued = await queue.submit({ prompt: 'two' });
+      await waitUntil(() => calls.length === 1);
+
+      await queue.cancel(queued.id);
+      expect(queue.get(queued.id).status).toBe('cancelled');
+
+      await queue.cancel(running.id);
+      expect(queue.get(running.id).status).toBe('cancelled');
+      expect(calls).toHaveLength(1);
+      expect((await store.load(running.id)).status).toBe('cancelled');
+    });
+
+    it('should re-queue unfinished jobs after a restart', async () => {
+      const { runner } = createControlledRunner();
+      queue = new JobQueue({ store, runner, concurrency: 1 });
+      await queue.start();
+      const running = await queue.submit({ prompt: 'one' });
+      const queued = await queue.submit({ prompt: 'two' });
+      queue.close();
+
+      const restarted = new JobQueue({ store, runner: jest.fn().mockResolvedValue({ filename: 'b.png' }) });
+      queue = restarted;
+      await restarted.start();
+
+      expect((await waitForFinish(restarted, running.id)).status).toBe('succeeded');
+      expect((await waitForFinish(restarted, queued.id)).status).toBe('succeeded');
+    });
+
+    it('should remove finished jobs after the retention period', async () => {
+      queue = new JobQueue({ store, runner: jest.fn().mockResolvedValue({}), retentionMs: 1000 });
+      await queue.start();
+      const job = await queue.submit({ prompt: 'a fox' });
+      await waitForFinish(queue, job.id);
+
+      job.finishedAt = new Date(Date.now() - 5000).toISOString();
+      expect(await queue.prune()).toBe(1);
+      expect(queue.get(job.id)).toBeNull();
+      expect(await store.load(job.id)).toBeNull();
+    });
+  });
+});
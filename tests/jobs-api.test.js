@@ -0,0 +1,418 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const {
+  createJobsRouter,
+  createImageJobRunner,
+  attachJobWebhooks,
+  buildJobWebhookPayload
+} = require('../src/jobs-api');
+const { JobQueue } = require('../src/job-queue');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+/**
+ * In-memory stand-in for JobStore
+ */
+function createMemoryStore() {
+  const jobs = new Map();
+  return {
+    init: jest.fn().mockResolvedValue(),
+    save: jest.fn(async job => jobs.set(job.id, JSON.parse(JSON.stringify(job)))),
+    loadAll: jest.fn(async () => Array.from(jobs.values())),
+    delete: jest.fn(async id => jobs.delete(id))
+  };
+}
+
+describe('Jobs API', () => {
+  let app;
+  let queue;
+  let imageGen;
+  let release;
+  let preview;
+  let webhooks;
+
+  beforeEach(async () => {
+    imageGen = {
+      generateAndSaveImage: jest.fn((prompt, options) => new Promise((resolve, reject) => {
+        release = () => resolve([{ filename: 'image_1.png', filePath: '/out/image_1.png', url: null, revised_prompt: 'A red fox' }]);
+        preview = options.onPartialImage;
+        options.signal.addEventListener('abort', () => {
+          const error = new Error('cancelled');
+          error.name = 'AbortError';
+          reject(error);
+        });
+      }))
+    };
+    queue = new JobQueue({ store: createMemoryStore(), runner: createImageJobRunner(imageGen) });
+    await queue.start();
+    webhooks = { deliver: jest.fn().mockResolvedValue({}), checkTarget: jest.fn().mockResolvedValue() };
+    attachJobWebhooks(queue, webhooks);
+
+    app = express();
+    app.use(express.json());
+    app.use('/jobs', createJobsRouter({ queue, webhooks }));
+  });
+
+  afterEach(() => {
+    queue.close();
+  });
+
+  async function waitForStatus(id, status) {
+    for (let i = 0; i < 50; i++) {
+      const res = await request(app).get(`/jobs/${id}`);
+      if (res.body.job.status === status) {
+        return res;
+      }
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    throw new Error(`Job ${id} did not reach ${status}`);
+  }
+
+  it('should queue a job and return its id immediately', async () => {
+    const res = await request(app).post('/jobs').send({ prompt: 'a fox' });
+
+    expect(res.status).toBe(202);
+    expect(res.body.success).toBe(true);
+    expect(res.body.job.id).toBeDefined();
+    expect(res.headers.location).toBe(`/jobs/${res.body.job.id}`);
+    expect(res.body.job.params).toMatchObject({ prompt: 'a fox', model: 'dall-e-3' });
+  });
+
+  it('should reject invalid parameters', async () => {
+    const res = await request(app).post('/jobs').send({ prompt: '' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+    expect(res.body.field).toBe('prompt');
+  });
+
+  it('should merge a preset into the job parameters', async () => {
+    const { PresetRegistry } = require('../src/utils/presets');
+    const presets = new PresetRegistry([{ name: 'icon-draft', description: '', params: { model: 'dall-e-2', size: '256x256' } }]);
+    app = express();
+    app.use(express.json());
+    app.use('/jobs', createJobsRouter({ queue, webhooks, presets }));
+
+    const res = await request(app).post('/jobs').send({ prompt: 'a fox', preset: 'icon-draft', size: '512x512' });
+    const unknown = await request(app).post('/jobs').send({ prompt: 'a fox', preset: 'missing' });
+
+    expect(res.status).toBe(202);
+    expect(res.body.job.params).toMatchObject({ model: 'dall-e-2', size: '512x512' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.field).toBe('preset');
+  });
+
+  it('should report progress and the saved image when done', async () => {
+    const { body } = await request(app).post('/jobs').send({ prompt: 'a fox' });
+    await waitForStatus(body.job.id, 'running');
+
+    expect(imageGen.generateAndSaveImage).toHaveBeenCalledWith('a fox', expect.objectContaining({
+      prompt: 'a fox',
+      signal: expect.any(Object),
+      onProgress: expect.any(Function)
+    }));
+
+    release();
+    const res = await waitForStatus(body.job.id, 'succeeded');
+
+    const imageUrl = expect.stringMatching(/^http:\/\/127\.0\.0\.1:\d+\/images\/image_1\.png$/);
+    expect(res.body.job.result).toEqual({
+      filename: 'image_1.png',
+      revised_prompt: 'A red fox',
+      imageUrl,
+      images: [{ filename: 'image_1.png', revised_prompt: 'A red fox', imageUrl }]
+    });
+  });
+
+  it('should cancel a running job', async () => {
+    const { body } = await request(app).post('/jobs').send({ prompt: 'a fox' });
+    await waitForStatus(body.job.id, 'running');
+
+    const res = await request(app).delete(`/jobs/${body.job.id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.job.status).toBe('cancelled');
+  });
+
+  it('should refuse to cancel a finished job', async () => {
+    const { body } = await request(app).post('/jobs').send({ prompt: 'a fox' });
+    await waitForStatus(body.job.id, 'running');
+    release();
+    await waitForStatus(body.job.id, 'succeeded');
+
+    const res = await request(app).delete(`/jobs/${body.job.id}`);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe(`Job ${body.job.id} has already succeeded`);
+  });
+
+  it('should return 404 for unknown jobs', async () => {
+    const res = await request(app).get('/jobs/00000000-0000-4000-8000-000000000000');
+
+    expect(res.status).toBe(404);
+    expect(res.body.success).toBe(false);
+  });
+
+  describe('event stream', () => {
+    let server;
+
+    beforeEach(done => {
+      server = app.listen(0, '127.0.0.1', done);
+    });
+
+    afterEach(done => {
+      server.close(done);
+    });
+
+    /**
+     * Open GET /jobs/:id/events and collect events until the stream ends
+     */
+    function openEvents(id) {
+      const events = [];
+      let onEvent = () => {};
+      const finished = new Promise((resolve, reject) => {
+        http.get(`http://127.0.0.1:${server.address().port}/jobs/${id}/events`, res => {
+          events.headers = res.headers;
+          let buffer = '';
+          res.setEncoding('utf8');
+          res.on('data', chunk => {
+            buffer += chunk;
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+              const block = buffer.slice(0, boundary);
+              buffer = buffer.slice(boundary + 2);
+              const event = block.match(/^event: (.+)$/m);
+              const data = block.match(/^data: (.+)$/m);
+              if (event && data) {
+                events.push({ event: event[1], data: JSON.parse(data[1]) });
+                onEvent();
+              }
+            }
+          });
+          res.on('end', () => resolve(events));
+        }).on('error', reject);
+      });
+      const waitFor = name => new Promise(resolve => {
+        onEvent = () => events.some(event => event.event === name) && resolve();
+        onEvent();
+      });
+      return { events, finished, waitFor };
+    }
+
+    it('should stream progress, previews and the finished job', async () => {
+      const { body } = await request(app).post('/jobs').send({ prompt: 'a fox' });
+      await waitForStatus(body.job.id, 'running');
+
+      const stream = openEvents(body.job.id);
+      await stream.waitFor('job');
+      preview({ index: 0, b64_json: 'cGFydGlhbA==', output_format: 'png' });
+      await stream.waitFor('partial_image');
+      release();
+      const events = await stream.finished;
+
+      expect(events.headers['content-type']).toMatch(/^text\/event-stream/);
+      expect(events[0]).toMatchObject({ event: 'job', data: { id: body.job.id, status: 'running' } });
+      expect(events).toContainEqual({
+        event: 'partial_image',
+        data: { index: 0, b64_json: 'cGFydGlhbA==', output_format: 'png' }
+      });
+      const done = events[events.length - 1];
+      expect(done.event).toBe('done');
+      expect(done.data.status).toBe('succeeded');
+      expect(done.data.result.imageUrl).toMatch(/\/images\/image_1\.png$/);
+    });
+
+    it('should serve many streams with one set of queue listeners', async () => {
+      const warnings = [];
+      const onWarning = warning => warnings.push(warning);
+      process.on('warning', onWarning);
+      try {
+        const { body } = await request(app).post('/jobs').send({ prompt: 'a fox' });
+        await waitForStatus(body.job.id, 'running');
+
+        const streams = Array.from({ length: 15 }, () => openEvents(body.job.id));
+        await Promise.all(streams.map(stream => stream.waitFor('job')));
+        expect(queue.listenerCount('update')).toBe(1);
+        expect(queue.listenerCount('preview')).toBe(1);
+
+        preview({ index: 0, b64_json: 'cGFydGlhbA==', output_format: 'png' });
+        release();
+        const results = await Promise.all(streams.map(stream => stream.finished));
+
+        for (const events of results) {
+          expect(events.map(event => event.event)).toEqual(expect.arrayContaining(['job', 'partial_image', 'done']));
+        }
+        for (let i = 0; i < 50 && queue.listenerCount('update') > 0; i++) {
+          await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        expect(queue.listenerCount('update')).toBe(0);
+        expect(queue.listenerCount('finished')).toBe(1); // attachJobWebhooks
+        expect(warnings.filter(warning => warning.name === 'MaxListenersExceededWarning')).toEqual([]);
+      } finally {
+        process.off('warning', onWarning);
+      }
+    });
+
+    it('should send the snapshot and end for finished jobs', async () => {
+      const { body } = await request(app).post('/jobs').send({ prompt: 'a fox' });
+      await waitForStatus(body.job.id, 'running');
+      await request(app).delete(`/jobs/${body.job.id}`);
+
+      const events = await openEvents(body.job.id).finished;
+
+      expect(events.map(event => event.event)).toEqual(['job', 'done']);
+      expect(events[1].data.status).toBe('cancelled');
+    });
+
+    it('should return 404 for unknown jobs', async () => {
+      const res = await request(app).get('/jobs/00000000-0000-4000-8000-000000000000/events');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('callbacks', () => {
+    it('should notify the callback URL when the job succeeds', async () => {
+      const { body } = await request(app)
+        .post('/jobs')
+        .send({ prompt: 'a fox', callbackUrl: 'https://client.example/hooks/images' });
+      await waitForStatus(body.job.id, 'running');
+      release();
+      await waitForStatus(body.job.id, 'succeeded');
+
+      expect(webhooks.deliver).toHaveBeenCalledWith(
+        'https://client.example/hooks/images',
+        'job.succeeded',
+        expect.objectContaining({
+          jobId: body.job.id,
+          status: 'succeeded',
+          prompt: 'a fox',
+          revised_prompt: 'A red fox',
+          images: [expect.objectContaining({
+            url: expect.stringMatching(/\/images\/image_1\.png$/),
+            filename: 'image_1.png'
+          })]
+        }),
+        { jobId: body.job.id }
+      );
+    });
+
+    it('should not notify for cancelled jobs or jobs without a callback', async () => {
+      const { body } = await request(app)
+        .post('/jobs')
+        .send({ prompt: 'a fox', callbackUrl: 'https://client.example/hook' });
+      await waitForStatus(body.job.id, 'running');
+      await request(app).delete(`/jobs/${body.job.id}`);
+
+      expect(webhooks.deliver).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid callback URLs', async () => {
+      const res = await request(app).post('/jobs').send({ prompt: 'a fox', callbackUrl: 'ftp://client.example' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.field).toBe('callbackUrl');
+    });
+
+    it('should reject callback URLs on internal networks', async () => {
+      const { WebhookTargetError } = require('../src/utils/webhooks');
+      webhooks.checkTarget.mockRejectedValue(new WebhookTargetError('Callback host 169.254.169.254 resolves to 169.254.169.254, which is in a private or reserved network'));
+
+      const res = await request(app).post('/jobs').send({ prompt: 'a fox', callbackUrl: 'http://169.254.169.254/latest' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.field).toBe('callbackUrl');
+      expect(webhooks.checkTarget).toHaveBeenCalledWith('http://169.254.169.254/latest');
+    });
+
+    it('should reject callback URLs when webhooks are disabled', async () => {
+      const plainApp = express();
+      plainApp.use(express.json());
+      plainApp.use('/jobs', createJobsRouter({ queue }));
+
+      const res = await request(plainApp).post('/jobs').send({ prompt: 'a fox', callbackUrl: 'https://client.example' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('WEBHOOK_SECRET');
+    });
+
+    it('should list every saved image in the payload', () => {
+      const payload = buildJobWebhookPayload({
+        id: 'job-1',
+        status: 'succeeded',
+        params: { prompt: 'a fox', model: 'dall-e-2' },
+        result: {
+          filename: 'image_1_0.png',
+          revised_prompt: null,
+          images: [{ filename: 'image_1_0.png', revised_prompt: null }, { filename: 'image_1_1.png', revised_prompt: null }]
+        },
+        error: null,
+        baseUrl: 'http://localhost:3010',
+        createdAt: '2025-01-01T00:00:00.000Z',
+        startedAt: '2025-01-01T00:00:01.000Z',
+        finishedAt: '2025-01-01T00:00:04.000Z'
+      });
+
+      expect(payload.images.map(image => image.url)).toEqual([
+        'http://localhost:3010/images/image_1_0.png',
+        'http://localhost:3010/images/image_1_1.png'
+      ]);
+    });
+
+    it('should carry the error of an image that was not saved', () => {
+      const payload = buildJobWebhookPayload({
+        id: 'job-1',
+        status: 'succeeded',
+        params: { prompt: 'a fox', model: 'dall-e-2' },
+        result: {
+          filename: 'image_1_1.png',
+          revised_prompt: null,
+          images: [
+            { filename: null, revised_prompt: null, error: 'Post-processing failed: bad extract area' },
+            { filename: 'image_1_1.png', revised_prompt: null }
+          ]
+        },
+        error: null,
+        baseUrl: 'http://localhost:3010',
+        createdAt: '2025-01-01T00:00:00.000Z',
+        startedAt: '2025-01-01T00:00:01.000Z',
+        finishedAt: '2025-01-01T00:00:04.000Z'
+      });
+
+      expect(payload.images).toEqual([
+        { url: null, filename: null, revised_prompt: null, error: 'Post-processing failed: bad extract area' },
+        { url: 'http://localhost:3010/images/image_1_1.png', filename: 'image_1_1.png', revised_prompt: null }
+      ]);
+    });
+
+    it('should report failures and timings in the payload', () => {
+      const payload = buildJobWebhookPayload({
+        id: 'job-1',
+        status: 'failed',
+        params: { prompt: 'a fox', model: 'dall-e-3' },
+        result: null,
+        error: 'Upstream exploded',
+        baseUrl: 'http://localhost:3010',
+        createdAt: '2025-01-01T00:00:00.000Z',
+        startedAt: '2025-01-01T00:00:01.000Z',
+        finishedAt: '2025-01-01T00:00:04.000Z'
+      });
+
+      expect(payload).toMatchObject({
+        jobId: 'job-1',
+        status: 'failed',
+        images: [],
+        revised_prompt: null,
+        error: 'Upstream exploded',
+        timings: { queuedMs: 1000, runMs: 3000, totalMs: 4000 }
+      });
+    });
+  });
+});
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadManifest,
+  parseCsv,
+  readCompletedRows,
+  openResultsFile,
+  runManifest,
+  isManifestFile,
+  getResultsFile
+} = require('../src/utils/manifest');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+function readResults(file) {
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('Batch manifests', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('parseCsv', () => {
+    it('should handle quoted commas, quotes and line breaks', () => {
+      expect(parseCsv('prompt,size\r\n"A fox, ""red""",256x256\n"Two\nlines",\n\n')).toEqual([
+        { line: 1, fields: ['prompt', 'size'] },
+        { line: 2, fields: ['A fox, "red"', '256x256'] },
+        { line: 3, fields: ['Two\nlines', ''] }
+      ]);
+    });
+
+    it('should reject an unclosed quote', () => {
+      expect(() => parseCsv('prompt\n"A fox')).toThrow('Unclosed quoted field starting on line 2');
+    });
+  });
+
+  describe('loadManifest', () => {
+    it('should read CSV rows into generation parameters', async () => {
+      const file = path.join(dir, 'rows.csv');
+      fs.writeFileSync(file, '\uFEFFid,Prompt,model,size,quality,style,output\nfox,A red fox,dall-e-2,256x256,,,fox\n,An owl,,,hd,natural,\n');
+
+      expect(await loadManifest(file)).toEqual([
+        { row: 1, line: 2, id: 'fox', params: { prompt: 'A red fox', model: 'dall-e-2', size: '256x256', output_name: 'fox' } },
+        { row: 2, line: 3, id: null, params: { prompt: 'An owl', quality: 'hd', style: 'natural' } }
+      ]);
+    });
+
+    it('should read JSONL rows, skipping blank lines', async () => {
+      const file = path.join(dir, 'rows.jsonl');
+      fs.writeFileSync(file, '{"prompt":"A cat","output":"cat"}\n\n{"id":7,"prompt":"A dog"}\n');
+
+      const rows = await loadManifest(file);
+
+      expect(rows.map(row => [row.row, row.line, row.id])).toEqual([[1, 1, null], [2, 3, '7']]);
+      expect(rows[0].params).toEqual({ prompt: 'A cat', output_name: 'cat' });
+    });
+
+    it('should reject unknown columns and malformed rows with their line', async () => {
+      const csv = path.join(dir, 'rows.csv');
+      fs.writeFileSync(csv, 'prompt,colour\nA fox,red\n');
+      const jsonl = path.join(dir, 'rows.jsonl');
+      fs.writeFileSync(jsonl, '{"prompt":"A cat"}\n{"prompt":\n');
+
+      await expect(loadManifest(csv)).rejects.toThrow(`${csv}:2: unknown column colour`);
+      await expect(loadManifest(jsonl)).rejects.toThrow(`${jsonl}:2: invalid JSON`);
+    });
+
+    it('should require a prompt column in CSV manifests', async () => {
+      const file = path.join(dir, 'rows.csv');
+      fs.writeFileSync(file, 'model,size\ndall-e-2,256x256\n');
+
+      await expect(loadManifest(file)).rejects.toThrow('the header row needs a prompt column');
+    });
+  });
+
+  describe('results files', () => {
+    it('should derive the results file and recognise manifests', () => {
+      expect(getResultsFile('/data/rows.csv')).toBe('/data/rows.results.jsonl');
+      expect(isManifestFile('rows.CSV')).toBe(true);
+      expect(isManifestFile('rows.ndjson')).toBe(true);
+      expect(isManifestFile('A {{color}} fox')).toBe(false);
+    });
+
+    it('should read completed rows and ignore failures and cut-off lines', async () => {
+      const file = path.join(dir, 'rows.results.jsonl');
+      fs.writeFileSync(file, [
+        JSON.stringify({ row: 1, id: null, prompt: 'A fox', success: true }),
+        JSON.stringify({ row: 2, id: 'owl', prompt: 'An owl', success: false }),
+        JSON.stringify({ row: 3, id: 'cat', prompt: 'A cat', success: true }),
+        '{"row":4,"prom'
+      ].join('\n'));
+
+      const completed = await readCompletedRows(file);
+
+      expect(Array.from(completed.keys())).toEqual(['row:1', 'id:cat']);
+    });
+
+    it('should refuse an existing results file unless resuming', async () => {
+      const file = path.join(dir, 'rows.results.jsonl');
+      fs.writeFileSync(file, '{"row":1,"id":null,"prompt":"A fox","success":true}\n{"row":2');
+
+      await expect(openResultsFile(file)).rejects.toThrow('pass --resume');
+
+      const completed = await openResultsFile(file, { resume: true });
+      expect(completed.size).toBe(1);
+      expect(fs.readFileSync(file, 'utf8').endsWith('\n')).toBe(true);
+      expect(await openResultsFile(path.join(dir, 'new', 'results.jsonl'))).toEqual(new Map());
+    });
+  });
+
+  describe('runManifest', () => {
+    const rows = [
+      { row: 1, id: null, params: { prompt: 'A red fox', output_name: 'fox' } },
+      { row: 2, id: null, params: { prompt: 'A blue fox' } },
+      { row: 3, id: 'owl', params: { prompt: 'An owl' } }
+    ];
+
+    function createImageGen() {
+      return {
+        generateAndSaveImage: jest.fn(async (prompt) => {
+          if (prompt === 'A blue fox') {
+            const error = new Error('Invalid size');
+            error.field = 'size';
+            throw error;
+          }
+          return [{ filename: `${prompt}.png`, filePath: `/out/${prompt}.png`, url: null }];
+        })
+      };
+    }
+
+    it('should generate every row and append a result per row', async () => {
+      const imageGen = createImageGen();
+      const resultsFile = path.join(dir, 'results.jsonl');
+      const onResult = jest.fn();
+
+      const summary = await runManifest(imageGen, rows, { resultsFile, concurrency: 2, defaults: { model: 'dall-e-2' }, onResult });
+
+      expect(summary).toEqual({ total: 3, skipped: 0, succeeded: 2, failed: 1, cancelled: 0 });
+      expect(imageGen.generateAndSaveImage).toHaveBeenCalledWith('A red fox', expect.objectContaining({
+        prompt: 'A red fox',
+        model: 'dall-e-2',
+        output_name: 'fox',
+        requester: 'cli'
+      }));
+      const results = readResults(resultsFile).sort((a, b) => a.row - b.row);
+      expect(results[0]).toMatchObject({ row: 1, prompt: 'A red fox', success: true, images: [{ filename: 'A red fox.png', filePath: '/out/A red fox.png' }] });
+      expect(results[1]).toMatchObject({ row: 2, success: false, error: 'Invalid size', field: 'size' });
+      expect(results[2]).toMatchObject({ row: 3, id: 'owl', success: true });
+      expect(onResult).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not run more rows at once than the concurrency', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      const imageGen = {
+        generateAndSaveImage: jest.fn(async () => {
+          running++;
+          maxRunning = Math.max(maxRunning, running);
+          await new Promise(resolve => setTimeout(resolve, 5));
+          running--;
+          return [];
+        })
+      };
+      const many = Array.from({ length: 6 }, (_, i) => ({ row: i + 1, id: null, params: { prompt: `Prompt ${i}` } }));
+
+      await runManifest(imageGen, many, { resultsFile: path.join(dir, 'results.jsonl'), concurrency: 2 });
+
+      expect(imageGen.generateAndSaveImage).toHaveBeenCalledTimes(6);
+      expect(maxRunning).toBe(2);
+    });
+
+    it('should skip rows completed with the same prompt when resuming', async () => {
+      const imageGen = createImageGen();
+      const completed = new Map([
+        ['row:1', { row: 1, prompt: 'A red fox', success: true }],
+        ['id:owl', { row: 9, id: 'owl', prompt: 'A different owl', success: true }]
+      ]);
+
+      const summary = await runManifest(imageGen, rows, { resultsFile: path.join(dir, 'results.jsonl'), completed });
+
+      expect(summary.skipped).toBe(1);
+      expect(imageGen.generateAndSaveImage.mock.calls.map(call => call[0])).toEqual(['A blue fox', 'An owl']);
+    });
+
+    it('should stop starting rows when cancelled and not record rows in flight', async () => {
+      const controller = new AbortController();
+      const imageGen = {
+        generateAndSaveImage: jest.fn(async () => {
+          controller.abort();
+          const error = new Error('cancelled');
+          error.name = 'AbortError';
+          throw error;
+        })
+      };
+      const resultsFile = path.join(dir, 'results.jsonl');
+
+      const summary = await runManifest(imageGen, rows, { resultsFile, concurrency: 1, signal: controller.signal });
+
+      expect(imageGen.generateAndSaveImage).toHaveBeenCalledTimes(1);
+      expect(summary).toMatchObject({ succeeded: 0, failed: 0, cancelled: 3 });
+      expect(fs.existsSync(resultsFile)).toBe(false);
+    });
+  });
+});
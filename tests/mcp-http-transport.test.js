@@ -0,0 +1,373 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { createStreamableHttpTransport } = require('../src/mcp-http-transport');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const ACCEPT = 'application/json, text/event-stream';
+
+function initializeMessage(id = 1) {
+  return {
+    jsonrpc: '2.0',
+    id,
+    method: 'initialize',
+    params: {
+      protocolVersion: '2025-03-26',
+      capabilities: {},
+      clientInfo: { name: 'test-client', version: '0.1.0' }
+    }
+  };
+}
+
+describe('Streamable HTTP transport', () => {
+  let app;
+  let transport;
+
+  beforeEach(() => {
+    transport = createStreamableHttpTransport({
+      imageGen: { outputDir: '/nonexistent' },
+      allowedOrigins: ['https://trusted.example']
+    });
+    app = express();
+    app.use(express.json());
+    app.use('/mcp/stream', transport.router);
+  });
+
+  afterEach(() => {
+    transport.close();
+  });
+
+  async function initializeSession() {
+    const res = await request(app)
+      .post('/mcp/stream')
+      .set('Accept', ACCEPT)
+      .send(initializeMessage());
+    return res.headers['mcp-session-id'];
+  }
+
+  describe('POST', () => {
+    it('should create a session on initialize', async () => {
+      const res = await request(app)
+        .post('/mcp/stream')
+        .set('Accept', ACCEPT)
+        .send(initializeMessage());
+
+      expect(res.status).toBe(200);
+      expect(res.headers['mcp-session-id']).toBeDefined();
+      expect(res.body.result.protocolVersion).toBe('2025-03-26');
+      expect(transport.sessions.size).toBe(1);
+    });
+
+    it('should dispatch requests within a session', async () => {
+      const sessionId = await initializeSession();
+
+      const res = await request(app)
+        .post('/mcp/stream')
+        .set('Accept', ACCEPT)
+        .set('Mcp-Session-Id', sessionId)
+        .send({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.id).toBe(2);
+      expect(res.body.result.tools.map(tool => tool.name)).toContain('generate_image');
+    });
+
+    it('should answer batches with an array of responses', async () => {
+      const sessionId = await initializeSession();
+
+      const res = await request(app)
+        .post('/mcp/stream')
+        .set('Accept', ACCEPT)
+        .set('Mcp-Session-Id', sessionId)
+        .send([
+          { jsonrpc: '2.0', method: 'notifications/initialized' },
+          { jsonrpc: '2.0', id: 3, method: 'tools/list' },
+          { jsonrpc: '2.0', id: 4, method: 'unknown/method' }
+        ]);
+
+      expect(res.status).toBe(200);
+      expect(res.body.map(response => response.id)).toEqual([3, 4]);
+      expect(res.body[1].error.code).toBe(-32601);
+    });
+
+    it('should return 202 for notifications', async () => {
+      const sessionId = await initializeSession();
+
+      const res = await request(app)
+        .post('/mcp/stream')
+        .set('Accept', ACCEPT)
+        .set('Mcp-Session-Id', sessionId)
+        .send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+      expect(res.status).toBe(202);
+      expect(res.text).toBe('');
+    });
+
+    it('should require a session id after initialize', async () => {
+      const res = await request(app)
+        .post('/mcp/stream')
+        .set('Accept', ACCEPT)
+        .send({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.message).toBe('Missing Mcp-Session-Id header');
+    });
+
+    it('should return 404 for unknown sessions', async () => {
+      const res = await request(app)
+        .post('/mcp/stream')
+        .set('Accept', ACCEPT)
+        .set('Mcp-Session-Id', 'does-not-exist')
+        .send({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should only accept a session with the API token that created it', async () => {
+      const tokenApp = express();
+      tokenApp.use(express.json());
+      tokenApp.use('/mcp/stream', (req, res, next) => {
+        req.auth = { name: req.headers['x-token-name'], scopes: ['generate'], legacy: false };
+        next();
+      }, transport.router);
+
+      const created = await request(tokenApp)
+        .post('/mcp/stream')
+        .set('Accept', ACCEPT)
+        .set('X-Token-Name', 'ci')
+        .send(initializeMessage());
+      const sessionId = created.headers['mcp-session-id'];
+
+      const send = name => request(tokenApp)
+        .post('/mcp/stream')
+        .set('Accept', ACCEPT)
+        .set('Mcp-Session-Id', sessionId)
+        .set('X-Token-Name', name)
+        .send({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+
+      expect((await send('other')).status).toBe(404);
+      expect((await send('ci')).status).toBe(200);
+      expect(transport.sessions.get(sessionId).server.requester).toBe('token:ci');
+    });
+
+    it('should reject initialize inside a batch', async () => {
+      const res = await request(app)
+        .post('/mcp/stream')
+        .set('Accept', ACCEPT)
+        .send([initializeMessage(1), { jsonrpc: '2.0', id: 2, method: 'tools/list' }]);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should reject clients that do not accept JSON', async () => {
+      const res = await request(app)
+        .post('/mcp/stream')
+        .set('Accept', 'text/html')
+        .send(initializeMessage());
+
+      expect(res.status).toBe(406);
+    });
+  });
+
+  describe('Origin validation', () => {
+    it('should reject unknown origins', async () => {
+      const res = await request(app)
+        .post('/mcp/stream')
+        .set('Accept', ACCEPT)
+        .set('Origin', 'https://evil.example')
+        .send(initializeMessage());
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should allow configured origins', async () => {
+      const res = await request(app)
+        .post('/mcp/stream')
+        .set('Accept', ACCEPT)
+        .set('Origin', 'https://trusted.example')
+        .send(initializeMessage());
+
+      expect(res.status).toBe(200);
+    });
+  });
+
+  describe('DELETE', () => {
+    it('should terminate the session', async () => {
+      const sessionId = await initializeSession();
+
+      const res = await request(app)
+        .delete('/mcp/stream')
+        .set('Mcp-Session-Id', sessionId);
+
+      expect(res.status).toBe(204);
+      expect(transport.sessions.size).toBe(0);
+    });
+  });
+
+  describe('GET', () => {
+    it('should require text/event-stream', async () => {
+      const sessionId = await initializeSession();
+
+      const res = await request(app)
+        .get('/mcp/stream')
+        .set('Accept', 'application/json')
+        .set('Mcp-Session-Id', sessionId);
+
+      expect(res.status).toBe(406);
+    });
+
+    it('should stream notifications for the session', async () => {
+      const sessionId = await initializeSession();
+      const server = app.listen(0);
+      const { port } = server.address();
+
+      try {
+        const data = await new Promise((resolve, reject) => {
+          const req = http.get({
+            port,
+            path: '/mcp/stream',
+            headers: { Accept: 'text/event-stream', 'Mcp-Session-Id': sessionId }
+          }, (res) => {
+            expect(res.statusCode).toBe(200);
+            expect(res.headers['content-type']).toBe('text/event-stream');
+
+            let received = '';
+            res.on('data', (chunk) => {
+              received += chunk.toString();
+              if (received.includes('\n\n')) {
+                req.destroy();
+                resolve(received);
+              }
+            });
+
+            transport.broadcast({ listChanged: true, filenames: ['a.png'] });
+          });
+          req.on('error', reject);
+        });
+
+        expect(data).toContain('event: message');
+        expect(data).toContain('"method":"notifications/resources/list_changed"');
+      } finally {
+        server.close();
+      }
+    });
+  });
+
+  describe('tool calls', () => {
+    let handler;
+
+    beforeEach(() => {
+      transport.close();
+      handler = jest.fn();
+      transport = createStreamableHttpTransport({
+        imageGen: { outputDir: '/nonexistent', getMCPInterface: () => ({ handler }) },
+        maxSessions: 2
+      });
+      app = express();
+      app.use(express.json());
+      app.use('/mcp/stream', transport.router);
+    });
+
+    const generateCall = (meta) => ({
+      jsonrpc: '2.0',
+      id: 2,
+      method: 'tools/call',
+      params: { name: 'generate_image', arguments: { prompt: 'a fox' }, ...(meta ? { _meta: meta } : {}) }
+    });
+
+    it('should stream progress on the call\'s own response, then the result', async () => {
+      handler.mockImplementation(async (params) => {
+        params.onProgress({ stage: 'validated', message: 'Parameters validated' });
+        return { success: true, data: { url: 'https://example.com/a.png' } };
+      });
+      const sessionId = await initializeSession();
+
+      const res = await request(app)
+        .post('/mcp/stream')
+        .set('Accept', ACCEPT)
+        .set('Mcp-Session-Id', sessionId)
+        .send(generateCall({ progressToken: 'tok' }));
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('text/event-stream');
+      const events = res.text.split('\n\n')
+        .filter(event => event.startsWith('event: message'))
+        .map(event => JSON.parse(event.slice(event.indexOf('data: ') + 6)));
+      expect(events).toEqual([
+        { jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: 'tok', progress: 1, message: 'Parameters validated' } },
+        expect.objectContaining({ jsonrpc: '2.0', id: 2, result: expect.any(Object) })
+      ]);
+    });
+
+    it('should answer with JSON when no progress was asked for', async () => {
+      handler.mockResolvedValue({ success: true, data: { url: 'https://example.com/a.png' } });
+      const sessionId = await initializeSession();
+
+      const res = await request(app)
+        .post('/mcp/stream')
+        .set('Accept', ACCEPT)
+        .set('Mcp-Session-Id', sessionId)
+        .send(generateCall());
+
+      expect(res.headers['content-type']).toMatch(/^application\/json/);
+      expect(res.body.id).toBe(2);
+    });
+
+    it('should cancel the call when the client disconnects', async () => {
+      let receivedSignal;
+      handler.mockImplementation(params => new Promise(resolve => {
+        receivedSignal = params.signal;
+        params.signal.addEventListener('abort', () => resolve({ success: false, error: 'Operation was cancelled' }));
+      }));
+      const sessionId = await initializeSession();
+      const server = app.listen(0);
+      const { port } = server.address();
+
+      try {
+        const body = JSON.stringify(generateCall());
+        const req = http.request({
+          port,
+          method: 'POST',
+          path: '/mcp/stream',
+          headers: { Accept: ACCEPT, 'Content-Type': 'application/json', 'Mcp-Session-Id': sessionId }
+        });
+        req.on('error', () => {});
+        req.end(body);
+        while (!receivedSignal) {
+          await new Promise(resolve => setTimeout(resolve, 5));
+        }
+
+        req.destroy();
+        while (!receivedSignal.aborted) {
+          await new Promise(resolve => setTimeout(resolve, 5));
+        }
+
+        expect(receivedSignal.aborted).toBe(true);
+      } finally {
+        server.close();
+      }
+    });
+
+    it('should refuse new sessions beyond the limit', async () => {
+      await initializeSession();
+      await initializeSession();
+
+      const res = await request(app)
+        .post('/mcp/stream')
+        .set('Accept', ACCEPT)
+        .send(initializeMessage());
+
+      expect(res.status).toBe(503);
+      expect(res.headers['retry-after']).toBe('60');
+      expect(res.body.error.message).toBe('Too many open MCP sessions');
+      expect(transport.sessions.size).toBe(2);
+    });
+  });
+});
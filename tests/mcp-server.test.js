@@ -0,0 +1,404 @@
+const MCPServer = require('../src/mcp-server');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+/**
+ * Build a fake OpenAIImageGenMCP whose generate handler is controlled by the test
+ */
+function createImageGen(handler) {
+  return {
+    outputDir: '/nonexistent',
+    inputDir: '/in',
+    getMCPInterface: () => ({ handler }),
+    editAndSaveImage: jest.fn().mockResolvedValue([{ url: 'https://example.com/edit.png', filePath: '/out/edit.png', estimatedCost: 0.02 }]),
+    createAndSaveImageVariation: jest.fn().mockResolvedValue([])
+  };
+}
+
+function toolCall(id, name, args, meta) {
+  const params = { name, arguments: args };
+  if (meta) {
+    params._meta = meta;
+  }
+  return { jsonrpc: '2.0', id, method: 'tools/call', params };
+}
+
+describe('MCPServer', () => {
+  let sent;
+  let send;
+
+  beforeEach(() => {
+    sent = [];
+    send = jest.fn(message => sent.push(message));
+    process.env.MCP_MODE = 'true';
+  });
+
+  afterEach(() => {
+    delete process.env.MCP_MODE;
+  });
+
+  describe('tools/list', () => {
+    it('should advertise generate, edit, variation and batch tools', async () => {
+      const server = new MCPServer({ imageGen: createImageGen(), send });
+
+      const response = await server.handleRequest({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+
+      expect(response.result.tools.map(tool => tool.name)).toEqual([
+        'generate_image',
+        'edit_image',
+        'create_image_variation',
+        'generate_batch'
+      ]);
+    });
+  });
+
+  describe('tools/call', () => {
+    it('should return method not found for unknown tools', async () => {
+      const server = new MCPServer({ imageGen: createImageGen(), send });
+
+      const response = await server.handleRequest(toolCall(1, 'unknown_tool', {}));
+
+      expect(response.error.code).toBe(-32601);
+    });
+
+    it('should return invalid params for bad edit arguments', async () => {
+      const server = new MCPServer({ imageGen: createImageGen(), send });
+
+      const response = await server.handleRequest(toolCall(1, 'edit_image', { prompt: 'hat' }));
+
+      expect(response.error.code).toBe(-32602);
+      expect(response.error.data).toEqual({ field: 'image' });
+    });
+
+    it('should reject calls over a spending budget with the budget details', async () => {
+      const { BudgetExceededError } = require('../src/utils/budget');
+      const details = {
+        scope: 'global',
+        caller: null,
+        period: 'daily',
+        limit: 1,
+        spent: 0.98,
+        estimate: 0.04,
+        resetsAt: '2026-10-20T00:00:00.000Z'
+      };
+      const exceeded = new BudgetExceededError(details);
+      const imageGen = createImageGen(jest.fn().mockResolvedValue({ success: false, error: exceeded.message, code: exceeded.code, budget: details }));
+      imageGen.editAndSaveImage.mockRejectedValue(exceeded);
+      const server = new MCPServer({ imageGen, send });
+
+      const generated = await server.handleRequest(toolCall(1, 'generate_image', { prompt: 'A red fox' }));
+      const edited = await server.handleRequest(toolCall(2, 'edit_image', { image: '/in/source.png', prompt: 'add a hat' }));
+
+      for (const response of [generated, edited]) {
+        expect(response.error.message).toMatch(/^Daily spending budget exceeded/);
+        expect(response.error.data).toEqual({ reason: 'budget_exceeded', ...details });
+      }
+    });
+
+    it('should refuse tools the API token has no scope for', async () => {
+      const imageGen = createImageGen();
+      const server = new MCPServer({ imageGen, send, scopes: ['generate'] });
+
+      const response = await server.handleRequest(toolCall(1, 'edit_image', { image: '/in/source.png', prompt: 'add a hat' }));
+
+      expect(response.error.code).toBe(-32000);
+      expect(response.error.data).toEqual({ reason: 'forbidden', scope: 'edit' });
+      expect(imageGen.editAndSaveImage).not.toHaveBeenCalled();
+    });
+
+    it('should refuse image resources to tokens without the admin:images scope', async () => {
+      const imageGen = createImageGen();
+      const server = new MCPServer({ imageGen, send, scopes: ['generate'] });
+
+      const responses = [
+        await server.handleRequest({ jsonrpc: '2.0', id: 1, method: 'resources/list' }),
+        await server.handleRequest({ jsonrpc: '2.0', id: 2, method: 'resources/read', params: { uri: 'image://generated/image_1_0.png' } }),
+        await server.handleRequest({ jsonrpc: '2.0', id: 3, method: 'resources/subscribe', params: { uri: 'image://generated/image_1_0.png' } })
+      ];
+
+      for (const response of responses) {
+        expect(response.error.code).toBe(-32000);
+        expect(response.error.data).toEqual({ reason: 'forbidden', scope: 'admin:images' });
+      }
+      expect(server.subscriptions.size).toBe(0);
+
+      const admin = new MCPServer({ imageGen, send, scopes: ['admin:images'] });
+      const subscribed = await admin.handleRequest({ jsonrpc: '2.0', id: 4, method: 'resources/subscribe', params: { uri: 'image://generated/image_1_0.png' } });
+      expect(subscribed.result).toEqual({});
+    });
+
+    it('should pass validated edit arguments to editAndSaveImage', async () => {
+      const imageGen = createImageGen();
+      const server = new MCPServer({ imageGen, send });
+
+      const response = await server.handleRequest(toolCall(1, 'edit_image', {
+        image: '/in/source.png',
+        prompt: 'add a hat'
+      }));
+
+      expect(imageGen.editAndSaveImage).toHaveBeenCalledWith(
+        '/in/source.png',
+        'add a hat',
+        expect.objectContaining({ model: 'dall-e-2', size: '1024x1024', n: 1 })
+      );
+      expect(response.result.content[0].text).toContain('Saved to: /out/edit.png');
+      expect(response.result.content[0].text).toContain('Estimated cost: $0.020');
+    });
+
+    it('should refuse source images and masks outside the output and input directories', async () => {
+      const imageGen = createImageGen();
+      const server = new MCPServer({ imageGen, send });
+
+      const responses = [
+        await server.handleRequest(toolCall(1, 'edit_image', { image: '/etc/secret.png', prompt: 'add a hat' })),
+        await server.handleRequest(toolCall(2, 'edit_image', { image: '../../x.png', prompt: 'add a hat' })),
+        await server.handleRequest(toolCall(3, 'edit_image', { image: '/in/source.png', mask: '/etc/mask.png', prompt: 'add a hat' })),
+        await server.handleRequest(toolCall(4, 'edit_image', { image: ['/in/a.png', '/in/../b.png'], model: 'gpt-image-1', prompt: 'add a hat' })),
+        await server.handleRequest(toolCall(5, 'create_image_variation', { image: '/root/x.png' }))
+      ];
+
+      expect(responses.map(response => [response.error.code, response.error.data.field]))
+        .toEqual([[-32602, 'image'], [-32602, 'image'], [-32602, 'mask'], [-32602, 'image'], [-32602, 'image']]);
+      expect(imageGen.editAndSaveImage).not.toHaveBeenCalled();
+      expect(imageGen.createAndSaveImageVariation).not.toHaveBeenCalled();
+    });
+
+    it('should read relative paths from the output directory and refuse links out of it', async () => {
+      const fs = require('fs');
+      const os = require('os');
+      const path = require('path');
+      const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-server-')));
+      const outputDir = path.join(dir, 'out');
+      fs.mkdirSync(outputDir);
+      fs.writeFileSync(path.join(dir, 'secret.png'), 'secret');
+      fs.symlinkSync(path.join(dir, 'secret.png'), path.join(outputDir, 'link.png'));
+      const imageGen = { ...createImageGen(), outputDir, inputDir: null };
+      const server = new MCPServer({ imageGen, send });
+
+      try {
+        await server.handleRequest(toolCall(1, 'create_image_variation', { image: 'image_1_0.png' }));
+        expect(imageGen.createAndSaveImageVariation).toHaveBeenCalledWith(path.join(outputDir, 'image_1_0.png'), expect.any(Object));
+
+        const linked = await server.handleRequest(toolCall(2, 'create_image_variation', { image: 'link.png' }));
+        expect(linked.error).toMatchObject({ code: -32602, data: { field: 'image' } });
+        expect(imageGen.createAndSaveImageVariation).toHaveBeenCalledTimes(1);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should list every saved image and inline them from disk', async () => {
+      const fs = require('fs');
+      const os = require('os');
+      const path = require('path');
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-server-'));
+      const files = [path.join(dir, 'image_1_0.png'), path.join(dir, 'image_1_1.png')];
+      fs.writeFileSync(files[0], 'first');
+      fs.writeFileSync(files[1], 'second');
+      const handler = jest.fn(async () => ({
+        success: true,
+        data: files.map(filePath => ({ filePath, url: null, revised_prompt: 'A red fox' }))
+      }));
+      const server = new MCPServer({ imageGen: createImageGen(handler), send });
+
+      try {
+        const response = await server.handleRequest(toolCall(1, 'generate_image', { prompt: 'a fox', size: '256x256', model: 'dall-e-2', n: 2 }));
+        const [text, ...images] = response.result.content;
+
+        expect(text.text).toContain(`Image 2:\nSaved to: ${files[1]}`);
+        expect(text.text).toContain('Revised prompt: A red fox');
+        expect(images.map(image => Buffer.from(image.data, 'base64').toString())).toEqual(['first', 'second']);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('generate_batch', () => {
+    it('should generate each expanded prompt and report every result', async () => {
+      const imageGen = createImageGen();
+      imageGen.generateAndSaveImage = jest.fn(async (prompt) => {
+        if (prompt === 'A blue fox') {
+          throw new Error('Provider unavailable');
+        }
+        return [{ filePath: '/out/red.png' }];
+      });
+      const server = new MCPServer({ imageGen, send });
+
+      const response = await server.handleRequest(toolCall(1, 'generate_batch', {
+        template: 'A {{color}} fox',
+        variables: { color: ['red', 'blue'] }
+      }));
+      const text = response.result.content[0].text;
+
+      expect(text).toContain('Batch finished: 1 of 2 prompt(s) succeeded');
+      expect(text).toContain('Prompt 1: A red fox\n\nImage 1:\nSaved to: /out/red.png');
+      expect(text).toContain('Prompt 2: A blue fox\nFailed: Provider unavailable');
+    });
+
+    it('should return invalid params for a bad template', async () => {
+      const server = new MCPServer({ imageGen: createImageGen(), send });
+
+      const response = await server.handleRequest(toolCall(1, 'generate_batch', { template: 'A {{color}} fox' }));
+
+      expect(response.error.code).toBe(-32602);
+      expect(response.error.data).toEqual({ field: 'variables.color' });
+    });
+  });
+
+  describe('presets', () => {
+    it('should merge the preset before validating generate_image arguments', async () => {
+      const { PresetRegistry } = require('../src/utils/presets');
+      const handler = jest.fn(async () => ({ success: true, data: [] }));
+      const imageGen = createImageGen(handler);
+      imageGen.presets = new PresetRegistry([{ name: 'icon-draft', description: '', params: { model: 'dall-e-2', size: '256x256', n: 4 } }]);
+      const server = new MCPServer({ imageGen, send });
+
+      await server.handleRequest(toolCall(1, 'generate_image', { prompt: 'a fox', preset: 'icon-draft', n: 2 }));
+      const list = await server.handleRequest({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+      const invalid = await server.handleRequest(toolCall(3, 'generate_image', { prompt: 'a fox', preset: 'missing' }));
+
+      expect(handler).toHaveBeenCalledWith(expect.objectContaining({ model: 'dall-e-2', size: '256x256', n: 2 }));
+      expect(list.result.tools[0].inputSchema.properties.preset.enum).toEqual(['icon-draft']);
+      expect(invalid.error.data).toEqual({ field: 'preset' });
+    });
+  });
+
+  describe('resources/subscribe', () => {
+    it('should accept the listed presets resource', async () => {
+      const { PresetRegistry, PRESETS_RESOURCE_URI } = require('../src/utils/presets');
+      const imageGen = createImageGen();
+      imageGen.presets = new PresetRegistry([{ name: 'icon-draft', description: '', params: { model: 'dall-e-2' } }]);
+      const server = new MCPServer({ imageGen, send });
+
+      const subscribed = await server.handleRequest({ jsonrpc: '2.0', id: 1, method: 'resources/subscribe', params: { uri: PRESETS_RESOURCE_URI } });
+      const unsubscribed = await server.handleRequest({ jsonrpc: '2.0', id: 2, method: 'resources/unsubscribe', params: { uri: PRESETS_RESOURCE_URI } });
+      const invalid = await server.handleRequest({ jsonrpc: '2.0', id: 3, method: 'resources/subscribe', params: { uri: 'image://other' } });
+
+      expect(subscribed.result).toEqual({});
+      expect(unsubscribed.result).toEqual({});
+      expect(server.subscriptions.size).toBe(0);
+      expect(invalid.error).toBeDefined();
+    });
+  });
+
+  describe('progress notifications', () => {
+    it('should send notifications/progress when a progress token is given', async () => {
+      const handler = jest.fn(async (params) => {
+        params.onProgress({ stage: 'validated', message: 'Parameters validated' });
+        params.onProgress({ stage: 'saved', message: 'Saved image' });
+        return { success: true, data: { url: 'https://example.com/a.png' } };
+      });
+      const server = new MCPServer({ imageGen: createImageGen(handler), send });
+
+      await server.handleRequest(toolCall(1, 'generate_image', { prompt: 'a fox' }, { progressToken: 'tok' }));
+
+      expect(sent).toEqual([
+        {
+          jsonrpc: '2.0',
+          method: 'notifications/progress',
+          params: { progressToken: 'tok', progress: 1, message: 'Parameters validated' }
+        },
+        {
+          jsonrpc: '2.0',
+          method: 'notifications/progress',
+          params: { progressToken: 'tok', progress: 2, message: 'Saved image' }
+        }
+      ]);
+    });
+
+    it('should send progress through the request\'s own channel when the transport gives one', async () => {
+      const handler = jest.fn(async (params) => {
+        params.onProgress({ stage: 'validated', message: 'Parameters validated' });
+        return { success: true, data: { url: 'https://example.com/a.png' } };
+      });
+      const server = new MCPServer({ imageGen: createImageGen(handler), send });
+      const requestSent = [];
+
+      await server.handleRequest(
+        toolCall(1, 'generate_image', { prompt: 'a fox' }, { progressToken: 'tok' }),
+        { send: message => requestSent.push(message) }
+      );
+
+      expect(requestSent).toEqual([{
+        jsonrpc: '2.0',
+        method: 'notifications/progress',
+        params: { progressToken: 'tok', progress: 1, message: 'Parameters validated' }
+      }]);
+      expect(sent).toEqual([]);
+    });
+
+    it('should not report progress without a token', async () => {
+      const handler = jest.fn(async () => ({ success: true, data: {} }));
+      const server = new MCPServer({ imageGen: createImageGen(handler), send });
+
+      await server.handleRequest(toolCall(1, 'generate_image', { prompt: 'a fox' }));
+
+      expect(handler.mock.calls[0][0].onProgress).toBeUndefined();
+      expect(sent).toEqual([]);
+    });
+  });
+
+  describe('cancellation', () => {
+    it('should abort the in-flight call and send no response', async () => {
+      let receivedSignal;
+      const handler = jest.fn((params) => new Promise((resolve) => {
+        receivedSignal = params.signal;
+        params.signal.addEventListener('abort', () => {
+          resolve({ success: false, error: 'Operation was cancelled' });
+        });
+      }));
+      const server = new MCPServer({ imageGen: createImageGen(handler), send });
+
+      const pending = server.handleRequest(toolCall(7, 'generate_image', { prompt: 'a fox' }));
+      await Promise.resolve();
+
+      const ack = await server.handleRequest({
+        jsonrpc: '2.0',
+        method: 'notifications/cancelled',
+        params: { requestId: 7, reason: 'User cancelled' }
+      });
+
+      expect(ack).toBeNull();
+      expect(receivedSignal.aborted).toBe(true);
+      await expect(pending).resolves.toBeNull();
+      expect(server.inFlight.size).toBe(0);
+    });
+
+    it('should abort the call when the transport\'s signal fires', async () => {
+      let receivedSignal;
+      const handler = jest.fn((params) => new Promise((resolve) => {
+        receivedSignal = params.signal;
+        params.signal.addEventListener('abort', () => resolve({ success: false, error: 'Operation was cancelled' }));
+      }));
+      const server = new MCPServer({ imageGen: createImageGen(handler), send });
+      const disconnect = new AbortController();
+
+      const pending = server.handleRequest(toolCall(8, 'generate_image', { prompt: 'a fox' }), { signal: disconnect.signal });
+      await Promise.resolve();
+      disconnect.abort();
+
+      await expect(pending).resolves.toBeNull();
+      expect(receivedSignal.aborted).toBe(true);
+      expect(server.inFlight.size).toBe(0);
+    });
+
+    it('should ignore cancellation of unknown requests', async () => {
+      const server = new MCPServer({ imageGen: createImageGen(), send });
+
+      const ack = await server.handleRequest({
+        jsonrpc: '2.0',
+        method: 'notifications/cancelled',
+        params: { requestId: 99 }
+      });
+
+      expect(ack).toBeNull();
+    });
+  });
+});
@@ -53,6 +53,20 @@ describe('Metrics Utilities', () => {
       });
     });
 
+    describe('getCounters', () => {
+      it('should return every labelled series of one counter', () => {
+        store.incrementCounter('http_requests', 1, { method: 'POST' });
+        store.incrementCounter('http_requests', 2, { method: 'GET' });
+        store.incrementCounter('other_counter');
+
+        expect(store.getCounters('http_requests')).toEqual([
+          { name: 'http_requests', value: 1, labels: { method: 'POST' } },
+          { name: 'http_requests', value: 2, labels: { method: 'GET' } }
+        ]);
+        expect(store.getCounters('missing')).toEqual([]);
+      });
+    });
+
     describe('setGauge', () => {
       it('should set gauge value', () => {
         store.setGauge('memory_usage', 1024);
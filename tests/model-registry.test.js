@@ -0,0 +1,109 @@
+const {
+  MODELS,
+  DEFAULT_MODELS,
+  getModel,
+  getModelNames,
+  collectCapability,
+  mapCapability,
+  describeModels,
+  buildInputSchema
+} = require('../src/utils/model-registry');
+const { VALIDATION_RULES } = require('../src/utils/validation');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Model Registry', () => {
+  describe('lookups', () => {
+    it('should return capabilities for known models', () => {
+      expect(getModel('dall-e-3').styles).toEqual(['vivid', 'natural']);
+      expect(getModel('unknown')).toBeNull();
+    });
+
+    it('should filter models by operation', () => {
+      expect(getModelNames()).toEqual(['dall-e-2', 'dall-e-3', 'gpt-image-1']);
+      expect(getModelNames('edit')).toEqual(['dall-e-2', 'gpt-image-1']);
+      expect(getModelNames('variation')).toEqual(['dall-e-2']);
+    });
+
+    it('should collect distinct capability values in registry order', () => {
+      expect(collectCapability('qualities')).toEqual(['standard', 'hd', 'low', 'medium', 'high', 'auto']);
+      expect(collectCapability('styles')).toEqual(['vivid', 'natural']);
+    });
+
+    it('should map capabilities by model', () => {
+      expect(mapCapability('promptMaxLength')).toEqual({
+        'dall-e-2': 1000,
+        'dall-e-3': 4000,
+        'gpt-image-1': 32000
+      });
+    });
+
+    it('should describe every model for clients', () => {
+      const description = describeModels();
+
+      expect(description.defaults).toEqual(DEFAULT_MODELS);
+      expect(description.models.map(model => model.name)).toEqual(Object.keys(MODELS));
+      expect(description.models[1]).toMatchObject({ name: 'dall-e-3', label: 'DALL-E 3' });
+    });
+  });
+
+  describe('validation rules', () => {
+    it('should derive validation rules from the registry', () => {
+      expect(VALIDATION_RULES.model.enum).toEqual(getModelNames());
+      expect(VALIDATION_RULES.size.modelConstraints['gpt-image-1']).toEqual(MODELS['gpt-image-1'].sizes);
+      expect(VALIDATION_RULES.n.modelConstraints['dall-e-3']).toEqual({ min: 1, max: 1 });
+      expect(VALIDATION_RULES.edit.models).toEqual(getModelNames('edit'));
+      expect(VALIDATION_RULES.response_format.unsupportedModels).toEqual(['gpt-image-1']);
+    });
+  });
+
+  describe('buildInputSchema', () => {
+    it('should build the generate schema with per-model conditions', () => {
+      const schema = buildInputSchema('generate');
+
+      expect(schema.required).toEqual(['prompt']);
+      expect(schema.properties.model.enum).toEqual(['dall-e-2', 'dall-e-3', 'gpt-image-1']);
+      expect(schema.properties.model.default).toBe('dall-e-3');
+      expect(schema.properties.prompt.maxLength).toBe(32000);
+      expect(schema.properties.output_format.enum).toEqual(['png', 'jpeg', 'webp']);
+      expect(schema.properties.partial_images).toMatchObject({ type: 'integer', minimum: 0, maximum: 3 });
+
+      const dalle3 = schema.allOf.find(rule => rule.if.properties.model.const === 'dall-e-3');
+      expect(dalle3.if.required).toBeUndefined(); // default model also applies when omitted
+      expect(dalle3.then.properties.n).toEqual({ minimum: 1, maximum: 1 });
+      expect(dalle3.then.properties.size.enum).toEqual(['1024x1024', '1792x1024', '1024x1792']);
+
+      const gptImage = schema.allOf.find(rule => rule.if.properties.model.const === 'gpt-image-1');
+      expect(gptImage.if.required).toEqual(['model']);
+    });
+
+    it('should build the edit schema with multi-image support', () => {
+      const schema = buildInputSchema('edit');
+
+      expect(schema.required).toEqual(['image', 'prompt']);
+      expect(schema.properties.model.enum).toEqual(['dall-e-2', 'gpt-image-1']);
+      expect(schema.properties.image.oneOf[1].maxItems).toBe(16);
+      expect(schema.properties.quality.enum).toEqual(['low', 'medium', 'high', 'auto']);
+      expect(schema.properties.mask).toBeDefined();
+      expect(schema.properties.style).toBeUndefined();
+      expect(schema.properties.partial_images).toBeUndefined();
+    });
+
+    it('should build the variation schema without a prompt', () => {
+      const schema = buildInputSchema('variation');
+
+      expect(schema.required).toEqual(['image']);
+      expect(schema.properties.prompt).toBeUndefined();
+      expect(schema.properties.image.type).toBe('string');
+      expect(schema.properties.size.enum).toEqual(['256x256', '512x512', '1024x1024']);
+    });
+
+    it('should reject unknown operations', () => {
+      expect(() => buildInputSchema('upscale')).toThrow('Unknown operation: upscale');
+    });
+  });
+});
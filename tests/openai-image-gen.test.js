@@ -1,4 +1,5 @@
 const OpenAIImageGenMCP = require('../src/openai-image-gen');
+const { PRICING } = require('../src/utils/pricing');
 
 // Mock the OpenAI client
 jest.mock('openai', () => {
@@ -38,9 +39,18 @@ jest.mock('fs', () => ({
     _listeners: {}
   }),
   unlink: jest.fn(),
+  // No presets file
+  readFileSync: jest.fn().mockImplementation(() => {
+    throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+  }),
   promises: {
     access: jest.fn().mockResolvedValue(undefined),
-    mkdir: jest.fn().mockResolvedValue(undefined)
+    mkdir: jest.fn().mockResolvedValue(undefined),
+    writeFile: jest.fn().mockResolvedValue(undefined),
+    readFile: jest.fn().mockResolvedValue(Buffer.from('image')),
+    rename: jest.fn().mockResolvedValue(undefined),
+    rm: jest.fn().mockResolvedValue(undefined),
+    appendFile: jest.fn().mockResolvedValue(undefined)
   }
 }));
 
@@ -73,7 +83,40 @@ jest.mock('https', () => ({
 
 // Mock path
 jest.mock('path', () => ({
-  join: jest.fn().mockReturnValue('/mocked/path/to/image.png')
+  join: jest.fn().mockReturnValue('/mocked/path/to/image.png'),
+  basename: jest.requireActual('path').basename,
+  dirname: jest.requireActual('path').dirname,
+  extname: jest.requireActual('path').extname
+}));
+
+// History sidecars are covered by image-history.test.js
+jest.mock('../src/utils/image-history');
+
+// Storage layouts are covered by image-store.test.js
+jest.mock('../src/utils/image-store', () => ({
+  ImageStore: jest.fn().mockImplementation(() => ({
+    initialize: jest.fn().mockResolvedValue(undefined),
+    reserve: jest.fn(async (base, extension) => `${base}${extension}`),
+    release: jest.fn(),
+    getWriteName: jest.fn(filename => filename),
+    commit: jest.fn(async writtenPath => ({ filePath: writtenPath, hash: null, deduplicated: false })),
+    resolve: jest.fn(async filename => `/mocked/path/to/${filename}`)
+  }))
+}));
+
+// The file formats are covered by provenance.test.js
+jest.mock('../src/utils/provenance', () => ({
+  embedProvenance: jest.fn((data, fields) => ({
+    data: Buffer.concat([data, Buffer.from('+provenance')]),
+    provenance: { ...fields, contentHash: 'sha256:abc' }
+  }))
+}));
+
+// The sharp pipelines are covered by image-processing.test.js
+jest.mock('../src/utils/image-processing', () => ({
+  ...jest.requireActual('../src/utils/image-processing'),
+  processImage: jest.fn(async (data, postprocess) => ({ data: Buffer.from('processed'), format: postprocess.format || 'png' })),
+  createThumbnail: jest.fn(async () => ({ data: Buffer.from('thumbnail'), format: 'png', width: 256, height: 256 }))
 }));
 
 describe('OpenAIImageGenMCP', () => {
@@ -97,7 +140,8 @@ describe('OpenAIImageGenMCP', () => {
       expect(result).toEqual([
         {
           url: 'https://example.com/test-image.png',
-          revised_prompt: 'A revised test prompt'
+          revised_prompt: 'A revised test prompt',
+          estimatedCost: 0.04
         }
       ]);
       
@@ -109,7 +153,39 @@ describe('OpenAIImageGenMCP', () => {
         quality: 'standard',
         style: 'vivid',
         response_format: 'url'
-      });
+      }, { signal: undefined });
+    });
+
+    test('should report progress stages', async () => {
+      const onProgress = jest.fn();
+
+      await imageGenMCP.generateImage('Test prompt', { onProgress });
+
+      expect(onProgress.mock.calls.map(call => call[0].stage)).toEqual([
+        'validated',
+        'submitted',
+        'generated'
+      ]);
+    });
+
+    test('should pass the abort signal to the OpenAI request', async () => {
+      const controller = new AbortController();
+
+      await imageGenMCP.generateImage('Test prompt', { signal: controller.signal });
+
+      expect(imageGenMCP.openai.images.generate).toHaveBeenCalledWith(
+        expect.any(Object),
+        { signal: controller.signal }
+      );
+    });
+
+    test('should not call OpenAI when already cancelled', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(imageGenMCP.generateImage('Test prompt', { signal: controller.signal }))
+        .rejects.toMatchObject({ name: 'AbortError' });
+      expect(imageGenMCP.openai.images.generate).not.toHaveBeenCalled();
     });
 
     test('should handle custom options', async () => {
@@ -133,6 +209,138 @@ describe('OpenAIImageGenMCP', () => {
       expect(lastCall.style).toBe('natural');
       expect(lastCall.response_format).toBe('b64_json');
     });
+
+    test('should retry transient upstream failures', async () => {
+      const retryingGen = new OpenAIImageGenMCP('test-api-key', {
+        resilience: { baseDelayMs: 1, maxDelayMs: 1 }
+      });
+      const unavailable = Object.assign(new Error('Service unavailable'), { status: 503 });
+      retryingGen.openai.images.generate.mockRejectedValueOnce(unavailable);
+
+      const result = await retryingGen.generateImage('Test prompt');
+
+      expect(result[0].url).toBe('https://example.com/test-image.png');
+      expect(retryingGen.openai.images.generate).toHaveBeenCalledTimes(2);
+      expect(retryingGen.getBreaker('openai').state).toBe('closed');
+    });
+
+    test('should not retry invalid requests', async () => {
+      const invalid = Object.assign(new Error('Bad request'), { status: 400 });
+      imageGenMCP.openai.images.generate.mockRejectedValueOnce(invalid);
+
+      await expect(imageGenMCP.generateImage('Test prompt')).rejects.toThrow('Bad request');
+      expect(imageGenMCP.openai.images.generate).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('providers', () => {
+    let routedGen;
+
+    beforeEach(() => {
+      routedGen = new OpenAIImageGenMCP('test-api-key', {
+        providers: {
+          defaultProvider: 'openai',
+          openai: {},
+          local: { baseURL: 'http://localhost:8080/v1', models: { 'dall-e-2': 'sdxl' } }
+        }
+      });
+    });
+
+    test('should route requests to the selected provider', async () => {
+      const local = routedGen.providers.get('local');
+
+      await routedGen.generateImage('Test prompt', { provider: 'local', model: 'dall-e-2' });
+
+      expect(local.client.images.generate).toHaveBeenCalledWith(
+        expect.objectContaining({ model: 'sdxl', prompt: 'Test prompt' }),
+        { signal: undefined }
+      );
+      expect(routedGen.openai.images.generate).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown providers', async () => {
+      await expect(routedGen.generateImage('Test prompt', { provider: 'azure' }))
+        .rejects.toThrow('Unknown provider: azure');
+    });
+
+    test('should reject models the provider does not serve', async () => {
+      await expect(routedGen.generateImage('Test prompt', { provider: 'local', model: 'dall-e-3' }))
+        .rejects.toThrow('Provider local does not support generate with model dall-e-3');
+    });
+  });
+
+  describe('gpt-image-1', () => {
+    test('should omit response_format and pass output options', async () => {
+      imageGenMCP.openai.images.generate.mockResolvedValueOnce({ data: [{ b64_json: 'aGVsbG8=' }] });
+
+      await imageGenMCP.generateImage('Test prompt', {
+        model: 'gpt-image-1',
+        response_format: 'b64_json',
+        background: 'transparent',
+        output_format: 'webp',
+        output_compression: 60
+      });
+
+      expect(imageGenMCP.openai.images.generate).toHaveBeenCalledWith({
+        model: 'gpt-image-1',
+        prompt: 'Test prompt',
+        n: 1,
+        size: '1024x1024',
+        quality: 'auto',
+        background: 'transparent',
+        output_format: 'webp',
+        output_compression: 60
+      }, { signal: undefined });
+    });
+
+    test('should stream partial images when requested', async () => {
+      async function* events() {
+        yield { type: 'image_generation.partial_image', partial_image_index: 0, b64_json: 'cGFydGlhbA==', output_format: 'png' };
+        yield { type: 'image_generation.completed', b64_json: 'aGVsbG8=', output_format: 'png' };
+      }
+      imageGenMCP.openai.images.generate.mockResolvedValueOnce(events());
+      const onPartialImage = jest.fn();
+      const onProgress = jest.fn();
+
+      const data = await imageGenMCP.generateImage('Test prompt', {
+        model: 'gpt-image-1',
+        partial_images: 1,
+        onPartialImage,
+        onProgress
+      });
+
+      // auto quality is priced as high
+      expect(data).toEqual([{ b64_json: 'aGVsbG8=', estimatedCost: 0.167 }]);
+      expect(imageGenMCP.openai.images.generate).toHaveBeenCalledWith(
+        expect.objectContaining({ stream: true, partial_images: 1 }),
+        { signal: undefined, stream: true }
+      );
+      expect(onPartialImage).toHaveBeenCalledWith({ index: 0, b64_json: 'cGFydGlhbA==', output_format: 'png' });
+      expect(onProgress).toHaveBeenCalledWith({ stage: 'partial_image', message: 'Received preview 1 of 1' });
+    });
+
+    test('should fail when the stream ends without an image', async () => {
+      async function* events() {
+        yield { type: 'image_generation.partial_image', partial_image_index: 0, b64_json: 'cGFydGlhbA==' };
+      }
+      imageGenMCP.openai.images.generate.mockResolvedValueOnce(events());
+
+      await expect(imageGenMCP.generateImage('Test prompt', { model: 'gpt-image-1', partial_images: 1 }))
+        .rejects.toThrow('Image stream ended without a completed image');
+    });
+
+    test('should save base64 output with the requested extension', async () => {
+      const path = require('path');
+      imageGenMCP.openai.images.generate.mockResolvedValueOnce({ data: [{ b64_json: 'aGVsbG8=' }] });
+
+      const result = await imageGenMCP.generateAndSaveImage('Test prompt', {
+        model: 'gpt-image-1',
+        output_format: 'jpeg'
+      });
+
+      expect(path.join).toHaveBeenLastCalledWith(imageGenMCP.outputDir, expect.stringMatching(/^image_\d+_0\.jpeg$/));
+      expect(result[0].filePath).toBe('/mocked/path/to/image.png');
+    });
   });
 
   describe('saveImage', () => {
@@ -141,16 +349,539 @@ describe('OpenAIImageGenMCP', () => {
       
       expect(result).toBe('/mocked/path/to/image.png');
     });
+
+    test('should reject when the download is already cancelled', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(imageGenMCP.saveImage('https://example.com/image.png', 'test-image.png', 30000, controller.signal))
+        .rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    test('should retry downloads that fail with a server error', async () => {
+      const https = require('https');
+      https.get.mockImplementationOnce((url, callback) => {
+        callback({ statusCode: 503, statusMessage: 'Service Unavailable', headers: { 'retry-after-ms': '1' } });
+        return { on: jest.fn().mockReturnThis(), destroy: jest.fn() };
+      });
+
+      const result = await imageGenMCP.saveImage('https://example.com/image.png', 'test-image.png');
+
+      expect(result).toBe('/mocked/path/to/image.png');
+      expect(https.get).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('saveBase64Image', () => {
+    test('should decode and write base64 image data', async () => {
+      const fsPromises = require('fs').promises;
+      const result = await imageGenMCP.saveBase64Image('aGVsbG8=', 'test-image.png');
+
+      expect(result).toBe('/mocked/path/to/image.png');
+      expect(fsPromises.writeFile).toHaveBeenCalledWith(
+        '/mocked/path/to/image.png',
+        Buffer.from('hello')
+      );
+    });
   });
 
   describe('generateAndSaveImage', () => {
     test('should generate and save an image', async () => {
       const result = await imageGenMCP.generateAndSaveImage('Test prompt');
       
-      expect(result).toEqual({
+      expect(result).toEqual([{
+        filename: expect.stringMatching(/^image_\d+_0\.png$/),
+        filePath: '/mocked/path/to/image.png',
         url: 'https://example.com/test-image.png',
         revised_prompt: 'A revised test prompt',
-        filePath: '/mocked/path/to/image.png'
+        deduplicated: false,
+        estimatedCost: 0.04
+      }]);
+    });
+
+    test('should report download and save progress', async () => {
+      const onProgress = jest.fn();
+
+      await imageGenMCP.generateAndSaveImage('Test prompt', { onProgress });
+
+      expect(onProgress.mock.calls.map(call => call[0].stage)).toEqual([
+        'validated',
+        'submitted',
+        'generated',
+        'downloading',
+        'saved'
+      ]);
+    });
+
+    test('should save base64 responses', async () => {
+      imageGenMCP.openai.images.generate.mockResolvedValueOnce({
+        data: [{ b64_json: 'aGVsbG8=', revised_prompt: 'A revised test prompt' }]
+      });
+
+      const result = await imageGenMCP.generateAndSaveImage('Test prompt', {
+        response_format: 'b64_json'
+      });
+
+      expect(result).toEqual([{
+        filename: expect.stringMatching(/^image_\d+_0\.png$/),
+        filePath: '/mocked/path/to/image.png',
+        url: null,
+        revised_prompt: 'A revised test prompt',
+        deduplicated: false,
+        estimatedCost: 0.04
+      }]);
+    });
+
+    test('should save every image with indexed filenames', async () => {
+      const fsPromises = require('fs').promises;
+      imageGenMCP.openai.images.generate.mockResolvedValueOnce({
+        data: [{ b64_json: 'aGVsbG8=' }, { b64_json: 'd29ybGQ=' }]
+      });
+
+      const result = await imageGenMCP.generateAndSaveImage('Test prompt', { model: 'dall-e-2', n: 2 });
+
+      expect(result).toHaveLength(2);
+      const filenames = result.map(image => image.filename);
+      expect(filenames[0]).toMatch(/^image_\d+_0\.png$/);
+      expect(filenames[1]).toBe(filenames[0].replace('_0.png', '_1.png'));
+      expect(fsPromises.writeFile).toHaveBeenCalledWith('/mocked/path/to/image.png', Buffer.from('world'));
+    });
+
+    test('should name saved images after output_name', async () => {
+      const single = await imageGenMCP.generateAndSaveImage('Test prompt', { output_name: 'hero-fox.png' });
+
+      imageGenMCP.openai.images.generate.mockResolvedValueOnce({
+        data: [{ b64_json: 'aGVsbG8=' }, { b64_json: 'd29ybGQ=' }]
+      });
+      const several = await imageGenMCP.generateAndSaveImage('Test prompt', { model: 'dall-e-2', n: 2, output_name: 'owl' });
+
+      expect(single[0].filename).toBe('hero-fox.png');
+      expect(several.map(image => image.filename)).toEqual(['owl_0.png', 'owl_1.png']);
+    });
+
+    test('should record each saved image in the history', async () => {
+      await imageGenMCP.generateAndSaveImage('Test prompt', { quality: 'hd', requester: 'cli' });
+
+      expect(imageGenMCP.history.record).toHaveBeenCalledWith('/mocked/path/to/image.png', {
+        operation: 'generate',
+        prompt: 'Test prompt',
+        model: 'dall-e-3',
+        provider: 'openai',
+        size: '1024x1024',
+        quality: 'hd',
+        style: 'vivid',
+        background: null,
+        output_format: null,
+        postprocess: null,
+        revised_prompt: 'A revised test prompt',
+        contentHash: 'sha256:abc',
+        index: 0,
+        count: 1,
+        requester: 'cli',
+        estimatedCost: 0.08,
+        durationMs: expect.any(Number)
+      });
+    });
+
+    test('should embed provenance in each saved file', async () => {
+      const fsPromises = require('fs').promises;
+      const { embedProvenance } = require('../src/utils/provenance');
+
+      await imageGenMCP.generateAndSaveImage('Test prompt', { quality: 'hd', requester: 'cli' });
+
+      expect(embedProvenance).toHaveBeenCalledWith(Buffer.from('image'), {
+        operation: 'generate',
+        prompt: 'Test prompt',
+        revised_prompt: 'A revised test prompt',
+        model: 'dall-e-3',
+        provider: 'openai',
+        parameters: { size: '1024x1024', quality: 'hd', style: 'vivid', background: null, output_format: null, postprocess: null },
+        source: null
+      });
+      expect(fsPromises.writeFile).toHaveBeenCalledWith('/mocked/path/to/image.png.tmp', Buffer.from('image+provenance'));
+      expect(fsPromises.rename).toHaveBeenCalledWith('/mocked/path/to/image.png.tmp', '/mocked/path/to/image.png');
+    });
+
+    test('should keep the saved image when provenance cannot be embedded', async () => {
+      const { embedProvenance } = require('../src/utils/provenance');
+      embedProvenance.mockImplementationOnce(() => {
+        throw new Error('Unsupported image format (expected PNG, JPEG or WebP)');
+      });
+
+      const result = await imageGenMCP.generateAndSaveImage('Test prompt');
+
+      expect(result[0].filePath).toBe('/mocked/path/to/image.png');
+      expect(imageGenMCP.history.record).toHaveBeenCalledWith('/mocked/path/to/image.png', expect.objectContaining({ contentHash: null }));
+    });
+
+    test('should not embed provenance when disabled', async () => {
+      const { embedProvenance } = require('../src/utils/provenance');
+      imageGenMCP.embedProvenance = false;
+
+      await imageGenMCP.generateAndSaveImage('Test prompt');
+
+      expect(embedProvenance).not.toHaveBeenCalled();
+    });
+
+    test('should keep the saved image when the history cannot be written', async () => {
+      imageGenMCP.history.record.mockRejectedValueOnce(new Error('disk full'));
+
+      const result = await imageGenMCP.generateAndSaveImage('Test prompt');
+
+      expect(result[0].filePath).toBe('/mocked/path/to/image.png');
+    });
+
+    test('should fail instead of silently skipping images without data', async () => {
+      imageGenMCP.openai.images.generate.mockResolvedValueOnce({ data: [{ revised_prompt: 'Nothing here' }] });
+
+      await expect(imageGenMCP.generateAndSaveImage('Test prompt'))
+        .rejects.toThrow('Image 1 of 1 has neither a URL nor base64 data to save');
+    });
+  });
+
+  describe('prompt cache', () => {
+    beforeEach(() => {
+      imageGenMCP = new OpenAIImageGenMCP('test-api-key', { cache: { enabled: true } });
+    });
+
+    test('should be off unless enabled', () => {
+      expect(new OpenAIImageGenMCP('test-api-key', { cache: { enabled: false } }).cache).toBeNull();
+    });
+
+    test('should return saved images for a repeated request without calling the provider', async () => {
+      const first = await imageGenMCP.generateAndSaveImage('Test prompt', { quality: 'hd' });
+      const second = await imageGenMCP.generateAndSaveImage('Test prompt', { quality: 'hd', save: true });
+
+      expect(imageGenMCP.openai.images.generate).toHaveBeenCalledTimes(1);
+      expect(second).toEqual([{
+        filename: first[0].filename,
+        filePath: `/mocked/path/to/${first[0].filename}`,
+        url: null,
+        revised_prompt: 'A revised test prompt',
+        deduplicated: false,
+        estimatedCost: 0,
+        cached: true
+      }]);
+    });
+
+    test('should generate again for a different seed, bypass or refresh', async () => {
+      await imageGenMCP.generateAndSaveImage('Test prompt');
+      await imageGenMCP.generateAndSaveImage('Test prompt', { seed: 2 });
+      await imageGenMCP.generateAndSaveImage('Test prompt', { cache: 'bypass' });
+      await imageGenMCP.generateAndSaveImage('Test prompt', { cache: 'refresh' });
+      const cached = await imageGenMCP.generateAndSaveImage('Test prompt');
+
+      expect(imageGenMCP.openai.images.generate).toHaveBeenCalledTimes(4);
+      expect(cached[0].cached).toBe(true);
+    });
+
+    test('should generate again when the cached image was deleted', async () => {
+      await imageGenMCP.generateAndSaveImage('Test prompt');
+      imageGenMCP.store.resolve.mockResolvedValueOnce(null);
+
+      const result = await imageGenMCP.generateAndSaveImage('Test prompt');
+
+      expect(imageGenMCP.openai.images.generate).toHaveBeenCalledTimes(2);
+      expect(result[0].cached).toBeUndefined();
+    });
+  });
+
+  describe('post-processing', () => {
+    test('should process the saved image and name it after the converted format', async () => {
+      const fsPromises = require('fs').promises;
+      const { processImage } = require('../src/utils/image-processing');
+
+      const result = await imageGenMCP.generateAndSaveImage('Test prompt', {
+        postprocess: { resize: { width: 1200, height: 630 }, format: 'webp', quality: 80 }
+      });
+
+      expect(processImage).toHaveBeenCalledWith(
+        Buffer.from('image'),
+        { resize: { width: 1200, height: 630, fit: 'cover' }, format: 'webp', quality: 80 },
+        'png'
+      );
+      expect(fsPromises.writeFile).toHaveBeenCalledWith('/mocked/path/to/image.png', Buffer.from('processed'));
+      expect(result[0].filename).toMatch(/^image_\d+_0\.webp$/);
+      expect(imageGenMCP.history.record).toHaveBeenCalledWith('/mocked/path/to/image.png', expect.objectContaining({
+        postprocess: { resize: { width: 1200, height: 630, fit: 'cover' }, format: 'webp', quality: 80 }
+      }));
+    });
+
+    test('should save thumbnails next to the image', async () => {
+      const { processImage, createThumbnail } = require('../src/utils/image-processing');
+
+      const result = await imageGenMCP.generateAndSaveImage('Test prompt', { postprocess: { thumbnails: [{ width: 256 }] } });
+
+      expect(processImage).not.toHaveBeenCalled();
+      expect(createThumbnail).toHaveBeenCalledWith(Buffer.from('image'), { width: 256, fit: 'inside' }, expect.any(Object), 'png');
+      const thumbnailName = result[0].filename.replace('.png', '_thumb_256x256.png');
+      expect(result[0].thumbnails).toEqual([
+        { filename: thumbnailName, filePath: '/mocked/path/to/image.png', width: 256, height: 256 }
+      ]);
+      expect(imageGenMCP.history.record).toHaveBeenCalledWith('/mocked/path/to/image.png', expect.objectContaining({
+        thumbnails: [thumbnailName]
+      }));
+    });
+
+    test('should not embed provenance in stripped images', async () => {
+      const { embedProvenance } = require('../src/utils/provenance');
+
+      await imageGenMCP.generateAndSaveImage('Test prompt', { postprocess: { strip: true } });
+
+      expect(embedProvenance).not.toHaveBeenCalled();
+      expect(imageGenMCP.history.record).toHaveBeenCalledWith('/mocked/path/to/image.png', expect.objectContaining({ contentHash: null }));
+    });
+
+    test('should reject invalid operations before calling the provider', async () => {
+      await expect(imageGenMCP.generateAndSaveImage('Test prompt', { postprocess: { quality: 80 } }))
+        .rejects.toMatchObject({ field: 'postprocess.quality' });
+      expect(imageGenMCP.openai.images.generate).not.toHaveBeenCalled();
+    });
+
+    test('should reject a crop outside the requested size before calling the provider', async () => {
+      await expect(imageGenMCP.generateAndSaveImage('Test prompt', {
+        size: '1024x1024',
+        postprocess: { crop: { left: 100, width: 1000, height: 500 } }
+      })).rejects.toMatchObject({ field: 'postprocess.crop.width' });
+      expect(imageGenMCP.openai.images.generate).not.toHaveBeenCalled();
+    });
+
+    test('should delete an image that fails processing and save the rest of the batch', async () => {
+      const fsPromises = require('fs').promises;
+      const { processImage } = require('../src/utils/image-processing');
+      imageGenMCP.openai.images.generate.mockResolvedValueOnce({ data: [{ b64_json: 'aGVsbG8=' }, { b64_json: 'aGVsbG8=' }] });
+      processImage.mockRejectedValueOnce(new Error('extract_area: bad extract area'));
+
+      const result = await imageGenMCP.generateAndSaveImage('Test prompt', {
+        model: 'dall-e-2',
+        size: '512x512',
+        n: 2,
+        postprocess: { format: 'webp' }
+      });
+
+      expect(fsPromises.rm).toHaveBeenCalledTimes(1);
+      expect(fsPromises.rm).toHaveBeenCalledWith('/mocked/path/to/image.png', { force: true });
+      expect(result[0]).toMatchObject({ filename: null, filePath: null, error: 'Post-processing failed: extract_area: bad extract area' });
+      expect(result[1].filename).toMatch(/^image_\d+_1\.webp$/);
+      expect(imageGenMCP.history.record).toHaveBeenCalledTimes(1);
+    });
+
+    test('should fail when no image of the batch could be processed', async () => {
+      const fsPromises = require('fs').promises;
+      const { processImage } = require('../src/utils/image-processing');
+      processImage.mockRejectedValueOnce(new Error('Input buffer contains unsupported image format'));
+
+      await expect(imageGenMCP.generateAndSaveImage('Test prompt', { postprocess: { format: 'webp' } }))
+        .rejects.toThrow('Input buffer contains unsupported image format');
+      expect(fsPromises.rm).toHaveBeenCalledWith('/mocked/path/to/image.png', { force: true });
+      expect(imageGenMCP.history.record).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('presets', () => {
+    const presets = [
+      { name: 'hero-wide', description: '', params: { model: 'dall-e-3', size: '1792x1024', quality: 'hd', postprocess: { format: 'webp' } } }
+    ];
+
+    test('should generate with the preset and let explicit parameters override it', async () => {
+      imageGenMCP = new OpenAIImageGenMCP('test-api-key', { presets });
+
+      const result = await imageGenMCP.generateAndSaveImage('Test prompt', { preset: 'hero-wide', quality: 'standard' });
+
+      expect(imageGenMCP.openai.images.generate).toHaveBeenCalledWith(expect.objectContaining({
+        model: 'dall-e-3',
+        size: '1792x1024',
+        quality: 'standard'
+      }), expect.any(Object));
+      expect(result[0].filename).toMatch(/\.webp$/);
+    });
+
+    test('should reject unknown presets before calling the provider', async () => {
+      await expect(imageGenMCP.generateImage('Test prompt', { preset: 'missing' }))
+        .rejects.toMatchObject({ field: 'preset' });
+      expect(imageGenMCP.openai.images.generate).not.toHaveBeenCalled();
+    });
+
+    test('should offer the presets in the parameter schema', () => {
+      imageGenMCP = new OpenAIImageGenMCP('test-api-key', { presets });
+
+      expect(imageGenMCP.getParameterSchema().properties.preset.enum).toEqual(['hero-wide']);
+    });
+  });
+
+  describe('editAndSaveImage / createAndSaveImageVariation', () => {
+    test('should return the same records for edits and variations', async () => {
+      const path = require('path');
+      imageGenMCP.editImage = jest.fn().mockResolvedValue([{ b64_json: 'aGVsbG8=' }]);
+      imageGenMCP.createImageVariation = jest.fn().mockResolvedValue([{ url: 'https://example.com/v.png' }]);
+
+      const edits = await imageGenMCP.editAndSaveImage('/tmp/a.png', 'add a hat', { output_format: 'webp' });
+      expect(path.join).toHaveBeenLastCalledWith(imageGenMCP.outputDir, expect.stringMatching(/^edit_\d+_0\.webp$/));
+      const variations = await imageGenMCP.createAndSaveImageVariation('/tmp/a.png');
+      expect(path.join).toHaveBeenLastCalledWith(imageGenMCP.outputDir, expect.stringMatching(/^variation_\d+_0\.png$/));
+
+      expect(edits).toEqual([expect.objectContaining({ filePath: '/mocked/path/to/image.png', url: null, revised_prompt: null })]);
+      expect(edits[0].filename).toMatch(/^edit_\d+_0\.webp$/);
+      expect(imageGenMCP.history.record).toHaveBeenCalledWith('/mocked/path/to/image.png', expect.objectContaining({
+        operation: 'edit',
+        prompt: 'add a hat',
+        model: 'dall-e-2',
+        source: ['a.png']
+      }));
+      expect(variations).toEqual([expect.objectContaining({ filePath: '/mocked/path/to/image.png', url: 'https://example.com/v.png', revised_prompt: null })]);
+      expect(variations[0].filename).toMatch(/^variation_\d+_0\.png$/);
+    });
+  });
+
+  describe('estimated cost', () => {
+    const { metrics } = require('../src/utils/metrics');
+    const spendFor = requester => metrics.getCounters('image_spend_usd_total')
+      .filter(counter => counter.labels.requester === requester)
+      .reduce((total, counter) => total + counter.value, 0);
+
+    test('should count generated images as spend by model and requester', async () => {
+      imageGenMCP.openai.images.generate.mockResolvedValueOnce({
+        data: [{ b64_json: 'aGVsbG8=' }, { b64_json: 'd29ybGQ=' }]
+      });
+
+      const data = await imageGenMCP.generateImage('Test prompt', { model: 'dall-e-2', size: '512x512', n: 2, requester: 'spend-test' });
+
+      expect(data.map(image => image.estimatedCost)).toEqual([0.018, 0.018]);
+      expect(spendFor('spend-test')).toBeCloseTo(0.036);
+      expect(metrics.getCounters('image_spend_images_total')).toContainEqual(
+        expect.objectContaining({ value: 2, labels: { model: 'dall-e-2', requester: 'spend-test' } })
+      );
+    });
+
+    test('should price edits and variations', async () => {
+      imageGenMCP.openai.images.edit = jest.fn().mockResolvedValue({ data: [{ b64_json: 'aGVsbG8=' }] });
+      imageGenMCP.openai.images.createVariation = jest.fn().mockResolvedValue({ data: [{ url: 'https://example.com/v.png' }] });
+
+      const edits = await imageGenMCP.editImage(Buffer.from('png'), 'add a hat', { model: 'gpt-image-1', quality: 'medium', size: '1536x1024' });
+      const variations = await imageGenMCP.createImageVariation(Buffer.from('png'), { size: '256x256' });
+
+      expect(edits[0].estimatedCost).toBe(0.063);
+      expect(variations[0].estimatedCost).toBe(0.016);
+    });
+
+    test('should append every generation to the spend ledger, saved or not', async () => {
+      const fsPromises = require('fs').promises;
+      imageGenMCP = new OpenAIImageGenMCP('test-api-key', { spendLedger: { file: '/data/spend.jsonl' } });
+      imageGenMCP.openai.images.generate.mockResolvedValueOnce({
+        data: [{ b64_json: 'aGVsbG8=' }, { b64_json: 'd29ybGQ=' }]
+      });
+
+      // Unsaved results (save: false) come straight from generateImage
+      await imageGenMCP.generateImage('Test prompt', { model: 'dall-e-2', size: '512x512', n: 2, requester: 'ledger-test' });
+
+      expect(fsPromises.appendFile).toHaveBeenCalledTimes(1);
+      const [file, line] = fsPromises.appendFile.mock.calls[0];
+      expect(file).toBe('/data/spend.jsonl');
+      expect(JSON.parse(line)).toEqual({
+        createdAt: expect.any(String),
+        model: 'dall-e-2',
+        size: '512x512',
+        quality: 'standard',
+        requester: 'ledger-test',
+        images: 2,
+        estimatedCost: 0.018
+      });
+    });
+
+    test('should not fail a generation when the ledger cannot be written', async () => {
+      const fsPromises = require('fs').promises;
+      const warn = jest.spyOn(require('../src/utils/logger'), 'warn').mockImplementation(() => {});
+      fsPromises.appendFile.mockRejectedValueOnce(new Error('EACCES: permission denied'));
+
+      const data = await imageGenMCP.generateImage('Test prompt');
+
+      expect(data).toHaveLength(1);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('Could not record spend'));
+      warn.mockRestore();
+    });
+
+    test('should not count cached results as spend', async () => {
+      imageGenMCP = new OpenAIImageGenMCP('test-api-key', { cache: { enabled: true } });
+      await imageGenMCP.generateAndSaveImage('Test prompt', { requester: 'cache-test' });
+      const cached = await imageGenMCP.generateAndSaveImage('Test prompt', { requester: 'cache-test' });
+
+      expect(cached[0].estimatedCost).toBe(0);
+      expect(spendFor('cache-test')).toBeCloseTo(0.04);
+    });
+  });
+
+  describe('budgets', () => {
+    const budget = { enabled: true, limits: { global: { daily: 0.1 } } };
+
+    test('should reject a request over budget without calling the provider', async () => {
+      imageGenMCP = new OpenAIImageGenMCP('test-api-key', { budget });
+      await imageGenMCP.generateImage('Test prompt', { quality: 'hd' });
+
+      await expect(imageGenMCP.generateImage('Test prompt', { quality: 'hd' }))
+        .rejects.toMatchObject({ name: 'BudgetExceededError', details: { spent: 0.08, estimate: 0.08 } });
+      expect(imageGenMCP.openai.images.generate).toHaveBeenCalledTimes(1);
+    });
+
+    test('should release the reservation when the provider call fails', async () => {
+      imageGenMCP = new OpenAIImageGenMCP('test-api-key', { budget, resilience: { retries: 0 } });
+      imageGenMCP.openai.images.generate.mockRejectedValueOnce(Object.assign(new Error('Bad request'), { status: 400 }));
+
+      await expect(imageGenMCP.generateImage('Test prompt', { quality: 'hd' })).rejects.toThrow('Bad request');
+      await expect(imageGenMCP.generateImage('Test prompt', { quality: 'hd' })).resolves.toHaveLength(1);
+    });
+
+    test('should report budget rejections from the MCP interface', async () => {
+      imageGenMCP = new OpenAIImageGenMCP('test-api-key', { budget: { enabled: true, limits: { global: { monthly: 0.01 } } } });
+
+      const result = await imageGenMCP.getMCPInterface().handler({ prompt: 'Test prompt' });
+
+      expect(result).toMatchObject({
+        success: false,
+        code: 'EBUDGET',
+        budget: { scope: 'global', period: 'monthly', limit: 0.01, estimate: 0.04 }
+      });
+      expect(result.error).toMatch(/^Monthly spending budget exceeded/);
+    });
+
+    describe('unpriced models', () => {
+      let prices;
+
+      beforeEach(() => {
+        prices = PRICING['dall-e-3'];
+        delete PRICING['dall-e-3'];
+      });
+
+      afterEach(() => {
+        PRICING['dall-e-3'] = prices;
+      });
+
+      test('should reject requests without a price', async () => {
+        imageGenMCP = new OpenAIImageGenMCP('test-api-key', { budget });
+
+        await expect(imageGenMCP.generateImage('Test prompt')).rejects.toMatchObject({ code: 'EUNPRICED' });
+        expect(imageGenMCP.openai.images.generate).not.toHaveBeenCalled();
+
+        const result = await imageGenMCP.getMCPInterface().handler({ prompt: 'Test prompt' });
+        expect(result).toMatchObject({ success: false, code: 'EUNPRICED' });
+      });
+
+      test('should charge the fallback price when one is set', async () => {
+        imageGenMCP = new OpenAIImageGenMCP('test-api-key', { budget: { ...budget, unpricedPrice: 0.06 } });
+        await imageGenMCP.generateImage('Test prompt');
+
+        await expect(imageGenMCP.generateImage('Test prompt'))
+          .rejects.toMatchObject({ name: 'BudgetExceededError', details: { spent: 0.06, estimate: 0.06 } });
+        expect(imageGenMCP.openai.images.generate).toHaveBeenCalledTimes(1);
+      });
+
+      test('should run unpriced models for free with a fallback price of 0', async () => {
+        imageGenMCP = new OpenAIImageGenMCP('test-api-key', { budget: { ...budget, unpricedPrice: 0 } });
+
+        await imageGenMCP.generateImage('Test prompt');
+        await imageGenMCP.generateImage('Test prompt');
+
+        expect(imageGenMCP.openai.images.generate).toHaveBeenCalledTimes(2);
+        expect(imageGenMCP.budget.getStatus()[0].spent).toBe(0);
       });
     });
   });
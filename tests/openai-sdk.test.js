@@ -0,0 +1,146 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Unlike the other suites, these tests run the real OpenAI SDK against a local server
+// to check the requests the providers make and the responses they read back
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { OpenAIProvider, AzureOpenAIProvider } = require('../src/providers');
+
+const IMAGE = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+describe('OpenAI SDK', () => {
+  let server;
+  let baseURL;
+  let requests;
+  let dir;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const body = Buffer.concat(chunks);
+        const json = (req.headers['content-type'] || '').startsWith('application/json') ? JSON.parse(body) : null;
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body, json });
+
+        if (json && json.stream) {
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          for (let index = 0; index < json.partial_images; index++) {
+            res.write(`event: image_generation.partial_image\ndata: ${JSON.stringify({
+              type: 'image_generation.partial_image',
+              partial_image_index: index,
+              b64_json: `preview-${index}`,
+              output_format: 'png'
+            })}\n\n`);
+          }
+          res.end(`event: image_generation.completed\ndata: ${JSON.stringify({
+            type: 'image_generation.completed',
+            b64_json: IMAGE.toString('base64'),
+            output_format: 'png'
+          })}\n\n`);
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ created: 1, data: [{ b64_json: IMAGE.toString('base64') }] }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openai-sdk-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should generate images through the OpenAI client', async () => {
+    const provider = new OpenAIProvider({ apiKey: 'sk-test', baseURL: `${baseURL}/v1` });
+
+    const response = await provider.generate({ model: 'gpt-image-1', prompt: 'a fox', background: 'transparent', output_format: 'webp', moderation: 'low' });
+
+    expect(response.data[0].b64_json).toBe(IMAGE.toString('base64'));
+    expect(requests[0]).toMatchObject({
+      method: 'POST',
+      url: '/v1/images/generations',
+      headers: { authorization: 'Bearer sk-test' },
+      json: { model: 'gpt-image-1', prompt: 'a fox', background: 'transparent', output_format: 'webp', moderation: 'low' }
+    });
+  });
+
+  it('should upload edit images from file streams', async () => {
+    const provider = new OpenAIProvider({ apiKey: 'sk-test', baseURL: `${baseURL}/v1` });
+    const source = path.join(dir, 'source.png');
+    fs.writeFileSync(source, IMAGE);
+
+    await provider.edit({ model: 'gpt-image-1', prompt: 'add a hat', image: [fs.createReadStream(source)] });
+
+    expect(requests[0].url).toBe('/v1/images/edits');
+    expect(requests[0].headers['content-type']).toMatch(/^multipart\/form-data/);
+    expect(requests[0].body.includes(IMAGE)).toBe(true);
+  });
+
+  it('should route Azure requests to the deployment of the model', async () => {
+    const provider = new AzureOpenAIProvider({
+      endpoint: baseURL,
+      apiKey: 'azure-key',
+      apiVersion: '2025-04-01-preview',
+      models: { 'gpt-image-1': 'images-prod' }
+    });
+
+    await provider.generate({ model: 'gpt-image-1', prompt: 'a fox' });
+
+    expect(requests[0]).toMatchObject({
+      url: '/openai/deployments/images-prod/images/generations?api-version=2025-04-01-preview',
+      headers: { 'api-key': 'azure-key' },
+      json: { model: 'images-prod', prompt: 'a fox' }
+    });
+  });
+
+  it('should stream partial images', async () => {
+    process.env.OUTPUT_DIR = dir;
+    const OpenAIImageGenMCP = require('../src/openai-image-gen');
+    const imageGen = new OpenAIImageGenMCP('sk-test', {
+      providers: { defaultProvider: 'openai', openai: { apiKey: 'sk-test', baseURL: `${baseURL}/v1` } },
+      budget: { enabled: false },
+      cache: { enabled: false },
+      spendLedger: { file: path.join(dir, 'spend.jsonl') }
+    });
+    const previews = [];
+
+    try {
+      const images = await imageGen.generateImage('a fox', {
+        model: 'gpt-image-1',
+        partial_images: 2,
+        onPartialImage: preview => previews.push(preview)
+      });
+
+      expect(requests[0].json).toMatchObject({ stream: true, partial_images: 2 });
+      expect(previews).toEqual([
+        { index: 0, b64_json: 'preview-0', output_format: 'png' },
+        { index: 1, b64_json: 'preview-1', output_format: 'png' }
+      ]);
+      expect(images).toHaveLength(1);
+      expect(images[0].b64_json).toBe(IMAGE.toString('base64'));
+    } finally {
+      delete process.env.OUTPUT_DIR;
+    }
+  });
+});
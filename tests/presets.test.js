@@ -0,0 +1,171 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  PresetRegistry,
+  loadPresetDefinitions,
+  getPresetsFile,
+  getPresetsResource,
+  readPresetsResource,
+  PRESETS_RESOURCE_URI,
+  DEFAULT_PRESETS_FILE
+} = require('../src/utils/presets');
+const { ValidationError } = require('../src/utils/validation');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const logger = require('../src/utils/logger');
+
+const PRESETS = [
+  {
+    name: 'hero-wide',
+    description: 'Wide hero image',
+    params: { model: 'dall-e-3', size: '1792x1024', quality: 'hd', postprocess: { format: 'webp' } }
+  },
+  { name: 'icon-draft', description: '', params: { model: 'dall-e-2', size: '256x256', n: 4 } }
+];
+
+describe('Presets', () => {
+  let dir;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'presets-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    delete process.env.PRESETS_FILE;
+  });
+
+  describe('getPresetsFile', () => {
+    it('should default to presets.yaml in the project root', () => {
+      expect(getPresetsFile()).toBe(DEFAULT_PRESETS_FILE);
+    });
+
+    it('should resolve PRESETS_FILE relative to the project root', () => {
+      process.env.PRESETS_FILE = 'config/presets.json';
+      expect(getPresetsFile()).toBe(path.join(path.dirname(DEFAULT_PRESETS_FILE), 'config', 'presets.json'));
+
+      process.env.PRESETS_FILE = '/etc/presets.yaml';
+      expect(getPresetsFile()).toBe('/etc/presets.yaml');
+    });
+  });
+
+  describe('loadPresetDefinitions', () => {
+    it('should load YAML presets sorted by name', () => {
+      const file = path.join(dir, 'presets.yaml');
+      fs.writeFileSync(file, [
+        'social-square:',
+        '  description: Square post',
+        '  model: dall-e-3',
+        '  size: 1024x1024',
+        'icon-draft:',
+        '  model: dall-e-2',
+        '  n: 4'
+      ].join('\n'));
+
+      expect(loadPresetDefinitions(file)).toEqual([
+        { name: 'icon-draft', description: '', params: { model: 'dall-e-2', n: 4 } },
+        { name: 'social-square', description: 'Square post', params: { model: 'dall-e-3', size: '1024x1024' } }
+      ]);
+    });
+
+    it('should load JSON presets', () => {
+      const file = path.join(dir, 'presets.json');
+      fs.writeFileSync(file, JSON.stringify({ thumb: { model: 'dall-e-2', size: '256x256' } }));
+
+      expect(loadPresetDefinitions(file)).toEqual([
+        { name: 'thumb', description: '', params: { model: 'dall-e-2', size: '256x256' } }
+      ]);
+    });
+
+    it('should return no presets when the file does not exist', () => {
+      expect(loadPresetDefinitions(path.join(dir, 'missing.yaml'))).toEqual([]);
+    });
+
+    it('should skip invalid presets and keep the rest', () => {
+      const file = path.join(dir, 'presets.json');
+      fs.writeFileSync(file, JSON.stringify({
+        good: { model: 'dall-e-3' },
+        'Bad Name': { model: 'dall-e-3' },
+        unknown: { model: 'dall-e-3', prompt: 'a fox' },
+        mismatch: { model: 'dall-e-2', size: '1792x1024' }
+      }));
+
+      expect(loadPresetDefinitions(file).map(preset => preset.name)).toEqual(['good']);
+      const skipped = logger.warn.mock.calls.map(call => call[0]).filter(message => message.startsWith('Skipping preset'));
+      expect(skipped).toHaveLength(3);
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('unsupported parameters prompt'));
+    });
+
+    it('should reject a file that cannot be parsed', () => {
+      const file = path.join(dir, 'presets.json');
+      fs.writeFileSync(file, '{ not json');
+
+      expect(() => loadPresetDefinitions(file)).toThrow(/Invalid presets file/);
+    });
+
+    it('should reject a file that is not a mapping', () => {
+      const file = path.join(dir, 'presets.yaml');
+      fs.writeFileSync(file, '- model: dall-e-3\n');
+
+      expect(() => loadPresetDefinitions(file)).toThrow(/expected a mapping/);
+    });
+  });
+
+  describe('PresetRegistry', () => {
+    const registry = new PresetRegistry(PRESETS);
+
+    it('should pass parameters through without a preset', () => {
+      expect(registry.apply({ prompt: 'a fox', preset: '', size: '512x512' })).toEqual({ prompt: 'a fox', size: '512x512' });
+    });
+
+    it('should merge the preset with explicit parameters taking precedence', () => {
+      expect(registry.apply({ prompt: 'a fox', preset: 'hero-wide', quality: 'standard', style: undefined, size: null })).toEqual({
+        prompt: 'a fox',
+        model: 'dall-e-3',
+        size: '1792x1024',
+        quality: 'standard',
+        postprocess: { format: 'webp' }
+      });
+    });
+
+    it('should reject unknown presets', () => {
+      expect(() => registry.apply({ prompt: 'a fox', preset: 'nope' })).toThrow(ValidationError);
+      try {
+        registry.apply({ prompt: 'a fox', preset: 'nope' });
+      } catch (error) {
+        expect(error.field).toBe('preset');
+        expect(error.message).toBe('Unknown preset: nope. Available presets: hero-wide, icon-draft');
+      }
+    });
+
+    it('should describe the presets in a schema property', () => {
+      const property = registry.getSchemaProperty();
+
+      expect(property.enum).toEqual(['hero-wide', 'icon-draft']);
+      expect(property.description).toContain('hero-wide: Wide hero image');
+      expect(property.description).toContain('icon-draft: {"model":"dall-e-2"');
+      expect(new PresetRegistry().getSchemaProperty()).toBeNull();
+    });
+  });
+
+  describe('MCP resource', () => {
+    it('should list and read the presets', () => {
+      const registry = new PresetRegistry(PRESETS);
+
+      expect(getPresetsResource()).toMatchObject({ uri: PRESETS_RESOURCE_URI, mimeType: 'application/json' });
+
+      const { contents } = readPresetsResource(registry);
+      expect(contents[0].uri).toBe(PRESETS_RESOURCE_URI);
+      expect(JSON.parse(contents[0].text)).toEqual({ presets: PRESETS });
+    });
+  });
+});
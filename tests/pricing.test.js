@@ -0,0 +1,58 @@
+const { PRICING, getImagePrice, estimateCost, roundCost, formatCost } = require('../src/utils/pricing');
+const { MODELS } = require('../src/utils/model-registry');
+
+describe('Pricing', () => {
+  describe('PRICING', () => {
+    it('should price every model, quality and size in the registry', () => {
+      for (const [name, model] of Object.entries(MODELS)) {
+        for (const quality of model.qualities.filter(value => value !== 'auto')) {
+          for (const size of model.sizes.filter(value => value !== 'auto')) {
+            expect(PRICING[name][quality][size]).toEqual(expect.any(Number));
+          }
+        }
+      }
+    });
+  });
+
+  describe('getImagePrice', () => {
+    it('should look up the price by model, size and quality', () => {
+      expect(getImagePrice('dall-e-2', '256x256')).toBe(0.016);
+      expect(getImagePrice('dall-e-3', '1792x1024', 'hd')).toBe(0.12);
+      expect(getImagePrice('gpt-image-1', '1024x1536', 'low')).toBe(0.016);
+    });
+
+    it('should use the model defaults for a missing size or quality', () => {
+      expect(getImagePrice('dall-e-3')).toBe(0.04);
+      expect(getImagePrice('dall-e-2', '512x512', null)).toBe(0.018);
+    });
+
+    it('should price auto as the most expensive option', () => {
+      expect(getImagePrice('gpt-image-1', '1024x1024', 'auto')).toBe(0.167);
+      expect(getImagePrice('gpt-image-1', 'auto', 'medium')).toBe(0.063);
+      expect(getImagePrice('gpt-image-1', 'auto', 'auto')).toBe(0.25);
+      expect(getImagePrice('gpt-image-1')).toBe(0.167);
+    });
+
+    it('should return null for combinations without a price', () => {
+      expect(getImagePrice('unknown-model', '1024x1024')).toBeNull();
+      expect(getImagePrice('dall-e-3', '256x256')).toBeNull();
+      expect(getImagePrice('dall-e-2', '256x256', 'hd')).toBeNull();
+    });
+  });
+
+  describe('estimateCost', () => {
+    it('should multiply the price by the image count', () => {
+      expect(estimateCost({ model: 'dall-e-2', size: '512x512', n: 3 })).toBe(0.054);
+      expect(estimateCost({ model: 'dall-e-3', quality: 'hd' })).toBe(0.08);
+      expect(estimateCost({ model: 'unknown-model' })).toBeNull();
+    });
+  });
+
+  describe('roundCost / formatCost', () => {
+    it('should round away float noise and format dollars', () => {
+      expect(roundCost(0.1 + 0.2)).toBe(0.3);
+      expect(formatCost(0.04)).toBe('$0.040');
+      expect(formatCost(null)).toBe('-');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const { PromptCache, getCacheKey } = require('../src/utils/prompt-cache');
+const { metrics } = require('../src/utils/metrics');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const PARAMS = { prompt: 'a red fox', model: 'dall-e-3', size: '1024x1024', quality: 'standard', style: 'vivid', n: 1, provider: 'openai' };
+const IMAGES = [{ filename: 'image_1_0.png', revised_prompt: 'A red fox' }];
+
+/**
+ * Current value of a counter in the shared metrics store
+ */
+function counter(name) {
+  const found = metrics.getMetrics().counters.find(entry => entry.name === name);
+  return found ? found.value : 0;
+}
+
+describe('Prompt cache', () => {
+  beforeEach(() => {
+    metrics.reset();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('getCacheKey', () => {
+    it('should ignore parameter order and parameters that do not change the images', () => {
+      const reordered = { n: 1, provider: 'openai', style: 'vivid', quality: 'standard', size: '1024x1024', model: 'dall-e-3', prompt: 'a red fox' };
+
+      expect(getCacheKey(reordered)).toBe(getCacheKey(PARAMS));
+      expect(getCacheKey({ ...PARAMS, save: true, response_format: 'b64_json', cache: 'refresh', partial_images: 2 }))
+        .toBe(getCacheKey(PARAMS));
+    });
+
+    it('should separate different parameters and seeds', () => {
+      expect(getCacheKey({ ...PARAMS, quality: 'hd' })).not.toBe(getCacheKey(PARAMS));
+      expect(getCacheKey(PARAMS, '1')).not.toBe(getCacheKey(PARAMS));
+      expect(getCacheKey(PARAMS, 1)).toBe(getCacheKey(PARAMS, '1'));
+    });
+  });
+
+  it('should return stored images and count hits and misses', () => {
+    const cache = new PromptCache();
+    const key = getCacheKey(PARAMS);
+
+    expect(cache.get(key, { model: 'dall-e-3' })).toBeNull();
+    cache.set(key, IMAGES);
+
+    expect(cache.get(key, { model: 'dall-e-3' })).toEqual({ images: IMAGES, createdAt: expect.any(String) });
+    expect(counter('prompt_cache_hits_total')).toBe(1);
+    expect(counter('prompt_cache_misses_total')).toBe(1);
+  });
+
+  it('should expire entries after the TTL', () => {
+    jest.useFakeTimers();
+    const cache = new PromptCache({ ttlMs: 1000 });
+    cache.set('key', IMAGES);
+
+    jest.advanceTimersByTime(999);
+    expect(cache.get('key')).not.toBeNull();
+    jest.advanceTimersByTime(1);
+    expect(cache.get('key')).toBeNull();
+    expect(cache.size).toBe(0);
+  });
+
+  it('should evict the least recently used entry when full', () => {
+    const cache = new PromptCache({ maxEntries: 2 });
+    cache.set('a', IMAGES);
+    cache.set('b', IMAGES);
+    cache.get('a');
+    cache.set('c', IMAGES);
+
+    expect(cache.get('b')).toBeNull();
+    expect(cache.get('a')).not.toBeNull();
+    expect(cache.get('c')).not.toBeNull();
+    expect(counter('prompt_cache_evictions_total')).toBe(1);
+  });
+});
@@ -0,0 +1,180 @@
+const {
+  loadPromptCatalog,
+  listPrompts,
+  getPrompt,
+  expandRecipe,
+  renderTemplate,
+  PromptError,
+  DEFAULT_PROMPTS_DIR
+} = require('../src/utils/prompt-catalog');
+
+jest.mock('fs', () => ({
+  promises: {
+    readdir: jest.fn(),
+    readFile: jest.fn()
+  }
+}));
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const fsPromises = require('fs').promises;
+const logger = require('../src/utils/logger');
+
+const RECIPE_FILES = {
+  'hero.json': JSON.stringify({
+    name: 'hero',
+    description: 'Hero image',
+    arguments: [
+      { name: 'topic', description: 'Topic', required: true },
+      { name: 'mood', default: 'calm' }
+    ],
+    template: 'Illustration about {{topic}}, {{ mood }} mood',
+    defaults: { model: 'dall-e-3', size: '1792x1024', quality: 'hd', ignored: 'x' }
+  }),
+  'icon.yaml': [
+    'name: icon',
+    'description: App icon',
+    'arguments:',
+    '  - name: subject',
+    '    required: true',
+    'template: Flat icon of {{subject}}',
+    'defaults:',
+    '  model: dall-e-2',
+    '  size: 512x512'
+  ].join('\n'),
+  'broken.yml': 'name: broken\n',
+  'README.md': '# not a recipe'
+};
+
+function mockRecipeDirectory(files = RECIPE_FILES) {
+  fsPromises.readdir.mockResolvedValue(Object.keys(files));
+  fsPromises.readFile.mockImplementation(async (filePath) => {
+    const name = Object.keys(files).find(f => filePath.endsWith(f));
+    return files[name];
+  });
+}
+
+describe('Prompt Catalog', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('renderTemplate', () => {
+    it('should substitute variables', () => {
+      expect(renderTemplate('A {{color}} {{ animal }}', { color: 'red', animal: 'fox' }))
+        .toBe('A red fox');
+    });
+
+    it('should render missing variables as empty strings', () => {
+      expect(renderTemplate('A {{color}} fox', {})).toBe('A  fox');
+    });
+  });
+
+  describe('loadPromptCatalog', () => {
+    it('should load JSON and YAML recipes sorted by name', async () => {
+      mockRecipeDirectory();
+
+      const catalog = await loadPromptCatalog('/prompts');
+
+      expect(catalog.map(r => r.name)).toEqual(['hero', 'icon']);
+      expect(catalog[0].defaults).toEqual({ model: 'dall-e-3', size: '1792x1024', quality: 'hd' });
+      expect(catalog[1].source).toBe('icon.yaml');
+    });
+
+    it('should skip malformed recipes with a warning', async () => {
+      mockRecipeDirectory();
+
+      await loadPromptCatalog('/prompts');
+
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('broken.yml'));
+    });
+
+    it('should return an empty catalog when the directory is missing', async () => {
+      const error = new Error('missing');
+      error.code = 'ENOENT';
+      fsPromises.readdir.mockRejectedValue(error);
+
+      await expect(loadPromptCatalog('/missing')).resolves.toEqual([]);
+    });
+
+    it('should default to the bundled prompts directory', async () => {
+      fsPromises.readdir.mockResolvedValue([]);
+
+      await loadPromptCatalog();
+
+      expect(fsPromises.readdir).toHaveBeenCalledWith(DEFAULT_PROMPTS_DIR);
+    });
+  });
+
+  describe('listPrompts', () => {
+    it('should describe recipes with their arguments', async () => {
+      mockRecipeDirectory();
+      const catalog = await loadPromptCatalog('/prompts');
+
+      expect(listPrompts(catalog)[0]).toEqual({
+        name: 'hero',
+        description: 'Hero image',
+        arguments: [
+          { name: 'topic', description: 'Topic', required: true },
+          { name: 'mood', description: '', required: false }
+        ]
+      });
+    });
+  });
+
+  describe('expandRecipe', () => {
+    let catalog;
+
+    beforeEach(async () => {
+      mockRecipeDirectory();
+      catalog = await loadPromptCatalog('/prompts');
+    });
+
+    it('should merge defaults and argument values into validated params', () => {
+      const params = expandRecipe(catalog[0], { topic: 'gardening' });
+
+      expect(params).toEqual({
+        prompt: 'Illustration about gardening, calm mood',
+        model: 'dall-e-3',
+        size: '1792x1024',
+        quality: 'hd',
+        style: 'vivid',
+        n: 1
+      });
+    });
+
+    it('should reject missing required arguments', () => {
+      expect(() => expandRecipe(catalog[0], {})).toThrow('Missing required argument "topic"');
+    });
+  });
+
+  describe('getPrompt', () => {
+    let catalog;
+
+    beforeEach(async () => {
+      mockRecipeDirectory();
+      catalog = await loadPromptCatalog('/prompts');
+    });
+
+    it('should return a message with generate_image arguments', () => {
+      const result = getPrompt(catalog, 'icon', { subject: 'a fox' });
+
+      expect(result.description).toBe('App icon');
+      expect(result.messages).toHaveLength(1);
+      expect(result.messages[0].role).toBe('user');
+      expect(result.messages[0].content.text).toContain('generate_image');
+      expect(result.messages[0].content.text).toContain('"prompt": "Flat icon of a fox"');
+      expect(result.messages[0].content.text).toContain('"size": "512x512"');
+    });
+
+    it('should throw PromptError for unknown prompts', () => {
+      expect(() => getPrompt(catalog, 'missing')).toThrow(PromptError);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const { parseTemplate, renderTemplate, expandTemplate } = require('../src/utils/prompt-templates');
+const { ValidationError } = require('../src/utils/validation');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Prompt templates', () => {
+  describe('parseTemplate', () => {
+    it('should list variables in order of first use with their defaults', () => {
+      expect(parseTemplate('A {{color}} {{ animal }} in {{style | watercolor }} style, {{color}}')).toEqual([
+        { name: 'color', default: undefined },
+        { name: 'animal', default: undefined },
+        { name: 'style', default: 'watercolor' }
+      ]);
+    });
+  });
+
+  describe('renderTemplate', () => {
+    it('should fill values, then defaults, then nothing', () => {
+      expect(renderTemplate('A {{color}} {{animal|fox}}{{suffix}}', { color: 'red' })).toBe('A red fox');
+      expect(renderTemplate('A {{color}} {{animal|fox}}', { color: 'red', animal: 'owl' })).toBe('A red owl');
+    });
+  });
+
+  describe('expandTemplate', () => {
+    const template = 'A {{color}} {{animal}} in {{style|watercolor}} style';
+
+    it('should expand every combination in product mode', () => {
+      const prompts = expandTemplate(template, { color: ['red', 'blue'], animal: ['fox', 'owl'] });
+
+      expect(prompts.map(item => item.prompt)).toEqual([
+        'A red fox in watercolor style',
+        'A red owl in watercolor style',
+        'A blue fox in watercolor style',
+        'A blue owl in watercolor style'
+      ]);
+      expect(prompts[1].variables).toEqual({ color: 'red', animal: 'owl' });
+    });
+
+    it('should pair lists by position in zip mode, repeating single values', () => {
+      const prompts = expandTemplate(template, { color: ['red', 'blue'], animal: ['fox', 'owl'], style: 'ink' }, 'zip');
+
+      expect(prompts.map(item => item.prompt)).toEqual(['A red fox in ink style', 'A blue owl in ink style']);
+    });
+
+    it('should reject zipped lists of different lengths', () => {
+      expect(() => expandTemplate(template, { color: ['red', 'blue'], animal: ['fox', 'owl', 'cat'] }, 'zip'))
+        .toThrow(expect.objectContaining({ field: 'variables.color' }));
+    });
+
+    it('should reject variables without a value or default', () => {
+      expect(() => expandTemplate(template, { color: 'red' }))
+        .toThrow(expect.objectContaining({ field: 'variables.animal' }));
+    });
+
+    it('should reject variables the template does not use', () => {
+      expect(() => expandTemplate(template, { color: 'red', animal: 'fox', size: 'big' }))
+        .toThrow(expect.objectContaining({ field: 'variables.size' }));
+    });
+
+    it('should reject invalid values, modes and templates', () => {
+      expect(() => expandTemplate(template, { color: [], animal: 'fox' })).toThrow(ValidationError);
+      expect(() => expandTemplate(template, { color: [{}], animal: 'fox' })).toThrow(ValidationError);
+      expect(() => expandTemplate(template, { color: 'red', animal: 'fox' }, 'shuffle'))
+        .toThrow(expect.objectContaining({ field: 'mode' }));
+      expect(() => expandTemplate('  ')).toThrow(expect.objectContaining({ field: 'template' }));
+    });
+
+    it('should limit the number of prompts', () => {
+      const values = ['a', 'b', 'c', 'd', 'e'];
+
+      expect(() => expandTemplate('{{x}} {{y}}', { x: values, y: values }))
+        .toThrow('Template expands to 25 prompts; the limit is 20');
+    });
+  });
+});
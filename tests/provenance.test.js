@@ -0,0 +1,139 @@
+const zlib = require('zlib');
+const {
+  embedProvenance,
+  readProvenance,
+  stripProvenance,
+  detectImageFormat,
+  computeContentHash,
+  ProvenanceError
+} = require('../src/utils/provenance');
+
+// 1x1 RGBA PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+// SOI, JFIF APP0, start of scan with a few data bytes, EOI
+const JPEG = Buffer.concat([
+  Buffer.from([0xff, 0xd8]),
+  Buffer.from([0xff, 0xe0, 0x00, 0x10]), Buffer.from('JFIF\0', 'latin1'), Buffer.from([1, 1, 0, 0, 1, 0, 1, 0, 0]),
+  Buffer.from([0xff, 0xda, 0x00, 0x04, 0x01, 0x00, 0x12, 0x34, 0x56, 0xff, 0xd9])
+]);
+
+/**
+ * Build a lossless (VP8L) WebP of the given canvas size
+ */
+function buildWebp(width, height) {
+  const bitstream = Buffer.alloc(7);
+  bitstream[0] = 0x2f;
+  bitstream.writeUInt32LE((width - 1) | ((height - 1) << 14), 1);
+  const chunk = Buffer.alloc(8);
+  chunk.write('VP8L', 0, 'latin1');
+  chunk.writeUInt32LE(bitstream.length, 4);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(4 + 8 + bitstream.length + 1, 4);
+  header.write('WEBP', 8, 'latin1');
+  return Buffer.concat([header, chunk, bitstream, Buffer.alloc(1)]);
+}
+
+/**
+ * List PNG chunk types, checking each CRC
+ */
+function pngChunkTypes(buffer) {
+  const types = [];
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.subarray(offset + 4, offset + 8);
+    if (zlib.crc32) {
+      expect(buffer.readUInt32BE(offset + 8 + length)).toBe(zlib.crc32(buffer.subarray(offset + 4, offset + 8 + length)));
+    }
+    types.push(type.toString('latin1'));
+    offset += 12 + length;
+  }
+  return types;
+}
+
+const FIELDS = {
+  operation: 'generate',
+  prompt: 'A <red> fox & "friends" — 狐',
+  revised_prompt: 'A red fox with friends',
+  model: 'dall-e-3',
+  provider: 'openai',
+  parameters: { size: '1024x1024', quality: 'hd', style: 'vivid' },
+  source: null
+};
+
+describe('Provenance', () => {
+  it('should detect supported formats', () => {
+    expect(detectImageFormat(PNG)).toBe('png');
+    expect(detectImageFormat(JPEG)).toBe('jpeg');
+    expect(detectImageFormat(buildWebp(3, 2))).toBe('webp');
+    expect(detectImageFormat(Buffer.from('GIF89a'))).toBeNull();
+  });
+
+  it('should round-trip provenance through a PNG', () => {
+    const { data, provenance } = embedProvenance(PNG, FIELDS);
+
+    expect(pngChunkTypes(data)).toEqual(['IHDR', 'tEXt', 'iTXt', 'IDAT', 'IEND']);
+    expect(provenance).toMatchObject({ ...FIELDS, software: 'openai-image-gen-mcp', contentHash: computeContentHash(PNG) });
+    expect(readProvenance(data)).toEqual({
+      format: 'png',
+      provenance: { ...provenance, generatedAt: expect.any(String) },
+      contentHash: computeContentHash(PNG),
+      verified: true
+    });
+    expect(stripProvenance(data).equals(PNG)).toBe(true);
+  });
+
+  it('should replace provenance instead of stacking it', () => {
+    const first = embedProvenance(PNG, FIELDS).data;
+    const { data } = embedProvenance(first, { ...FIELDS, prompt: 'second' });
+
+    expect(pngChunkTypes(data)).toEqual(['IHDR', 'tEXt', 'iTXt', 'IDAT', 'IEND']);
+    expect(readProvenance(data)).toMatchObject({ provenance: { prompt: 'second' }, verified: true });
+  });
+
+  it('should report images changed after provenance was written', () => {
+    const { data } = embedProvenance(PNG, FIELDS);
+    const tampered = Buffer.from(data);
+    tampered[tampered.length - 20] ^= 0xff; // Inside IDAT
+
+    expect(readProvenance(tampered).verified).toBe(false);
+  });
+
+  it('should round-trip provenance through a JPEG', () => {
+    const { data } = embedProvenance(JPEG, FIELDS);
+
+    // XMP APP1 segment goes right after the JFIF APP0 segment
+    expect(data.subarray(20, 22)).toEqual(Buffer.from([0xff, 0xe1]));
+    expect(data.toString('latin1', 24, 53)).toBe('http://ns.adobe.com/xap/1.0/\0');
+    expect(readProvenance(data)).toMatchObject({ format: 'jpeg', provenance: { prompt: FIELDS.prompt }, verified: true });
+    expect(stripProvenance(data).equals(JPEG)).toBe(true);
+  });
+
+  it('should convert simple WebP images to the extended format', () => {
+    const webp = buildWebp(3, 2);
+    const { data } = embedProvenance(webp, FIELDS);
+
+    expect(data.readUInt32LE(4)).toBe(data.length - 8);
+    expect(data.toString('latin1', 12, 16)).toBe('VP8X');
+    expect(data[20]).toBe(0x04); // XMP flag
+    expect(data.readUIntLE(24, 3) + 1).toBe(3);
+    expect(data.readUIntLE(27, 3) + 1).toBe(2);
+    expect(readProvenance(data)).toMatchObject({ format: 'webp', provenance: { model: 'dall-e-3' }, verified: true });
+    expect(stripProvenance(data).equals(webp)).toBe(true);
+  });
+
+  it('should report images without provenance', () => {
+    expect(readProvenance(PNG)).toEqual({
+      format: 'png',
+      provenance: null,
+      contentHash: computeContentHash(PNG),
+      verified: null
+    });
+  });
+
+  it('should reject unsupported formats', () => {
+    expect(() => embedProvenance(Buffer.from('GIF89a'), FIELDS)).toThrow(ProvenanceError);
+    expect(() => readProvenance(Buffer.from('not an image'))).toThrow('Unsupported image format');
+  });
+});
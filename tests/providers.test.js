@@ -0,0 +1,198 @@
+const {
+  createProviderRegistry,
+  ProviderRegistry,
+  ProviderError,
+  OpenAIProvider,
+  AzureOpenAIProvider,
+  OpenAICompatibleProvider
+} = require('../src/providers');
+
+// Mock the OpenAI SDK clients
+jest.mock('openai', () => {
+  const createClient = jest.fn(function(options) {
+    this.options = options;
+    this.images = {
+      generate: jest.fn().mockResolvedValue({ data: [{ url: 'https://example.com/a.png' }] }),
+      edit: jest.fn().mockResolvedValue({ data: [] }),
+      createVariation: jest.fn().mockResolvedValue({ data: [] })
+    };
+  });
+  const OpenAI = jest.fn(function(options) {
+    createClient.call(this, options);
+  });
+  OpenAI.AzureOpenAI = jest.fn(function(options) {
+    createClient.call(this, options);
+  });
+  return OpenAI;
+});
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Image Providers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('OpenAIProvider', () => {
+    it('should pass requests through to the OpenAI client', async () => {
+      const provider = new OpenAIProvider({ apiKey: 'sk-test' });
+      const signal = new AbortController().signal;
+
+      const response = await provider.generate({ model: 'dall-e-3', prompt: 'a fox' }, { signal });
+
+      expect(provider.client.options).toEqual({ apiKey: 'sk-test', maxRetries: 0 });
+      expect(provider.client.images.generate).toHaveBeenCalledWith(
+        { model: 'dall-e-3', prompt: 'a fox' },
+        { signal }
+      );
+      expect(response.data[0].url).toBe('https://example.com/a.png');
+    });
+
+    it('should support every registry model and operation by default', () => {
+      const provider = new OpenAIProvider({ apiKey: 'sk-test' });
+
+      expect(provider.getCapabilities()).toEqual({
+        name: 'openai',
+        type: 'openai',
+        models: {
+          'dall-e-2': ['generate', 'edit', 'variation'],
+          'dall-e-3': ['generate'],
+          'gpt-image-1': ['generate', 'edit']
+        }
+      });
+    });
+
+    it('should reject operations the model does not support', async () => {
+      const provider = new OpenAIProvider({ apiKey: 'sk-test' });
+
+      await expect(provider.createVariation({ model: 'dall-e-3' }))
+        .rejects.toThrow('Provider openai does not support variation with model dall-e-3');
+    });
+  });
+
+  describe('AzureOpenAIProvider', () => {
+    it('should route models to deployments', async () => {
+      const provider = new AzureOpenAIProvider({
+        endpoint: 'https://example.openai.azure.com',
+        apiKey: 'azure-key',
+        apiVersion: '2025-04-01-preview',
+        models: { 'dall-e-3': 'images-prod' }
+      });
+
+      await provider.generate({ model: 'dall-e-3', prompt: 'a fox' }, {});
+
+      expect(provider.client.options).toEqual({
+        endpoint: 'https://example.openai.azure.com',
+        apiKey: 'azure-key',
+        apiVersion: '2025-04-01-preview',
+        maxRetries: 0
+      });
+      expect(provider.client.images.generate).toHaveBeenCalledWith(
+        { model: 'images-prod', prompt: 'a fox' },
+        {}
+      );
+    });
+
+    it('should only serve mapped models and no variations', () => {
+      const provider = new AzureOpenAIProvider({
+        endpoint: 'https://example.openai.azure.com',
+        apiKey: 'azure-key',
+        models: { 'dall-e-2': 'dalle2', 'gpt-image-1': 'gpt-image' }
+      });
+
+      expect(provider.getCapabilities().models).toEqual({
+        'dall-e-2': ['generate', 'edit'],
+        'gpt-image-1': ['generate', 'edit']
+      });
+      expect(provider.supports('dall-e-3', 'generate')).toBe(false);
+    });
+  });
+
+  describe('OpenAICompatibleProvider', () => {
+    it('should point the client at the configured base URL', () => {
+      const provider = new OpenAICompatibleProvider({
+        baseURL: 'http://localhost:8080/v1',
+        models: { 'dall-e-2': 'sdxl' }
+      });
+
+      expect(provider.client.options).toEqual({ apiKey: 'not-needed', maxRetries: 0, baseURL: 'http://localhost:8080/v1' });
+      expect(provider.resolveModel('dall-e-2')).toBe('sdxl');
+      expect(provider.getCapabilities().models).toEqual({ 'dall-e-2': ['generate'] });
+    });
+
+    it('should require a base URL', () => {
+      expect(() => new OpenAICompatibleProvider({})).toThrow('Provider local requires a baseURL');
+    });
+  });
+
+  describe('ProviderRegistry', () => {
+    function createRegistry() {
+      return createProviderRegistry({
+        defaultProvider: 'openai',
+        openai: { apiKey: 'sk-test' },
+        azure: null,
+        local: { baseURL: 'http://localhost:8080/v1', operations: ['generate'] }
+      });
+    }
+
+    it('should build configured providers only', () => {
+      const registry = createRegistry();
+
+      expect(registry.names()).toEqual(['openai', 'local']);
+      expect(registry.defaultName).toBe('openai');
+    });
+
+    it('should select the default provider when none is requested', () => {
+      const registry = createRegistry();
+
+      expect(registry.select(undefined, 'dall-e-3', 'generate').name).toBe('openai');
+      expect(registry.select('local', 'dall-e-3', 'generate').name).toBe('local');
+    });
+
+    it('should reject unknown providers and unsupported operations', () => {
+      const registry = createRegistry();
+
+      expect(() => registry.select('azure', 'dall-e-3', 'generate')).toThrow(ProviderError);
+      expect(() => registry.select('azure', 'dall-e-3', 'generate'))
+        .toThrow('Unknown provider: azure. Configured providers: openai, local');
+      expect(() => registry.select('local', 'dall-e-2', 'edit'))
+        .toThrow('Provider local does not support edit with model dall-e-2');
+    });
+
+    it('should require the default provider to be configured', () => {
+      expect(() => createProviderRegistry({ defaultProvider: 'azure', openai: { apiKey: 'sk-test' } }))
+        .toThrow('Default provider azure is not configured');
+    });
+
+    it('should only advertise a provider choice when several are configured', () => {
+      expect(createRegistry().getSchemaProperty()).toEqual({
+        type: 'string',
+        enum: ['openai', 'local'],
+        description: 'Provider backend to route the request to',
+        default: 'openai'
+      });
+      expect(new ProviderRegistry([new OpenAIProvider({ apiKey: 'sk-test' })]).getSchemaProperty()).toBeNull();
+    });
+
+    it('should describe providers and their capabilities', () => {
+      const description = createRegistry().describe();
+
+      expect(description.default).toBe('openai');
+      expect(description.providers[1]).toEqual({
+        name: 'local',
+        type: 'openai-compatible',
+        models: {
+          'dall-e-2': ['generate'],
+          'dall-e-3': ['generate'],
+          'gpt-image-1': ['generate']
+        }
+      });
+    });
+  });
+});
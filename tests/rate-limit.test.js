@@ -0,0 +1,59 @@
+const express = require('express');
+const request = require('supertest');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Image generation rate limit', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.IMAGE_GENERATION_RATE_LIMIT = '5';
+    const { imageGenerationLimiter, countImageGenerations } = require('../src/middleware/rate-limit');
+
+    // Like POST /batch: the request passes the limiter, then counts the images it expands to
+    app = express();
+    app.use(express.json());
+    app.post('/batch', imageGenerationLimiter, async (req, res) => {
+      const limited = await countImageGenerations(req, req.body.images);
+      if (limited) {
+        return res.status(429).json(limited);
+      }
+      res.json({ success: true });
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.IMAGE_GENERATION_RATE_LIMIT;
+  });
+
+  it('should count every image of a request', async () => {
+    const first = await request(app).post('/batch').send({ images: 4 });
+    const second = await request(app).post('/batch').send({ images: 1 });
+    const third = await request(app).post('/batch').send({ images: 1 });
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(third.status).toBe(429);
+  });
+
+  it('should refuse a request over the limit and only count it once', async () => {
+    const tooMany = await request(app).post('/batch').send({ images: 8 });
+    const fits = await request(app).post('/batch').send({ images: 4 });
+
+    expect(tooMany.status).toBe(429);
+    expect(tooMany.body).toMatchObject({
+      success: false,
+      error: expect.stringContaining('would generate 8 images'),
+      limit: 5,
+      remaining: 4
+    });
+    expect(fits.status).toBe(200);
+  });
+});
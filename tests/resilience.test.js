@@ -0,0 +1,249 @@
+const {
+  withRetry,
+  CircuitBreaker,
+  CircuitOpenError,
+  isRetryableError,
+  getRetryAfterMs,
+  computeBackoffDelay,
+  sleep
+} = require('../src/utils/resilience');
+const { MetricsStore } = require('../src/utils/metrics');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+function httpError(status, headers) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  error.headers = headers;
+  return error;
+}
+
+function findMetric(list, name, labels = {}) {
+  return list.find(metric => metric.name === name &&
+    Object.entries(labels).every(([key, value]) => metric.labels[key] === value));
+}
+
+describe('Resilience Utilities', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MetricsStore();
+  });
+
+  describe('isRetryableError', () => {
+    it('should retry rate limits, server errors and network failures', () => {
+      expect(isRetryableError(httpError(429))).toBe(true);
+      expect(isRetryableError(httpError(503))).toBe(true);
+      expect(isRetryableError(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' }))).toBe(true);
+      expect(isRetryableError(Object.assign(new Error('x'), { statusCode: 502 }))).toBe(true);
+    });
+
+    it('should not retry client errors or cancellations', () => {
+      expect(isRetryableError(httpError(400))).toBe(false);
+      expect(isRetryableError(httpError(401))).toBe(false);
+      expect(isRetryableError(Object.assign(new Error('cancelled'), { name: 'AbortError' }))).toBe(false);
+      expect(isRetryableError(new Error('boom'))).toBe(false);
+    });
+  });
+
+  describe('getRetryAfterMs', () => {
+    it('should read Retry-After seconds and retry-after-ms', () => {
+      expect(getRetryAfterMs(httpError(429, { 'retry-after': '2' }))).toBe(2000);
+      expect(getRetryAfterMs(httpError(429, { 'retry-after-ms': '150', 'retry-after': '2' }))).toBe(150);
+    });
+
+    it('should read HTTP dates and Headers instances', () => {
+      const date = new Date(Date.now() + 5000).toUTCString();
+      const delay = getRetryAfterMs(httpError(503, new Headers({ 'Retry-After': date })));
+
+      expect(delay).toBeGreaterThan(3000);
+      expect(delay).toBeLessThanOrEqual(5000);
+    });
+
+    it('should return null without a header', () => {
+      expect(getRetryAfterMs(httpError(503))).toBeNull();
+      expect(getRetryAfterMs(httpError(503, {}))).toBeNull();
+    });
+  });
+
+  describe('computeBackoffDelay', () => {
+    const options = { baseDelayMs: 100, maxDelayMs: 1000 };
+
+    it('should grow exponentially with jitter', () => {
+      expect(computeBackoffDelay(1, options, () => 0)).toBe(50);
+      expect(computeBackoffDelay(1, options, () => 1)).toBe(100);
+      expect(computeBackoffDelay(3, options, () => 1)).toBe(400);
+    });
+
+    it('should cap the delay', () => {
+      expect(computeBackoffDelay(10, options, () => 1)).toBe(1000);
+    });
+  });
+
+  describe('sleep', () => {
+    it('should reject when the signal aborts', async () => {
+      const controller = new AbortController();
+      const promise = sleep(10000, controller.signal);
+      controller.abort();
+
+      await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+    });
+  });
+
+  describe('withRetry', () => {
+    const fast = { baseDelayMs: 1, maxDelayMs: 5 };
+
+    it('should retry transient failures until the call succeeds', async () => {
+      const fn = jest.fn()
+        .mockRejectedValueOnce(httpError(503))
+        .mockRejectedValueOnce(httpError(429, { 'retry-after-ms': '1' }))
+        .mockResolvedValue('ok');
+
+      const result = await withRetry(fn, { ...fast, metrics: store, operation: 'openai.generate' });
+
+      expect(result).toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(3);
+      const counters = store.getMetrics().counters;
+      expect(findMetric(counters, 'upstream_retries_total', { reason: '503' }).value).toBe(1);
+      expect(findMetric(counters, 'upstream_retries_total', { reason: '429' }).labels.operation)
+        .toBe('openai.generate');
+    });
+
+    it('should not retry non-retryable errors', async () => {
+      const fn = jest.fn().mockRejectedValue(httpError(400));
+
+      await expect(withRetry(fn, { ...fast, metrics: store })).rejects.toThrow('HTTP 400');
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give up after the configured retries', async () => {
+      const fn = jest.fn().mockRejectedValue(httpError(500));
+
+      await expect(withRetry(fn, { ...fast, retries: 2, metrics: store })).rejects.toThrow('HTTP 500');
+      expect(fn).toHaveBeenCalledTimes(3);
+      expect(findMetric(store.getMetrics().counters, 'upstream_retries_exhausted_total').value).toBe(1);
+    });
+
+    it('should cap Retry-After at the maximum delay', async () => {
+      const fn = jest.fn()
+        .mockRejectedValueOnce(httpError(429, { 'retry-after': '3600' }))
+        .mockResolvedValue('ok');
+      const start = Date.now();
+
+      await withRetry(fn, { ...fast, metrics: store });
+
+      expect(Date.now() - start).toBeLessThan(1000);
+    });
+
+    it('should stop retrying when cancelled', async () => {
+      const controller = new AbortController();
+      const fn = jest.fn().mockImplementation(async () => {
+        controller.abort();
+        throw httpError(503);
+      });
+
+      await expect(withRetry(fn, { ...fast, signal: controller.signal, metrics: store }))
+        .rejects.toThrow('HTTP 503');
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('CircuitBreaker', () => {
+    function createBreaker() {
+      return new CircuitBreaker('openai', { failureThreshold: 2, resetTimeoutMs: 50, metrics: store });
+    }
+
+    function breakerState() {
+      return findMetric(store.getMetrics().gauges, 'circuit_breaker_state', { upstream: 'openai' }).value;
+    }
+
+    it('should open after repeated upstream failures and fail fast', async () => {
+      const breaker = createBreaker();
+      const fn = jest.fn().mockRejectedValue(httpError(502));
+
+      await expect(withRetry(fn, { retries: 5, baseDelayMs: 1, maxDelayMs: 1, breaker, metrics: store }))
+        .rejects.toThrow(CircuitOpenError);
+
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(breaker.state).toBe('open');
+      expect(breakerState()).toBe(1);
+      expect(findMetric(store.getMetrics().counters, 'circuit_breaker_rejections_total').value).toBe(1);
+    });
+
+    it('should not count rate limits or client errors', () => {
+      const breaker = createBreaker();
+
+      breaker.recordFailure(httpError(429));
+      breaker.recordFailure(httpError(400));
+      breaker.recordFailure(httpError(429));
+
+      expect(breaker.state).toBe('closed');
+    });
+
+    it('should close again after a successful trial request', async () => {
+      const breaker = createBreaker();
+      breaker.recordFailure(httpError(503));
+      breaker.recordFailure(httpError(503));
+      expect(() => breaker.beforeRequest()).toThrow(CircuitOpenError);
+
+      await sleep(60);
+      breaker.beforeRequest();
+      expect(breaker.state).toBe('half_open');
+      expect(breakerState()).toBe(2);
+      expect(() => breaker.beforeRequest()).toThrow(CircuitOpenError);
+
+      breaker.recordSuccess();
+      expect(breaker.state).toBe('closed');
+      expect(breakerState()).toBe(0);
+    });
+
+    it('should close when the trial request gets a client error', async () => {
+      const breaker = createBreaker();
+      breaker.recordFailure(httpError(503));
+      breaker.recordFailure(httpError(503));
+
+      await sleep(60);
+      breaker.beforeRequest();
+      breaker.recordFailure(httpError(400));
+
+      expect(breaker.state).toBe('closed');
+    });
+
+    it('should stay half open and free the trial when it is cancelled or fails locally', async () => {
+      const breaker = createBreaker();
+      breaker.recordFailure(httpError(503));
+      breaker.recordFailure(httpError(503));
+
+      await sleep(60);
+      breaker.beforeRequest();
+      breaker.recordFailure(Object.assign(new Error('The operation was aborted'), { name: 'AbortError' }));
+      expect(breaker.state).toBe('half_open');
+
+      breaker.beforeRequest();
+      breaker.recordFailure(new TypeError('Cannot read properties of undefined'));
+      expect(breaker.state).toBe('half_open');
+
+      breaker.beforeRequest();
+      breaker.recordFailure(httpError(503));
+      expect(breaker.state).toBe('open');
+    });
+
+    it('should reopen when the trial request fails', async () => {
+      const breaker = createBreaker();
+      breaker.recordFailure(httpError(503));
+      breaker.recordFailure(httpError(503));
+
+      await sleep(60);
+      breaker.beforeRequest();
+      breaker.recordFailure(httpError(503));
+
+      expect(breaker.state).toBe('open');
+    });
+  });
+});
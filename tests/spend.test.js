@@ -0,0 +1,154 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MetricsStore } = require('../src/utils/metrics');
+const {
+  SpendLedger,
+  recordSpend,
+  getSpendCounters,
+  parseSpendPeriod,
+  summarizeSpend,
+  SPEND_METRIC
+} = require('../src/utils/spend');
+const { ValidationError } = require('../src/utils/validation');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const entry = (fields) => ({
+  operation: 'generate',
+  model: 'dall-e-3',
+  size: '1024x1024',
+  quality: 'standard',
+  index: 0,
+  requester: 'cli',
+  estimatedCost: 0.04,
+  createdAt: '2026-10-18T10:00:00.000Z',
+  ...fields
+});
+
+describe('Spend', () => {
+  describe('recordSpend / getSpendCounters', () => {
+    it('should count spend and images by model and requester', () => {
+      const store = new MetricsStore();
+      recordSpend(0.04, 1, { model: 'dall-e-3', requester: 'cli' }, store);
+      recordSpend(0.018, 3, { model: 'dall-e-2', requester: 'cli' }, store);
+      recordSpend(0.08, 1, { model: 'dall-e-3' }, store);
+
+      expect(store.getCounters(SPEND_METRIC)).toContainEqual(
+        { name: SPEND_METRIC, value: 0.054, labels: { model: 'dall-e-2', requester: 'cli' } }
+      );
+
+      const counters = getSpendCounters(store);
+      expect(counters.startedAt).toBe(new Date(store.startTime).toISOString());
+      expect(counters.total).toBe(0.174);
+      expect(counters.images).toBe(5);
+      expect(counters.byModel).toEqual([
+        { model: 'dall-e-3', cost: 0.12, images: 2 },
+        { model: 'dall-e-2', cost: 0.054, images: 3 }
+      ]);
+      expect(counters.byRequester).toEqual([
+        { requester: 'cli', cost: 0.094, images: 4 },
+        { requester: 'unknown', cost: 0.08, images: 1 }
+      ]);
+    });
+  });
+
+  describe('parseSpendPeriod', () => {
+    it('should normalize dates and leave missing ones null', () => {
+      expect(parseSpendPeriod({ since: '2026-10-01' })).toEqual({ since: '2026-10-01T00:00:00.000Z', until: null });
+      expect(parseSpendPeriod()).toEqual({ since: null, until: null });
+    });
+
+    it('should reject invalid dates and empty periods', () => {
+      expect(() => parseSpendPeriod({ since: 'yesterday' })).toThrow(ValidationError);
+      try {
+        parseSpendPeriod({ since: '2026-10-02', until: '2026-10-01' });
+      } catch (error) {
+        expect(error.field).toBe('until');
+      }
+    });
+  });
+
+  describe('summarizeSpend', () => {
+    const entries = [
+      entry({}),
+      entry({ model: 'dall-e-2', size: '256x256', quality: null, index: 0, estimatedCost: 0.016, requester: 'http:10.0.0.1', createdAt: '2026-10-19T09:00:00.000Z' }),
+      entry({ model: 'dall-e-2', size: '256x256', quality: null, index: 1, estimatedCost: 0.016, requester: 'http:10.0.0.1', createdAt: '2026-10-19T09:00:00.000Z' }),
+      // Recorded before costs were tracked
+      entry({ quality: 'hd', estimatedCost: undefined, createdAt: '2026-10-19T12:00:00.000Z' }),
+      entry({ model: 'retired-model', estimatedCost: undefined, createdAt: '2026-10-19T13:00:00.000Z' })
+    ];
+
+    it('should total spend by day, model and requester', () => {
+      const summary = summarizeSpend(entries);
+
+      expect(summary).toMatchObject({ total: 0.152, images: 4, requests: 3, unpriced: 1 });
+      expect(summary.byDay).toEqual([
+        { day: '2026-10-18', cost: 0.04, images: 1, requests: 1 },
+        { day: '2026-10-19', cost: 0.112, images: 3, requests: 2 }
+      ]);
+      expect(summary.byModel).toEqual([
+        { model: 'dall-e-3', cost: 0.12, images: 2, requests: 2 },
+        { model: 'dall-e-2', cost: 0.032, images: 2, requests: 1 }
+      ]);
+      expect(summary.byRequester.map(group => group.requester)).toEqual(['cli', 'http:10.0.0.1']);
+    });
+
+    it('should only count entries in the period', () => {
+      const summary = summarizeSpend(entries, parseSpendPeriod({ since: '2026-10-19', until: '2026-10-19T10:00:00Z' }));
+
+      expect(summary).toMatchObject({ total: 0.032, images: 2, requests: 1, unpriced: 0 });
+    });
+
+    it('should count every image of a ledger entry', () => {
+      const summary = summarizeSpend([
+        { model: 'dall-e-2', size: '512x512', requester: 'cli', images: 3, estimatedCost: 0.018, createdAt: '2026-10-19T09:00:00.000Z' },
+        { model: 'local-sdxl', size: '1024x1024', requester: 'cli', images: 2, estimatedCost: null, createdAt: '2026-10-19T10:00:00.000Z' }
+      ]);
+
+      expect(summary).toMatchObject({ total: 0.054, images: 3, requests: 1, unpriced: 2 });
+      expect(summary.byModel).toEqual([{ model: 'dall-e-2', cost: 0.054, images: 3, requests: 1 }]);
+    });
+  });
+
+  describe('SpendLedger', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spend-ledger-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should append entries and read them back in order', async () => {
+      const ledger = new SpendLedger(path.join(dir, 'data', 'spend.jsonl'));
+
+      expect(await ledger.loadAll()).toEqual([]);
+      await ledger.append({ model: 'dall-e-3', requester: 'cli', images: 1, estimatedCost: 0.04 });
+      await ledger.append({ model: 'dall-e-2', requester: 'mcp', images: 2, estimatedCost: 0.018 });
+
+      const entries = await ledger.loadAll();
+      expect(entries.map(entry => entry.model)).toEqual(['dall-e-3', 'dall-e-2']);
+      expect(Date.parse(entries[0].createdAt)).not.toBeNaN();
+      expect(summarizeSpend(entries)).toMatchObject({ total: 0.076, images: 3, requests: 2 });
+    });
+
+    it('should skip a line cut short by a crash', async () => {
+      const file = path.join(dir, 'spend.jsonl');
+      fs.writeFileSync(file, '{"createdAt":"2026-10-19T09:00:00.000Z","model":"dall-e-3","images":1,"estimatedCost":0.04}\n{"createdAt":"2026-10');
+      const ledger = new SpendLedger(file);
+
+      expect(await ledger.loadAll()).toEqual([
+        { createdAt: '2026-10-19T09:00:00.000Z', model: 'dall-e-3', images: 1, estimatedCost: 0.04 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TokenStore, hashToken, parseExpiry } = require('../src/utils/token-store');
+const { ValidationError } = require('../src/utils/validation');
+
+describe('TokenStore', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-'));
+    file = path.join(dir, 'state', 'tokens.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('parseExpiry', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+
+    it('should accept ISO dates and numbers of days', () => {
+      expect(parseExpiry('2027-01-01', now)).toBe('2027-01-01T00:00:00.000Z');
+      expect(parseExpiry('30d', now)).toBe('2026-11-18T12:00:00.000Z');
+      expect(parseExpiry(undefined, now)).toBeNull();
+    });
+
+    it('should reject invalid and past expiries', () => {
+      expect(() => parseExpiry('next week', now)).toThrow(ValidationError);
+      expect(() => parseExpiry('2026-01-01', now)).toThrow('Expiry must be in the future');
+    });
+  });
+
+  describe('create', () => {
+    it('should store only a hash of the new token', async () => {
+      const store = new TokenStore(file);
+      const { token, record } = await store.create({ name: 'ci', scopes: ['admin:metrics', 'generate'], expiresAt: '30d' });
+
+      expect(token).toMatch(/^igm_[\w-]{43}$/);
+      expect(record).toMatchObject({ name: 'ci', scopes: ['generate', 'admin:metrics'], disabled: false, status: 'active' });
+      expect(record.hash).toBeUndefined();
+
+      const saved = fs.readFileSync(file, 'utf8');
+      expect(saved).not.toContain(token);
+      expect(JSON.parse(saved).tokens[0].hash).toBe(hashToken(token));
+    });
+
+    it('should reject invalid names, duplicate names and unknown scopes', async () => {
+      const store = new TokenStore(file);
+      await store.create({ name: 'ci', scopes: ['generate'] });
+
+      await expect(store.create({ name: 'ci', scopes: ['generate'] })).rejects.toMatchObject({ field: 'name' });
+      await expect(store.create({ name: 'has space', scopes: ['generate'] })).rejects.toMatchObject({ field: 'name' });
+      await expect(store.create({ name: 'other', scopes: [] })).rejects.toMatchObject({ field: 'scopes' });
+      await expect(store.create({ name: 'other', scopes: ['admin'] })).rejects.toThrow('Unknown scope: admin');
+    });
+  });
+
+  describe('verify', () => {
+    it('should find active tokens and report revoked, expired and unknown ones', async () => {
+      const store = new TokenStore(file);
+      const { token } = await store.create({ name: 'ci', scopes: ['generate'] });
+
+      expect(await store.verify(token)).toMatchObject({ status: 'active', token: { name: 'ci' } });
+      expect(await store.verify('igm_unknown')).toEqual({ status: 'unknown', token: null });
+
+      await store.revoke('ci');
+      expect((await store.verify(token)).status).toBe('revoked');
+    });
+
+    it('should treat tokens past their expiry as expired', async () => {
+      const store = new TokenStore(file);
+      const { token } = await store.create({ name: 'ci', scopes: ['generate'], expiresAt: '1d' });
+
+      jest.useFakeTimers({ now: Date.now() + 2 * 24 * 60 * 60 * 1000 });
+      try {
+        expect((await store.verify(token)).status).toBe('expired');
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should see tokens created and revoked by another process', async () => {
+      const server = new TokenStore(file);
+      const cli = new TokenStore(file);
+      expect(await server.load()).toEqual([]);
+
+      const { token } = await cli.create({ name: 'ci', scopes: ['generate'] });
+      expect((await server.verify(token)).status).toBe('active');
+
+      await cli.revoke('ci');
+      expect((await server.verify(token)).status).toBe('revoked');
+    });
+  });
+
+  describe('list / revoke', () => {
+    it('should list tokens without hashes and revoke by name or id', async () => {
+      const store = new TokenStore(file);
+      await store.create({ name: 'ci', scopes: ['generate'] });
+      const { record } = await store.create({ name: 'ops', scopes: ['admin:images'] });
+
+      expect(await store.revoke(record.id)).toMatchObject({ name: 'ops', disabled: true, status: 'revoked' });
+      expect(await store.revoke('missing')).toBeNull();
+
+      const list = await store.list();
+      expect(list.map(token => [token.name, token.status])).toEqual([['ci', 'active'], ['ops', 'revoked']]);
+      expect(list.every(token => token.hash === undefined)).toBe(true);
+    });
+  });
+});
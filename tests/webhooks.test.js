@@ -0,0 +1,215 @@
+const http = require('http');
+const {
+  WebhookDispatcher,
+  WebhookTargetError,
+  signPayload,
+  verifySignature,
+  isInternalAddress,
+  parseAllowedHosts,
+  resolveWebhookTarget
+} = require('../src/utils/webhooks');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const SECRET = 'test-webhook-secret';
+
+// The test receivers listen on loopback, which callbacks may only reach when allowlisted
+const LOCAL = { secret: SECRET, allowedHosts: ['127.0.0.1'] };
+
+/**
+ * dns.lookup stand-in answering every hostname with the given addresses
+ */
+function fakeLookup(...addresses) {
+  return jest.fn((hostname, options, callback) => {
+    callback(null, addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+  });
+}
+
+/**
+ * Start a receiver that answers with the given statuses in turn (then 200)
+ */
+function startReceiver(statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() || 200;
+      res.end();
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+describe('Webhooks', () => {
+  describe('signPayload / verifySignature', () => {
+    it('should sign the timestamp and body', () => {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const signature = signPayload(SECRET, timestamp, '{"a":1}');
+
+      expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+      expect(verifySignature(SECRET, signature, timestamp, '{"a":1}')).toBe(true);
+      expect(verifySignature(SECRET, signature, timestamp, '{"a":2}')).toBe(false);
+      expect(verifySignature('other-secret', signature, timestamp, '{"a":1}')).toBe(false);
+    });
+
+    it('should reject stale timestamps', () => {
+      const timestamp = Math.floor(Date.now() / 1000) - 3600;
+      const signature = signPayload(SECRET, timestamp, '{}');
+
+      expect(verifySignature(SECRET, signature, timestamp, '{}')).toBe(false);
+    });
+  });
+
+  describe('callback targets', () => {
+    it('should recognize loopback, private, link-local and reserved addresses', () => {
+      for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe']) {
+        expect(isInternalAddress(address)).toBe(true);
+      }
+      for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111', '::ffff:8.8.8.8']) {
+        expect(isInternalAddress(address)).toBe(false);
+      }
+    });
+
+    it('should reject hosts that resolve to internal addresses', async () => {
+      await expect(resolveWebhookTarget('http://127.0.0.1:8080/hook')).rejects.toThrow(WebhookTargetError);
+      await expect(resolveWebhookTarget('http://[::1]/hook')).rejects.toMatchObject({ code: 'EWEBHOOKTARGET' });
+      await expect(resolveWebhookTarget('http://[::ffff:127.0.0.1]/hook')).rejects.toThrow(WebhookTargetError);
+      await expect(resolveWebhookTarget('http://metadata.example/latest', parseAllowedHosts(), fakeLookup('93.184.216.34', '169.254.169.254')))
+        .rejects.toThrow('Callback host metadata.example resolves to 169.254.169.254');
+    });
+
+    it('should allow public hosts and allowlisted hosts, addresses and ranges', async () => {
+      const allowed = parseAllowedHosts(['hooks.internal', '10.1.0.0/16', '192.168.5.5']);
+
+      await expect(resolveWebhookTarget('https://client.example/hook', allowed, fakeLookup('93.184.216.34')))
+        .resolves.toEqual([{ address: '93.184.216.34', family: 4 }]);
+      await expect(resolveWebhookTarget('http://HOOKS.internal/hook', allowed, fakeLookup('10.9.9.9'))).resolves.toHaveLength(1);
+      await expect(resolveWebhookTarget('http://10.1.200.3/hook', allowed)).resolves.toHaveLength(1);
+      await expect(resolveWebhookTarget('http://192.168.5.5/hook', allowed)).resolves.toHaveLength(1);
+      await expect(resolveWebhookTarget('http://10.2.0.1/hook', allowed)).rejects.toThrow(WebhookTargetError);
+      expect(() => parseAllowedHosts(['10.0.0.0/40'])).toThrow('Invalid webhook allowlist range');
+    });
+  });
+
+  describe('WebhookDispatcher', () => {
+    let receiver;
+
+    afterEach(async () => {
+      if (receiver) {
+        await receiver.close();
+        receiver = null;
+      }
+    });
+
+    it('should require a secret', () => {
+      expect(() => new WebhookDispatcher({})).toThrow('A webhook secret is required');
+    });
+
+    it('should POST a signed JSON payload', async () => {
+      receiver = await startReceiver();
+      const dispatcher = new WebhookDispatcher(LOCAL);
+
+      const delivery = await dispatcher.deliver(receiver.url, 'job.succeeded', { jobId: 'job-1' }, { jobId: 'job-1' });
+
+      expect(delivery).toMatchObject({ status: 'delivered', attempts: 1, responseStatus: 200, jobId: 'job-1' });
+      const [request] = receiver.requests;
+      const body = JSON.parse(request.body);
+      expect(body).toEqual({ event: 'job.succeeded', deliveryId: delivery.id, jobId: 'job-1' });
+      expect(request.headers['x-webhook-event']).toBe('job.succeeded');
+      expect(request.headers['x-webhook-delivery']).toBe(delivery.id);
+      expect(verifySignature(
+        SECRET,
+        request.headers['x-webhook-signature'],
+        request.headers['x-webhook-timestamp'],
+        request.body
+      )).toBe(true);
+    });
+
+    it('should retry failed deliveries', async () => {
+      receiver = await startReceiver([503, 500]);
+      const dispatcher = new WebhookDispatcher({ ...LOCAL, baseDelayMs: 1, maxDelayMs: 5 });
+
+      const delivery = await dispatcher.deliver(receiver.url, 'job.failed', {});
+
+      expect(delivery).toMatchObject({ status: 'delivered', attempts: 3 });
+      expect(receiver.requests).toHaveLength(3);
+    });
+
+    it('should give up and log failed deliveries', async () => {
+      receiver = await startReceiver([500, 500, 500]);
+      const dispatcher = new WebhookDispatcher({ ...LOCAL, retries: 2, baseDelayMs: 1, maxDelayMs: 5 });
+
+      const delivery = await dispatcher.deliver(receiver.url, 'job.failed', {}, { jobId: 'job-2' });
+
+      expect(delivery).toMatchObject({
+        status: 'failed',
+        attempts: 3,
+        responseStatus: 500,
+        error: 'Webhook endpoint responded with HTTP 500'
+      });
+      expect(dispatcher.getDeliveries({ status: 'failed' })).toEqual([delivery]);
+      expect(dispatcher.getDeliveries({ jobId: 'other' })).toEqual([]);
+    });
+
+    it('should not retry client errors', async () => {
+      receiver = await startReceiver([410]);
+      const dispatcher = new WebhookDispatcher({ ...LOCAL, baseDelayMs: 1 });
+
+      const delivery = await dispatcher.deliver(receiver.url, 'job.succeeded', {});
+
+      expect(delivery).toMatchObject({ status: 'failed', attempts: 1, responseStatus: 410 });
+    });
+
+    it('should not send or retry deliveries to internal networks', async () => {
+      receiver = await startReceiver();
+      const dispatcher = new WebhookDispatcher({ secret: SECRET, baseDelayMs: 1 });
+
+      const delivery = await dispatcher.deliver(receiver.url, 'job.succeeded', {});
+
+      expect(delivery).toMatchObject({ status: 'failed', attempts: 1 });
+      expect(delivery.error).toMatch(/private or reserved network/);
+      expect(receiver.requests).toHaveLength(0);
+    });
+
+    it('should connect to the addresses that were checked', async () => {
+      receiver = await startReceiver();
+      const lookup = fakeLookup('127.0.0.1');
+      const dispatcher = new WebhookDispatcher({ secret: SECRET, allowedHosts: ['hooks.internal'], lookup });
+
+      const delivery = await dispatcher.deliver(receiver.url.replace('127.0.0.1', 'hooks.internal'), 'job.succeeded', {});
+
+      expect(delivery).toMatchObject({ status: 'delivered', attempts: 1 });
+      expect(lookup).toHaveBeenCalledTimes(1);
+      expect(receiver.requests[0].headers.host).toMatch(/^hooks\.internal:/);
+    });
+
+    it('should keep a bounded delivery log, newest first', async () => {
+      receiver = await startReceiver();
+      const dispatcher = new WebhookDispatcher({ ...LOCAL, logSize: 2 });
+
+      await dispatcher.deliver(receiver.url, 'job.succeeded', {}, { jobId: 'a' });
+      await dispatcher.deliver(receiver.url, 'job.succeeded', {}, { jobId: 'b' });
+      await dispatcher.deliver(receiver.url, 'job.succeeded', {}, { jobId: 'c' });
+
+      expect(dispatcher.getDeliveries().map(delivery => delivery.jobId)).toEqual(['c', 'b']);
+    });
+  });
+});